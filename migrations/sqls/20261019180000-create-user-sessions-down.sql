@@ -0,0 +1,2 @@
+DROP TRIGGER IF EXISTS update_user_sessions_updated_at ON user_sessions;
+DROP TABLE IF EXISTS user_sessions CASCADE;
\ No newline at end of file
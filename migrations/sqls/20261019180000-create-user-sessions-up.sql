@@ -0,0 +1,23 @@
+-- User sessions for refresh token rotation and server-side revocation
+-- Each login creates a session; access tokens carry the session id (sid claim)
+CREATE TABLE user_sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL UNIQUE, -- SHA-256 of the current refresh token
+  previous_token_hash VARCHAR(64) NULL, -- Last rotated token, used to detect reuse
+  user_agent VARCHAR(500) NULL,
+  ip_address VARCHAR(100) NULL,
+  expires_at TIMESTAMP NOT NULL,
+  last_used_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP NULL,
+  revoked_reason VARCHAR(100) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
+CREATE INDEX idx_user_sessions_previous_token ON user_sessions(previous_token_hash);
+CREATE INDEX idx_user_sessions_expires_at ON user_sessions(expires_at);
+
+CREATE TRIGGER update_user_sessions_updated_at BEFORE UPDATE ON user_sessions 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,19 @@
+-- Email verification state on users
+ALTER TABLE users
+ADD COLUMN email_verified BOOLEAN NOT NULL DEFAULT false,
+ADD COLUMN email_verified_at TIMESTAMP NULL;
+
+-- One-time tokens for email verification and password reset
+-- The token itself is a signed JWT; this table makes each token single-use
+CREATE TABLE user_action_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+  jti VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_action_tokens_user_purpose ON user_action_tokens(user_id, purpose);
+CREATE INDEX idx_user_action_tokens_expires_at ON user_action_tokens(expires_at);
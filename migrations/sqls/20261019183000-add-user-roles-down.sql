@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_courses_instructor_id;
+ALTER TABLE courses DROP COLUMN IF EXISTS instructor_id;
+
+DROP INDEX IF EXISTS idx_users_role;
+ALTER TABLE users DROP COLUMN IF EXISTS role;
@@ -0,0 +1,26 @@
+-- Role-based access control
+-- is_admin is kept in sync with role = 'admin' for existing queries
+ALTER TABLE users
+ADD COLUMN role VARCHAR(20) NOT NULL DEFAULT 'student'
+    CHECK (role IN ('student', 'instructor', 'moderator', 'admin'));
+
+UPDATE users SET role = 'admin' WHERE is_admin = true;
+
+CREATE INDEX idx_users_role ON users(role);
+
+-- Course ownership (instructors may only edit courses they teach)
+ALTER TABLE courses
+ADD COLUMN instructor_id INTEGER NULL REFERENCES users(id) ON DELETE SET NULL;
+
+-- Names aren't unique, so only link courses whose instructor name matches
+-- exactly one user; the rest stay NULL for an admin to assign
+UPDATE courses c SET instructor_id = u.id
+FROM users u
+WHERE u.name = c.instructor_name
+AND (SELECT COUNT(*) FROM users same WHERE same.name = c.instructor_name) = 1;
+
+UPDATE users SET role = 'instructor'
+WHERE role = 'student'
+AND id IN (SELECT instructor_id FROM courses WHERE instructor_id IS NOT NULL);
+
+CREATE INDEX idx_courses_instructor_id ON courses(instructor_id);
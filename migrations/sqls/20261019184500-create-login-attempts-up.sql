@@ -0,0 +1,25 @@
+-- Audit log of login attempts (failed logins, lockouts and admin unlocks)
+CREATE TABLE login_attempts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  username VARCHAR(100) NOT NULL,
+  ip_address VARCHAR(100) NULL,
+  user_agent VARCHAR(500) NULL,
+  outcome VARCHAR(30) NOT NULL CHECK (outcome IN ('failed', 'throttled', 'locked', 'unlocked')),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_login_attempts_username ON login_attempts(username);
+CREATE INDEX idx_login_attempts_ip ON login_attempts(ip_address);
+CREATE INDEX idx_login_attempts_created_at ON login_attempts(created_at DESC);
+
+-- Failed-attempt counters for the Postgres throttle store (LOGIN_THROTTLE_STORE=postgres)
+CREATE TABLE login_throttle (
+  throttle_key VARCHAR(255) PRIMARY KEY, -- 'account:<username>' or 'ip:<address>'
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failure_at TIMESTAMP NULL,
+  locked_until TIMESTAMP NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_login_throttle_updated_at ON login_throttle(updated_at);
@@ -0,0 +1,13 @@
+DELETE FROM user_action_tokens WHERE purpose = 'two_factor_login';
+ALTER TABLE user_action_tokens DROP CONSTRAINT IF EXISTS user_action_tokens_purpose_check;
+ALTER TABLE user_action_tokens ADD CONSTRAINT user_action_tokens_purpose_check
+  CHECK (purpose IN ('verify_email', 'reset_password'));
+
+ALTER TABLE user_sessions
+DROP COLUMN IF EXISTS two_factor_verified;
+
+DROP TABLE IF EXISTS user_recovery_codes CASCADE;
+DROP TABLE IF EXISTS user_two_factor CASCADE;
+
+ALTER TABLE users
+DROP COLUMN IF EXISTS two_factor_enabled;
@@ -0,0 +1,39 @@
+-- Two-factor authentication (TOTP) for users
+ALTER TABLE users
+ADD COLUMN two_factor_enabled BOOLEAN NOT NULL DEFAULT false;
+
+-- One row per user; the secret is stored encrypted (AES-256-GCM)
+-- enabled_at stays NULL while enrollment is pending confirmation
+CREATE TABLE user_two_factor (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL UNIQUE REFERENCES users(id) ON DELETE CASCADE,
+  secret_encrypted TEXT NOT NULL,
+  enabled_at TIMESTAMP NULL,
+  last_used_step BIGINT NULL, -- Last accepted TOTP time step, blocks code replay
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_user_two_factor_updated_at BEFORE UPDATE ON user_two_factor 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Single-use backup recovery codes (SHA-256 hashes only)
+CREATE TABLE user_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+CREATE UNIQUE INDEX idx_user_recovery_codes_user_hash ON user_recovery_codes(user_id, code_hash);
+
+-- Sessions remember whether the second factor was completed
+ALTER TABLE user_sessions
+ADD COLUMN two_factor_verified BOOLEAN NOT NULL DEFAULT false;
+
+-- Pending 2FA logins use one-time challenge tokens
+ALTER TABLE user_action_tokens DROP CONSTRAINT IF EXISTS user_action_tokens_purpose_check;
+ALTER TABLE user_action_tokens ADD CONSTRAINT user_action_tokens_purpose_check
+  CHECK (purpose IN ('verify_email', 'reset_password', 'two_factor_login'));
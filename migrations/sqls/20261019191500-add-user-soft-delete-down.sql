@@ -0,0 +1,26 @@
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_sender_id_fkey;
+ALTER TABLE messages ADD CONSTRAINT messages_sender_id_fkey
+  FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE conversations DROP CONSTRAINT IF EXISTS conversations_user2_id_fkey;
+ALTER TABLE conversations ADD CONSTRAINT conversations_user2_id_fkey
+  FOREIGN KEY (user2_id) REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE conversations DROP CONSTRAINT IF EXISTS conversations_user1_id_fkey;
+ALTER TABLE conversations ADD CONSTRAINT conversations_user1_id_fkey
+  FOREIGN KEY (user1_id) REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE ai_question_analytics DROP CONSTRAINT IF EXISTS ai_question_analytics_user_id_fkey;
+ALTER TABLE ai_question_analytics ADD CONSTRAINT ai_question_analytics_user_id_fkey
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_user_id_fkey;
+ALTER TABLE orders ADD CONSTRAINT orders_user_id_fkey
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE;
+
+DROP INDEX IF EXISTS idx_users_deletion_scheduled;
+
+ALTER TABLE users
+DROP COLUMN IF EXISTS anonymized_at,
+DROP COLUMN IF EXISTS deletion_scheduled_for,
+DROP COLUMN IF EXISTS deleted_at;
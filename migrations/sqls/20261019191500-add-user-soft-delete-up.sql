@@ -0,0 +1,32 @@
+-- Soft-delete for user accounts
+-- Deleting an account marks it deleted and schedules anonymization after a grace period;
+-- until then the account can be restored
+ALTER TABLE users
+ADD COLUMN deleted_at TIMESTAMP NULL,
+ADD COLUMN deletion_scheduled_for TIMESTAMP NULL,
+ADD COLUMN anonymized_at TIMESTAMP NULL;
+
+CREATE INDEX idx_users_deletion_scheduled ON users(deletion_scheduled_for)
+  WHERE deleted_at IS NOT NULL AND anonymized_at IS NULL;
+
+-- Orders, AI analytics and message threads must survive a user row being removed
+-- by accident, so stop cascading deletes into them
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_user_id_fkey;
+ALTER TABLE orders ADD CONSTRAINT orders_user_id_fkey
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT;
+
+ALTER TABLE ai_question_analytics DROP CONSTRAINT IF EXISTS ai_question_analytics_user_id_fkey;
+ALTER TABLE ai_question_analytics ADD CONSTRAINT ai_question_analytics_user_id_fkey
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE RESTRICT;
+
+ALTER TABLE conversations DROP CONSTRAINT IF EXISTS conversations_user1_id_fkey;
+ALTER TABLE conversations ADD CONSTRAINT conversations_user1_id_fkey
+  FOREIGN KEY (user1_id) REFERENCES users(id) ON DELETE RESTRICT;
+
+ALTER TABLE conversations DROP CONSTRAINT IF EXISTS conversations_user2_id_fkey;
+ALTER TABLE conversations ADD CONSTRAINT conversations_user2_id_fkey
+  FOREIGN KEY (user2_id) REFERENCES users(id) ON DELETE RESTRICT;
+
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_sender_id_fkey;
+ALTER TABLE messages ADD CONSTRAINT messages_sender_id_fkey
+  FOREIGN KEY (sender_id) REFERENCES users(id) ON DELETE RESTRICT;
@@ -0,0 +1,9 @@
+DROP INDEX IF EXISTS idx_users_suspended_at;
+DROP INDEX IF EXISTS idx_users_created_at_id;
+DROP INDEX IF EXISTS idx_users_martial_art;
+DROP INDEX IF EXISTS idx_users_country;
+
+ALTER TABLE users
+DROP COLUMN IF EXISTS suspended_by,
+DROP COLUMN IF EXISTS suspended_reason,
+DROP COLUMN IF EXISTS suspended_at;
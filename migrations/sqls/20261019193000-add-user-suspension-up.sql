@@ -0,0 +1,11 @@
+-- Admin suspension of user accounts
+ALTER TABLE users
+ADD COLUMN suspended_at TIMESTAMP NULL,
+ADD COLUMN suspended_reason VARCHAR(500) NULL,
+ADD COLUMN suspended_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL;
+
+-- Indexes for the admin user listing filters and sort orders
+CREATE INDEX idx_users_country ON users(LOWER(country));
+CREATE INDEX idx_users_martial_art ON users(LOWER(martial_art));
+CREATE INDEX idx_users_created_at_id ON users(created_at, id);
+CREATE INDEX idx_users_suspended_at ON users(suspended_at) WHERE suspended_at IS NOT NULL;
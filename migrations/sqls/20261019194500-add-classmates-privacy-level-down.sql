@@ -0,0 +1,15 @@
+-- Classmates-only settings fall back to private
+UPDATE privacy_settings SET profile = 'private' WHERE profile = 'classmates';
+UPDATE privacy_settings SET progress = 'private' WHERE progress = 'classmates';
+UPDATE privacy_settings SET courses = 'private' WHERE courses = 'classmates';
+
+ALTER TABLE privacy_settings DROP CONSTRAINT IF EXISTS privacy_settings_profile_check;
+ALTER TABLE privacy_settings DROP CONSTRAINT IF EXISTS privacy_settings_progress_check;
+ALTER TABLE privacy_settings DROP CONSTRAINT IF EXISTS privacy_settings_courses_check;
+
+ALTER TABLE privacy_settings ADD CONSTRAINT privacy_settings_profile_check
+  CHECK (profile IN ('public', 'private'));
+ALTER TABLE privacy_settings ADD CONSTRAINT privacy_settings_progress_check
+  CHECK (progress IN ('public', 'private'));
+ALTER TABLE privacy_settings ADD CONSTRAINT privacy_settings_courses_check
+  CHECK (courses IN ('public', 'private'));
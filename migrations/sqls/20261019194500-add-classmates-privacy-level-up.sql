@@ -0,0 +1,11 @@
+-- Add a "classmates" visibility level: visible to users enrolled in a shared course
+ALTER TABLE privacy_settings DROP CONSTRAINT IF EXISTS privacy_settings_profile_check;
+ALTER TABLE privacy_settings DROP CONSTRAINT IF EXISTS privacy_settings_progress_check;
+ALTER TABLE privacy_settings DROP CONSTRAINT IF EXISTS privacy_settings_courses_check;
+
+ALTER TABLE privacy_settings ADD CONSTRAINT privacy_settings_profile_check
+  CHECK (profile IN ('public', 'classmates', 'private'));
+ALTER TABLE privacy_settings ADD CONSTRAINT privacy_settings_progress_check
+  CHECK (progress IN ('public', 'classmates', 'private'));
+ALTER TABLE privacy_settings ADD CONSTRAINT privacy_settings_courses_check
+  CHECK (courses IN ('public', 'classmates', 'private'));
@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS media_asset_references CASCADE;
+DROP TABLE IF EXISTS media_assets CASCADE;
@@ -0,0 +1,70 @@
+-- Files held in media storage (Cloudinary or the local upload directory)
+CREATE TABLE media_assets (
+  id SERIAL PRIMARY KEY,
+  url VARCHAR(1000) NOT NULL UNIQUE,
+  driver VARCHAR(20) NOT NULL CHECK (driver IN ('cloudinary', 'local')),
+  public_id VARCHAR(500) NULL,
+  resource_type VARCHAR(20) NOT NULL DEFAULT 'image' CHECK (resource_type IN ('image', 'video', 'raw')),
+  mime_type VARCHAR(100) NULL,
+  size_bytes INTEGER NULL,
+  uploaded_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  deleted_at TIMESTAMP NULL, -- Removed from storage; the row is kept for auditing
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_media_assets_updated_at BEFORE UPDATE ON media_assets 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE INDEX idx_media_assets_driver ON media_assets(driver) WHERE deleted_at IS NULL;
+
+-- Which entity field uses each asset (an asset can be shared by several)
+-- e.g. ('course', 12, 'thumbnail_url') or ('news', 3, 'body_images')
+CREATE TABLE media_asset_references (
+  id SERIAL PRIMARY KEY,
+  asset_id INTEGER NOT NULL REFERENCES media_assets(id) ON DELETE CASCADE,
+  entity_type VARCHAR(50) NOT NULL,
+  entity_id INTEGER NOT NULL,
+  field VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(asset_id, entity_type, entity_id, field)
+);
+
+CREATE INDEX idx_media_asset_references_entity ON media_asset_references(entity_type, entity_id);
+
+-- Backfill Cloudinary files already referenced by existing rows
+CREATE TEMP TABLE existing_media_references AS
+SELECT 'user' AS entity_type, id AS entity_id, 'avatar' AS field, avatar AS url FROM users
+UNION ALL
+SELECT 'course', id, 'thumbnail_url', thumbnail_url FROM courses
+UNION ALL
+SELECT 'lesson', id, 'content_url', content_url FROM lessons
+UNION ALL
+SELECT 'news', id, 'thumbnail_url', thumbnail_url FROM news
+UNION ALL
+SELECT 'news', news_id, 'body_images', image_url FROM news_images;
+
+DELETE FROM existing_media_references
+WHERE url IS NULL OR url !~ '^https?://res\.cloudinary\.com/[^/]+/(image|video|raw)/upload/';
+
+-- Public ID is the path after upload/ (minus version); raw files keep their extension
+INSERT INTO media_assets (url, driver, public_id, resource_type)
+SELECT url, 'cloudinary',
+  CASE WHEN resource_type = 'raw' THEN public_path
+       ELSE regexp_replace(public_path, '\.[^/.]+$', '') END,
+  resource_type
+FROM (
+  SELECT DISTINCT url,
+    substring(url FROM '^https?://res\.cloudinary\.com/[^/]+/(image|video|raw)/upload/') AS resource_type,
+    substring(url FROM '/upload/(?:v[0-9]+/)?(.+)$') AS public_path
+  FROM existing_media_references
+) existing_media
+ON CONFLICT (url) DO NOTHING;
+
+INSERT INTO media_asset_references (asset_id, entity_type, entity_id, field)
+SELECT ma.id, emr.entity_type, emr.entity_id, emr.field
+FROM existing_media_references emr
+JOIN media_assets ma ON ma.url = emr.url
+ON CONFLICT DO NOTHING;
+
+DROP TABLE existing_media_references;
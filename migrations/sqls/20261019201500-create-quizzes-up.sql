@@ -0,0 +1,48 @@
+-- Structured quiz for a lesson with lesson_type = 'quiz'
+CREATE TABLE quizzes (
+  id SERIAL PRIMARY KEY,
+  lesson_id INTEGER NOT NULL UNIQUE REFERENCES lessons(id) ON DELETE CASCADE,
+  passing_score INTEGER NOT NULL DEFAULT 70 CHECK (passing_score >= 0 AND passing_score <= 100),
+  max_attempts INTEGER NULL CHECK (max_attempts > 0), -- NULL = unlimited
+  shuffle_questions BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_quizzes_updated_at BEFORE UPDATE ON quizzes 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- options: array of choice texts (for ordering, the items in their correct order)
+-- answer: option index (multiple_choice), array of indexes (multi_select),
+--         accepted answers (short_answer) or NULL (ordering)
+CREATE TABLE quiz_questions (
+  id SERIAL PRIMARY KEY,
+  quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+  question_type VARCHAR(20) NOT NULL CHECK (question_type IN ('multiple_choice', 'multi_select', 'ordering', 'short_answer')),
+  prompt TEXT NOT NULL,
+  options JSONB NULL,
+  answer JSONB NULL,
+  explanation TEXT NULL,
+  points INTEGER NOT NULL DEFAULT 1 CHECK (points > 0),
+  order_sequence INTEGER NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_quiz_questions_quiz_id ON quiz_questions(quiz_id, order_sequence);
+
+-- One row per submitted attempt, graded server-side
+CREATE TABLE quiz_attempts (
+  id SERIAL PRIMARY KEY,
+  quiz_id INTEGER NOT NULL REFERENCES quizzes(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  answers JSONB NOT NULL,
+  results JSONB NOT NULL, -- per question: question_id, correct, points_awarded
+  earned_points INTEGER NOT NULL,
+  total_points INTEGER NOT NULL,
+  score INTEGER NOT NULL CHECK (score >= 0 AND score <= 100),
+  passed BOOLEAN NOT NULL,
+  submitted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_quiz_attempts_quiz_user ON quiz_attempts(quiz_id, user_id);
+CREATE INDEX idx_quiz_attempts_user_id ON quiz_attempts(user_id);
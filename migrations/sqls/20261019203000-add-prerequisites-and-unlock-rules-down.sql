@@ -0,0 +1,13 @@
+ALTER TABLE lessons
+  DROP CONSTRAINT IF EXISTS lessons_unlock_rule_settings,
+  DROP COLUMN IF EXISTS unlock_at,
+  DROP COLUMN IF EXISTS unlock_after_days,
+  DROP COLUMN IF EXISTS unlock_rule;
+
+ALTER TABLE modules
+  DROP CONSTRAINT IF EXISTS modules_unlock_rule_settings,
+  DROP COLUMN IF EXISTS unlock_at,
+  DROP COLUMN IF EXISTS unlock_after_days,
+  DROP COLUMN IF EXISTS unlock_rule;
+
+DROP TABLE IF EXISTS course_prerequisites CASCADE;
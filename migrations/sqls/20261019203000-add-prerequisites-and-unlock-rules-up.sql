@@ -0,0 +1,35 @@
+-- Structured prerequisites: course_id requires completing required_course_id
+-- (courses.prerequisites stays as the free-text description)
+CREATE TABLE course_prerequisites (
+  id SERIAL PRIMARY KEY,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  required_course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(course_id, required_course_id),
+  CHECK (course_id <> required_course_id)
+);
+
+CREATE INDEX idx_course_prerequisites_required ON course_prerequisites(required_course_id);
+
+-- Drip release: when a module / lesson becomes available to an enrolled user
+--   always                 available straight away
+--   sequential             after every earlier required lesson is completed
+--   days_after_enrollment  unlock_after_days after user_courses.start_date
+--   date                   from unlock_at
+ALTER TABLE modules
+  ADD COLUMN unlock_rule VARCHAR(30) NOT NULL DEFAULT 'always' CHECK (unlock_rule IN ('always', 'sequential', 'days_after_enrollment', 'date')),
+  ADD COLUMN unlock_after_days INTEGER NULL CHECK (unlock_after_days >= 0),
+  ADD COLUMN unlock_at TIMESTAMP NULL,
+  ADD CONSTRAINT modules_unlock_rule_settings CHECK (
+    (unlock_rule <> 'days_after_enrollment' OR unlock_after_days IS NOT NULL)
+    AND (unlock_rule <> 'date' OR unlock_at IS NOT NULL)
+  );
+
+ALTER TABLE lessons
+  ADD COLUMN unlock_rule VARCHAR(30) NOT NULL DEFAULT 'always' CHECK (unlock_rule IN ('always', 'sequential', 'days_after_enrollment', 'date')),
+  ADD COLUMN unlock_after_days INTEGER NULL CHECK (unlock_after_days >= 0),
+  ADD COLUMN unlock_at TIMESTAMP NULL,
+  ADD CONSTRAINT lessons_unlock_rule_settings CHECK (
+    (unlock_rule <> 'days_after_enrollment' OR unlock_after_days IS NOT NULL)
+    AND (unlock_rule <> 'date' OR unlock_at IS NOT NULL)
+  );
@@ -0,0 +1,17 @@
+-- Certificates of completion, issued when a user's course progress reaches 100%
+-- Names are copied at issue time so the certificate stays as printed
+CREATE TABLE certificates (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id INTEGER NULL REFERENCES courses(id) ON DELETE SET NULL,
+  verification_code VARCHAR(32) NOT NULL UNIQUE,
+  student_name VARCHAR(255) NOT NULL,
+  course_title VARCHAR(255) NOT NULL,
+  instructor_name VARCHAR(255) NULL,
+  issued_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(user_id, course_id)
+);
+
+CREATE INDEX idx_certificates_user_id ON certificates(user_id);
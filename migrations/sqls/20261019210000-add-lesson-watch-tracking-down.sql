@@ -0,0 +1,5 @@
+ALTER TABLE user_lesson_progress
+  DROP COLUMN IF EXISTS last_heartbeat_at,
+  DROP COLUMN IF EXISTS time_spent_seconds,
+  DROP COLUMN IF EXISTS furthest_position_seconds,
+  DROP COLUMN IF EXISTS last_position_seconds;
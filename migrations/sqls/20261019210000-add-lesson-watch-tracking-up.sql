@@ -0,0 +1,10 @@
+-- Playback heartbeats: resume position, furthest point reached and time spent
+-- (time_spent_minutes is kept in sync with time_spent_seconds)
+ALTER TABLE user_lesson_progress
+  ADD COLUMN last_position_seconds INTEGER NOT NULL DEFAULT 0 CHECK (last_position_seconds >= 0),
+  ADD COLUMN furthest_position_seconds INTEGER NOT NULL DEFAULT 0 CHECK (furthest_position_seconds >= 0),
+  ADD COLUMN time_spent_seconds INTEGER NOT NULL DEFAULT 0 CHECK (time_spent_seconds >= 0),
+  ADD COLUMN last_heartbeat_at TIMESTAMP NULL;
+
+UPDATE user_lesson_progress
+SET time_spent_seconds = COALESCE(time_spent_minutes, 0) * 60;
@@ -0,0 +1,24 @@
+-- Snapshots of a course's module/lesson tree
+--   draft      the working copy being edited (at most one per course)
+--   published  the tree as it went live; version_number counts up per course
+CREATE TABLE course_versions (
+  id SERIAL PRIMARY KEY,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('draft', 'published')),
+  version_number INTEGER NULL,
+  snapshot JSONB NOT NULL, -- { modules: [{ id, title, ..., lessons: [{ id, title, ... }] }] }
+  notes TEXT NULL,
+  based_on_version_id INTEGER NULL REFERENCES course_versions(id) ON DELETE SET NULL,
+  created_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  published_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  published_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(course_id, version_number),
+  CHECK ((status = 'published') = (version_number IS NOT NULL))
+);
+
+CREATE TRIGGER update_course_versions_updated_at BEFORE UPDATE ON course_versions 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE UNIQUE INDEX idx_course_versions_one_draft ON course_versions(course_id) WHERE status = 'draft';
@@ -0,0 +1,59 @@
+-- Ordered parts of a series course (courses.is_series)
+-- The series course's regular_price is the bundle price for all of its parts
+CREATE TABLE course_series_parts (
+  id SERIAL PRIMARY KEY,
+  series_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  part_number INTEGER NOT NULL CHECK (part_number > 0),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(series_id, part_number),
+  UNIQUE(series_id, course_id),
+  CHECK (series_id <> course_id)
+);
+
+CREATE INDEX idx_course_series_parts_course_id ON course_series_parts(course_id);
+
+-- Buying a series also enrolls the user in every part
+CREATE OR REPLACE FUNCTION handle_order_completion()
+RETURNS TRIGGER AS $func$
+BEGIN
+    -- Only process when status changes to 'completed'
+    IF OLD.order_status != 'completed' AND NEW.order_status = 'completed' THEN
+        -- Set completion timestamp
+        NEW.completed_at := CURRENT_TIMESTAMP;
+        
+        -- Add course to user's current_courses array (if not already there)
+        UPDATE users 
+        SET current_courses = array_append(current_courses, NEW.course_id),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = NEW.user_id 
+        AND NOT (NEW.course_id = ANY(current_courses));
+        
+        -- Create user_courses entry for progress tracking
+        INSERT INTO user_courses (user_id, course_id, start_date, progress)
+        VALUES (NEW.user_id, NEW.course_id, CURRENT_DATE, 0)
+        ON CONFLICT (user_id, course_id) DO NOTHING;
+
+        -- Same for each part of a series, in part order
+        UPDATE users u
+        SET current_courses = u.current_courses || ARRAY(
+                SELECT csp.course_id FROM course_series_parts csp
+                WHERE csp.series_id = NEW.course_id
+                AND NOT (csp.course_id = ANY(u.current_courses))
+                ORDER BY csp.part_number
+            ),
+            updated_at = CURRENT_TIMESTAMP
+        WHERE u.id = NEW.user_id
+        AND EXISTS (SELECT 1 FROM course_series_parts WHERE series_id = NEW.course_id);
+
+        INSERT INTO user_courses (user_id, course_id, start_date, progress)
+        SELECT NEW.user_id, csp.course_id, CURRENT_DATE, 0
+        FROM course_series_parts csp
+        WHERE csp.series_id = NEW.course_id
+        ON CONFLICT (user_id, course_id) DO NOTHING;
+        
+    END IF;
+    
+    RETURN NEW;
+END;
+$func$ LANGUAGE plpgsql;
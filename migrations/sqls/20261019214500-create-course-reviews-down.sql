@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS course_review_reports;
+DROP TABLE IF EXISTS course_review_votes;
+DROP TABLE IF EXISTS course_review_revisions;
+DROP TABLE IF EXISTS course_reviews;
@@ -0,0 +1,58 @@
+-- Course reviews by enrolled students - one per user per course
+-- Hidden reviews (moderation) are kept but left out of listings and ratings
+CREATE TABLE course_reviews (
+  id SERIAL PRIMARY KEY,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  title VARCHAR(200) NULL,
+  body TEXT NULL,
+  edited_at TIMESTAMP NULL,
+  hidden_at TIMESTAMP NULL,
+  hidden_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  hidden_reason VARCHAR(500) NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(course_id, user_id)
+);
+
+CREATE INDEX idx_course_reviews_course_id ON course_reviews(course_id) WHERE hidden_at IS NULL;
+CREATE INDEX idx_course_reviews_user_id ON course_reviews(user_id);
+
+CREATE TRIGGER update_course_reviews_updated_at BEFORE UPDATE ON course_reviews 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Earlier versions of a review, saved on each edit
+CREATE TABLE course_review_revisions (
+  id SERIAL PRIMARY KEY,
+  review_id INTEGER NOT NULL REFERENCES course_reviews(id) ON DELETE CASCADE,
+  rating SMALLINT NOT NULL,
+  title VARCHAR(200) NULL,
+  body TEXT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_course_review_revisions_review_id ON course_review_revisions(review_id);
+
+-- "Helpful" votes
+CREATE TABLE course_review_votes (
+  id SERIAL PRIMARY KEY,
+  review_id INTEGER NOT NULL REFERENCES course_reviews(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(review_id, user_id)
+);
+
+-- Reports of abusive reviews - unresolved reports form the moderation queue
+CREATE TABLE course_review_reports (
+  id SERIAL PRIMARY KEY,
+  review_id INTEGER NOT NULL REFERENCES course_reviews(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  reason VARCHAR(500) NULL,
+  resolved_at TIMESTAMP NULL,
+  resolved_by INTEGER NULL REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(review_id, user_id)
+);
+
+CREATE INDEX idx_course_review_reports_unresolved ON course_review_reports(review_id) WHERE resolved_at IS NULL;
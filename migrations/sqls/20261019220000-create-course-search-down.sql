@@ -0,0 +1,6 @@
+DROP TRIGGER IF EXISTS refresh_course_search_on_lesson ON lessons;
+DROP TRIGGER IF EXISTS refresh_course_search_on_course ON courses;
+DROP FUNCTION IF EXISTS handle_lesson_search_change();
+DROP FUNCTION IF EXISTS handle_course_search_change();
+DROP FUNCTION IF EXISTS refresh_course_search_document(INTEGER);
+DROP TABLE IF EXISTS course_search_documents;
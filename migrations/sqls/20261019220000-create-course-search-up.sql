@@ -0,0 +1,66 @@
+-- Full-text search document for each course
+-- Weighted: title (A), learning objectives and lesson titles (B), description (C)
+-- Kept in its own table so lesson edits don't touch courses.updated_at
+CREATE TABLE course_search_documents (
+  course_id INTEGER PRIMARY KEY REFERENCES courses(id) ON DELETE CASCADE,
+  document TSVECTOR NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_course_search_documents_document ON course_search_documents USING GIN(document);
+
+CREATE OR REPLACE FUNCTION refresh_course_search_document(p_course_id INTEGER)
+RETURNS VOID AS $func$
+BEGIN
+    INSERT INTO course_search_documents (course_id, document, updated_at)
+    SELECT c.id,
+        setweight(to_tsvector('english', COALESCE(c.title, '')), 'A') ||
+        setweight(to_tsvector('english', COALESCE(c.learning_objectives, '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE((
+            SELECT string_agg(l.title, ' ')
+            FROM lessons l
+            JOIN modules m ON l.module_id = m.id
+            WHERE m.course_id = c.id
+        ), '')), 'B') ||
+        setweight(to_tsvector('english', COALESCE(c.description, '')), 'C'),
+        CURRENT_TIMESTAMP
+    FROM courses c
+    WHERE c.id = p_course_id
+    ON CONFLICT (course_id) DO UPDATE
+    SET document = EXCLUDED.document, updated_at = EXCLUDED.updated_at;
+END;
+$func$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION handle_course_search_change()
+RETURNS TRIGGER AS $func$
+BEGIN
+    PERFORM refresh_course_search_document(NEW.id);
+    RETURN NULL;
+END;
+$func$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION handle_lesson_search_change()
+RETURNS TRIGGER AS $func$
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        PERFORM refresh_course_search_document(m.course_id)
+        FROM modules m WHERE m.id = OLD.module_id;
+    END IF;
+    IF TG_OP <> 'DELETE' AND (TG_OP = 'INSERT' OR NEW.module_id <> OLD.module_id) THEN
+        PERFORM refresh_course_search_document(m.course_id)
+        FROM modules m WHERE m.id = NEW.module_id;
+    END IF;
+    RETURN NULL;
+END;
+$func$ LANGUAGE plpgsql;
+
+CREATE TRIGGER refresh_course_search_on_course
+    AFTER INSERT OR UPDATE OF title, description, learning_objectives ON courses
+    FOR EACH ROW EXECUTE FUNCTION handle_course_search_change();
+
+CREATE TRIGGER refresh_course_search_on_lesson
+    AFTER INSERT OR DELETE OR UPDATE OF title, module_id ON lessons
+    FOR EACH ROW EXECUTE FUNCTION handle_lesson_search_change();
+
+-- Existing courses
+SELECT refresh_course_search_document(id) FROM courses;
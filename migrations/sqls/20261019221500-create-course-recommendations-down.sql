@@ -0,0 +1,2 @@
+ALTER TABLE users DROP COLUMN IF EXISTS recommendations_computed_at;
+DROP TABLE IF EXISTS course_recommendations;
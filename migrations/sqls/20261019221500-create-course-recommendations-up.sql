@@ -0,0 +1,19 @@
+-- Ranked course recommendations per user, refreshed by src/scripts/refresh-recommendations.js
+-- reason_type: completed_with, bought_with, next_step, interest, skill_level, popular
+CREATE TABLE course_recommendations (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  course_id INTEGER NOT NULL REFERENCES courses(id) ON DELETE CASCADE,
+  rank INTEGER NOT NULL,
+  score NUMERIC(8,3) NOT NULL,
+  reason_type VARCHAR(30) NOT NULL,
+  reason TEXT NOT NULL,
+  source_course_id INTEGER NULL REFERENCES courses(id) ON DELETE SET NULL,
+  computed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, course_id)
+);
+
+CREATE INDEX idx_course_recommendations_user_rank ON course_recommendations(user_id, rank);
+
+-- When each user's recommendations were last computed (also set when there were none)
+ALTER TABLE users
+ADD COLUMN recommendations_computed_at TIMESTAMP NULL;
@@ -0,0 +1,3 @@
+-- Lessons anyone can open from the course page, enrolled or not
+ALTER TABLE lessons
+ADD COLUMN is_preview BOOLEAN NOT NULL DEFAULT false;
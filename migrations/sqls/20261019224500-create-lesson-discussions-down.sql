@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS lesson_post_deletions;
+DROP TABLE IF EXISTS lesson_post_votes;
+DROP TABLE IF EXISTS lesson_posts;
@@ -0,0 +1,52 @@
+-- Discussion threads and Q&A on lessons
+-- A thread is a post without a thread_id; replies point at their thread
+-- and at the post they answer (parent_id)
+CREATE TABLE lesson_posts (
+  id SERIAL PRIMARY KEY,
+  lesson_id INTEGER NOT NULL REFERENCES lessons(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  thread_id INTEGER NULL REFERENCES lesson_posts(id) ON DELETE CASCADE,
+  parent_id INTEGER NULL REFERENCES lesson_posts(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL DEFAULT 'question' CHECK (kind IN ('question', 'discussion')),
+  title VARCHAR(200) NULL,
+  body TEXT NOT NULL,
+  answer_post_id INTEGER NULL REFERENCES lesson_posts(id) ON DELETE SET NULL,
+  answered_at TIMESTAMP NULL,
+  answered_by INTEGER NULL REFERENCES users(id),
+  locked_at TIMESTAMP NULL,
+  locked_by INTEGER NULL REFERENCES users(id),
+  edited_at TIMESTAMP NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((thread_id IS NULL) = (parent_id IS NULL))
+);
+
+CREATE INDEX idx_lesson_posts_lesson_threads ON lesson_posts(lesson_id, created_at) WHERE thread_id IS NULL;
+CREATE INDEX idx_lesson_posts_thread_id ON lesson_posts(thread_id);
+CREATE INDEX idx_lesson_posts_user_id ON lesson_posts(user_id);
+
+CREATE TRIGGER update_lesson_posts_updated_at BEFORE UPDATE ON lesson_posts 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE lesson_post_votes (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES lesson_posts(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(post_id, user_id)
+);
+
+CREATE INDEX idx_lesson_post_votes_post_id ON lesson_post_votes(post_id);
+
+-- Removed posts, as with message_deletions - the post row is kept, and a
+-- removed post that has replies stays in its thread as a placeholder
+CREATE TABLE lesson_post_deletions (
+  id SERIAL PRIMARY KEY,
+  post_id INTEGER NOT NULL REFERENCES lesson_posts(id) ON DELETE CASCADE,
+  user_id INTEGER REFERENCES users(id),
+  reason VARCHAR(500) NULL,
+  deleted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE(post_id)
+);
+
+CREATE INDEX idx_lesson_post_deletions_user_id ON lesson_post_deletions(user_id);
@@ -0,0 +1,145 @@
+// handlers/certificates.js
+require('dotenv').config();
+const { CertificateStore } = require('../models/certificate');
+const {
+	writeCertificatePdf,
+	getVerificationUrl,
+} = require('../utilis/certificatePdf');
+const {
+	authenticationToken,
+	authenticateUserId,
+	requireAdmin,
+} = require('../middleware/auth');
+
+/**
+ * Certificate Handlers - certificates of completion, their PDFs and
+ * public verification
+ */
+
+/**
+ * List a user's certificates
+ * GET /user/:id/certificates
+ */
+const getUserCertificates = async (req, res) => {
+	try {
+		const store = new CertificateStore(req.app.locals.pool);
+		const certificates = await store.getUserCertificates(
+			parseInt(req.params.id)
+		);
+
+		return res.status(200).json(
+			certificates.map((certificate) => ({
+				...certificate,
+				verification_url: getVerificationUrl(certificate),
+			}))
+		);
+	} catch (error) {
+		console.error('Get certificates error:', error);
+		return res.status(500).json({ error: 'Failed to retrieve certificates' });
+	}
+};
+
+/**
+ * Download a certificate as a PDF (owner or admin)
+ * GET /certificates/:id/download
+ */
+const download = async (req, res) => {
+	try {
+		const store = new CertificateStore(req.app.locals.pool);
+		const certificate = await store.show(parseInt(req.params.id));
+
+		if (
+			!certificate ||
+			(certificate.user_id !== req.user.id && !req.user.is_admin)
+		) {
+			return res.status(404).json({ error: 'Certificate not found' });
+		}
+		if (certificate.revoked_at) {
+			return res
+				.status(410)
+				.json({ error: 'This certificate has been revoked' });
+		}
+
+		res.setHeader('Content-Type', 'application/pdf');
+		res.setHeader(
+			'Content-Disposition',
+			`attachment; filename="certificate-${certificate.verification_code}.pdf"`
+		);
+		await writeCertificatePdf(certificate, res);
+	} catch (error) {
+		console.error('Download certificate error:', error);
+		if (!res.headersSent) {
+			return res
+				.status(500)
+				.json({ error: 'Failed to generate certificate' });
+		}
+		res.end();
+	}
+};
+
+/**
+ * Check a certificate's verification code - public
+ * GET /certificates/:code/verify
+ */
+const verify = async (req, res) => {
+	try {
+		const store = new CertificateStore(req.app.locals.pool);
+		const certificate = await store.findByCode(req.params.code);
+
+		if (!certificate) {
+			return res
+				.status(404)
+				.json({ valid: false, error: 'Certificate not found' });
+		}
+
+		return res.status(200).json({
+			valid: !certificate.revoked_at,
+			verification_code: certificate.verification_code,
+			student_name: certificate.student_name,
+			course_title: certificate.course_title,
+			instructor_name: certificate.instructor_name,
+			issued_at: certificate.issued_at,
+			revoked_at: certificate.revoked_at,
+		});
+	} catch (error) {
+		console.error('Verify certificate error:', error);
+		return res.status(500).json({ error: 'Failed to verify certificate' });
+	}
+};
+
+/**
+ * Revoke a certificate (admin)
+ * POST /admin/certificates/:id/revoke
+ */
+const revoke = async (req, res) => {
+	try {
+		const store = new CertificateStore(req.app.locals.pool);
+		const certificate = await store.revoke(parseInt(req.params.id));
+
+		if (!certificate) {
+			return res.status(404).json({ error: 'Certificate not found' });
+		}
+
+		return res.status(200).json(certificate);
+	} catch (error) {
+		console.error('Revoke certificate error:', error);
+		return res.status(500).json({ error: 'Failed to revoke certificate' });
+	}
+};
+
+/**
+ * Certificate route handler
+ */
+const certificate_routes = (app) => {
+	app.get('/user/:id/certificates', authenticateUserId, getUserCertificates);
+	app.get('/certificates/:id/download', authenticationToken, download);
+	app.get('/certificates/:code/verify', verify);
+	app.post(
+		'/admin/certificates/:id/revoke',
+		authenticationToken,
+		requireAdmin,
+		revoke
+	);
+};
+
+module.exports = certificate_routes;
@@ -1,11 +1,27 @@
 // handlers/cloudinary.js
 require('dotenv').config();
 const { authenticationToken, requireAdmin } = require('../middleware/auth');
+const { MediaAssetStore } = require('../models/mediaAsset');
 
 /**
- * Delete image from Cloudinary using Admin API
+ * Mark a tracked media asset as deleted after removing it from Cloudinary directly
  */
-const deleteImageDirect = async (publicId) => {
+const forgetMediaAsset = async (pool, publicId) => {
+    try {
+        const assetStore = new MediaAssetStore(pool);
+        const asset = await assetStore.findByPublicId('cloudinary', publicId);
+        if (asset) {
+            await assetStore.markDeleted(asset.id);
+        }
+    } catch (error) {
+        console.warn('Failed to update media asset record:', error.message);
+    }
+};
+
+/**
+ * Delete image (or video/raw file) from Cloudinary using Admin API
+ */
+const deleteImageDirect = async (publicId, resourceType = 'image') => {
     const cloudName = process.env.CLOUDINARY_CLOUD_NAME;
     const apiKey = process.env.CLOUDINARY_API_KEY;
     const apiSecret = process.env.CLOUDINARY_API_SECRET;
@@ -14,7 +30,7 @@ const deleteImageDirect = async (publicId) => {
         throw new Error('Cloudinary credentials not configured');
     }
     
-    const url = `https://api.cloudinary.com/v1_1/${cloudName}/image/destroy`;
+    const url = `https://api.cloudinary.com/v1_1/${cloudName}/${resourceType}/destroy`;
     
     // Create signature for authentication
     const crypto = require('crypto');
@@ -99,6 +115,7 @@ const deleteImage = async (req, res) => {
         console.log('Deleting Cloudinary image:', targetPublicId);
         
         const result = await deleteImageDirect(targetPublicId);
+        await forgetMediaAsset(req.app.locals.pool, targetPublicId);
         
         return res.status(200).json({
             message: 'Image deleted successfully',
@@ -146,6 +163,7 @@ const deleteMultipleImages = async (req, res) => {
         for (const publicId of targetPublicIds) {
             try {
                 const result = await deleteImageDirect(publicId);
+                await forgetMediaAsset(req.app.locals.pool, publicId);
                 results.push({ publicId, success: true, result });
             } catch (error) {
                 errors.push({ publicId, success: false, error: error.message });
@@ -0,0 +1,99 @@
+// handlers/coursePackages.js
+require('dotenv').config();
+const { CourseStore } = require('../models/course');
+const {
+	CoursePackageStore,
+	validateCoursePackage,
+} = require('../models/coursePackage');
+const { MediaStorage } = require('../utilis/mediaStorage');
+const { authenticationToken, requireAdmin } = require('../middleware/auth');
+
+/**
+ * Course Package Handlers - export a whole course as JSON and import it
+ * elsewhere (admin)
+ */
+
+/**
+ * Export a course with its features, modules, lessons and quizzes
+ * GET /admin/courses/:id/export
+ */
+const exportCourse = async (req, res) => {
+	try {
+		const store = new CoursePackageStore(req.app.locals.pool);
+		const coursePackage = await store.export(parseInt(req.params.id));
+
+		if (!coursePackage) {
+			return res.status(404).json({ error: 'Course not found' });
+		}
+
+		res.setHeader(
+			'Content-Disposition',
+			`attachment; filename="course-${parseInt(req.params.id)}.json"`
+		);
+		return res.status(200).json(coursePackage);
+	} catch (error) {
+		console.error('Export course error:', error);
+		return res.status(500).json({ error: 'Failed to export course' });
+	}
+};
+
+/**
+ * Create a course from a package - it starts unpublished and unassigned
+ * (set is_published and instructor_id with PUT /courses/:id)
+ * POST /admin/courses/import
+ */
+const importCourse = async (req, res) => {
+	try {
+		const { error, value } = validateCoursePackage(req.body);
+		if (error) {
+			return res.status(400).json({ error: error.details[0].message });
+		}
+
+		const store = new CoursePackageStore(req.app.locals.pool);
+		const course = await store.import(value);
+
+		// Track any of our own files the package points at
+		const courseStore = new CourseStore(req.app.locals.pool);
+		const lessons = await courseStore.getLessonsByCourse(course.id);
+		const mediaStorage = new MediaStorage(req.app.locals.pool);
+		await mediaStorage.setReferences(
+			'course',
+			course.id,
+			'thumbnail_url',
+			course.thumbnail_url
+		);
+		for (const lesson of lessons) {
+			await mediaStorage.setReferences(
+				'lesson',
+				lesson.id,
+				'content_url',
+				lesson.content_url
+			);
+		}
+
+		return res.status(201).json(await courseStore.show(course.id));
+	} catch (error) {
+		console.error('Import course error:', error);
+		return res.status(500).json({ error: 'Failed to import course' });
+	}
+};
+
+/**
+ * Course package route handler
+ */
+const course_package_routes = (app) => {
+	app.get(
+		'/admin/courses/:id/export',
+		authenticationToken,
+		requireAdmin,
+		exportCourse
+	);
+	app.post(
+		'/admin/courses/import',
+		authenticationToken,
+		requireAdmin,
+		importCourse
+	);
+};
+
+module.exports = course_package_routes;
@@ -0,0 +1,305 @@
+// handlers/courseVersions.js
+require('dotenv').config();
+const { CourseStore, validateCurriculum } = require('../models/course');
+const { CourseVersionStore } = require('../models/courseVersion');
+const { diffCurriculum, getContentUrls } = require('../utilis/curriculum');
+const { MediaStorage } = require('../utilis/mediaStorage');
+const { authenticationToken } = require('../middleware/auth');
+const {
+	requirePermission,
+	requireCourseOwnership,
+	courseFromParam,
+} = require('../middleware/permissions');
+
+/**
+ * Course Version Handlers - curriculum drafts, publishing and version history
+ *
+ * A draft is a copy of a course's module/lesson tree that can be edited and
+ * previewed without touching what students see. Publishing applies it to the
+ * live course in one transaction and keeps it as a numbered version.
+ */
+
+/**
+ * Keep the files a draft or version points at from being cleaned up
+ */
+const trackVersionMedia = (req, version) =>
+	new MediaStorage(req.app.locals.pool).setReferences(
+		'course_version',
+		version.id,
+		'content_url',
+		getContentUrls(version.snapshot)
+	);
+
+/**
+ * Start a draft from the live curriculum (returns the open draft if there is one)
+ * POST /courses/:courseId/draft
+ */
+const createDraft = async (req, res) => {
+	try {
+		const courseId = parseInt(req.params.courseId);
+		const courseStore = new CourseStore(req.app.locals.pool);
+		if (!(await courseStore.coursesExist([courseId]))) {
+			return res.status(404).json({ error: 'Course not found' });
+		}
+
+		const store = new CourseVersionStore(req.app.locals.pool);
+		const existing = await store.getDraft(courseId);
+		if (existing) {
+			return res.status(200).json(existing);
+		}
+
+		const draft = await store.createDraft(courseId, req.user.id);
+		await trackVersionMedia(req, draft);
+
+		return res.status(201).json(draft);
+	} catch (error) {
+		console.error('Create draft error:', error);
+		return res.status(500).json({ error: 'Failed to create draft' });
+	}
+};
+
+/**
+ * Preview the draft curriculum
+ * GET /courses/:courseId/draft
+ */
+const getDraft = async (req, res) => {
+	try {
+		const store = new CourseVersionStore(req.app.locals.pool);
+		const draft = await store.getDraft(parseInt(req.params.courseId));
+
+		if (!draft) {
+			return res.status(404).json({ error: 'No draft for this course' });
+		}
+
+		return res.status(200).json(draft);
+	} catch (error) {
+		console.error('Get draft error:', error);
+		return res.status(500).json({ error: 'Failed to retrieve draft' });
+	}
+};
+
+/**
+ * Replace the draft curriculum
+ * Body: { modules: [{ id?, title, ..., lessons: [{ id?, title, ... }] }] }
+ * PUT /courses/:courseId/draft
+ */
+const updateDraft = async (req, res) => {
+	try {
+		const { error, value } = validateCurriculum(req.body);
+		if (error) {
+			return res.status(400).json({ error: error.details[0].message });
+		}
+
+		const store = new CourseVersionStore(req.app.locals.pool);
+		const draft = await store.updateDraft(parseInt(req.params.courseId), value);
+
+		if (!draft) {
+			return res.status(404).json({ error: 'No draft for this course' });
+		}
+
+		await trackVersionMedia(req, draft);
+
+		return res.status(200).json(draft);
+	} catch (error) {
+		console.error('Update draft error:', error);
+		return res.status(500).json({ error: 'Failed to update draft' });
+	}
+};
+
+/**
+ * Discard the draft
+ * DELETE /courses/:courseId/draft
+ */
+const discardDraft = async (req, res) => {
+	try {
+		const store = new CourseVersionStore(req.app.locals.pool);
+		const draft = await store.discardDraft(parseInt(req.params.courseId));
+
+		if (!draft) {
+			return res.status(404).json({ error: 'No draft for this course' });
+		}
+
+		await new MediaStorage(req.app.locals.pool).releaseEntity(
+			'course_version',
+			draft.id
+		);
+
+		return res.status(200).json({ message: 'Draft discarded', draft });
+	} catch (error) {
+		console.error('Discard draft error:', error);
+		return res.status(500).json({ error: 'Failed to discard draft' });
+	}
+};
+
+/**
+ * Compare the draft with the live curriculum
+ * GET /courses/:courseId/draft/diff
+ */
+const diffDraft = async (req, res) => {
+	try {
+		const courseId = parseInt(req.params.courseId);
+		const store = new CourseVersionStore(req.app.locals.pool);
+		const draft = await store.getDraft(courseId);
+
+		if (!draft) {
+			return res.status(404).json({ error: 'No draft for this course' });
+		}
+
+		const live = await store.getLiveSnapshot(courseId);
+
+		return res.status(200).json({
+			draft_id: draft.id,
+			...diffCurriculum(live, draft.snapshot),
+		});
+	} catch (error) {
+		console.error('Diff draft error:', error);
+		return res.status(500).json({ error: 'Failed to compare draft' });
+	}
+};
+
+/**
+ * Publish the draft - the live curriculum is replaced in one transaction
+ * Removed lessons are deleted along with their progress and quizzes
+ * Body: { notes? }
+ * POST /courses/:courseId/draft/publish
+ */
+const publishDraft = async (req, res) => {
+	try {
+		const notes =
+			typeof req.body?.notes === 'string'
+				? req.body.notes.trim() || null
+				: null;
+
+		const store = new CourseVersionStore(req.app.locals.pool);
+		const published = await store.publishDraft(
+			parseInt(req.params.courseId),
+			req.user.id,
+			notes
+		);
+
+		if (!published) {
+			return res.status(404).json({ error: 'No draft for this course' });
+		}
+
+		// Versions first, so files only the removed lessons used stay referenced
+		const mediaStorage = new MediaStorage(req.app.locals.pool);
+		await trackVersionMedia(req, published.version);
+		if (published.previousVersion) {
+			await trackVersionMedia(req, published.previousVersion);
+		}
+		for (const lesson of published.lessons) {
+			await mediaStorage.setReferences(
+				'lesson',
+				lesson.id,
+				'content_url',
+				lesson.content_url
+			);
+		}
+		await mediaStorage.releaseEntity('lesson', published.removedLessonIds);
+
+		return res.status(200).json({
+			message: 'Draft published',
+			version: published.version,
+			removed_lesson_ids: published.removedLessonIds,
+		});
+	} catch (error) {
+		console.error('Publish draft error:', error);
+		return res.status(500).json({ error: 'Failed to publish draft' });
+	}
+};
+
+/**
+ * List a course's published versions
+ * GET /courses/:courseId/versions
+ */
+const getVersions = async (req, res) => {
+	try {
+		const store = new CourseVersionStore(req.app.locals.pool);
+		const versions = await store.getVersions(parseInt(req.params.courseId));
+		return res.status(200).json(versions);
+	} catch (error) {
+		console.error('Get versions error:', error);
+		return res.status(500).json({ error: 'Failed to retrieve versions' });
+	}
+};
+
+/**
+ * Get a version with its curriculum
+ * GET /courses/:courseId/versions/:versionId
+ */
+const getVersion = async (req, res) => {
+	try {
+		const store = new CourseVersionStore(req.app.locals.pool);
+		const version = await store.getVersion(
+			parseInt(req.params.courseId),
+			parseInt(req.params.versionId)
+		);
+
+		if (!version) {
+			return res.status(404).json({ error: 'Version not found' });
+		}
+
+		return res.status(200).json(version);
+	} catch (error) {
+		console.error('Get version error:', error);
+		return res.status(500).json({ error: 'Failed to retrieve version' });
+	}
+};
+
+/**
+ * Restore a previous version as the draft (replacing any open draft)
+ * It goes live once the draft is published
+ * POST /courses/:courseId/versions/:versionId/restore
+ */
+const restoreVersion = async (req, res) => {
+	try {
+		const courseId = parseInt(req.params.courseId);
+		const store = new CourseVersionStore(req.app.locals.pool);
+		const version = await store.getVersion(
+			courseId,
+			parseInt(req.params.versionId)
+		);
+
+		if (!version || version.status !== 'published') {
+			return res.status(404).json({ error: 'Version not found' });
+		}
+
+		const draft = await store.createDraft(courseId, req.user.id, {
+			snapshot: version.snapshot,
+			basedOnVersionId: version.id,
+		});
+		await trackVersionMedia(req, draft);
+
+		return res.status(200).json(draft);
+	} catch (error) {
+		console.error('Restore version error:', error);
+		return res.status(500).json({ error: 'Failed to restore version' });
+	}
+};
+
+/**
+ * Course version route handler (course owner or admin)
+ */
+const course_version_routes = (app) => {
+	const editCourse = [
+		authenticationToken,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromParam('courseId')),
+	];
+
+	app.post('/courses/:courseId/draft', ...editCourse, createDraft);
+	app.get('/courses/:courseId/draft', ...editCourse, getDraft);
+	app.put('/courses/:courseId/draft', ...editCourse, updateDraft);
+	app.delete('/courses/:courseId/draft', ...editCourse, discardDraft);
+	app.get('/courses/:courseId/draft/diff', ...editCourse, diffDraft);
+	app.post('/courses/:courseId/draft/publish', ...editCourse, publishDraft);
+	app.get('/courses/:courseId/versions', ...editCourse, getVersions);
+	app.get('/courses/:courseId/versions/:versionId', ...editCourse, getVersion);
+	app.post(
+		'/courses/:courseId/versions/:versionId/restore',
+		...editCourse,
+		restoreVersion
+	);
+};
+
+module.exports = course_version_routes;
@@ -5,13 +5,68 @@ const {
 	validateCourse,
 	validateModule,
 	validateLesson,
+	validatePrerequisites,
+	validateSeriesParts,
+	validateHeartbeat,
+	validateCourseSearch,
 } = require('../models/course');
-const { authenticationToken, requireAdmin } = require('../middleware/auth');
+const {
+	authenticationToken,
+	requireAdmin,
+	optionalAuth,
+} = require('../middleware/auth');
+const {
+	hasPermission,
+	requirePermission,
+	requireCourseOwnership,
+	canEditCourse,
+	courseFromParam,
+	courseFromModule,
+	courseFromLesson,
+} = require('../middleware/permissions');
+const { CourseVersionStore } = require('../models/courseVersion');
+const { MediaStorage } = require('../utilis/mediaStorage');
 
 /**
  * Course Handlers - All business logic for course operations
  */
 
+// Share of a video that must be reached and watched before it auto-completes
+const VIDEO_COMPLETION_THRESHOLD =
+	parseFloat(process.env.VIDEO_COMPLETION_THRESHOLD) || 0.9;
+// Most watch time a single heartbeat can add
+const MAX_HEARTBEAT_SECONDS = 120;
+
+/**
+ * Middleware to block direct module/lesson edits while a curriculum draft is
+ * open - they would be overwritten when the draft is published
+ * Takes the same course ID resolvers as requireCourseOwnership
+ */
+const rejectWhileDraftOpen = (resolveCourseId) => async (req, res, next) => {
+	try {
+		const courseId = await resolveCourseId(
+			req,
+			new CourseStore(req.app.locals.pool)
+		);
+		const draft = courseId
+			? await new CourseVersionStore(req.app.locals.pool).getDraft(courseId)
+			: null;
+
+		if (draft) {
+			return res.status(409).json({
+				error:
+					'This course has an unpublished curriculum draft - edit or discard the draft instead',
+				draft_id: draft.id,
+			});
+		}
+
+		next();
+	} catch (error) {
+		console.error('Draft check error:', error);
+		res.status(500).json({ error: 'Failed to check for a curriculum draft' });
+	}
+};
+
 // ========================
 // COURSE HANDLERS
 // ========================
@@ -38,6 +93,7 @@ const courses_route = (app) => {
 
 	/**
 	 * Get single course with full details
+	 * Lesson content is withheld unless the user is enrolled (see getContentAccess)
 	 * GET /courses/:id
 	 */
 	const show = async (req, res) => {
@@ -49,6 +105,34 @@ const courses_route = (app) => {
 				return res.status(404).json({ error: 'Course not found' });
 			}
 
+			// The curriculum outline is public; lesson content is not
+			const access = await getContentAccess(req, store, course.id);
+			course.content_access = access;
+
+			// show() has no lock state, so take it from the unlock rules
+			const locks = new Map();
+			if (req.user) {
+				const lessons = await store.getLessonsByCourse(course.id, req.user.id);
+				for (const lesson of lessons) {
+					locks.set(lesson.id, {
+						locked: lesson.locked,
+						lock_reason: lesson.lock_reason,
+						unlocks_at: lesson.unlocks_at,
+					});
+				}
+			}
+
+			course.modules = course.modules.map((module) => ({
+				...module,
+				lessons: withholdContent(
+					access,
+					module.lessons.map((lesson) => ({
+						...lesson,
+						...locks.get(lesson.id),
+					}))
+				),
+			}));
+
 			console.log('=== BACKEND RESPONSE DEBUG ===');
 			console.log(
 				'Course object before sending to frontend:',
@@ -72,6 +156,11 @@ const courses_route = (app) => {
 		try {
 			const { features, ...courseData } = req.body; // Extract features separately
 
+			// Instructors always own the courses they create
+			if (!hasPermission(req.user, 'courses:edit_any')) {
+				courseData.instructor_id = req.user.id;
+			}
+
 			// Validate course data
 			const { error } = validateCourse(courseData);
 			if (error) {
@@ -80,6 +169,12 @@ const courses_route = (app) => {
 
 			const store = new CourseStore(req.app.locals.pool);
 			const newCourse = await store.create(courseData);
+			await new MediaStorage(req.app.locals.pool).setReferences(
+				'course',
+				newCourse.id,
+				'thumbnail_url',
+				newCourse.thumbnail_url
+			);
 
 			// Add course features if provided
 			if (features !== undefined && features.length > 0) {
@@ -121,21 +216,13 @@ const courses_route = (app) => {
 				parseInt(req.params.id)
 			);
 
-			// Clean up old Cloudinary image if it changed
-			if (currentCourse.image_url && req.body.image_url && 
-				currentCourse.image_url !== req.body.image_url) {
-				try {
-					const { deleteImageDirect, extractPublicIdFromUrl } = require('./cloudinary');
-					const publicId = extractPublicIdFromUrl(currentCourse.image_url);
-					if (publicId) {
-						await deleteImageDirect(publicId);
-						console.log('Deleted old Cloudinary course image:', publicId);
-					}
-				} catch (imageError) {
-					console.warn('Failed to delete old Cloudinary course image:', imageError.message);
-					// Don't fail the operation if image cleanup fails
-				}
-			}
+			// Clean up the old thumbnail if it changed
+			await new MediaStorage(req.app.locals.pool).setReferences(
+				'course',
+				updatedCourse.id,
+				'thumbnail_url',
+				updatedCourse.thumbnail_url
+			);
 
 			return res.status(200).json(updatedCourse);
 		} catch (error) {
@@ -158,23 +245,23 @@ const courses_route = (app) => {
 				return res.status(404).json({ error: 'Course not found' });
 			}
 
+			// Lessons and versions are removed with the course, so collect them first
+			const lessons = await store.getLessonsByCourse(courseToDelete.id);
+			const versionIds = await new CourseVersionStore(
+				req.app.locals.pool
+			).getVersionIds(courseToDelete.id);
+
 			// Delete the course from database
 			const deletedCourse = await store.delete(parseInt(req.params.id));
 
-			// Clean up Cloudinary images if they exist
-			if (courseToDelete.image_url) {
-				try {
-					const { deleteImageDirect, extractPublicIdFromUrl } = require('./cloudinary');
-					const publicId = extractPublicIdFromUrl(courseToDelete.image_url);
-					if (publicId) {
-						await deleteImageDirect(publicId);
-						console.log('Deleted Cloudinary course image:', publicId);
-					}
-				} catch (imageError) {
-					console.warn('Failed to delete Cloudinary course image:', imageError.message);
-					// Don't fail the operation if image cleanup fails
-				}
-			}
+			// Clean up the thumbnail and lesson content
+			const mediaStorage = new MediaStorage(req.app.locals.pool);
+			await mediaStorage.releaseEntity('course', courseToDelete.id);
+			await mediaStorage.releaseEntity(
+				'lesson',
+				lessons.map((lesson) => lesson.id)
+			);
+			await mediaStorage.releaseEntity('course_version', versionIds);
 
 			return res.status(200).json({
 				message: 'Course deleted successfully',
@@ -253,12 +340,20 @@ const courses_route = (app) => {
 	const deleteModule = async (req, res) => {
 		try {
 			const store = new CourseStore(req.app.locals.pool);
+
+			// Lessons are removed with the module, so collect them first
+			const lessons = await store.getLessonsByModule(parseInt(req.params.id));
 			const deletedModule = await store.deleteModule(parseInt(req.params.id));
 
 			if (!deletedModule) {
 				return res.status(404).json({ error: 'Module not found' });
 			}
 
+			await new MediaStorage(req.app.locals.pool).releaseEntity(
+				'lesson',
+				lessons.map((lesson) => lesson.id)
+			);
+
 			return res.status(200).json({
 				message: 'Module deleted successfully',
 				module: deletedModule,
@@ -274,16 +369,50 @@ const courses_route = (app) => {
 	// ========================
 
 	/**
-	 * Get all lessons for a course
+	 * How much lesson content the current user may see
+	 *   full      course editors
+	 *   enrolled  enrolled students and buyers - lessons that aren't locked
+	 *   preview   everyone else - preview lessons only
+	 */
+	const getContentAccess = async (req, store, courseId) => {
+		if (!req.user) {
+			return 'preview';
+		}
+		if (await canEditCourse(req.user, store, courseId)) {
+			return 'full';
+		}
+		return (await store.hasContentAccess(req.user.id, courseId))
+			? 'enrolled'
+			: 'preview';
+	};
+
+	/**
+	 * Blank out the content of lessons the user may not open
+	 * Lessons without lock state count as locked
+	 */
+	const withholdContent = (access, lessons) =>
+		lessons.map((lesson) =>
+			access === 'full' ||
+			lesson.is_preview ||
+			(access === 'enrolled' && lesson.locked === false)
+				? lesson
+				: { ...lesson, content_url: null, content_text: null }
+		);
+
+	/**
+	 * Get all lessons for a course with their lock status for the current user
+	 * Content is only included for preview lessons, and for unlocked lessons
+	 * when the user is enrolled (course editors see everything)
 	 * GET /course/:courseId/lessons
 	 */
 	const getLessonsByCourse = async (req, res) => {
-		const { courseId } = req.params;
+		const courseId = parseInt(req.params.courseId);
 
 		try {
 			const store = new CourseStore(req.app.locals.pool);
-			const lessons = await store.getLessonsByCourse(parseInt(courseId));
-			return res.status(200).json(lessons);
+			const lessons = await store.getLessonsByCourse(courseId, req.user.id);
+			const access = await getContentAccess(req, store, courseId);
+			return res.status(200).json(withholdContent(access, lessons));
 		} catch (error) {
 			console.error('Get lessons by course error:', error);
 			return res.status(500).json({ error: 'Failed to get lessons' });
@@ -291,16 +420,24 @@ const courses_route = (app) => {
 	};
 
 	/**
-	 * Get lessons for a specific module
+	 * Get lessons for a specific module with their lock status
 	 * GET /module/:moduleId/lessons
 	 */
 	const getLessonsByModule = async (req, res) => {
-		const { moduleId } = req.params;
+		const moduleId = parseInt(req.params.moduleId);
 
 		try {
 			const store = new CourseStore(req.app.locals.pool);
-			const lessons = await store.getLessonsByModule(parseInt(moduleId));
-			return res.status(200).json(lessons);
+			const courseId = await store.getModuleCourseId(moduleId);
+			if (!courseId) {
+				return res.status(200).json([]);
+			}
+
+			const lessons = (
+				await store.getLessonsByCourse(courseId, req.user.id)
+			).filter((lesson) => lesson.module_id === moduleId);
+			const access = await getContentAccess(req, store, courseId);
+			return res.status(200).json(withholdContent(access, lessons));
 		} catch (error) {
 			console.error('Get lessons by module error:', error);
 			return res.status(500).json({ error: 'Failed to get lessons' });
@@ -331,6 +468,10 @@ const courses_route = (app) => {
 				duration_minutes: req.body.duration_minutes,
 				order_sequence: req.body.order_sequence || nextOrder, // Use provided or auto-generate
 				is_required: req.body.is_required,
+				is_preview: req.body.is_preview,
+				unlock_rule: req.body.unlock_rule,
+				unlock_after_days: req.body.unlock_after_days,
+				unlock_at: req.body.unlock_at,
 			};
 
 			// Validate lesson data
@@ -340,6 +481,12 @@ const courses_route = (app) => {
 			}
 
 			const newLesson = await store.createLesson(lesson);
+			await new MediaStorage(req.app.locals.pool).setReferences(
+				'lesson',
+				newLesson.id,
+				'content_url',
+				newLesson.content_url
+			);
 			return res.status(201).json(newLesson);
 		} catch (error) {
 			console.error('Create lesson error:', error);
@@ -377,21 +524,13 @@ const courses_route = (app) => {
 				parseInt(req.params.id)
 			);
 
-			// Clean up old Cloudinary content if it changed
-			if (currentLesson.content_url && req.body.content_url && 
-				currentLesson.content_url !== req.body.content_url) {
-				try {
-					const { deleteImageDirect, extractPublicIdFromUrl } = require('./cloudinary');
-					const publicId = extractPublicIdFromUrl(currentLesson.content_url);
-					if (publicId) {
-						await deleteImageDirect(publicId);
-						console.log('Deleted old Cloudinary lesson content:', publicId);
-					}
-				} catch (imageError) {
-					console.warn('Failed to delete old Cloudinary lesson content:', imageError.message);
-					// Don't fail the operation if image cleanup fails
-				}
-			}
+			// Clean up the old content file if it changed
+			await new MediaStorage(req.app.locals.pool).setReferences(
+				'lesson',
+				currentLesson.id,
+				'content_url',
+				updatedLesson.content_url
+			);
 
 			return res.status(200).json(updatedLesson);
 		} catch (error) {
@@ -422,20 +561,11 @@ const courses_route = (app) => {
 			// Delete the lesson from database
 			const deletedLesson = await store.deleteLesson(parseInt(req.params.id));
 
-			// Clean up Cloudinary content if it exists
-			if (lessonToDelete.content_url) {
-				try {
-					const { deleteImageDirect, extractPublicIdFromUrl } = require('./cloudinary');
-					const publicId = extractPublicIdFromUrl(lessonToDelete.content_url);
-					if (publicId) {
-						await deleteImageDirect(publicId);
-						console.log('Deleted Cloudinary lesson content:', publicId);
-					}
-				} catch (imageError) {
-					console.warn('Failed to delete Cloudinary lesson content:', imageError.message);
-					// Don't fail the operation if image cleanup fails
-				}
-			}
+			// Clean up the content file
+			await new MediaStorage(req.app.locals.pool).releaseEntity(
+				'lesson',
+				lessonToDelete.id
+			);
 
 			return res.status(200).json({
 				message: 'Lesson deleted successfully',
@@ -450,12 +580,18 @@ const courses_route = (app) => {
 	app.put(
 		'/courses/:id',
 		authenticationToken,
-		requireAdmin,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromParam('id')),
 		async (req, res) => {
 			try {
 				const courseId = parseInt(req.params.id);
 				const { features, ...courseData } = req.body; // Extract features separately
 
+				// Only admins can reassign course ownership
+				if (!hasPermission(req.user, 'courses:edit_any')) {
+					delete courseData.instructor_id;
+				}
+
 				const { error } = validateCourse(courseData);
 				if (error) {
 					return res.status(400).json({ error: error.details[0].message });
@@ -472,21 +608,13 @@ const courses_route = (app) => {
 				// Update course basic info
 				const updatedCourse = await store.update(courseData, courseId);
 
-				// Clean up old Cloudinary image if it changed
-				if (currentCourse.image_url && courseData.image_url && 
-					currentCourse.image_url !== courseData.image_url) {
-					try {
-						const { deleteImageDirect, extractPublicIdFromUrl } = require('./cloudinary');
-						const publicId = extractPublicIdFromUrl(currentCourse.image_url);
-						if (publicId) {
-							await deleteImageDirect(publicId);
-							console.log('Deleted old Cloudinary course image:', publicId);
-						}
-					} catch (imageError) {
-						console.warn('Failed to delete old Cloudinary course image:', imageError.message);
-						// Don't fail the operation if image cleanup fails
-					}
-				}
+				// Clean up the old thumbnail if it changed
+				await new MediaStorage(req.app.locals.pool).setReferences(
+					'course',
+					courseId,
+					'thumbnail_url',
+					updatedCourse.thumbnail_url
+				);
 
 				// Update course features if provided
 				if (features !== undefined) {
@@ -508,48 +636,53 @@ const courses_route = (app) => {
 	// ========================
 
 	/**
-	 * Mark lesson as completed
+	 * Mark lesson as completed for the current user
+	 * Quiz lessons are completed by passing the quiz (see handlers/quizzes.js)
 	 * POST /lessons/:lessonId/complete
 	 */
 	const markLessonComplete = async (req, res) => {
 		try {
-			const { lessonId } = req.params;
-			const { userId, quizScore } = req.body;
+			const lessonId = parseInt(req.params.lessonId);
+			const userId = req.user.id;
 
-			if (!userId) {
-				return res.status(400).json({ error: 'User ID is required' });
+			const store = new CourseStore(req.app.locals.pool);
+			const lesson = await store.getLessonForUser(lessonId, userId);
+			if (!lesson) {
+				return res.status(404).json({ error: 'Lesson not found' });
 			}
 
-			const store = new CourseStore(req.app.locals.pool);
-			const progress = await store.markLessonComplete(
-				parseInt(userId),
-				parseInt(lessonId),
-				quizScore
-			);
+			const courseId = lesson.course_id;
+			const { UserStore } = require('../models/user');
+			const userStore = new UserStore(req.app.locals.pool);
+			if (!(await canEditCourse(req.user, store, courseId))) {
+				if (!(await store.hasContentAccess(userId, courseId))) {
+					return res
+						.status(403)
+						.json({ error: 'You must be enrolled in this course' });
+				}
+				if (lesson.locked) {
+					return res.status(403).json({
+						error: 'This lesson is locked',
+						lock_reason: lesson.lock_reason,
+						unlocks_at: lesson.unlocks_at,
+					});
+				}
+			}
 
-			// Get the course ID for this lesson to update overall course progress
-			const lessonSql = `
-				SELECT m.course_id 
-				FROM lessons l 
-				JOIN modules m ON l.module_id = m.id 
-				WHERE l.id = $1
-			`;
-			const client = await req.app.locals.pool.connect();
-			const lessonResult = await client.query(lessonSql, [parseInt(lessonId)]);
-			client.release();
-			const courseId = lessonResult.rows[0]?.course_id;
-
-			if (courseId) {
-				// Auto-calculate and update course progress
-				const { UserStore } = require('../models/user');
-				const userStore = new UserStore(req.app.locals.pool);
-				const updatedProgress = await userStore.calculateCourseProgress(
-					parseInt(userId),
-					courseId
-				);
-				console.log(`Updated course ${courseId} progress for user ${userId}: ${updatedProgress}%`);
+			const progress = await store.markLessonComplete(userId, lessonId);
+			if (!progress) {
+				return res
+					.status(409)
+					.json({ error: 'Pass the quiz to complete this lesson' });
 			}
 
+			// Auto-calculate and update course progress
+			const updatedProgress = await userStore.calculateCourseProgress(
+				userId,
+				courseId
+			);
+			console.log(`Updated course ${courseId} progress for user ${userId}: ${updatedProgress}%`);
+
 			return res.status(200).json(progress);
 		} catch (error) {
 			console.error('Mark lesson complete error:', error);
@@ -557,6 +690,253 @@ const courses_route = (app) => {
 		}
 	};
 
+	/**
+	 * Record video playback for the current user - sent every ~15-30s while playing
+	 * Body: { position_seconds, elapsed_seconds, duration_seconds? }
+	 * Video lessons complete once the furthest position and the time watched
+	 * both reach VIDEO_COMPLETION_THRESHOLD of the lesson's duration
+	 * POST /lessons/:lessonId/heartbeat
+	 */
+	const recordHeartbeat = async (req, res) => {
+		try {
+			const lessonId = parseInt(req.params.lessonId);
+			const userId = req.user.id;
+
+			const { error, value } = validateHeartbeat(req.body);
+			if (error) {
+				return res.status(400).json({ error: error.details[0].message });
+			}
+
+			const store = new CourseStore(req.app.locals.pool);
+			const lesson = await store.getLessonForUser(lessonId, userId);
+			if (!lesson) {
+				return res.status(404).json({ error: 'Lesson not found' });
+			}
+
+			const { UserStore } = require('../models/user');
+			const userStore = new UserStore(req.app.locals.pool);
+			if (!(await canEditCourse(req.user, store, lesson.course_id))) {
+				if (!(await userStore.isUserEnrolled(userId, lesson.course_id))) {
+					return res
+						.status(403)
+						.json({ error: 'You must be enrolled in this course' });
+				}
+				if (lesson.locked) {
+					return res.status(403).json({
+						error: 'This lesson is locked',
+						lock_reason: lesson.lock_reason,
+						unlocks_at: lesson.unlocks_at,
+					});
+				}
+			}
+
+			// The lesson's own duration wins over what the player reports
+			const durationSeconds =
+				lesson.duration_minutes > 0
+					? lesson.duration_minutes * 60
+					: value.duration_seconds || null;
+			const position = durationSeconds
+				? Math.min(value.position_seconds, durationSeconds)
+				: value.position_seconds;
+
+			let progress = await store.recordHeartbeat(
+				userId,
+				lessonId,
+				Math.round(position),
+				Math.min(Math.round(value.elapsed_seconds), MAX_HEARTBEAT_SECONDS)
+			);
+
+			let autoCompleted = false;
+			const required = durationSeconds * VIDEO_COMPLETION_THRESHOLD;
+			if (
+				lesson.lesson_type === 'video' &&
+				!progress.completed &&
+				durationSeconds &&
+				progress.furthest_position_seconds >= required &&
+				progress.time_spent_seconds >= required
+			) {
+				progress = await store.markLessonComplete(userId, lessonId);
+				await userStore.calculateCourseProgress(userId, lesson.course_id);
+				autoCompleted = true;
+			}
+
+			return res.status(200).json({
+				lesson_id: lessonId,
+				last_position_seconds: progress.last_position_seconds,
+				furthest_position_seconds: progress.furthest_position_seconds,
+				time_spent_seconds: progress.time_spent_seconds,
+				duration_seconds: durationSeconds,
+				completed: progress.completed,
+				auto_completed: autoCompleted,
+			});
+		} catch (error) {
+			console.error('Record heartbeat error:', error);
+			return res.status(500).json({ error: 'Failed to record progress' });
+		}
+	};
+
+	// ========================
+	// PREREQUISITE HANDLERS
+	// ========================
+
+	/**
+	 * Get the courses required before this one
+	 * GET /courses/:courseId/prerequisites
+	 */
+	const getPrerequisites = async (req, res) => {
+		try {
+			const store = new CourseStore(req.app.locals.pool);
+			const prerequisites = await store.getPrerequisites(
+				parseInt(req.params.courseId)
+			);
+			return res.status(200).json(prerequisites);
+		} catch (error) {
+			console.error('Get prerequisites error:', error);
+			return res.status(500).json({ error: 'Failed to get prerequisites' });
+		}
+	};
+
+	/**
+	 * Replace the courses required before this one
+	 * Body: { course_ids: [1, 2] }
+	 * PUT /courses/:courseId/prerequisites
+	 */
+	const setPrerequisites = async (req, res) => {
+		try {
+			const courseId = parseInt(req.params.courseId);
+			const { error, value } = validatePrerequisites(req.body);
+			if (error) {
+				return res.status(400).json({ error: error.details[0].message });
+			}
+
+			const store = new CourseStore(req.app.locals.pool);
+			const courseIds = value.course_ids;
+
+			if (!(await store.coursesExist(courseIds))) {
+				return res.status(400).json({ error: 'Unknown course in course_ids' });
+			}
+			if (await store.createsPrerequisiteCycle(courseId, courseIds)) {
+				return res.status(400).json({
+					error: 'A course cannot (even indirectly) require itself',
+				});
+			}
+
+			await store.setPrerequisites(courseId, courseIds);
+			const prerequisites = await store.getPrerequisites(courseId);
+
+			return res.status(200).json(prerequisites);
+		} catch (error) {
+			console.error('Set prerequisites error:', error);
+			return res.status(500).json({ error: 'Failed to set prerequisites' });
+		}
+	};
+
+	// ========================
+	// SERIES HANDLERS
+	// ========================
+
+	/**
+	 * Get the parts of a series in order
+	 * GET /courses/:courseId/series/parts
+	 */
+	const getSeriesParts = async (req, res) => {
+		try {
+			const store = new CourseStore(req.app.locals.pool);
+			const parts = await store.getSeriesParts(parseInt(req.params.courseId));
+			return res.status(200).json(parts);
+		} catch (error) {
+			console.error('Get series parts error:', error);
+			return res.status(500).json({ error: 'Failed to get series parts' });
+		}
+	};
+
+	/**
+	 * Replace the parts of a series (in part order)
+	 * Body: { course_ids: [3, 4, 5] }
+	 * PUT /courses/:courseId/series/parts
+	 */
+	const setSeriesParts = async (req, res) => {
+		try {
+			const seriesId = parseInt(req.params.courseId);
+			const { error, value } = validateSeriesParts(req.body);
+			if (error) {
+				return res.status(400).json({ error: error.details[0].message });
+			}
+
+			const store = new CourseStore(req.app.locals.pool);
+			const courseIds = value.course_ids;
+
+			if ((await store.getSeriesCourseIds([seriesId])).length === 0) {
+				return res
+					.status(400)
+					.json({ error: 'Only series courses can have parts' });
+			}
+			if (!(await store.coursesExist(courseIds))) {
+				return res.status(400).json({ error: 'Unknown course in course_ids' });
+			}
+			if ((await store.getSeriesCourseIds(courseIds)).length > 0) {
+				return res
+					.status(400)
+					.json({ error: 'A series cannot contain another series' });
+			}
+
+			// Buying the series enrolls students in every part
+			for (const courseId of courseIds) {
+				if (!(await canEditCourse(req.user, store, courseId))) {
+					return res.status(403).json({
+						error: 'You can only add courses you can edit to a series',
+						course_id: courseId,
+					});
+				}
+			}
+
+			await store.setSeriesParts(seriesId, courseIds);
+			const parts = await store.getSeriesParts(seriesId);
+
+			return res.status(200).json(parts);
+		} catch (error) {
+			console.error('Set series parts error:', error);
+			return res.status(500).json({ error: 'Failed to set series parts' });
+		}
+	};
+
+	/**
+	 * The current user's progress across a series
+	 * Overall progress is the average over all parts (0 for parts not started)
+	 * GET /courses/:courseId/series/progress
+	 */
+	const getSeriesProgress = async (req, res) => {
+		try {
+			const store = new CourseStore(req.app.locals.pool);
+			const parts = await store.getSeriesProgress(
+				req.user.id,
+				parseInt(req.params.courseId)
+			);
+
+			if (parts.length === 0) {
+				return res.status(404).json({ error: 'Series not found' });
+			}
+
+			const totalProgress = parts.reduce(
+				(total, part) => total + part.progress,
+				0
+			);
+
+			return res.status(200).json({
+				series_id: parseInt(req.params.courseId),
+				// Rounded down, so it only reaches 100 once every part is complete
+				progress: Math.floor(totalProgress / parts.length),
+				completed_parts: parts.filter((part) => part.progress === 100).length,
+				total_parts: parts.length,
+				next_part: parts.find((part) => part.progress < 100) || null,
+				parts,
+			});
+		} catch (error) {
+			console.error('Get series progress error:', error);
+			return res.status(500).json({ error: 'Failed to get series progress' });
+		}
+	};
+
 	// ========================
 	// UTILITY HANDLERS
 	// ========================
@@ -577,20 +957,29 @@ const courses_route = (app) => {
 	};
 
 	/**
-	 * Search courses
-	 * GET /courses/search?q=searchTerm
+	 * Ranked full-text search with highlighted snippets and facet counts
+	 * GET /courses/search?q=&category=&skill_level=&language=&price_range=&is_series=&limit=&offset=
 	 */
 	const searchCourses = async (req, res) => {
 		try {
-			const { q: searchTerm } = req.query;
-
-			if (!searchTerm) {
-				return res.status(400).json({ error: 'Search term is required' });
+			const { error, value } = validateCourseSearch(req.query);
+			if (error) {
+				return res.status(400).json({ error: error.details[0].message });
 			}
 
+			const { q: searchTerm, limit, offset, ...filters } = value;
 			const store = new CourseStore(req.app.locals.pool);
-			const courses = await store.searchCourses(searchTerm);
-			return res.status(200).json(courses);
+			const search = await store.searchCourses(searchTerm, filters, {
+				limit,
+				offset,
+			});
+
+			return res.status(200).json({
+				query: searchTerm,
+				limit,
+				offset,
+				...search,
+			});
 		} catch (error) {
 			console.error('Search courses error:', error);
 			return res.status(500).json({ error: 'Failed to search courses' });
@@ -647,7 +1036,7 @@ const courses_route = (app) => {
 	app.get('/courses', index);
 	app.get('/courses/categories', getCategories);
 	app.get('/courses/search', searchCourses);
-	app.get('/courses/:id', show);
+	app.get('/courses/:id', optionalAuth, show);
 
 	// New lesson query routes (public or protected as needed)
 	app.get(
@@ -660,31 +1049,95 @@ const courses_route = (app) => {
 		authenticationToken,
 		getLessonsByModule
 	);
+	app.get('/courses/:courseId/prerequisites', getPrerequisites);
+	app.put(
+		'/courses/:courseId/prerequisites',
+		authenticationToken,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromParam('courseId')),
+		setPrerequisites
+	);
+	app.get('/courses/:courseId/series/parts', getSeriesParts);
+	app.put(
+		'/courses/:courseId/series/parts',
+		authenticationToken,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromParam('courseId')),
+		setSeriesParts
+	);
+	app.get(
+		'/courses/:courseId/series/progress',
+		authenticationToken,
+		getSeriesProgress
+	);
 
-	// Protected routes (admin only)
-	app.post('/courses', authenticationToken, requireAdmin, create);
-	app.put('/courses/:id', authenticationToken, requireAdmin, update);
+	// Protected routes (instructors for their own courses, admins for all)
+	app.post(
+		'/courses',
+		authenticationToken,
+		requirePermission('courses:create'),
+		create
+	);
+	app.put(
+		'/courses/:id',
+		authenticationToken,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromParam('id')),
+		update
+	);
 	app.delete('/courses/:id', authenticationToken, requireAdmin, deleteCourse);
 
-	// Module routes (admin only)
+	// Module routes (course owner or admin)
 	app.post(
 		'/courses/:courseId/modules',
 		authenticationToken,
-		requireAdmin,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromParam('courseId')),
+		rejectWhileDraftOpen(courseFromParam('courseId')),
 		createModule
 	);
-	app.put('/modules/:id', authenticationToken, requireAdmin, updateModule);
-	app.delete('/modules/:id', authenticationToken, requireAdmin, deleteModule);
+	app.put(
+		'/modules/:id',
+		authenticationToken,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromModule('id')),
+		rejectWhileDraftOpen(courseFromModule('id')),
+		updateModule
+	);
+	app.delete(
+		'/modules/:id',
+		authenticationToken,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromModule('id')),
+		rejectWhileDraftOpen(courseFromModule('id')),
+		deleteModule
+	);
 
-	// Lesson routes (admin only)
+	// Lesson routes (course owner or admin)
 	app.post(
 		'/modules/:moduleId/lessons',
 		authenticationToken,
-		requireAdmin,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromModule('moduleId')),
+		rejectWhileDraftOpen(courseFromModule('moduleId')),
 		createLesson
 	);
-	app.put('/lessons/:id', authenticationToken, requireAdmin, updateLesson);
-	app.delete('/lessons/:id', authenticationToken, requireAdmin, deleteLesson);
+	app.put(
+		'/lessons/:id',
+		authenticationToken,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromLesson('id')),
+		rejectWhileDraftOpen(courseFromLesson('id')),
+		updateLesson
+	);
+	app.delete(
+		'/lessons/:id',
+		authenticationToken,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromLesson('id')),
+		rejectWhileDraftOpen(courseFromLesson('id')),
+		deleteLesson
+	);
 
 	// Progress routes
 	app.post(
@@ -692,17 +1145,22 @@ const courses_route = (app) => {
 		authenticationToken,
 		markLessonComplete
 	);
+	app.post('/lessons/:lessonId/heartbeat', authenticationToken, recordHeartbeat);
 	// reorder and normalize lesson order
 	app.put(
 		'/modules/:moduleId/lessons/reorder',
 		authenticationToken,
-		requireAdmin,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromModule('moduleId')),
+		rejectWhileDraftOpen(courseFromModule('moduleId')),
 		reorderLessons
 	);
 	app.post(
 		'/modules/:moduleId/lessons/normalize',
 		authenticationToken,
-		requireAdmin,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromModule('moduleId')),
+		rejectWhileDraftOpen(courseFromModule('moduleId')),
 		normalizeLessonOrder
 	);
 };
@@ -0,0 +1,529 @@
+// handlers/lessonDiscussions.js
+require('dotenv').config();
+const {
+	LessonDiscussionStore,
+	validateThread,
+	validateReply,
+	validatePostUpdate,
+	validateAnswer,
+	validatePostRemoval,
+	THREAD_SORTS,
+	THREAD_STATUSES,
+} = require('../models/lessonDiscussion');
+const { CourseStore } = require('../models/course');
+const { Mailer } = require('../utilis/mailer');
+const { VisibilityPolicy } = require('../utilis/visibilityPolicy');
+const { authenticationToken } = require('../middleware/auth');
+const {
+	requirePermission,
+	requireCourseOwnership,
+	canEditCourse,
+	courseFromParam,
+} = require('../middleware/permissions');
+
+/**
+ * Lesson discussion route handler - threaded Q&A on each lesson
+ *
+ * Discussions are open to students enrolled in the course (or who bought it).
+ * Course editors (the instructor, admins) moderate: they mark answers, lock
+ * threads and remove or restore posts.
+ */
+const lesson_discussion_routes = (app) => {
+	const pool = app.locals.pool;
+	const store = new LessonDiscussionStore(pool);
+	const courseStore = new CourseStore(pool);
+	const mailer = new Mailer();
+
+	// ========================
+	// HELPER FUNCTIONS
+	// ========================
+
+	/**
+	 * The user's part in a course's discussions
+	 *   moderator  course editors
+	 *   student    enrolled students and buyers
+	 *   null       can't see them
+	 */
+	const getDiscussionRole = async (user, courseId) => {
+		if (await canEditCourse(user, courseStore, courseId)) {
+			return 'moderator';
+		}
+		return (await courseStore.hasContentAccess(user.id, courseId))
+			? 'student'
+			: null;
+	};
+
+	/**
+	 * Load the post in req.params.id with the user's role, or send the error
+	 * Removed posts, and replies in removed threads, are only found by moderators
+	 */
+	const loadPost = async (req, res) => {
+		const post = await store.getPost(parseInt(req.params.id));
+		if (!post) {
+			res.status(404).json({ error: 'Post not found' });
+			return null;
+		}
+
+		const role = await getDiscussionRole(req.user, post.course_id);
+		if (!role) {
+			res.status(403).json({
+				error: 'You must be enrolled in this course to join its discussions',
+			});
+			return null;
+		}
+		if ((post.deleted_at || post.thread_deleted_at) && role !== 'moderator') {
+			res.status(404).json({ error: 'Post not found' });
+			return null;
+		}
+
+		return { post, role };
+	};
+
+	/**
+	 * Get a post with its author redacted for the viewer
+	 */
+	const showPost = async (req, id) => {
+		const policy = new VisibilityPolicy(pool, req.user);
+		return policy.filterAuthor(await store.getPost(id));
+	};
+
+	/**
+	 * Email the course instructor about a post (failures are only logged)
+	 */
+	const notifyInstructor = async (req, post) => {
+		try {
+			const context = await store.getNotificationContext(post.lesson_id);
+			if (!context?.instructor_email || context.instructor_id === req.user.id) {
+				return;
+			}
+			await mailer.sendLessonPostNotification(
+				context,
+				post,
+				req.user.name || 'A student'
+			);
+		} catch (error) {
+			console.error('Discussion notification error:', error);
+		}
+	};
+
+	// ========================
+	// THREAD HANDLERS
+	// ========================
+
+	/**
+	 * List a lesson's threads
+	 * GET /lessons/:lessonId/discussions?sort=recent|top|active&status=all|unanswered|answered&limit=&offset=
+	 */
+	const getThreads = async (req, res) => {
+		try {
+			const lessonId = parseInt(req.params.lessonId);
+			const sort = req.query.sort || 'recent';
+			const status = req.query.status || 'all';
+			if (
+				!Object.hasOwn(THREAD_SORTS, sort) ||
+				!Object.hasOwn(THREAD_STATUSES, status)
+			) {
+				return res.status(400).json({ error: 'Invalid sort or status' });
+			}
+
+			const courseId = await courseStore.getLessonCourseId(lessonId);
+			if (!courseId) {
+				return res.status(404).json({ error: 'Lesson not found' });
+			}
+			const role = await getDiscussionRole(req.user, courseId);
+			if (!role) {
+				return res.status(403).json({
+					error: 'You must be enrolled in this course to join its discussions',
+				});
+			}
+
+			const threads = await store.getThreads(lessonId, {
+				sort,
+				status,
+				limit: Math.max(Math.min(parseInt(req.query.limit) || 20, 100), 1),
+				offset: Math.max(parseInt(req.query.offset) || 0, 0),
+				viewerId: req.user.id,
+				includeDeleted: role === 'moderator',
+			});
+
+			const policy = new VisibilityPolicy(pool, req.user);
+			return res.status(200).json(await policy.filterAuthors(threads));
+		} catch (error) {
+			console.error('Get threads error:', error);
+			return res.status(500).json({ error: 'Failed to retrieve discussions' });
+		}
+	};
+
+	/**
+	 * Ask a question or start a discussion on a lesson
+	 * Body: { kind?: 'question' | 'discussion', title, body }
+	 * POST /lessons/:lessonId/discussions
+	 */
+	const createThread = async (req, res) => {
+		try {
+			const { error, value } = validateThread(req.body);
+			if (error) {
+				return res.status(400).json({ error: error.details[0].message });
+			}
+
+			const lessonId = parseInt(req.params.lessonId);
+			const courseId = await courseStore.getLessonCourseId(lessonId);
+			if (!courseId) {
+				return res.status(404).json({ error: 'Lesson not found' });
+			}
+			if (!(await getDiscussionRole(req.user, courseId))) {
+				return res.status(403).json({
+					error: 'You must be enrolled in this course to join its discussions',
+				});
+			}
+
+			const thread = await store.createThread(lessonId, req.user.id, value);
+			await notifyInstructor(req, thread);
+
+			return res.status(201).json(await showPost(req, thread.id));
+		} catch (error) {
+			console.error('Create thread error:', error);
+			return res.status(500).json({ error: 'Failed to create discussion' });
+		}
+	};
+
+	/**
+	 * Get a thread with its replies
+	 * GET /discussions/:id
+	 */
+	const getThread = async (req, res) => {
+		try {
+			const loaded = await loadPost(req, res);
+			if (!loaded) {
+				return;
+			}
+			if (loaded.post.thread_id) {
+				return res.status(404).json({ error: 'Thread not found' });
+			}
+
+			const thread = await store.getThread(loaded.post.id, {
+				viewerId: req.user.id,
+				includeDeleted: loaded.role === 'moderator',
+			});
+
+			const policy = new VisibilityPolicy(pool, req.user);
+			return res.status(200).json({
+				thread: await policy.filterAuthor(thread.thread),
+				replies: await policy.filterAuthors(thread.replies),
+			});
+		} catch (error) {
+			console.error('Get thread error:', error);
+			return res.status(500).json({ error: 'Failed to retrieve discussion' });
+		}
+	};
+
+	/**
+	 * Reply to a thread, or to a reply in it (parent_id)
+	 * Body: { body, parent_id? }
+	 * POST /discussions/:id/replies
+	 */
+	const createReply = async (req, res) => {
+		try {
+			const { error, value } = validateReply(req.body);
+			if (error) {
+				return res.status(400).json({ error: error.details[0].message });
+			}
+
+			const loaded = await loadPost(req, res);
+			if (!loaded) {
+				return;
+			}
+			const { post: thread, role } = loaded;
+			if (thread.thread_id) {
+				return res.status(404).json({ error: 'Thread not found' });
+			}
+			if (thread.locked_at && role !== 'moderator') {
+				return res.status(409).json({ error: 'This discussion is locked' });
+			}
+
+			let parentId = thread.id;
+			if (value.parent_id && value.parent_id !== thread.id) {
+				const parent = await store.getPost(value.parent_id);
+				if (!parent || parent.thread_id !== thread.id || parent.deleted_at) {
+					return res
+						.status(400)
+						.json({ error: 'parent_id must be a reply in this thread' });
+				}
+				parentId = parent.id;
+			}
+
+			const reply = await store.createReply(
+				thread,
+				parentId,
+				req.user.id,
+				value.body
+			);
+			await notifyInstructor(req, reply);
+
+			return res.status(201).json(await showPost(req, reply.id));
+		} catch (error) {
+			console.error('Create reply error:', error);
+			return res.status(500).json({ error: 'Failed to post reply' });
+		}
+	};
+
+	/**
+	 * Edit your own post
+	 * Body: { body, title? } - title only applies to threads
+	 * PUT /discussions/posts/:id
+	 */
+	const updatePost = async (req, res) => {
+		try {
+			const { error, value } = validatePostUpdate(req.body);
+			if (error) {
+				return res.status(400).json({ error: error.details[0].message });
+			}
+
+			const loaded = await loadPost(req, res);
+			if (!loaded) {
+				return;
+			}
+			if (loaded.post.user_id !== req.user.id || loaded.post.deleted_at) {
+				return res.status(404).json({ error: 'Post not found' });
+			}
+
+			await store.update(loaded.post.id, value);
+
+			return res.status(200).json(await showPost(req, loaded.post.id));
+		} catch (error) {
+			console.error('Update post error:', error);
+			return res.status(500).json({ error: 'Failed to update post' });
+		}
+	};
+
+	// ========================
+	// UPVOTE HANDLERS
+	// ========================
+
+	/**
+	 * Upvote a post, or take the upvote back
+	 * POST /discussions/posts/:id/upvote
+	 * DELETE /discussions/posts/:id/upvote
+	 */
+	const votePost = async (req, res) => {
+		try {
+			const loaded = await loadPost(req, res);
+			if (!loaded) {
+				return;
+			}
+			if (loaded.post.user_id === req.user.id) {
+				return res
+					.status(400)
+					.json({ error: 'You cannot upvote your own post' });
+			}
+
+			const upvoteCount =
+				req.method === 'DELETE'
+					? await store.removeVote(loaded.post.id, req.user.id)
+					: await store.addVote(loaded.post.id, req.user.id);
+
+			return res.status(200).json({
+				post_id: loaded.post.id,
+				upvote_count: upvoteCount,
+				upvoted: req.method !== 'DELETE',
+			});
+		} catch (error) {
+			console.error('Upvote post error:', error);
+			return res.status(500).json({ error: 'Failed to record upvote' });
+		}
+	};
+
+	// ========================
+	// MODERATION HANDLERS
+	// ========================
+
+	/**
+	 * Mark a reply as the answer to a question (course editors)
+	 * Body: { reply_id } - null clears the answer
+	 * PUT /discussions/:id/answer
+	 */
+	const setAnswer = async (req, res) => {
+		try {
+			const { error, value } = validateAnswer(req.body || {});
+			if (error) {
+				return res.status(400).json({ error: error.details[0].message });
+			}
+
+			const loaded = await loadPost(req, res);
+			if (!loaded) {
+				return;
+			}
+			const { post: thread, role } = loaded;
+			if (role !== 'moderator') {
+				return res
+					.status(403)
+					.json({ error: 'Only the course instructor can mark answers' });
+			}
+			if (thread.thread_id || thread.kind !== 'question') {
+				return res.status(400).json({ error: 'Only questions have answers' });
+			}
+
+			const replyId = value.reply_id;
+			if (replyId !== null) {
+				const reply = await store.getPost(replyId);
+				if (!reply || reply.thread_id !== thread.id || reply.deleted_at) {
+					return res
+						.status(400)
+						.json({ error: 'reply_id must be a reply in this thread' });
+				}
+			}
+
+			await store.setAnswer(thread.id, replyId, req.user.id);
+
+			return res.status(200).json(await showPost(req, thread.id));
+		} catch (error) {
+			console.error('Set answer error:', error);
+			return res.status(500).json({ error: 'Failed to mark answer' });
+		}
+	};
+
+	/**
+	 * Lock a thread against new replies, or unlock it (course editors)
+	 * POST /discussions/:id/lock
+	 * DELETE /discussions/:id/lock
+	 */
+	const lockThread = async (req, res) => {
+		try {
+			const loaded = await loadPost(req, res);
+			if (!loaded) {
+				return;
+			}
+			if (loaded.role !== 'moderator') {
+				return res
+					.status(403)
+					.json({ error: 'Only the course instructor can lock discussions' });
+			}
+			if (loaded.post.thread_id) {
+				return res.status(404).json({ error: 'Thread not found' });
+			}
+
+			await store.setLocked(
+				loaded.post.id,
+				req.user.id,
+				req.method !== 'DELETE'
+			);
+
+			return res.status(200).json(await showPost(req, loaded.post.id));
+		} catch (error) {
+			console.error('Lock thread error:', error);
+			return res.status(500).json({ error: 'Failed to lock discussion' });
+		}
+	};
+
+	/**
+	 * Remove a post - your own, or any post as a course editor
+	 * Removing a thread hides it with its replies
+	 * Body: { reason? }
+	 * DELETE /discussions/posts/:id
+	 */
+	const removePost = async (req, res) => {
+		try {
+			const { error, value } = validatePostRemoval(req.body || {});
+			if (error) {
+				return res.status(400).json({ error: error.details[0].message });
+			}
+
+			const loaded = await loadPost(req, res);
+			if (!loaded) {
+				return;
+			}
+			if (loaded.post.user_id !== req.user.id && loaded.role !== 'moderator') {
+				return res.status(404).json({ error: 'Post not found' });
+			}
+
+			const removal = await store.remove(
+				loaded.post.id,
+				req.user.id,
+				value.reason || null
+			);
+			if (!removal) {
+				return res.status(409).json({ error: 'Post is already removed' });
+			}
+
+			return res.status(200).json({ message: 'Post removed', removal });
+		} catch (error) {
+			console.error('Remove post error:', error);
+			return res.status(500).json({ error: 'Failed to remove post' });
+		}
+	};
+
+	/**
+	 * Restore a removed post (course editors)
+	 * POST /discussions/posts/:id/restore
+	 */
+	const restorePost = async (req, res) => {
+		try {
+			const loaded = await loadPost(req, res);
+			if (!loaded) {
+				return;
+			}
+			if (loaded.role !== 'moderator') {
+				return res
+					.status(403)
+					.json({ error: 'Only the course instructor can restore posts' });
+			}
+
+			const restored = await store.restore(loaded.post.id);
+			if (!restored) {
+				return res.status(409).json({ error: 'Post is not removed' });
+			}
+
+			return res.status(200).json(await showPost(req, loaded.post.id));
+		} catch (error) {
+			console.error('Restore post error:', error);
+			return res.status(500).json({ error: 'Failed to restore post' });
+		}
+	};
+
+	/**
+	 * Removed posts across a course's lessons (course owner or admin)
+	 * GET /courses/:courseId/discussions/removed?limit=&offset=
+	 */
+	const getRemovedPosts = async (req, res) => {
+		try {
+			const posts = await store.getRemovedPosts(parseInt(req.params.courseId), {
+				limit: Math.max(Math.min(parseInt(req.query.limit) || 50, 200), 1),
+				offset: Math.max(parseInt(req.query.offset) || 0, 0),
+			});
+			const policy = new VisibilityPolicy(pool, req.user);
+			return res.status(200).json(await policy.filterAuthors(posts));
+		} catch (error) {
+			console.error('Get removed posts error:', error);
+			return res
+				.status(500)
+				.json({ error: 'Failed to retrieve removed posts' });
+		}
+	};
+
+	// Threads
+	app.get('/lessons/:lessonId/discussions', authenticationToken, getThreads);
+	app.post('/lessons/:lessonId/discussions', authenticationToken, createThread);
+	app.get('/discussions/:id', authenticationToken, getThread);
+	app.post('/discussions/:id/replies', authenticationToken, createReply);
+
+	// Posts (threads and replies)
+	app.put('/discussions/posts/:id', authenticationToken, updatePost);
+	app.delete('/discussions/posts/:id', authenticationToken, removePost);
+	app.post('/discussions/posts/:id/upvote', authenticationToken, votePost);
+	app.delete('/discussions/posts/:id/upvote', authenticationToken, votePost);
+
+	// Moderation (course editors)
+	app.put('/discussions/:id/answer', authenticationToken, setAnswer);
+	app.post('/discussions/:id/lock', authenticationToken, lockThread);
+	app.delete('/discussions/:id/lock', authenticationToken, lockThread);
+	app.post('/discussions/posts/:id/restore', authenticationToken, restorePost);
+	app.get(
+		'/courses/:courseId/discussions/removed',
+		authenticationToken,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromParam('courseId')),
+		getRemovedPosts
+	);
+};
+
+module.exports = lesson_discussion_routes;
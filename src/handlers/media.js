@@ -0,0 +1,139 @@
+// handlers/media.js
+require('dotenv').config();
+const { MediaAssetStore } = require('../models/mediaAsset');
+const { MediaStorage } = require('../utilis/mediaStorage');
+const {
+	RESOURCE_TYPES,
+	getImageStorageDriverName,
+} = require('../utilis/imageStorage');
+const { authenticationToken, requireAdmin } = require('../middleware/auth');
+
+/**
+ * Media Handlers - admin views of stored files and what uses them
+ */
+
+/**
+ * List tracked media assets
+ * GET /admin/media?driver=&resource_type=&entity_type=&unreferenced=true&limit=&offset=
+ */
+const index = async (req, res) => {
+	try {
+		const { driver, resource_type, entity_type } = req.query;
+
+		if (resource_type && !RESOURCE_TYPES.includes(resource_type)) {
+			return res.status(400).json({
+				error: `resource_type must be one of: ${RESOURCE_TYPES.join(', ')}`,
+			});
+		}
+
+		const store = new MediaAssetStore(req.app.locals.pool);
+		const assets = await store.index({
+			driver,
+			resource_type,
+			entity_type,
+			unreferenced: req.query.unreferenced === 'true',
+			include_deleted: req.query.include_deleted === 'true',
+			limit: Math.max(Math.min(parseInt(req.query.limit) || 50, 200), 1),
+			offset: Math.max(parseInt(req.query.offset) || 0, 0),
+		});
+
+		return res.status(200).json(assets);
+	} catch (error) {
+		console.error('Get media assets error:', error);
+		return res.status(500).json({ error: 'Failed to retrieve media assets' });
+	}
+};
+
+/**
+ * List files as they exist in storage (including untracked ones)
+ * GET /admin/media/storage?folder=&resource_type=image&driver=
+ */
+const listStorage = async (req, res) => {
+	try {
+		const resourceType = req.query.resource_type || 'image';
+		if (!RESOURCE_TYPES.includes(resourceType)) {
+			return res.status(400).json({
+				error: `resource_type must be one of: ${RESOURCE_TYPES.join(', ')}`,
+			});
+		}
+
+		const driver = req.query.driver || getImageStorageDriverName();
+		const mediaStorage = new MediaStorage(req.app.locals.pool);
+		const files = await mediaStorage.list({
+			folder: req.query.folder || '',
+			resourceType,
+			driver,
+		});
+
+		return res.status(200).json({ driver, count: files.length, files });
+	} catch (error) {
+		console.error('List media storage error:', error);
+		return res.status(500).json({ error: 'Failed to list media storage' });
+	}
+};
+
+/**
+ * Get a media asset with the entities that reference it
+ * GET /admin/media/:id
+ */
+const show = async (req, res) => {
+	try {
+		const store = new MediaAssetStore(req.app.locals.pool);
+		const asset = await store.show(parseInt(req.params.id));
+
+		if (!asset) {
+			return res.status(404).json({ error: 'Media asset not found' });
+		}
+
+		return res.status(200).json(asset);
+	} catch (error) {
+		console.error('Get media asset error:', error);
+		return res.status(500).json({ error: 'Failed to retrieve media asset' });
+	}
+};
+
+/**
+ * Delete a media asset from storage
+ * Assets still in use need ?force=true
+ * DELETE /admin/media/:id
+ */
+const deleteAsset = async (req, res) => {
+	try {
+		const store = new MediaAssetStore(req.app.locals.pool);
+		const asset = await store.show(parseInt(req.params.id));
+
+		if (!asset || asset.deleted_at) {
+			return res.status(404).json({ error: 'Media asset not found' });
+		}
+
+		if (asset.used_by.length > 0 && req.query.force !== 'true') {
+			return res.status(409).json({
+				error: 'Media asset is still in use',
+				used_by: asset.used_by,
+			});
+		}
+
+		const mediaStorage = new MediaStorage(req.app.locals.pool);
+		await mediaStorage.delete(asset.url);
+
+		return res.status(200).json({
+			message: 'Media asset deleted successfully',
+			asset_id: asset.id,
+		});
+	} catch (error) {
+		console.error('Delete media asset error:', error);
+		return res.status(500).json({ error: 'Failed to delete media asset' });
+	}
+};
+
+/**
+ * Media route handler
+ */
+const media_routes = (app) => {
+	app.get('/admin/media', authenticationToken, requireAdmin, index);
+	app.get('/admin/media/storage', authenticationToken, requireAdmin, listStorage);
+	app.get('/admin/media/:id', authenticationToken, requireAdmin, show);
+	app.delete('/admin/media/:id', authenticationToken, requireAdmin, deleteAsset);
+};
+
+module.exports = media_routes;
@@ -5,11 +5,12 @@ const {
 	validateMessage,
 	validateConversation,
 } = require('../models/message');
+const { UserStore } = require('../models/user');
 const {
 	authenticationToken,
 	authenticateUserId,
-	requireAdmin,
 } = require('../middleware/auth');
+const { requirePermission } = require('../middleware/permissions');
 
 /**
  * Message Handlers - All business logic for messaging operations
@@ -167,6 +168,14 @@ const sendMessage = async (req, res) => {
 			return res.status(400).json({ error: error.details[0].message });
 		}
 
+		// Deleted accounts can't receive new messages
+		const recipient = await new UserStore(req.app.locals.pool).show(
+			messageData.recipient_id
+		);
+		if (!recipient || recipient.deleted_at) {
+			return res.status(404).json({ error: 'Recipient not found' });
+		}
+
 		const store = new MessageStore(req.app.locals.pool);
 		const message = await store.sendMessage(
 			messageData.sender_id,
@@ -558,17 +567,17 @@ const messages_route = (app) => {
 	); // Per-user delete
 	app.post('/messages/:id/restore', authenticationToken, restoreMessageForUser); // Restore deleted message
 
-	// Admin routes
+	// Moderation routes (moderators and admins)
 	app.get(
 		'/admin/conversations',
 		authenticationToken,
-		requireAdmin,
+		requirePermission('messages:moderate'),
 		getAllConversations
 	);
 	app.get(
 		'/admin/messages/stats',
 		authenticationToken,
-		requireAdmin,
+		requirePermission('messages:moderate'),
 		getMessageStats
 	);
 };
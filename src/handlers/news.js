@@ -2,11 +2,34 @@
 require('dotenv').config();
 const { NewsStore, validateNews } = require('../models/news');
 const { authenticationToken, requireAdmin } = require('../middleware/auth');
+const { MediaStorage } = require('../utilis/mediaStorage');
+const { resizeImage } = require('../utilis/imageResize');
+const upload = require('../middleware/upload');
 
 /**
  * News Handlers - All business logic for news/updates operations
  */
 
+/**
+ * Point media tracking at an article's thumbnail and body images
+ * Images the article no longer uses are removed
+ */
+const syncArticleMedia = async (req, article) => {
+	const mediaStorage = new MediaStorage(req.app.locals.pool);
+	await mediaStorage.setReferences(
+		'news',
+		article.id,
+		'thumbnail_url',
+		article.thumbnail_url
+	);
+	await mediaStorage.setReferences(
+		'news',
+		article.id,
+		'body_images',
+		article.body_images
+	);
+};
+
 // ========================
 // PUBLIC NEWS HANDLERS (Student Dashboard)
 // ========================
@@ -147,6 +170,7 @@ const create = async (req, res) => {
 
 		const store = new NewsStore(req.app.locals.pool);
 		const article = await store.create(req.body);
+		await syncArticleMedia(req, article);
 
 		return res.status(201).json(article);
 	} catch (error) {
@@ -178,21 +202,8 @@ const update = async (req, res) => {
 		// Update the article
 		const article = await store.update(req.body, parseInt(req.params.id));
 
-		// Clean up old Cloudinary thumbnail if it changed
-		if (currentArticle.thumbnail_url && req.body.thumbnail_url && 
-			currentArticle.thumbnail_url !== req.body.thumbnail_url) {
-			try {
-				const { deleteImageDirect, extractPublicIdFromUrl } = require('./cloudinary');
-				const publicId = extractPublicIdFromUrl(currentArticle.thumbnail_url);
-				if (publicId) {
-					await deleteImageDirect(publicId);
-					console.log('Deleted old Cloudinary thumbnail:', publicId);
-				}
-			} catch (imageError) {
-				console.warn('Failed to delete old Cloudinary thumbnail:', imageError.message);
-				// Don't fail the operation if image cleanup fails
-			}
-		}
+		// Clean up old thumbnail and body images if they changed
+		await syncArticleMedia(req, article);
 
 		return res.status(200).json(article);
 	} catch (error) {
@@ -218,20 +229,11 @@ const deleteNews = async (req, res) => {
 		// Delete the article from database
 		const article = await store.delete(parseInt(req.params.id));
 
-		// Clean up Cloudinary images if they exist
-		if (articleToDelete.thumbnail_url) {
-			try {
-				const { deleteImageDirect, extractPublicIdFromUrl } = require('./cloudinary');
-				const publicId = extractPublicIdFromUrl(articleToDelete.thumbnail_url);
-				if (publicId) {
-					await deleteImageDirect(publicId);
-					console.log('Deleted Cloudinary thumbnail:', publicId);
-				}
-			} catch (imageError) {
-				console.warn('Failed to delete Cloudinary thumbnail:', imageError.message);
-				// Don't fail the operation if image cleanup fails
-			}
-		}
+		// Clean up the thumbnail and body images
+		await new MediaStorage(req.app.locals.pool).releaseEntity(
+			'news',
+			articleToDelete.id
+		);
 
 		return res.status(200).json({
 			message: 'News article deleted successfully',
@@ -309,7 +311,18 @@ const getStats = async (req, res) => {
 // ========================
 
 /**
- * Handle image upload for news
+ * Resize targets per image type
+ */
+const NEWS_IMAGE_SIZES = {
+	thumbnail: { width: 1200, height: 630, fit: 'cover' },
+	body: { width: 1600, height: 1600, fit: 'inside' },
+};
+
+/**
+ * Handle image upload for news (multipart: image, image_type, optional news_id)
+ * With news_id the image is attached straight away - thumbnails replace the
+ * current one, body images are appended after the existing ones.
+ * Without news_id the URL is returned for use when creating the article.
  * POST /admin/news/upload-image
  */
 const uploadImage = async (req, res) => {
@@ -322,14 +335,60 @@ const uploadImage = async (req, res) => {
 				.json({ error: 'Valid image_type (thumbnail or body) is required' });
 		}
 
-		// This would integrate with your Cloudinary service
-		// For now, return a placeholder response
-		return res.status(200).json({
-			message: 'Image upload endpoint ready for Cloudinary integration',
-			image_type: image_type,
-			// In real implementation:
-			// image_url: cloudinaryResponse.secure_url
+		const newsId = req.body.news_id ? parseInt(req.body.news_id) : null;
+		if (req.body.news_id && !newsId) {
+			return res.status(400).json({ error: 'news_id must be a number' });
+		}
+
+		const store = new NewsStore(req.app.locals.pool);
+		if (newsId && !(await store.show(newsId, { countView: false }))) {
+			return res.status(404).json({ error: 'News article not found' });
+		}
+
+		let image;
+		try {
+			image = await resizeImage(req.file.buffer, {
+				mimeType: req.file.mimeType,
+				...NEWS_IMAGE_SIZES[image_type],
+			});
+		} catch (resizeError) {
+			// The file looked like an image but couldn't be decoded
+			console.warn('News image resize failed:', resizeError.message);
+			return res.status(400).json({ error: 'Image could not be processed' });
+		}
+
+		const mediaStorage = new MediaStorage(req.app.locals.pool);
+		const asset = await mediaStorage.upload(image, {
+			folder: `news/${image_type === 'thumbnail' ? 'thumbnails' : 'body'}`,
+			publicId: `news-${newsId || 'draft'}-${Date.now()}`,
+			mimeType: req.file.mimeType,
+			extension: req.file.extension,
+			uploadedBy: req.user.id,
 		});
+
+		const response = { image_type, image_url: asset.url };
+
+		if (newsId) {
+			const attached =
+				image_type === 'thumbnail'
+					? await store.updateThumbnail(newsId, asset.url)
+					: await store.addBodyImage(newsId, asset.url);
+			if (!attached) {
+				// Article was deleted mid-upload - don't leave the image behind
+				await mediaStorage.delete(asset.url);
+				return res.status(404).json({ error: 'News article not found' });
+			}
+			if (image_type === 'body') {
+				response.news_image = attached;
+			}
+
+			// Records the new image and releases a replaced thumbnail
+			const article = await store.show(newsId, { countView: false });
+			await syncArticleMedia(req, article);
+			response.article = article;
+		}
+
+		return res.status(201).json(response);
 	} catch (error) {
 		console.error('Upload image error:', error);
 		return res.status(500).json({ error: 'Failed to upload image' });
@@ -379,6 +438,9 @@ const news_route = (app) => {
 		'/admin/news/upload-image',
 		authenticationToken,
 		requireAdmin,
+		upload.uploadImage('image', {
+			maxBytes: parseInt(process.env.NEWS_IMAGE_MAX_BYTES) || 10 * 1024 * 1024,
+		}),
 		uploadImage
 	);
 };
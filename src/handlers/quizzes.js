@@ -0,0 +1,279 @@
+// handlers/quizzes.js
+require('dotenv').config();
+const { QuizStore, validateQuiz } = require('../models/quiz');
+const { CourseStore } = require('../models/course');
+const { UserStore } = require('../models/user');
+const { gradeAttempt, toStudentView } = require('../utilis/quizGrader');
+const { authenticationToken } = require('../middleware/auth');
+const {
+	requirePermission,
+	requireCourseOwnership,
+	canEditCourse,
+	courseFromLesson,
+} = require('../middleware/permissions');
+
+/**
+ * Quiz Handlers - quiz definitions for quiz lessons and graded attempts
+ */
+
+/**
+ * Why a student can't take a quiz yet (not enrolled, lesson still locked)
+ * Returns null when they can
+ */
+const quizAccessError = async (req, quiz) => {
+	const userStore = new UserStore(req.app.locals.pool);
+	if (!(await userStore.isUserEnrolled(req.user.id, quiz.course_id))) {
+		return { error: 'You must be enrolled in this course' };
+	}
+
+	const courseStore = new CourseStore(req.app.locals.pool);
+	const lesson = await courseStore.getLessonForUser(quiz.lesson_id, req.user.id);
+	if (lesson.locked) {
+		return {
+			error: 'This lesson is locked',
+			lock_reason: lesson.lock_reason,
+			unlocks_at: lesson.unlocks_at,
+		};
+	}
+
+	return null;
+};
+
+/**
+ * Summary of a user's attempts for the student view
+ */
+const summarizeAttempts = (quiz, attempts) => ({
+	attempts_used: attempts.length,
+	attempts_remaining: quiz.max_attempts
+		? Math.max(quiz.max_attempts - attempts.length, 0)
+		: null,
+	best_score: attempts.length
+		? Math.max(...attempts.map((attempt) => attempt.score))
+		: null,
+	passed: attempts.some((attempt) => attempt.passed),
+});
+
+/**
+ * Get a lesson's quiz
+ * Course editors get the full definition, students get it without answers
+ * GET /lessons/:lessonId/quiz
+ */
+const show = async (req, res) => {
+	try {
+		const store = new QuizStore(req.app.locals.pool);
+		const quiz = await store.getByLesson(parseInt(req.params.lessonId));
+
+		if (!quiz) {
+			return res.status(404).json({ error: 'Quiz not found' });
+		}
+
+		const courseStore = new CourseStore(req.app.locals.pool);
+		if (await canEditCourse(req.user, courseStore, quiz.course_id)) {
+			return res.status(200).json(quiz);
+		}
+
+		const accessError = await quizAccessError(req, quiz);
+		if (accessError) {
+			return res.status(403).json(accessError);
+		}
+
+		const attempts = await store.getAttempts(quiz.id, req.user.id);
+		return res.status(200).json({
+			...toStudentView(quiz),
+			...summarizeAttempts(quiz, attempts),
+		});
+	} catch (error) {
+		console.error('Get quiz error:', error);
+		return res.status(500).json({ error: 'Failed to retrieve quiz' });
+	}
+};
+
+/**
+ * Create or replace a lesson's quiz
+ * PUT /lessons/:lessonId/quiz
+ */
+const save = async (req, res) => {
+	try {
+		const lessonId = parseInt(req.params.lessonId);
+		const courseStore = new CourseStore(req.app.locals.pool);
+		const lesson = await courseStore.getLesson(lessonId);
+
+		if (!lesson) {
+			return res.status(404).json({ error: 'Lesson not found' });
+		}
+		if (lesson.lesson_type !== 'quiz') {
+			return res
+				.status(400)
+				.json({ error: 'Quizzes can only be added to quiz lessons' });
+		}
+
+		const { error, value } = validateQuiz(req.body);
+		if (error) {
+			return res.status(400).json({ error: error.details[0].message });
+		}
+
+		const store = new QuizStore(req.app.locals.pool);
+		await store.save(lessonId, value);
+		const quiz = await store.getByLesson(lessonId);
+
+		return res.status(200).json(quiz);
+	} catch (error) {
+		console.error('Save quiz error:', error);
+		return res.status(500).json({ error: 'Failed to save quiz' });
+	}
+};
+
+/**
+ * Delete a lesson's quiz along with its attempts
+ * DELETE /lessons/:lessonId/quiz
+ */
+const deleteQuiz = async (req, res) => {
+	try {
+		const store = new QuizStore(req.app.locals.pool);
+		const deleted = await store.deleteByLesson(parseInt(req.params.lessonId));
+
+		if (!deleted) {
+			return res.status(404).json({ error: 'Quiz not found' });
+		}
+
+		return res.status(200).json({ message: 'Quiz deleted successfully' });
+	} catch (error) {
+		console.error('Delete quiz error:', error);
+		return res.status(500).json({ error: 'Failed to delete quiz' });
+	}
+};
+
+/**
+ * Submit answers - graded here, a passing attempt completes the lesson
+ * Body: { answers: { [question_id]: answer } }
+ * POST /lessons/:lessonId/quiz/attempts
+ */
+const submitAttempt = async (req, res) => {
+	try {
+		const lessonId = parseInt(req.params.lessonId);
+		const { answers } = req.body;
+
+		if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+			return res
+				.status(400)
+				.json({ error: 'answers must be an object keyed by question ID' });
+		}
+
+		const store = new QuizStore(req.app.locals.pool);
+		const quiz = await store.getByLesson(lessonId);
+
+		if (!quiz) {
+			return res.status(404).json({ error: 'Quiz not found' });
+		}
+
+		const courseStore = new CourseStore(req.app.locals.pool);
+		if (!(await canEditCourse(req.user, courseStore, quiz.course_id))) {
+			const accessError = await quizAccessError(req, quiz);
+			if (accessError) {
+				return res.status(403).json(accessError);
+			}
+		}
+
+		const grade = gradeAttempt(quiz, answers);
+		const attempt = await store.recordAttempt(
+			quiz,
+			req.user.id,
+			answers,
+			grade
+		);
+
+		if (!attempt) {
+			return res
+				.status(409)
+				.json({ error: 'No attempts remaining for this quiz' });
+		}
+
+		let lessonProgress = null;
+		if (attempt.passed) {
+			lessonProgress = await courseStore.markLessonComplete(
+				req.user.id,
+				lessonId
+			);
+
+			const userStore = new UserStore(req.app.locals.pool);
+			await userStore.calculateCourseProgress(req.user.id, quiz.course_id);
+		}
+
+		// Explanations are only revealed once the quiz is passed
+		const explanations = new Map(
+			quiz.questions.map((question) => [question.id, question.explanation])
+		);
+		const results = grade.results.map((result) => ({
+			...result,
+			...(attempt.passed && {
+				explanation: explanations.get(result.question_id) || null,
+			}),
+		}));
+
+		const attempts = await store.getAttempts(quiz.id, req.user.id);
+
+		return res.status(201).json({
+			attempt_id: attempt.id,
+			score: attempt.score,
+			passed: attempt.passed,
+			passing_score: quiz.passing_score,
+			earned_points: attempt.earned_points,
+			total_points: attempt.total_points,
+			results,
+			lesson_progress: lessonProgress,
+			...summarizeAttempts(quiz, attempts),
+		});
+	} catch (error) {
+		console.error('Submit quiz attempt error:', error);
+		return res.status(500).json({ error: 'Failed to submit quiz attempt' });
+	}
+};
+
+/**
+ * The current user's attempts at a lesson's quiz
+ * GET /lessons/:lessonId/quiz/attempts
+ */
+const getAttempts = async (req, res) => {
+	try {
+		const store = new QuizStore(req.app.locals.pool);
+		const quiz = await store.getByLesson(parseInt(req.params.lessonId));
+
+		if (!quiz) {
+			return res.status(404).json({ error: 'Quiz not found' });
+		}
+
+		const attempts = await store.getAttempts(quiz.id, req.user.id);
+		return res.status(200).json({
+			attempts,
+			...summarizeAttempts(quiz, attempts),
+		});
+	} catch (error) {
+		console.error('Get quiz attempts error:', error);
+		return res.status(500).json({ error: 'Failed to retrieve quiz attempts' });
+	}
+};
+
+/**
+ * Quiz route handler
+ */
+const quiz_routes = (app) => {
+	app.get('/lessons/:lessonId/quiz', authenticationToken, show);
+	app.put(
+		'/lessons/:lessonId/quiz',
+		authenticationToken,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromLesson('lessonId')),
+		save
+	);
+	app.delete(
+		'/lessons/:lessonId/quiz',
+		authenticationToken,
+		requirePermission('courses:edit'),
+		requireCourseOwnership(courseFromLesson('lessonId')),
+		deleteQuiz
+	);
+	app.post('/lessons/:lessonId/quiz/attempts', authenticationToken, submitAttempt);
+	app.get('/lessons/:lessonId/quiz/attempts', authenticationToken, getAttempts);
+};
+
+module.exports = quiz_routes;
@@ -0,0 +1,366 @@
+// handlers/reviews.js
+require('dotenv').config();
+const {
+	ReviewStore,
+	validateReview,
+	validateReviewReport,
+	REVIEW_SORTS,
+} = require('../models/review');
+const { CourseStore } = require('../models/course');
+const { VisibilityPolicy } = require('../utilis/visibilityPolicy');
+const {
+	authenticationToken,
+	requireAdmin,
+	optionalAuth,
+} = require('../middleware/auth');
+
+/**
+ * Review Handlers - course ratings and reviews by enrolled students,
+ * helpful votes and moderation
+ */
+
+/**
+ * List a course's visible reviews with its rating summary
+ * GET /courses/:courseId/reviews?sort=recent|helpful|highest|lowest&limit=&offset=
+ */
+const getCourseReviews = async (req, res) => {
+	try {
+		const courseId = parseInt(req.params.courseId);
+		const sort = req.query.sort || 'recent';
+		if (!Object.hasOwn(REVIEW_SORTS, sort)) {
+			return res.status(400).json({ error: 'Invalid sort' });
+		}
+
+		const store = new ReviewStore(req.app.locals.pool);
+		const [summary, reviews, ownReview] = await Promise.all([
+			store.getRatingSummary(courseId),
+			store.getCourseReviews(courseId, {
+				sort,
+				limit: Math.max(Math.min(parseInt(req.query.limit) || 20, 100), 1),
+				offset: Math.max(parseInt(req.query.offset) || 0, 0),
+				viewerId: req.user?.id || null,
+			}),
+			req.user ? store.getUserReview(req.user.id, courseId) : null,
+		]);
+
+		const policy = new VisibilityPolicy(req.app.locals.pool, req.user);
+
+		return res.status(200).json({
+			summary,
+			reviews: await policy.filterAuthors(reviews),
+			own_review: ownReview && (await policy.filterAuthor(ownReview)),
+		});
+	} catch (error) {
+		console.error('Get reviews error:', error);
+		return res.status(500).json({ error: 'Failed to retrieve reviews' });
+	}
+};
+
+/**
+ * Review a course - enrolled students and buyers only, once per course
+ * POST /courses/:courseId/reviews
+ */
+const createReview = async (req, res) => {
+	try {
+		const courseId = parseInt(req.params.courseId);
+		const { error, value } = validateReview(req.body);
+		if (error) {
+			return res.status(400).json({ error: error.details[0].message });
+		}
+
+		const courseStore = new CourseStore(req.app.locals.pool);
+		if (!(await courseStore.coursesExist([courseId]))) {
+			return res.status(404).json({ error: 'Course not found' });
+		}
+		if ((await courseStore.getCourseInstructorId(courseId)) === req.user.id) {
+			return res
+				.status(403)
+				.json({ error: 'You cannot review a course you teach' });
+		}
+
+		const store = new ReviewStore(req.app.locals.pool);
+		if (!(await store.canReview(req.user.id, courseId))) {
+			return res
+				.status(403)
+				.json({ error: 'Only enrolled students can review this course' });
+		}
+
+		const review = await store.create(courseId, req.user.id, value);
+		if (!review) {
+			return res.status(409).json({
+				error:
+					'You have already reviewed this course - edit your review instead',
+			});
+		}
+
+		const policy = new VisibilityPolicy(req.app.locals.pool, req.user);
+		return res
+			.status(201)
+			.json(await policy.filterAuthor(await store.show(review.id)));
+	} catch (error) {
+		console.error('Create review error:', error);
+		return res.status(500).json({ error: 'Failed to create review' });
+	}
+};
+
+/**
+ * Edit your review - the previous version is kept in its history
+ * PUT /reviews/:id
+ */
+const updateReview = async (req, res) => {
+	try {
+		const { error, value } = validateReview(req.body);
+		if (error) {
+			return res.status(400).json({ error: error.details[0].message });
+		}
+
+		const store = new ReviewStore(req.app.locals.pool);
+		const review = await store.show(parseInt(req.params.id));
+		if (!review || review.user_id !== req.user.id) {
+			return res.status(404).json({ error: 'Review not found' });
+		}
+
+		await store.update(review.id, value);
+
+		const policy = new VisibilityPolicy(req.app.locals.pool, req.user);
+		return res
+			.status(200)
+			.json(await policy.filterAuthor(await store.show(review.id)));
+	} catch (error) {
+		console.error('Update review error:', error);
+		return res.status(500).json({ error: 'Failed to update review' });
+	}
+};
+
+/**
+ * Delete a review (author or admin)
+ * DELETE /reviews/:id
+ */
+const deleteReview = async (req, res) => {
+	try {
+		const store = new ReviewStore(req.app.locals.pool);
+		const review = await store.show(parseInt(req.params.id));
+		if (!review || (review.user_id !== req.user.id && !req.user.is_admin)) {
+			return res.status(404).json({ error: 'Review not found' });
+		}
+
+		await store.delete(review.id);
+
+		return res.status(200).json({ message: 'Review deleted successfully' });
+	} catch (error) {
+		console.error('Delete review error:', error);
+		return res.status(500).json({ error: 'Failed to delete review' });
+	}
+};
+
+/**
+ * A review's edit history (author or admin)
+ * GET /reviews/:id/history
+ */
+const getReviewHistory = async (req, res) => {
+	try {
+		const store = new ReviewStore(req.app.locals.pool);
+		const review = await store.show(parseInt(req.params.id));
+		if (!review || (review.user_id !== req.user.id && !req.user.is_admin)) {
+			return res.status(404).json({ error: 'Review not found' });
+		}
+
+		const revisions = await store.getRevisions(review.id);
+		const policy = new VisibilityPolicy(req.app.locals.pool, req.user);
+
+		return res
+			.status(200)
+			.json({ review: await policy.filterAuthor(review), revisions });
+	} catch (error) {
+		console.error('Get review history error:', error);
+		return res.status(500).json({ error: 'Failed to retrieve review history' });
+	}
+};
+
+/**
+ * Mark a review as helpful, or take the vote back
+ * POST /reviews/:id/helpful
+ * DELETE /reviews/:id/helpful
+ */
+const voteHelpful = async (req, res) => {
+	try {
+		const store = new ReviewStore(req.app.locals.pool);
+		const review = await store.show(parseInt(req.params.id));
+		if (!review || review.hidden_at) {
+			return res.status(404).json({ error: 'Review not found' });
+		}
+		if (review.user_id === req.user.id) {
+			return res
+				.status(400)
+				.json({ error: 'You cannot vote on your own review' });
+		}
+
+		const helpfulCount =
+			req.method === 'DELETE'
+				? await store.removeVote(review.id, req.user.id)
+				: await store.addVote(review.id, req.user.id);
+
+		return res.status(200).json({
+			review_id: review.id,
+			helpful_count: helpfulCount,
+			voted_helpful: req.method !== 'DELETE',
+		});
+	} catch (error) {
+		console.error('Helpful vote error:', error);
+		return res.status(500).json({ error: 'Failed to record vote' });
+	}
+};
+
+/**
+ * Report a review for moderation
+ * POST /reviews/:id/report
+ */
+const reportReview = async (req, res) => {
+	try {
+		const { error, value } = validateReviewReport(req.body || {});
+		if (error) {
+			return res.status(400).json({ error: error.details[0].message });
+		}
+
+		const store = new ReviewStore(req.app.locals.pool);
+		const review = await store.show(parseInt(req.params.id));
+		if (!review || review.hidden_at) {
+			return res.status(404).json({ error: 'Review not found' });
+		}
+
+		const report = await store.report(
+			review.id,
+			req.user.id,
+			value.reason || null
+		);
+		if (!report) {
+			return res
+				.status(409)
+				.json({ error: 'You have already reported this review' });
+		}
+
+		return res
+			.status(202)
+			.json({ message: 'Thanks - a moderator will look at this review' });
+	} catch (error) {
+		console.error('Report review error:', error);
+		return res.status(500).json({ error: 'Failed to report review' });
+	}
+};
+
+/**
+ * Moderation queue (admin)
+ * GET /admin/reviews?status=reported|hidden&limit=&offset=
+ */
+const getModerationQueue = async (req, res) => {
+	try {
+		const status = req.query.status || 'reported';
+		if (!['reported', 'hidden'].includes(status)) {
+			return res.status(400).json({ error: 'Invalid status' });
+		}
+
+		const store = new ReviewStore(req.app.locals.pool);
+		const reviews = await store.getModerationQueue({
+			status,
+			limit: Math.max(Math.min(parseInt(req.query.limit) || 50, 200), 1),
+			offset: Math.max(parseInt(req.query.offset) || 0, 0),
+		});
+
+		const policy = new VisibilityPolicy(req.app.locals.pool, req.user);
+		return res.status(200).json(await policy.filterAuthors(reviews));
+	} catch (error) {
+		console.error('Get moderation queue error:', error);
+		return res
+			.status(500)
+			.json({ error: 'Failed to retrieve moderation queue' });
+	}
+};
+
+/**
+ * Hide an abusive review (admin)
+ * Body: { reason? }
+ * POST /admin/reviews/:id/hide
+ */
+const hideReview = async (req, res) => {
+	try {
+		const { error, value } = validateReviewReport(req.body || {});
+		if (error) {
+			return res.status(400).json({ error: error.details[0].message });
+		}
+
+		const store = new ReviewStore(req.app.locals.pool);
+		const review = await store.setHidden(
+			parseInt(req.params.id),
+			req.user.id,
+			true,
+			value.reason || null
+		);
+		if (!review) {
+			return res.status(404).json({ error: 'Review not found' });
+		}
+
+		return res.status(200).json(review);
+	} catch (error) {
+		console.error('Hide review error:', error);
+		return res.status(500).json({ error: 'Failed to hide review' });
+	}
+};
+
+/**
+ * Show a hidden review again, or dismiss the reports on a visible one (admin)
+ * POST /admin/reviews/:id/restore
+ */
+const restoreReview = async (req, res) => {
+	try {
+		const store = new ReviewStore(req.app.locals.pool);
+		const review = await store.setHidden(
+			parseInt(req.params.id),
+			req.user.id,
+			false
+		);
+		if (!review) {
+			return res.status(404).json({ error: 'Review not found' });
+		}
+
+		return res.status(200).json(review);
+	} catch (error) {
+		console.error('Restore review error:', error);
+		return res.status(500).json({ error: 'Failed to restore review' });
+	}
+};
+
+/**
+ * Review route handler
+ */
+const review_routes = (app) => {
+	app.get('/courses/:courseId/reviews', optionalAuth, getCourseReviews);
+	app.post('/courses/:courseId/reviews', authenticationToken, createReview);
+	app.put('/reviews/:id', authenticationToken, updateReview);
+	app.delete('/reviews/:id', authenticationToken, deleteReview);
+	app.get('/reviews/:id/history', authenticationToken, getReviewHistory);
+	app.post('/reviews/:id/helpful', authenticationToken, voteHelpful);
+	app.delete('/reviews/:id/helpful', authenticationToken, voteHelpful);
+	app.post('/reviews/:id/report', authenticationToken, reportReview);
+
+	// Moderation (admin)
+	app.get(
+		'/admin/reviews',
+		authenticationToken,
+		requireAdmin,
+		getModerationQueue
+	);
+	app.post(
+		'/admin/reviews/:id/hide',
+		authenticationToken,
+		requireAdmin,
+		hideReview
+	);
+	app.post(
+		'/admin/reviews/:id/restore',
+		authenticationToken,
+		requireAdmin,
+		restoreReview
+	);
+};
+
+module.exports = review_routes;
@@ -12,6 +12,7 @@ const {
 } = require('../middleware/auth');
 
 const { OrderStore } = require('../models/order');
+const { CourseStore } = require('../models/course');
 
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
@@ -40,6 +41,21 @@ const createCheckout = async (req, res) => {
 			return res.status(400).json({ error: 'Invalid mode' });
 		}
 
+		// Don't take payment for a course the user can't enroll in yet
+		if (course_id) {
+			const courseStore = new CourseStore(req.app.locals.pool);
+			const missing = await courseStore.getMissingPrerequisites(
+				userId,
+				parseInt(course_id)
+			);
+			if (missing.length > 0) {
+				return res.status(403).json({
+					error: 'Complete the prerequisite courses first',
+					missing_prerequisites: missing,
+				});
+			}
+		}
+
 		// Initialize stores
 		const customerStore = new StripeCustomerStore(req.app.locals.pool);
 
@@ -1,7 +1,33 @@
 require('dotenv').config();
-const { UserStore, handleUserErrors } = require('../models/user');
+const {
+	UserStore,
+	handleUserErrors,
+	validatePassword,
+	validateUserSearch,
+} = require('../models/user');
 const { CourseStore } = require('../models/course');
+const { SessionStore } = require('../models/session');
+const { UserTokenStore } = require('../models/userToken');
+const { TwoFactorStore } = require('../models/twoFactor');
+const {
+	LoginAuditStore,
+	createLoginAttemptStore,
+} = require('../models/loginAttempt');
+const { LoginThrottle } = require('../utilis/loginThrottle');
+const { buildOtpauthUri } = require('../utilis/totp');
 const { generateToken } = require('../middleware/auth');
+const {
+	ROLES,
+	hasPermission,
+	requirePermission,
+} = require('../middleware/permissions');
+const { Mailer } = require('../utilis/mailer');
+const { UserDataExport } = require('../utilis/userExport');
+const { RecommendationStore } = require('../models/recommendation');
+const { MAX_RECOMMENDATIONS } = require('../utilis/recommender');
+const { VisibilityPolicy } = require('../utilis/visibilityPolicy');
+const { MediaStorage } = require('../utilis/mediaStorage');
+const { uploadImage } = require('../middleware/upload');
 
 /**
  * User route handler - manages all user-related endpoints
@@ -9,6 +35,110 @@ const { generateToken } = require('../middleware/auth');
 const users_route = (app) => {
 	const pool = app.locals.pool;
 	const store = new UserStore(pool);
+	const sessionStore = new SessionStore(pool);
+	const tokenStore = new UserTokenStore(pool);
+	const twoFactorStore = new TwoFactorStore(pool);
+	const mailer = new Mailer();
+	const loginAudit = new LoginAuditStore(pool);
+	const loginThrottle = new LoginThrottle(createLoginAttemptStore(pool));
+	const userExport = new UserDataExport(pool);
+
+	/**
+	 * Start a new session and issue an access/refresh token pair
+	 */
+	const issueTokens = async (req, user, { twoFactorVerified = false } = {}) => {
+		const { session, refreshToken } = await sessionStore.create(user.id, {
+			userAgent: req.headers['user-agent'] || null,
+			ipAddress: req.ip || null,
+			twoFactorVerified,
+		});
+
+		return {
+			token: generateToken(user, session.id, twoFactorVerified),
+			refresh_token: refreshToken,
+		};
+	};
+
+	/**
+	 * Point media tracking at the user's current avatar
+	 * The previous avatar file is removed once nothing else uses it
+	 */
+	const syncAvatar = (req, user) =>
+		new MediaStorage(req.app.locals.pool).setReferences(
+			'user',
+			user.id,
+			'avatar',
+			user.avatar
+		);
+
+	/**
+	 * Whether REQUIRE_ADMIN_2FA applies to this user
+	 */
+	const isTwoFactorRequired = (user) =>
+		process.env.REQUIRE_ADMIN_2FA === 'true' &&
+		(user.is_admin || user.role === 'admin');
+
+	/**
+	 * Build the response for a completed login
+	 */
+	const loginResponse = (user, { token, refresh_token }) => ({
+		token,
+		refresh_token,
+		two_factor_setup_required:
+			isTwoFactorRequired(user) && !user.two_factor_enabled,
+		user: {
+			id: user.id,
+			name: user.name,
+			email: user.email,
+			email_verified: user.email_verified,
+			username: user.username,
+			is_admin: user.is_admin,
+			role: user.role,
+			two_factor_enabled: user.two_factor_enabled,
+		},
+	});
+
+	/**
+	 * Send the 423/429 response for a throttled login attempt
+	 */
+	const sendThrottled = (res, throttle) => {
+		res.set('Retry-After', String(throttle.retryAfterSeconds));
+		return res.status(throttle.reason === 'account_locked' ? 423 : 429).json({
+			error:
+				throttle.reason === 'account_locked'
+					? 'Account temporarily locked due to too many failed login attempts'
+					: 'Too many login attempts. Please try again later.',
+			reason: throttle.reason,
+			retry_after_seconds: throttle.retryAfterSeconds,
+		});
+	};
+
+	/**
+	 * Check a TOTP code or, failing that, a recovery code from the request body
+	 * Returns 'code', 'recovery_code' or null
+	 */
+	const verifySecondFactor = async (userId, { code, recovery_code }) => {
+		if (code && (await twoFactorStore.verifyCode(userId, code))) {
+			return 'code';
+		}
+		if (
+			recovery_code &&
+			(await twoFactorStore.consumeRecoveryCode(userId, recovery_code))
+		) {
+			return 'recovery_code';
+		}
+		return null;
+	};
+
+	/**
+	 * Issue a verification token and email it to the user
+	 */
+	const sendVerificationEmail = async (user) => {
+		const token = await tokenStore.issue(user.id, 'verify_email', {
+			email: user.email,
+		});
+		await mailer.sendVerificationEmail(user, token);
+	};
 
 	/**
 	 * Get all users (admin endpoint)
@@ -37,7 +167,8 @@ const users_route = (app) => {
 	const index = async (req, res) => {
 		try {
 			const users = await store.index();
-			return res.status(200).json(users);
+			const policy = new VisibilityPolicy(pool, req.user);
+			return res.status(200).json(await policy.filterProfiles(users));
 		} catch (error) {
 			return res.status(400).json({ error: error.message });
 		}
@@ -49,229 +180,1329 @@ const users_route = (app) => {
 	 */
 	const show = async (req, res) => {
 		try {
-			const user = await store.show(parseInt(req.params.id));
+			const user = await store.getUserWithPrivacy(parseInt(req.params.id));
+			if (!user || user.deleted_at) {
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			const policy = new VisibilityPolicy(pool, req.user);
+			return res.status(200).json(await policy.filterProfile(user));
+		} catch (error) {
+			return res.status(400).json({ error: error.message });
+		}
+	};
+
+	/**
+	 * Create new user (registration)
+	 * POST /create/user - public endpoint
+	 */
+	const create = async (req, res) => {
+		// Map request body to our new schema structure
+		const user = {
+			name: req.body.name,
+			email: req.body.email,
+			avatar: req.body.avatar || '',
+			username: req.body.username,
+			password: req.body.password,
+			is_admin: false, // Roles are only granted by admins
+			city: req.body.city,
+			country: req.body.country,
+			martial_art: req.body.martial_art,
+			experience: req.body.experience || 0,
+			current_courses: req.body.current_courses || [],
+			privacy: {
+				profile: req.body.privacy?.profile || 'public',
+				progress: req.body.privacy?.progress || 'public',
+				courses: req.body.privacy?.courses || 'public',
+			},
+		};
+
+		try {
+			// Validate user data
+			const { error } = handleUserErrors(user);
+			if (error) {
+				return res.status(400).json({ error: error.details[0].message });
+			}
+
+			// Check if email already exists
+			const emailExists = await store.emailExists(user.email);
+			if (emailExists) {
+				return res.status(400).json({ error: 'Email already exists!' });
+			}
+
+			// Check if username already exists
+			const usernameExists = await store.usernameExists(user.username);
+			if (usernameExists) {
+				return res.status(400).json({ error: 'Username already exists!' });
+			}
+
+			// Create new user
+			const newUser = await store.create(user);
+			await syncAvatar(req, newUser);
+
+			// Send email verification link
+			try {
+				await sendVerificationEmail(newUser);
+			} catch (mailError) {
+				console.warn('Failed to send verification email:', mailError.message);
+				// Don't fail registration if the email can't be sent
+			}
+
+			// Start a session and generate tokens
+			const { token, refresh_token } = await issueTokens(req, newUser);
+
+			return res.status(201).json({
+				token,
+				refresh_token,
+				user: {
+					id: newUser.id,
+					name: newUser.name,
+					email: newUser.email,
+					email_verified: newUser.email_verified,
+					username: newUser.username,
+					is_admin: newUser.is_admin,
+					role: newUser.role,
+				},
+			});
+		} catch (error) {
+			console.error('User creation error:', error);
+			return res.status(500).json({ error: 'Failed to create user' });
+		}
+	};
+
+	/**
+	 * Update existing user
+	 * PUT /user/:id - requires user ID authentication
+	 */
+	const update = async (req, res) => {
+		const userId = parseInt(req.params.id);
+
+		try {
+			// Get the current user first to check for avatar changes
+			const currentUser = await store.show(userId);
+			if (!currentUser) {
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			// Map request body to our new schema structure
+			const user = {
+				name: req.body.name,
+				email: req.body.email,
+				avatar: req.body.avatar,
+				username: req.body.username,
+				password: req.body.password,
+				// Only admins may change admin status, and only when it's sent
+				is_admin: req.user.is_admin
+					? (req.body.is_admin ?? currentUser.is_admin)
+					: currentUser.is_admin,
+				city: req.body.city,
+				country: req.body.country,
+				martial_art: req.body.martial_art,
+				experience: req.body.experience,
+				current_courses: req.body.current_courses,
+				privacy: req.body.privacy,
+			};
+
+			// Validate user data
+			const { error } = handleUserErrors(user);
+			if (error) {
+				return res.status(400).json({ error: error.details[0].message });
+			}
+
+			if (userId === req.user.id && currentUser.is_admin && !user.is_admin) {
+				return res
+					.status(400)
+					.json({ error: 'You cannot remove your own admin role' });
+			}
+
+			// Update user
+			const updatedUser = await store.update(user, userId);
+
+			// Existing tokens carry the old role, so force a fresh login
+			if (updatedUser.role !== currentUser.role) {
+				await sessionStore.revokeAllForUser(userId, 'role_changed');
+			}
+
+			// Clean up the old avatar if it changed
+			await syncAvatar(req, updatedUser);
+
+			// Re-verify a changed email address
+			if (currentUser.email !== updatedUser.email) {
+				try {
+					await sendVerificationEmail(updatedUser);
+				} catch (mailError) {
+					console.warn('Failed to send verification email:', mailError.message);
+				}
+			}
+
+			// Force re-login everywhere else after a password change
+			if (req.body.password) {
+				await sessionStore.revokeAllForUser(
+					userId,
+					'password_change',
+					req.user.id === userId ? req.sessionId : null
+				);
+			}
+
+			// Generate new token with updated info (only for the user's own session)
+			const token =
+				req.user.id === userId
+					? generateToken(updatedUser, req.sessionId, req.twoFactorVerified)
+					: undefined;
+
+			return res.status(200).json({
+				token,
+				user: {
+					id: updatedUser.id,
+					name: updatedUser.name,
+					email: updatedUser.email,
+					username: updatedUser.username,
+					is_admin: updatedUser.is_admin,
+					role: updatedUser.role,
+				},
+			});
+		} catch (error) {
+			console.error('User update error:', error);
+			return res.status(500).json({ error: 'Failed to update user' });
+		}
+	};
+
+	/**
+	 * Upload a new avatar (multipart field "avatar") and remove the old one
+	 * PUT /user/:id/avatar - requires user ID authentication
+	 */
+	const uploadAvatar = async (req, res) => {
+		const userId = parseInt(req.params.id);
+
+		try {
+			const currentUser = await store.show(userId);
+			if (!currentUser || currentUser.deleted_at) {
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			const mediaStorage = new MediaStorage(req.app.locals.pool);
+			const image = await mediaStorage.upload(req.file.buffer, {
+				folder: 'avatars',
+				publicId: `user-${userId}-${Date.now()}`,
+				mimeType: req.file.mimeType,
+				extension: req.file.extension,
+				transformation: 'c_fill,g_face,w_512,h_512',
+				uploadedBy: req.user.id,
+			});
+
+			const updatedUser = await store.updateAvatar(userId, image.url);
+			if (!updatedUser) {
+				// User was deleted mid-upload - don't leave the image behind
+				await mediaStorage.delete(image.url);
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			// Replaces the old avatar, which is then removed
+			await mediaStorage.setReferences('user', userId, 'avatar', image.url);
+
+			return res.status(200).json({ avatar: updatedUser.avatar });
+		} catch (error) {
+			console.error('Avatar upload error:', error);
+			return res.status(500).json({ error: 'Failed to upload avatar' });
+		}
+	};
+
+	/**
+	 * Remove a user's avatar
+	 * DELETE /user/:id/avatar - requires user ID authentication
+	 */
+	const removeAvatar = async (req, res) => {
+		const userId = parseInt(req.params.id);
+
+		try {
+			const currentUser = await store.show(userId);
+			if (!currentUser || currentUser.deleted_at) {
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			await store.updateAvatar(userId, null);
+			await new MediaStorage(req.app.locals.pool).releaseEntity('user', userId);
+
+			return res.status(200).json({ avatar: null });
+		} catch (error) {
+			console.error('Avatar removal error:', error);
+			return res.status(500).json({ error: 'Failed to remove avatar' });
+		}
+	};
+
+	/**
+	 * Delete user - disables the account now and anonymizes it after the grace period
+	 * Admins can pass ?immediate=true to anonymize straight away
+	 * DELETE /user/:id - requires user ID authentication
+	 */
+	const deleteUser = async (req, res) => {
+		const userId = parseInt(req.params.id);
+
+		try {
+			const userToDelete = await store.show(userId);
+			if (!userToDelete || userToDelete.deleted_at) {
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			const deletedUser = await store.delete(userId);
+			await sessionStore.revokeAllForUser(userId, 'account_deleted');
+
+			if (req.user.is_admin && req.query.immediate === 'true') {
+				await store.anonymize(userId);
+				await new MediaStorage(req.app.locals.pool).releaseEntity(
+					'user',
+					userId
+				);
+
+				return res.status(200).json({
+					message: 'User deleted and anonymized',
+					user_id: userId,
+				});
+			}
+
+			return res.status(200).json({
+				message:
+					'Account scheduled for deletion. It can be restored until the deletion date.',
+				user_id: userId,
+				deletion_scheduled_for: deletedUser.deletion_scheduled_for,
+			});
+		} catch (error) {
+			console.error('User deletion error:', error);
+			return res.status(500).json({ error: 'Failed to delete user' });
+		}
+	};
+
+	/**
+	 * Restore an account scheduled for deletion by signing in with its credentials
+	 * POST /user/restore - public endpoint
+	 */
+	const restoreAccount = async (req, res) => {
+		const { username, password } = req.body;
+		if (!username || !password) {
+			return res
+				.status(400)
+				.json({ error: 'Username and password are required' });
+		}
+
+		try {
+			const throttle = await loginThrottle.check(username, req.ip);
+			if (!throttle.allowed) {
+				return sendThrottled(res, throttle);
+			}
+
+			const authUser = await store.authenticate(username, password);
+			if (!authUser || !authUser.deleted_at || authUser.anonymized_at) {
+				if (!authUser) {
+					await loginThrottle.registerFailure(username, req.ip);
+				}
+				return res
+					.status(401)
+					.json({ error: 'No restorable account found for those credentials' });
+			}
+
+			await store.restore(authUser.id);
+			await loginThrottle.registerSuccess(username);
+
+			return res.status(200).json({
+				message: 'Account restored. You can now log in.',
+				user_id: authUser.id,
+			});
+		} catch (error) {
+			console.error('Restore account error:', error);
+			return res.status(500).json({ error: 'Failed to restore account' });
+		}
+	};
+
+	/**
+	 * Restore an account scheduled for deletion (admin endpoint)
+	 * POST /admin/users/:id/restore - requires admin authentication
+	 */
+	const adminRestoreAccount = async (req, res) => {
+		try {
+			const restoredUser = await store.restore(parseInt(req.params.id));
+			if (!restoredUser) {
+				return res
+					.status(404)
+					.json({ error: 'No restorable deleted account found' });
+			}
+
+			return res.status(200).json({
+				message: 'Account restored',
+				user_id: restoredUser.id,
+			});
+		} catch (error) {
+			console.error('Admin restore account error:', error);
+			return res.status(500).json({ error: 'Failed to restore account' });
+		}
+	};
+
+	/**
+	 * Authenticate user (login)
+	 * POST /user/authenticate - public endpoint
+	 */
+	const authenticate = async (req, res) => {
+		const { username, password } = req.body;
+		if (!username || !password) {
+			return res
+				.status(400)
+				.json({ error: 'Username and password are required' });
+		}
+
+		const ipAddress = req.ip;
+		const userAgent = req.headers['user-agent'];
+
+		try {
+			// Reject early while the account or IP is delayed or locked
+			const throttle = await loginThrottle.check(username, ipAddress);
+			if (!throttle.allowed) {
+				await loginAudit.record({
+					username,
+					ipAddress,
+					userAgent,
+					outcome: 'throttled',
+				});
+
+				return sendThrottled(res, throttle);
+			}
+
+			const authUser = await store.authenticate(username, password);
+			if (!authUser) {
+				const failure = await loginThrottle.registerFailure(username, ipAddress);
+				const knownUser = await store.findByUsername(username);
+
+				await loginAudit.record({
+					userId: knownUser?.id,
+					username,
+					ipAddress,
+					userAgent,
+					outcome: failure.accountLocked ? 'locked' : 'failed',
+				});
+
+				return res.status(401).json({ error: 'Invalid username or password' });
+			}
+
+			// Deleted accounts can only be restored during the grace period
+			if (authUser.deleted_at) {
+				return res.status(403).json({
+					error: 'This account has been deleted',
+					deletion_scheduled_for: authUser.deletion_scheduled_for,
+					restorable: !authUser.anonymized_at,
+				});
+			}
+
+			if (authUser.suspended_at) {
+				return res.status(403).json({
+					error: 'This account has been suspended',
+					reason: authUser.suspended_reason,
+				});
+			}
+
+			// Password is correct - ask for the second factor before issuing tokens
+			if (authUser.two_factor_enabled) {
+				const challengeToken = await tokenStore.issue(
+					authUser.id,
+					'two_factor_login'
+				);
+
+				return res.status(200).json({
+					two_factor_required: true,
+					challenge_token: challengeToken,
+				});
+			}
+
+			await loginThrottle.registerSuccess(username);
+
+			// Start a session and generate tokens
+			const tokens = await issueTokens(req, authUser);
+
+			return res.status(200).json(loginResponse(authUser, tokens));
+		} catch (error) {
+			console.error('Authentication error:', error);
+			return res.status(500).json({ error: 'Authentication failed' });
+		}
+	};
+
+	/**
+	 * Complete a login with a TOTP or recovery code
+	 * POST /user/authenticate/2fa - public endpoint (requires challenge_token)
+	 */
+	const authenticateTwoFactor = async (req, res) => {
+		const { challenge_token, code, recovery_code } = req.body;
+		if (!challenge_token || (!code && !recovery_code)) {
+			return res.status(400).json({
+				error: 'Challenge token and a code or recovery code are required',
+			});
+		}
+
+		const ipAddress = req.ip;
+		const userAgent = req.headers['user-agent'];
+
+		try {
+			const challenge = await tokenStore.verify(
+				challenge_token,
+				'two_factor_login'
+			);
+			if (!challenge) {
+				return res
+					.status(401)
+					.json({ error: 'Login challenge is invalid or has expired' });
+			}
+
+			const authUser = await store.show(challenge.sub);
+			if (
+				!authUser ||
+				!authUser.two_factor_enabled ||
+				authUser.deleted_at ||
+				authUser.suspended_at
+			) {
+				return res
+					.status(401)
+					.json({ error: 'Login challenge is invalid or has expired' });
+			}
+
+			// Code guesses count towards the same lockout as password guesses
+			const throttle = await loginThrottle.check(authUser.username, ipAddress);
+			if (!throttle.allowed) {
+				await loginAudit.record({
+					userId: authUser.id,
+					username: authUser.username,
+					ipAddress,
+					userAgent,
+					outcome: 'throttled',
+				});
+
+				return sendThrottled(res, throttle);
+			}
+
+			const method = await verifySecondFactor(authUser.id, {
+				code,
+				recovery_code,
+			});
+			if (!method) {
+				const failure = await loginThrottle.registerFailure(
+					authUser.username,
+					ipAddress
+				);
+
+				await loginAudit.record({
+					userId: authUser.id,
+					username: authUser.username,
+					ipAddress,
+					userAgent,
+					outcome: failure.accountLocked ? 'locked' : 'failed',
+				});
+
+				return res.status(401).json({ error: 'Invalid authentication code' });
+			}
+
+			// Challenge tokens are single-use
+			if (!(await tokenStore.consume(challenge_token, 'two_factor_login'))) {
+				return res
+					.status(401)
+					.json({ error: 'Login challenge is invalid or has expired' });
+			}
+
+			await loginThrottle.registerSuccess(authUser.username);
+
+			const tokens = await issueTokens(req, authUser, {
+				twoFactorVerified: true,
+			});
+			const response = loginResponse(authUser, tokens);
+
+			if (method === 'recovery_code') {
+				response.recovery_codes_remaining =
+					await twoFactorStore.countRemainingRecoveryCodes(authUser.id);
+			}
+
+			return res.status(200).json(response);
+		} catch (error) {
+			console.error('Two-factor authentication error:', error);
+			return res.status(500).json({ error: 'Authentication failed' });
+		}
+	};
+
+	/**
+	 * Exchange a refresh token for a new access/refresh token pair
+	 * POST /user/refresh - public endpoint
+	 */
+	const refresh = async (req, res) => {
+		const { refresh_token } = req.body;
+		if (!refresh_token) {
+			return res.status(400).json({ error: 'Refresh token is required' });
+		}
+
+		try {
+			const rotated = await sessionStore.rotate(refresh_token);
+			if (!rotated) {
+				return res
+					.status(401)
+					.json({ error: 'Invalid or expired refresh token' });
+			}
+
+			const user = await store.show(rotated.session.user_id);
+			if (!user || user.deleted_at || user.suspended_at) {
+				await sessionStore.revoke(rotated.session.id, 'user_not_found');
+				return res
+					.status(401)
+					.json({ error: 'Invalid or expired refresh token' });
+			}
+
+			return res.status(200).json({
+				token: generateToken(
+					user,
+					rotated.session.id,
+					rotated.session.two_factor_verified
+				),
+				refresh_token: rotated.refreshToken,
+			});
+		} catch (error) {
+			console.error('Token refresh error:', error);
+			return res.status(500).json({ error: 'Failed to refresh token' });
+		}
+	};
+
+	/**
+	 * Log out the current session, or every session with { all: true }
+	 * POST /user/logout - requires authentication
+	 */
+	const logout = async (req, res) => {
+		try {
+			if (req.body?.all) {
+				const result = await sessionStore.revokeAllForUser(
+					req.user.id,
+					'logout_all'
+				);
+				return res.status(200).json({
+					message: 'Logged out of all sessions',
+					...result,
+				});
+			}
+
+			await sessionStore.revoke(req.sessionId, 'logout');
+			return res.status(200).json({ message: 'Logged out successfully' });
+		} catch (error) {
+			console.error('Logout error:', error);
+			return res.status(500).json({ error: 'Failed to log out' });
+		}
+	};
+
+	/**
+	 * Confirm an email address from a verification link
+	 * POST /user/verify-email - public endpoint
+	 */
+	const verifyEmail = async (req, res) => {
+		const { token } = req.body;
+		if (!token) {
+			return res.status(400).json({ error: 'Verification token is required' });
+		}
+
+		try {
+			const payload = await tokenStore.consume(token, 'verify_email');
+			if (!payload) {
+				return res
+					.status(400)
+					.json({ error: 'Invalid or expired verification token' });
+			}
+
+			const user = await store.show(payload.sub);
+			if (!user || user.email !== payload.email) {
+				return res
+					.status(400)
+					.json({ error: 'Invalid or expired verification token' });
+			}
+
+			await store.markEmailVerified(user.id);
+
+			return res.status(200).json({
+				message: 'Email verified successfully',
+				user_id: user.id,
+			});
+		} catch (error) {
+			console.error('Verify email error:', error);
+			return res.status(500).json({ error: 'Failed to verify email' });
+		}
+	};
+
+	/**
+	 * Resend the email verification link
+	 * POST /user/:id/verify-email/resend - requires user ID authentication
+	 */
+	const resendVerificationEmail = async (req, res) => {
+		try {
+			const user = await store.show(parseInt(req.params.id));
+			if (!user) {
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			if (user.email_verified) {
+				return res.status(400).json({ error: 'Email is already verified' });
+			}
+
+			await sendVerificationEmail(user);
+
+			return res.status(200).json({ message: 'Verification email sent' });
+		} catch (error) {
+			console.error('Resend verification email error:', error);
+			return res
+				.status(500)
+				.json({ error: 'Failed to send verification email' });
+		}
+	};
+
+	/**
+	 * Request a password reset link
+	 * POST /user/forgot-password - public endpoint
+	 */
+	const forgotPassword = async (req, res) => {
+		const { email } = req.body;
+		if (!email) {
+			return res.status(400).json({ error: 'Email is required' });
+		}
+
+		try {
+			const user = await store.findByEmail(email);
+
+			// Only send if the account exists, but always respond the same way
+			// A failed send is only logged, so the response can't reveal the account
+			if (user && !user.deleted_at) {
+				try {
+					const token = await tokenStore.issue(user.id, 'reset_password');
+					await mailer.sendPasswordResetEmail(user, token);
+				} catch (error) {
+					console.error('Password reset email error:', error);
+				}
+			}
+
+			return res.status(200).json({
+				message:
+					'If an account exists for that email, a password reset link has been sent',
+			});
+		} catch (error) {
+			console.error('Forgot password error:', error);
+			return res
+				.status(500)
+				.json({ error: 'Failed to process password reset request' });
+		}
+	};
+
+	/**
+	 * Set a new password using a reset link
+	 * POST /user/reset-password - public endpoint
+	 */
+	const resetPassword = async (req, res) => {
+		const { token, password } = req.body;
+		if (!token || !password) {
+			return res
+				.status(400)
+				.json({ error: 'Reset token and new password are required' });
+		}
+
+		const { error } = validatePassword(password);
+		if (error) {
+			return res.status(400).json({ error: error.details[0].message });
+		}
+
+		try {
+			const payload = await tokenStore.consume(token, 'reset_password');
+			if (!payload) {
+				return res.status(400).json({ error: 'Invalid or expired reset token' });
+			}
+
+			const user = await store.updatePassword(payload.sub, password);
+			if (!user) {
+				return res.status(400).json({ error: 'Invalid or expired reset token' });
+			}
+
+			// Log out every existing session after a reset
+			await sessionStore.revokeAllForUser(user.id, 'password_reset');
+
+			return res.status(200).json({
+				message: 'Password has been reset. Please log in again.',
+			});
+		} catch (error) {
+			console.error('Reset password error:', error);
+			return res.status(500).json({ error: 'Failed to reset password' });
+		}
+	};
+
+	/**
+	 * Get active sessions for a user
+	 * GET /user/:id/sessions - requires user ID authentication
+	 */
+	const getSessions = async (req, res) => {
+		try {
+			const sessions = await sessionStore.getActiveSessions(
+				parseInt(req.params.id)
+			);
+
+			return res.status(200).json(
+				sessions.map((session) => ({
+					...session,
+					current: session.id === req.sessionId,
+				}))
+			);
+		} catch (error) {
+			console.error('Get sessions error:', error);
+			return res.status(500).json({ error: 'Failed to get sessions' });
+		}
+	};
+
+	/**
+	 * Revoke all sessions for a user (admin endpoint)
+	 * POST /admin/users/:id/revoke-sessions - requires admin authentication
+	 */
+	const revokeUserSessions = async (req, res) => {
+		try {
+			const userId = parseInt(req.params.id);
+			const user = await store.show(userId);
+			if (!user) {
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			const result = await sessionStore.revokeAllForUser(
+				userId,
+				'admin_revoked'
+			);
+
+			return res.status(200).json({
+				message: 'All sessions revoked for user',
+				user_id: userId,
+				...result,
+			});
+		} catch (error) {
+			console.error('Revoke user sessions error:', error);
+			return res.status(500).json({ error: 'Failed to revoke sessions' });
+		}
+	};
+
+	/**
+	 * Unlock an account locked by failed logins (admin endpoint)
+	 * POST /admin/users/:id/unlock - requires admin authentication
+	 */
+	const unlockAccount = async (req, res) => {
+		try {
+			const user = await store.show(parseInt(req.params.id));
+			if (!user) {
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			await loginThrottle.unlock(user.username);
+			await loginAudit.record({
+				userId: user.id,
+				username: user.username,
+				ipAddress: req.ip,
+				userAgent: req.headers['user-agent'],
+				outcome: 'unlocked',
+			});
+
+			return res.status(200).json({
+				message: 'Account unlocked',
+				user_id: user.id,
+			});
+		} catch (error) {
+			console.error('Unlock account error:', error);
+			return res.status(500).json({ error: 'Failed to unlock account' });
+		}
+	};
+
+	/**
+	 * Get failed login audit records (admin endpoint)
+	 * GET /admin/login-attempts?username=&ip=&limit=50 - requires admin authentication
+	 */
+	const getLoginAttempts = async (req, res) => {
+		const limit = parseInt(req.query.limit) || 50;
+
+		if (limit > 500) {
+			return res.status(400).json({ error: 'Limit cannot exceed 500' });
+		}
+
+		try {
+			const attempts = await loginAudit.getRecent({
+				username: req.query.username || null,
+				ipAddress: req.query.ip || null,
+				limit,
+			});
+
+			const lockState = req.query.username
+				? await loginThrottle.getAccountState(req.query.username)
+				: null;
+
+			return res.status(200).json({
+				attempts,
+				account_state: lockState,
+			});
+		} catch (error) {
+			console.error('Get login attempts error:', error);
+			return res.status(500).json({ error: 'Failed to get login attempts' });
+		}
+	};
+
+	/**
+	 * Apply a role change and force the user to sign in again
+	 */
+	const changeRole = async (req, res, role) => {
+		const userId = parseInt(req.params.id);
+
+		if (!ROLES.includes(role)) {
+			return res
+				.status(400)
+				.json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+		}
+
+		if (userId === req.user.id && role !== 'admin') {
+			return res
+				.status(400)
+				.json({ error: 'You cannot remove your own admin role' });
+		}
+
+		const updatedUser = await store.updateRole(userId, role);
+		if (!updatedUser) {
+			return res.status(404).json({ error: 'User not found' });
+		}
+
+		// Existing tokens carry the old role, so force a fresh login
+		await sessionStore.revokeAllForUser(userId, 'role_changed');
+
+		return res.status(200).json({
+			id: updatedUser.id,
+			name: updatedUser.name,
+			username: updatedUser.username,
+			role: updatedUser.role,
+			is_admin: updatedUser.is_admin,
+		});
+	};
+
+	/**
+	 * Change a user's role (admin endpoint)
+	 * PUT /admin/users/:id/role - requires users:manage_roles permission
+	 */
+	const updateRole = async (req, res) => {
+		try {
+			return await changeRole(req, res, req.body.role);
+		} catch (error) {
+			console.error('Update role error:', error);
+			return res.status(500).json({ error: 'Failed to update user role' });
+		}
+	};
+
+	/**
+	 * Promote a user - defaults to admin, or pass { role: 'instructor' | 'moderator' }
+	 * POST /admin/users/:id/promote - requires users:manage_roles permission
+	 */
+	const promoteUser = async (req, res) => {
+		const role = req.body?.role || 'admin';
+		if (role === 'student') {
+			return res.status(400).json({ error: 'Use demote to make a user a student' });
+		}
+
+		try {
+			return await changeRole(req, res, role);
+		} catch (error) {
+			console.error('Promote user error:', error);
+			return res.status(500).json({ error: 'Failed to promote user' });
+		}
+	};
+
+	/**
+	 * Demote a user - defaults to student, or pass a lower role
+	 * POST /admin/users/:id/demote - requires users:manage_roles permission
+	 */
+	const demoteUser = async (req, res) => {
+		const role = req.body?.role || 'student';
+		if (role === 'admin') {
+			return res.status(400).json({ error: 'Use promote to make a user an admin' });
+		}
+
+		try {
+			return await changeRole(req, res, role);
+		} catch (error) {
+			console.error('Demote user error:', error);
+			return res.status(500).json({ error: 'Failed to demote user' });
+		}
+	};
+
+	/**
+	 * Search and list users for administration
+	 * GET /admin/users?q=&country=&martial_art=&is_admin=&role=&has_subscription=&course_id=
+	 *   &status=active|suspended|deleted|all&sort=&order=&cursor=&limit= - requires users:view permission
+	 */
+	const listUsers = async (req, res) => {
+		const { error, value } = validateUserSearch(req.query);
+		if (error) {
+			return res.status(400).json({ error: error.details[0].message });
+		}
+
+		if (value.cursor) {
+			try {
+				store.decodeCursor(value.cursor);
+			} catch (cursorError) {
+				return res.status(400).json({ error: 'Invalid cursor' });
+			}
+		}
+
+		try {
+			const result = await store.search(value);
+			return res.status(200).json({ ...result, limit: value.limit });
+		} catch (error) {
+			console.error('List users error:', error);
+			return res.status(500).json({ error: 'Failed to list users' });
+		}
+	};
+
+	/**
+	 * Get a single user for administration
+	 * GET /admin/users/:id - requires users:view permission
+	 */
+	const getAdminUser = async (req, res) => {
+		try {
+			const user = await store.getAdminView(parseInt(req.params.id));
+			if (!user) {
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			return res.status(200).json(user);
+		} catch (error) {
+			console.error('Get admin user error:', error);
+			return res.status(500).json({ error: 'Failed to get user' });
+		}
+	};
+
+	/**
+	 * Suspend a user - blocks login and ends their sessions
+	 * POST /admin/users/:id/suspend - requires admin authentication
+	 */
+	const suspendUser = async (req, res) => {
+		const userId = parseInt(req.params.id);
+		const reason = req.body?.reason;
+
+		if (userId === req.user.id) {
+			return res.status(400).json({ error: 'You cannot suspend yourself' });
+		}
+		if (reason && `${reason}`.length > 500) {
+			return res
+				.status(400)
+				.json({ error: 'Reason cannot exceed 500 characters' });
+		}
+
+		try {
+			const suspendedUser = await store.suspend(userId, reason, req.user.id);
+			if (!suspendedUser) {
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			await sessionStore.revokeAllForUser(userId, 'suspended');
+
+			return res.status(200).json({
+				message: 'User suspended',
+				user_id: userId,
+				suspended_at: suspendedUser.suspended_at,
+			});
+		} catch (error) {
+			console.error('Suspend user error:', error);
+			return res.status(500).json({ error: 'Failed to suspend user' });
+		}
+	};
+
+	/**
+	 * Lift a suspension
+	 * POST /admin/users/:id/unsuspend - requires admin authentication
+	 */
+	const unsuspendUser = async (req, res) => {
+		try {
+			const user = await store.unsuspend(parseInt(req.params.id));
+			if (!user) {
+				return res.status(404).json({ error: 'No suspended user found' });
+			}
+
+			return res.status(200).json({
+				message: 'User unsuspended',
+				user_id: user.id,
+			});
+		} catch (error) {
+			console.error('Unsuspend user error:', error);
+			return res.status(500).json({ error: 'Failed to unsuspend user' });
+		}
+	};
+
+	// ========================
+	// TWO-FACTOR AUTHENTICATION
+	// ========================
+
+	/**
+	 * Users may only manage their own second factor
+	 */
+	const requireSelf = (req, res) => {
+		if (req.user.id !== parseInt(req.params.id)) {
+			res.status(403).json({
+				error: 'You can only manage your own two-factor authentication',
+			});
+			return false;
+		}
+		return true;
+	};
+
+	/**
+	 * Get two-factor status
+	 * GET /user/:id/2fa - requires user ID authentication
+	 */
+	const getTwoFactorStatus = async (req, res) => {
+		try {
+			const user = await store.show(parseInt(req.params.id));
+			if (!user) {
+				return res.status(404).json({ error: 'User not found' });
+			}
+
+			const settings = await twoFactorStore.getByUserId(user.id);
+
+			return res.status(200).json({
+				enabled: user.two_factor_enabled,
+				enabled_at: settings?.enabled_at || null,
+				pending_enrollment: !!settings && !settings.enabled_at,
+				required: isTwoFactorRequired(user),
+				recovery_codes_remaining: user.two_factor_enabled
+					? await twoFactorStore.countRemainingRecoveryCodes(user.id)
+					: 0,
+			});
+		} catch (error) {
+			console.error('Get two-factor status error:', error);
+			return res
+				.status(500)
+				.json({ error: 'Failed to get two-factor status' });
+		}
+	};
+
+	/**
+	 * Start enrollment - returns the secret and otpauth:// URI for the QR code
+	 * POST /user/:id/2fa/setup - requires user ID authentication
+	 */
+	const setupTwoFactor = async (req, res) => {
+		if (!requireSelf(req, res)) {
+			return;
+		}
+
+		try {
+			const user = await store.show(req.user.id);
 			if (!user) {
 				return res.status(404).json({ error: 'User not found' });
 			}
-			return res.status(200).json(user);
+
+			const secret = await twoFactorStore.startEnrollment(user.id);
+			if (!secret) {
+				return res
+					.status(409)
+					.json({ error: 'Two-factor authentication is already enabled' });
+			}
+
+			return res.status(200).json({
+				secret,
+				otpauth_url: buildOtpauthUri({
+					secret,
+					accountName: user.email || user.username,
+				}),
+			});
 		} catch (error) {
-			return res.status(400).json({ error: error.message });
+			console.error('Two-factor setup error:', error);
+			return res
+				.status(500)
+				.json({ error: 'Failed to start two-factor enrollment' });
 		}
 	};
 
 	/**
-	 * Create new user (registration)
-	 * POST /create/user - public endpoint
+	 * Confirm enrollment with a code from the authenticator app
+	 * Returns the recovery codes once and upgrades the current session
+	 * POST /user/:id/2fa/enable - requires user ID authentication
 	 */
-	const create = async (req, res) => {
-		// Map request body to our new schema structure
-		const user = {
-			name: req.body.name,
-			email: req.body.email,
-			avatar: req.body.avatar || '',
-			username: req.body.username,
-			password: req.body.password,
-			is_admin: req.body.is_admin || false,
-			city: req.body.city,
-			country: req.body.country,
-			martial_art: req.body.martial_art,
-			experience: req.body.experience || 0,
-			current_courses: req.body.current_courses || [],
-			privacy: {
-				profile: req.body.privacy?.profile || 'public',
-				progress: req.body.privacy?.progress || 'public',
-				courses: req.body.privacy?.courses || 'public',
-			},
-		};
+	const enableTwoFactor = async (req, res) => {
+		if (!requireSelf(req, res)) {
+			return;
+		}
+
+		if (!req.body.code) {
+			return res.status(400).json({ error: 'Code is required' });
+		}
 
 		try {
-			// Validate user data
-			const { error } = handleUserErrors(user);
-			if (error) {
-				return res.status(400).json({ error: error.details[0].message });
-			}
+			const user = await store.show(req.user.id);
+			const settings = await twoFactorStore.getByUserId(req.user.id);
 
-			// Check if email already exists
-			const emailExists = await store.emailExists(user.email);
-			if (emailExists) {
-				return res.status(400).json({ error: 'Email already exists!' });
+			if (!user || !settings) {
+				return res
+					.status(400)
+					.json({ error: 'Start two-factor setup before enabling it' });
 			}
-
-			// Check if username already exists
-			const usernameExists = await store.usernameExists(user.username);
-			if (usernameExists) {
-				return res.status(400).json({ error: 'Username already exists!' });
+			if (user.two_factor_enabled) {
+				return res
+					.status(409)
+					.json({ error: 'Two-factor authentication is already enabled' });
 			}
 
-			// Create new user
-			const newUser = await store.create(user);
+			if (!(await twoFactorStore.verifyCode(user.id, req.body.code))) {
+				return res.status(400).json({ error: 'Invalid authentication code' });
+			}
 
-			// Generate JWT token
-			const token = generateToken(newUser);
+			const recoveryCodes = await twoFactorStore.enable(user.id);
+			await sessionStore.markTwoFactorVerified(req.sessionId);
 
-			return res.status(201).json({
-				token,
-				user: {
-					id: newUser.id,
-					name: newUser.name,
-					email: newUser.email,
-					username: newUser.username,
-					is_admin: newUser.is_admin,
-				},
+			return res.status(200).json({
+				message: 'Two-factor authentication enabled',
+				recovery_codes: recoveryCodes,
+				token: generateToken(
+					{ ...user, two_factor_enabled: true },
+					req.sessionId,
+					true
+				),
 			});
 		} catch (error) {
-			console.error('User creation error:', error);
-			return res.status(500).json({ error: 'Failed to create user' });
+			console.error('Enable two-factor error:', error);
+			return res
+				.status(500)
+				.json({ error: 'Failed to enable two-factor authentication' });
 		}
 	};
 
 	/**
-	 * Update existing user
-	 * PUT /user/:id - requires user ID authentication
+	 * Turn off two-factor authentication (requires a current code or recovery code)
+	 * POST /user/:id/2fa/disable - requires user ID authentication
 	 */
-	const update = async (req, res) => {
-		const userId = parseInt(req.params.id);
+	const disableTwoFactor = async (req, res) => {
+		if (!requireSelf(req, res)) {
+			return;
+		}
 
 		try {
-			// Get the current user first to check for avatar changes
-			const currentUser = await store.show(userId);
-			if (!currentUser) {
-				return res.status(404).json({ error: 'User not found' });
+			const user = await store.show(req.user.id);
+			if (!user || !user.two_factor_enabled) {
+				return res
+					.status(400)
+					.json({ error: 'Two-factor authentication is not enabled' });
 			}
 
-			// Map request body to our new schema structure
-			const user = {
-				name: req.body.name,
-				email: req.body.email,
-				avatar: req.body.avatar,
-				username: req.body.username,
-				password: req.body.password,
-				is_admin: req.body.is_admin,
-				city: req.body.city,
-				country: req.body.country,
-				martial_art: req.body.martial_art,
-				experience: req.body.experience,
-				current_courses: req.body.current_courses,
-				privacy: req.body.privacy,
-			};
+			if (isTwoFactorRequired(user)) {
+				return res.status(403).json({
+					error: 'Two-factor authentication is required for admin accounts',
+				});
+			}
 
-			// Validate user data
-			const { error } = handleUserErrors(user);
-			if (error) {
-				return res.status(400).json({ error: error.details[0].message });
+			if (!(await verifySecondFactor(user.id, req.body))) {
+				return res.status(400).json({ error: 'Invalid authentication code' });
 			}
 
-			// Update user
-			const updatedUser = await store.update(user, userId);
+			await twoFactorStore.disable(user.id);
 
-			// Clean up old Cloudinary avatar if it changed
-			if (currentUser.avatar && user.avatar && currentUser.avatar !== user.avatar) {
-				try {
-					const { deleteImageDirect, extractPublicIdFromUrl } = require('./cloudinary');
-					const publicId = extractPublicIdFromUrl(currentUser.avatar);
-					if (publicId) {
-						await deleteImageDirect(publicId);
-						console.log('Deleted old Cloudinary avatar:', publicId);
-					}
-				} catch (imageError) {
-					console.warn('Failed to delete old Cloudinary avatar:', imageError.message);
-					// Don't fail the operation if image cleanup fails
-				}
+			return res
+				.status(200)
+				.json({ message: 'Two-factor authentication disabled' });
+		} catch (error) {
+			console.error('Disable two-factor error:', error);
+			return res
+				.status(500)
+				.json({ error: 'Failed to disable two-factor authentication' });
+		}
+	};
+
+	/**
+	 * Replace recovery codes (requires a current code)
+	 * POST /user/:id/2fa/recovery-codes - requires user ID authentication
+	 */
+	const regenerateRecoveryCodes = async (req, res) => {
+		if (!requireSelf(req, res)) {
+			return;
+		}
+
+		if (!req.body.code) {
+			return res.status(400).json({ error: 'Code is required' });
+		}
+
+		try {
+			const user = await store.show(req.user.id);
+			if (!user || !user.two_factor_enabled) {
+				return res
+					.status(400)
+					.json({ error: 'Two-factor authentication is not enabled' });
 			}
 
-			// Generate new token with updated info
-			const token = generateToken(updatedUser);
+			if (!(await twoFactorStore.verifyCode(user.id, req.body.code))) {
+				return res.status(400).json({ error: 'Invalid authentication code' });
+			}
 
-			return res.status(200).json({
-				token,
-				user: {
-					id: updatedUser.id,
-					name: updatedUser.name,
-					email: updatedUser.email,
-					username: updatedUser.username,
-					is_admin: updatedUser.is_admin,
-				},
-			});
+			const recoveryCodes = await twoFactorStore.regenerateRecoveryCodes(
+				user.id
+			);
+
+			return res.status(200).json({ recovery_codes: recoveryCodes });
 		} catch (error) {
-			console.error('User update error:', error);
-			return res.status(500).json({ error: 'Failed to update user' });
+			console.error('Regenerate recovery codes error:', error);
+			return res
+				.status(500)
+				.json({ error: 'Failed to regenerate recovery codes' });
 		}
 	};
 
 	/**
-	 * Delete user
-	 * DELETE /user/:id - requires user ID authentication
+	 * Reset a user's two-factor authentication, e.g. after a lost device (admin endpoint)
+	 * DELETE /admin/users/:id/2fa - requires admin authentication
 	 */
-	const deleteUser = async (req, res) => {
+	const resetTwoFactor = async (req, res) => {
 		try {
-			// Get the user first to check for avatar
-			const userToDelete = await store.show(parseInt(req.params.id));
-			if (!userToDelete) {
+			const userId = parseInt(req.params.id);
+			const user = await store.show(userId);
+			if (!user) {
 				return res.status(404).json({ error: 'User not found' });
 			}
 
-			// Delete the user from database
-			const deletedUser = await store.delete(parseInt(req.params.id));
-
-			// Clean up Cloudinary avatar if it exists
-			if (userToDelete.avatar) {
-				try {
-					const { deleteImageDirect, extractPublicIdFromUrl } = require('./cloudinary');
-					const publicId = extractPublicIdFromUrl(userToDelete.avatar);
-					if (publicId) {
-						await deleteImageDirect(publicId);
-						console.log('Deleted Cloudinary avatar:', publicId);
-					}
-				} catch (imageError) {
-					console.warn('Failed to delete Cloudinary avatar:', imageError.message);
-					// Don't fail the operation if image cleanup fails
-				}
-			}
+			await twoFactorStore.disable(userId);
+			await sessionStore.revokeAllForUser(userId, 'two_factor_reset');
 
 			return res.status(200).json({
-				message: 'User deleted successfully',
-				user: deletedUser,
+				message: 'Two-factor authentication reset for user',
+				user_id: userId,
 			});
 		} catch (error) {
-			console.error('User deletion error:', error);
-			return res.status(500).json({ error: 'Failed to delete user' });
+			console.error('Reset two-factor error:', error);
+			return res
+				.status(500)
+				.json({ error: 'Failed to reset two-factor authentication' });
 		}
 	};
 
 	/**
-	 * Authenticate user (login)
-	 * POST /user/authenticate - public endpoint
+	 * Download everything held about a user as JSON, or a zip of JSON + CSV files
+	 * GET /user/:id/export?format=json|zip - requires user ID authentication
 	 */
-	const authenticate = async (req, res) => {
-		const { username, password } = req.body;
-		if (!username || !password) {
-			return res
-				.status(400)
-				.json({ error: 'Username and password are required' });
+	const exportUserData = async (req, res) => {
+		const userId = parseInt(req.params.id);
+		const format = req.query.format || 'json';
+
+		if (!['json', 'zip'].includes(format)) {
+			return res.status(400).json({ error: 'Format must be json or zip' });
 		}
 
 		try {
-			const authUser = await store.authenticate(username, password);
-			if (!authUser) {
-				return res.status(401).json({ error: 'Invalid username or password' });
+			const data = await userExport.build(userId);
+			if (!data) {
+				return res.status(404).json({ error: 'User not found' });
 			}
 
-			// Generate JWT token
-			const token = generateToken(authUser);
+			const fileName = `jingwu-export-user-${userId}-${
+				new Date().toISOString().split('T')[0]
+			}`;
+			res.set('Cache-Control', 'no-store');
 
-			return res.status(200).json({
-				token,
-				user: {
-					id: authUser.id,
-					name: authUser.name,
-					email: authUser.email,
-					username: authUser.username,
-					is_admin: authUser.is_admin,
-				},
-			});
+			if (format === 'zip') {
+				res.set('Content-Type', 'application/zip');
+				res.set('Content-Disposition', `attachment; filename="${fileName}.zip"`);
+				return await userExport.writeZip(data, res);
+			}
+
+			res.set('Content-Disposition', `attachment; filename="${fileName}.json"`);
+			return res.status(200).json(data);
 		} catch (error) {
-			console.error('Authentication error:', error);
-			return res.status(500).json({ error: 'Authentication failed' });
+			console.error('User data export error:', error);
+			if (res.headersSent) {
+				return res.end();
+			}
+			return res.status(500).json({ error: 'Failed to export user data' });
 		}
 	};
 
@@ -282,14 +1513,13 @@ const users_route = (app) => {
 	const getUserProfile = async (req, res) => {
 		try {
 			const user = await store.getUserWithPrivacy(parseInt(req.params.id));
-			if (!user) {
+			if (!user || user.deleted_at) {
 				return res.status(404).json({ error: 'User not found' });
 			}
 
-			// Remove sensitive data
-			delete user.password;
-
-			return res.status(200).json(user);
+			// Redact according to the user's privacy settings
+			const policy = new VisibilityPolicy(pool, req.user);
+			return res.status(200).json(await policy.filterProfile(user));
 		} catch (error) {
 			console.error('Get user profile error:', error);
 			return res.status(500).json({ error: 'Failed to get user profile' });
@@ -310,6 +1540,43 @@ const users_route = (app) => {
 		}
 	};
 
+	/**
+	 * Ranked course recommendations with the reason for each
+	 * Computed nightly (src/scripts/refresh-recommendations.js); until then
+	 * popular courses are returned, with computed_at null
+	 * GET /user/:id/recommendations?limit= - requires user ID authentication
+	 */
+	const getRecommendations = async (req, res) => {
+		try {
+			const userId = parseInt(req.params.id);
+			const limit = Math.max(
+				Math.min(
+					parseInt(req.query.limit) || MAX_RECOMMENDATIONS,
+					MAX_RECOMMENDATIONS
+				),
+				1
+			);
+
+			const recommendationStore = new RecommendationStore(pool);
+			const computedAt = await recommendationStore.getComputedAt(userId);
+
+			// Computing them here would scan every enrollment and order
+			const recommendations = computedAt
+				? await recommendationStore.getForUser(userId, limit)
+				: await recommendationStore.getPopularForUser(userId, limit);
+
+			return res.status(200).json({
+				computed_at: computedAt,
+				recommendations,
+			});
+		} catch (error) {
+			console.error('Get recommendations error:', error);
+			return res
+				.status(500)
+				.json({ error: 'Failed to get course recommendations' });
+		}
+	};
+
 	/**
 	 * Update course progress
 	 * PUT /user/:id/course/:courseId/progress - requires authentication
@@ -365,7 +1632,8 @@ const users_route = (app) => {
 	const getAllEnrollments = async (req, res) => {
 		try {
 			const enrollments = await store.getAllEnrollments();
-			return res.status(200).json(enrollments);
+			const policy = new VisibilityPolicy(pool, req.user);
+			return res.status(200).json(await policy.filterEnrollments(enrollments));
 		} catch (error) {
 			console.error('Get all enrollments error:', error);
 			return res.status(500).json({ error: 'Failed to get all enrollments' });
@@ -441,6 +1709,21 @@ const users_route = (app) => {
 					.json({ error: 'User is already enrolled in this course' });
 			}
 
+			// Admins can enroll users regardless of prerequisites
+			if (!hasPermission(req.user, 'courses:edit_any')) {
+				const courseStore = new CourseStore(pool);
+				const missing = await courseStore.getMissingPrerequisites(
+					parseInt(userId),
+					parseInt(courseId)
+				);
+				if (missing.length > 0) {
+					return res.status(403).json({
+						error: 'Complete the prerequisite courses first',
+						missing_prerequisites: missing,
+					});
+				}
+			}
+
 			const enrollment = await store.enrollUserInCourse(
 				parseInt(userId),
 				parseInt(courseId),
@@ -458,25 +1741,33 @@ const users_route = (app) => {
 	};
 
 	/**
-	 * Get user's lesson completion status for a course
-	 * GET /user/:id/course/:courseId/lessons/progress
+	 * Get user's completed lessons (with resume positions) for a course
+	 * include_started=true also returns lessons that are only started
+	 * GET /user/:id/course/:courseId/lessons/progress?include_started=true
 	 */
 	const getUserLessonProgress = async (req, res) => {
 		const { id: userId, courseId } = req.params;
 
-		// Check if user is accessing their own data or if they're an admin
-		if (req.user.id !== parseInt(userId) && !req.user.is_admin) {
-			return res.status(403).json({ error: 'Access denied' });
-		}
-
 		try {
+			// Other users' progress is only shown if their privacy settings allow it
+			const owner = await store.getUserWithPrivacy(parseInt(userId));
+			const policy = new VisibilityPolicy(pool, req.user);
+			if (
+				!owner ||
+				owner.deleted_at ||
+				!(await policy.canView(owner.id, owner.privacy.progress))
+			) {
+				return res.status(403).json({ error: 'Access denied' });
+			}
+
 			const courseStore = new CourseStore(req.app.locals.pool);
-			const completedLessons = await courseStore.getUserLessonProgress(
+			const lessonProgress = await courseStore.getUserLessonProgress(
 				parseInt(userId),
-				parseInt(courseId)
+				parseInt(courseId),
+				{ includeStarted: req.query.include_started === 'true' }
 			);
 			
-			return res.status(200).json(completedLessons);
+			return res.status(200).json(lessonProgress);
 		} catch (error) {
 			console.error('Get user lesson progress error:', error);
 			return res.status(500).json({ error: 'Failed to get lesson progress' });
@@ -519,11 +1810,126 @@ const users_route = (app) => {
 	app.post('/create/user', create);
 	app.put('/user/:id', authenticateUserId, update);
 	app.delete('/user/:id', authenticateUserId, deleteUser);
+	app.put(
+		'/user/:id/avatar',
+		authenticateUserId,
+		uploadImage('avatar'),
+		uploadAvatar
+	);
+	app.delete('/user/:id/avatar', authenticateUserId, removeAvatar);
+	app.post('/user/restore', restoreAccount);
 	app.post('/user/authenticate', authenticate);
+	app.post('/user/authenticate/2fa', authenticateTwoFactor);
+	app.post('/user/refresh', refresh);
+	app.post('/user/logout', authenticationToken, logout);
+
+	// Email verification and password reset routes
+	app.post('/user/verify-email', verifyEmail);
+	app.post(
+		'/user/:id/verify-email/resend',
+		authenticateUserId,
+		resendVerificationEmail
+	);
+	app.post('/user/forgot-password', forgotPassword);
+	app.post('/user/reset-password', resetPassword);
+
+	// Two-factor authentication routes
+	app.get('/user/:id/2fa', authenticateUserId, getTwoFactorStatus);
+	app.post('/user/:id/2fa/setup', authenticateUserId, setupTwoFactor);
+	app.post('/user/:id/2fa/enable', authenticateUserId, enableTwoFactor);
+	app.post('/user/:id/2fa/disable', authenticateUserId, disableTwoFactor);
+	app.post(
+		'/user/:id/2fa/recovery-codes',
+		authenticateUserId,
+		regenerateRecoveryCodes
+	);
+	app.delete(
+		'/admin/users/:id/2fa',
+		authenticationToken,
+		requireAdmin,
+		resetTwoFactor
+	);
+
+	// Admin user management routes
+	app.get(
+		'/admin/users',
+		authenticationToken,
+		requirePermission('users:view'),
+		listUsers
+	);
+	app.get(
+		'/admin/users/:id',
+		authenticationToken,
+		requirePermission('users:view'),
+		getAdminUser
+	);
+	app.post(
+		'/admin/users/:id/promote',
+		authenticationToken,
+		requirePermission('users:manage_roles'),
+		promoteUser
+	);
+	app.post(
+		'/admin/users/:id/demote',
+		authenticationToken,
+		requirePermission('users:manage_roles'),
+		demoteUser
+	);
+	app.post(
+		'/admin/users/:id/suspend',
+		authenticationToken,
+		requireAdmin,
+		suspendUser
+	);
+	app.post(
+		'/admin/users/:id/unsuspend',
+		authenticationToken,
+		requireAdmin,
+		unsuspendUser
+	);
+
+	// Session management routes
+	app.get('/user/:id/sessions', authenticateUserId, getSessions);
+	app.get('/user/:id/export', authenticateUserId, exportUserData);
+	app.put(
+		'/admin/users/:id/role',
+		authenticationToken,
+		requirePermission('users:manage_roles'),
+		updateRole
+	);
+	app.post(
+		'/admin/users/:id/restore',
+		authenticationToken,
+		requireAdmin,
+		adminRestoreAccount
+	);
+	app.post(
+		'/admin/users/:id/unlock',
+		authenticationToken,
+		requireAdmin,
+		unlockAccount
+	);
+	app.get(
+		'/admin/login-attempts',
+		authenticationToken,
+		requireAdmin,
+		getLoginAttempts
+	);
+	app.post(
+		'/admin/users/:id/revoke-sessions',
+		authenticationToken,
+		requireAdmin,
+		revokeUserSessions
+	);
 
 	// Additional routes for new functionality
 	app.get('/user/:id/profile', authenticationToken, getUserProfile);
 	app.get('/user/:id/courses', authenticateUserId, getUserCourses);
+	app.get(
+		'/user/:id/recommendations',
+		authenticateUserId,
+		getRecommendations
+	);
 	app.put(
 		'/user/:id/course/:courseId/progress',
 		authenticateUserId,
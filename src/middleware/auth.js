@@ -1,15 +1,57 @@
 require('dotenv').config();
 const jwt = require('jsonwebtoken');
+const { SessionStore } = require('../models/session');
 
 /**
  * Authentication middleware for JWT token verification
  */
 
+/**
+ * Check the token's session against the revocation list (user_sessions)
+ * Tokens without a session id are treated as revoked
+ */
+const isTokenRevoked = async (req, decoded) => {
+	if (!decoded.sid || !decoded.user) {
+		return true;
+	}
+
+	const sessionStore = new SessionStore(req.app.locals.pool);
+	return sessionStore.isRevoked(decoded.sid, decoded.user.id);
+};
+
+/**
+ * With REQUIRE_ADMIN_2FA=true, admins act as regular users until the session
+ * has completed two-factor authentication (the mfa claim)
+ */
+const applyAdminTwoFactorPolicy = (decoded) => {
+	const isAdmin = decoded.user.is_admin || decoded.user.role === 'admin';
+
+	if (process.env.REQUIRE_ADMIN_2FA !== 'true' || !isAdmin || decoded.mfa) {
+		return decoded.user;
+	}
+
+	return {
+		...decoded.user,
+		is_admin: false,
+		role: 'student',
+		two_factor_required: true,
+	};
+};
+
+/**
+ * Attach the token's user and session details to the request
+ */
+const attachSession = (req, decoded) => {
+	req.user = applyAdminTwoFactorPolicy(decoded);
+	req.sessionId = decoded.sid;
+	req.twoFactorVerified = !!decoded.mfa;
+};
+
 /**
  * Middleware to authenticate JWT token and attach user to request
  * Usage: app.get('/protected-route', authenticationToken, handler)
  */
-const authenticationToken = (req, res, next) => {
+const authenticationToken = async (req, res, next) => {
 	try {
 		const authHead = req.headers.authorization;
 
@@ -25,8 +67,12 @@ const authenticationToken = (req, res, next) => {
 
 		const decoded = jwt.verify(token, process.env.TOKEN_SECRET);
 
-		// Attach user to request object for use in route handlers
-		req.user = decoded.user;
+		if (await isTokenRevoked(req, decoded)) {
+			return res.status(401).json({ error: 'Session has been revoked' });
+		}
+
+		// Attach user and session to request object for use in route handlers
+		attachSession(req, decoded);
 		next();
 	} catch (error) {
 		res.status(401).json({ error: `Not authorized: ${error.message}` });
@@ -37,7 +83,7 @@ const authenticationToken = (req, res, next) => {
  * Middleware to authenticate user and verify they can only access their own data
  * Usage: app.get('/api/users/:id', authenticateUserId, handler)
  */
-const authenticateUserId = (req, res, next) => {
+const authenticateUserId = async (req, res, next) => {
 	try {
 		const authHead = req.headers.authorization;
 
@@ -52,11 +98,17 @@ const authenticateUserId = (req, res, next) => {
 		}
 
 		const decoded = jwt.verify(token, process.env.TOKEN_SECRET);
-		const tokenUserId = decoded.user.id;
+
+		if (await isTokenRevoked(req, decoded)) {
+			return res.status(401).json({ error: 'Session has been revoked' });
+		}
+
+		// Attach user to request for use in route handlers
+		attachSession(req, decoded);
+		const tokenUserId = req.user.id;
 		const requestedUserId = parseInt(req.params.userId || req.params.id);
 
-		if (decoded.user.is_admin) {
-			req.user = decoded.user;
+		if (req.user.is_admin) {
 			return next();
 		}
 
@@ -64,8 +116,6 @@ const authenticateUserId = (req, res, next) => {
 			return res.status(403).json({ error: 'Access denied: ID mismatch' });
 		}
 
-		// Attach user to request for use in route handlers
-		req.user = decoded.user;
 		next();
 	} catch (error) {
 		res.status(401).json({ error: `Authentication failed: ${error.message}` });
@@ -82,6 +132,13 @@ const requireAdmin = (req, res, next) => {
 			return res.status(401).json({ error: 'Authentication required' });
 		}
 
+		if (req.user.two_factor_required) {
+			return res.status(403).json({
+				error: 'Two-factor authentication is required for admin access',
+				two_factor_setup_required: true,
+			});
+		}
+
 		if (!req.user.is_admin) {
 			return res.status(403).json({ error: 'Admin access required' });
 		}
@@ -95,10 +152,10 @@ const requireAdmin = (req, res, next) => {
 };
 
 /**
- * Utility function to generate JWT token
- * Usage: const token = generateToken(user);
+ * Utility function to generate a short-lived JWT access token for a session
+ * Usage: const token = generateToken(user, session.id, session.two_factor_verified);
  */
-const generateToken = (user) => {
+const generateToken = (user, sessionId, twoFactorVerified = false) => {
 	try {
 		const payload = {
 			user: {
@@ -106,11 +163,14 @@ const generateToken = (user) => {
 				name: user.name,
 				email: user.email,
 				is_admin: user.is_admin,
+				role: user.role || (user.is_admin ? 'admin' : 'student'),
 			},
+			sid: sessionId,
+			mfa: !!twoFactorVerified,
 		};
 
 		return jwt.sign(payload, process.env.TOKEN_SECRET, {
-			expiresIn: process.env.JWT_EXPIRES_IN || '24h',
+			expiresIn: process.env.JWT_EXPIRES_IN || '15m',
 		});
 	} catch (error) {
 		throw new Error(`Token generation failed: ${error.message}`);
@@ -133,7 +193,7 @@ const verifyToken = (token) => {
  * Optional middleware for routes that work with or without authentication
  * Sets req.user if token is present and valid, but doesn't block if not
  */
-const optionalAuth = (req, res, next) => {
+const optionalAuth = async (req, res, next) => {
 	try {
 		const authHead = req.headers.authorization;
 
@@ -141,7 +201,9 @@ const optionalAuth = (req, res, next) => {
 			const token = authHead.split(' ')[1];
 			if (token) {
 				const decoded = jwt.verify(token, process.env.TOKEN_SECRET);
-				req.user = decoded.user;
+				if (!(await isTokenRevoked(req, decoded))) {
+					attachSession(req, decoded);
+				}
 			}
 		}
 
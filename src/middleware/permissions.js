@@ -0,0 +1,149 @@
+// middleware/permissions.js
+const { CourseStore } = require('../models/course');
+
+/**
+ * Role-based access control
+ * Roles map to permission strings; admins implicitly hold every permission
+ */
+
+const ROLES = ['student', 'instructor', 'moderator', 'admin'];
+
+const ROLE_PERMISSIONS = {
+	student: [],
+	instructor: ['courses:create', 'courses:edit'],
+	moderator: ['messages:moderate', 'users:view'],
+	admin: ['*'],
+};
+
+/**
+ * Resolve a user's role (tokens issued before roles existed only carry is_admin)
+ */
+const getRole = (user) => {
+	if (!user) {
+		return null;
+	}
+	if (user.role && ROLE_PERMISSIONS[user.role]) {
+		return user.role;
+	}
+	return user.is_admin ? 'admin' : 'student';
+};
+
+/**
+ * Check whether a user holds a permission
+ * Usage: if (hasPermission(req.user, 'courses:edit')) { ... }
+ */
+const hasPermission = (user, permission) => {
+	const role = getRole(user);
+	if (!role) {
+		return false;
+	}
+
+	const permissions = ROLE_PERMISSIONS[role];
+	return permissions.includes('*') || permissions.includes(permission);
+};
+
+/**
+ * Middleware to require a permission
+ * Usage: app.put('/courses/:id', authenticationToken, requirePermission('courses:edit'), handler)
+ */
+const requirePermission = (permission) => (req, res, next) => {
+	try {
+		if (!req.user) {
+			return res.status(401).json({ error: 'Authentication required' });
+		}
+
+		if (!hasPermission(req.user, permission)) {
+			if (req.user.two_factor_required) {
+				return res.status(403).json({
+					error: 'Two-factor authentication is required for admin access',
+					two_factor_setup_required: true,
+				});
+			}
+
+			return res
+				.status(403)
+				.json({ error: `Permission required: ${permission}` });
+		}
+
+		next();
+	} catch (error) {
+		res
+			.status(500)
+			.json({ error: `Authorization check failed: ${error.message}` });
+	}
+};
+
+/**
+ * Middleware to limit instructors to courses they own
+ * Users with courses:edit_any (admins) skip the ownership check
+ * Usage: app.put('/modules/:id', authenticationToken, requirePermission('courses:edit'),
+ *          requireCourseOwnership(courseFromModule('id')), handler)
+ */
+const requireCourseOwnership = (resolveCourseId) => async (req, res, next) => {
+	try {
+		if (!req.user) {
+			return res.status(401).json({ error: 'Authentication required' });
+		}
+
+		if (hasPermission(req.user, 'courses:edit_any')) {
+			return next();
+		}
+
+		const store = new CourseStore(req.app.locals.pool);
+		const courseId = await resolveCourseId(req, store);
+		if (!courseId) {
+			return res.status(404).json({ error: 'Course not found' });
+		}
+
+		const instructorId = await store.getCourseInstructorId(courseId);
+		if (instructorId !== req.user.id) {
+			return res
+				.status(403)
+				.json({ error: 'You can only edit courses you teach' });
+		}
+
+		next();
+	} catch (error) {
+		res
+			.status(500)
+			.json({ error: `Authorization check failed: ${error.message}` });
+	}
+};
+
+/**
+ * Whether a user may edit a course - for handlers that vary their response
+ * (answers, locked content) instead of rejecting the request
+ */
+const canEditCourse = async (user, store, courseId) => {
+	if (hasPermission(user, 'courses:edit_any')) {
+		return true;
+	}
+	if (!hasPermission(user, 'courses:edit')) {
+		return false;
+	}
+	return (await store.getCourseInstructorId(courseId)) === user.id;
+};
+
+/**
+ * Course ID resolvers for requireCourseOwnership
+ */
+const courseFromParam = (param) => (req) => parseInt(req.params[param]);
+
+const courseFromModule = (param) => (req, store) =>
+	store.getModuleCourseId(parseInt(req.params[param]));
+
+const courseFromLesson = (param) => (req, store) =>
+	store.getLessonCourseId(parseInt(req.params[param]));
+
+module.exports = {
+	ROLES,
+	ROLE_PERMISSIONS,
+	getRole,
+	hasPermission,
+	requirePermission,
+	requireCourseOwnership,
+	canEditCourse,
+	courseFromParam,
+	courseFromModule,
+	courseFromLesson,
+};
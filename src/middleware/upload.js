@@ -0,0 +1,57 @@
+require('dotenv').config();
+const multer = require('multer');
+const { validateImage } = require('../utilis/imageStorage');
+
+/**
+ * Multipart upload middleware - files are kept in memory for the storage driver
+ */
+
+const DEFAULT_MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+/**
+ * Accept a single image in `field`
+ * Checks size (AVATAR_MAX_BYTES or maxBytes) and the real file type,
+ * then sets req.file.mimeType / req.file.extension for the storage driver
+ */
+const uploadImage = (field, { maxBytes } = {}) => {
+	const limit =
+		maxBytes ||
+		parseInt(process.env.AVATAR_MAX_BYTES) ||
+		DEFAULT_MAX_IMAGE_BYTES;
+
+	const upload = multer({
+		storage: multer.memoryStorage(),
+		limits: { fileSize: limit, files: 1 },
+	}).single(field);
+
+	return (req, res, next) => {
+		upload(req, res, (error) => {
+			if (error instanceof multer.MulterError) {
+				if (error.code === 'LIMIT_FILE_SIZE') {
+					return res.status(413).json({
+						error: `Image must be smaller than ${Math.round(limit / 1024 / 1024)}MB`,
+					});
+				}
+				return res.status(400).json({ error: error.message });
+			}
+			if (error) {
+				console.error('Upload error:', error);
+				return res.status(400).json({ error: 'Invalid upload' });
+			}
+
+			const { error: imageError, mimeType, extension } = validateImage(
+				req.file,
+				{ maxBytes: limit }
+			);
+			if (imageError) {
+				return res.status(400).json({ error: imageError });
+			}
+
+			req.file.mimeType = mimeType;
+			req.file.extension = extension;
+			next();
+		});
+	};
+};
+
+module.exports = { uploadImage, DEFAULT_MAX_IMAGE_BYTES };
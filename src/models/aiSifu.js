@@ -334,6 +334,58 @@ class AISifuStore {
 		}
 	}
 
+	/**
+	 * Get a user's AI Sifu question history
+	 */
+	async getUserQuestionHistory(userId) {
+		try {
+			const sql = `
+        SELECT 
+          qa.id,
+          qa.question_text,
+          qa.course_context as course_id,
+          c.title as course_title,
+          qa.response_cached,
+          qa.cost_cents,
+          qa.response_time_ms,
+          qa.created_at
+        FROM ai_question_analytics qa
+        LEFT JOIN courses c ON qa.course_context = c.id
+        WHERE qa.user_id = $1
+        ORDER BY qa.created_at DESC
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get question history: ${error}`);
+		}
+	}
+
+	/**
+	 * Get a user's monthly usage records
+	 */
+	async getUserUsageHistory(userId) {
+		try {
+			const sql = `
+        SELECT * FROM ai_usage_tracking 
+        WHERE user_id = $1
+        ORDER BY period_start DESC
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get usage history: ${error}`);
+		}
+	}
+
 	/**
 	 * Get AI usage statistics
 	 */
@@ -0,0 +1,144 @@
+// models/certificate.js
+const crypto = require('crypto');
+
+/**
+ * Courses only issue certificates when they advertise this feature
+ */
+const CERTIFICATE_FEATURE = 'Certificate of Completion';
+
+// No 0/O, 1/I/L so codes can be typed from a printed certificate
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+/**
+ * Random verification code, e.g. JW-7KQ2-M9XA-C4TF
+ */
+const generateVerificationCode = () => {
+	const chars = Array.from(
+		crypto.randomBytes(12),
+		(byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+	).join('');
+	return `JW-${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`;
+};
+
+/**
+ * Normalize a code typed or pasted by a user
+ */
+const normalizeVerificationCode = (code) =>
+	String(code || '')
+		.trim()
+		.toUpperCase();
+
+class CertificateStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	/**
+	 * Issue a certificate for a completed course
+	 * Does nothing if the user isn't enrolled, the course doesn't offer
+	 * certificates or one was already issued - returns the new certificate or null
+	 */
+	async issue(userId, courseId) {
+		try {
+			const sql = `
+        INSERT INTO certificates (user_id, course_id, verification_code, student_name, course_title, instructor_name)
+        SELECT u.id, c.id, $3, u.name, c.title, c.instructor_name
+        FROM users u
+        JOIN courses c ON c.id = $2
+        WHERE u.id = $1
+          AND u.deleted_at IS NULL
+          AND EXISTS (
+            SELECT 1 FROM user_courses WHERE user_id = $1 AND course_id = $2
+          )
+          AND EXISTS (
+            SELECT 1 FROM course_course_features ccf
+            JOIN course_features cf ON ccf.feature_id = cf.id
+            WHERE ccf.course_id = c.id AND cf.name = $4
+          )
+        ON CONFLICT (user_id, course_id) DO NOTHING
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [
+				userId,
+				courseId,
+				generateVerificationCode(),
+				CERTIFICATE_FEATURE,
+			]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not issue certificate: ${error}`);
+		}
+	}
+
+	/**
+	 * Get a certificate by ID
+	 */
+	async show(id) {
+		try {
+			const sql = 'SELECT * FROM certificates WHERE id = $1';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not get certificate: ${error}`);
+		}
+	}
+
+	/**
+	 * Get a certificate by its verification code
+	 */
+	async findByCode(code) {
+		try {
+			const sql = 'SELECT * FROM certificates WHERE verification_code = $1';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [normalizeVerificationCode(code)]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not find certificate: ${error}`);
+		}
+	}
+
+	/**
+	 * All certificates issued to a user, newest first
+	 */
+	async getUserCertificates(userId) {
+		try {
+			const sql = `
+        SELECT * FROM certificates
+        WHERE user_id = $1
+        ORDER BY issued_at DESC
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get user certificates: ${error}`);
+		}
+	}
+
+	/**
+	 * Revoke a certificate - verification reports it as no longer valid
+	 */
+	async revoke(id) {
+		try {
+			const sql = `
+        UPDATE certificates SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+        WHERE id = $1
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not revoke certificate: ${error}`);
+		}
+	}
+}
+
+module.exports = { CertificateStore, CERTIFICATE_FEATURE };
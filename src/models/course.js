@@ -1,5 +1,88 @@
 require('dotenv').config();
 const Joi = require('joi');
+const { UNLOCK_RULES, applyUnlockRules } = require('../utilis/contentUnlock');
+
+/**
+ * Rating of a course's visible reviews (courses aliased as c)
+ */
+const RATING_COLUMNS = `
+  (SELECT ROUND(AVG(r.rating)::numeric, 1) FROM course_reviews r
+   WHERE r.course_id = c.id AND r.hidden_at IS NULL) as average_rating,
+  (SELECT COUNT(*)::int FROM course_reviews r
+   WHERE r.course_id = c.id AND r.hidden_at IS NULL) as review_count
+`;
+
+/**
+ * Price ranges offered as a search facet (upper bounds exclusive)
+ */
+const PRICE_RANGES = [
+	{ value: 'free', label: 'Free' },
+	{ value: 'under_50', label: 'Under $50' },
+	{ value: '50_to_100', label: '$50 - $100' },
+	{ value: '100_to_200', label: '$100 - $200' },
+	{ value: '200_plus', label: '$200+' },
+];
+const PRICE_RANGE_SQL = `
+  CASE
+    WHEN c.regular_price <= 0 THEN 'free'
+    WHEN c.regular_price < 50 THEN 'under_50'
+    WHEN c.regular_price < 100 THEN '50_to_100'
+    WHEN c.regular_price < 200 THEN '100_to_200'
+    ELSE '200_plus'
+  END
+`;
+
+/**
+ * Course search filters, each also returned as a facet
+ */
+const SEARCH_FACETS = [
+	'category',
+	'skill_level',
+	'language',
+	'price_range',
+	'is_series',
+];
+
+/**
+ * ts_headline markers - private-use characters, stripped from the text
+ * first, that become <mark> tags once the headline is HTML-escaped
+ */
+const HIGHLIGHT_START = '\uE000';
+const HIGHLIGHT_STOP = '\uE001';
+const HTML_ESCAPES = {
+	'&': '&amp;',
+	'<': '&lt;',
+	'>': '&gt;',
+	'"': '&quot;',
+	"'": '&#39;',
+};
+
+/**
+ * Turn a marked ts_headline result into HTML safe to render
+ */
+const toHighlightHtml = (headline) =>
+	headline
+		.replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+		.replaceAll(HIGHLIGHT_START, '<mark>')
+		.replaceAll(HIGHLIGHT_STOP, '</mark>');
+
+/**
+ * Bundle pricing for a series - the series' own price buys every part
+ */
+const getBundlePricing = (series, parts) => {
+	const partsTotal = parts.reduce(
+		(total, part) => total + parseFloat(part.regular_price),
+		0
+	);
+	const price = parseFloat(series.regular_price);
+
+	return {
+		price,
+		parts_total_price: Math.round(partsTotal * 100) / 100,
+		savings: Math.max(Math.round((partsTotal - price) * 100) / 100, 0),
+		part_count: parts.length,
+	};
+};
 
 /**
  * CourseStore handles all course-related database operations
@@ -20,7 +103,7 @@ class CourseStore {
 	async index() {
 		try {
 			const sql = `
-        SELECT c.*, COUNT(m.id) as module_count 
+        SELECT c.*, COUNT(m.id) as module_count, ${RATING_COLUMNS}
         FROM courses c 
         LEFT JOIN modules m ON c.id = m.course_id 
         WHERE c.is_published = true 
@@ -44,7 +127,7 @@ class CourseStore {
 			const client = await this.pool.connect();
 
 			// Get course basic info
-			const courseSql = 'SELECT * FROM courses WHERE id = $1';
+			const courseSql = `SELECT c.*, ${RATING_COLUMNS} FROM courses c WHERE c.id = $1`;
 			const courseRes = await client.query(courseSql, [id]);
 
 			if (courseRes.rows.length === 0) {
@@ -62,6 +145,36 @@ class CourseStore {
 			`;
 			const featuresRes = await client.query(featuresSql, [id]);
 
+			// Get courses that must be completed first
+			const prerequisitesSql = `
+				SELECT c.id, c.title, c.thumbnail_url, c.skill_level
+				FROM course_prerequisites cp
+				JOIN courses c ON cp.required_course_id = c.id
+				WHERE cp.course_id = $1
+				ORDER BY c.title
+			`;
+			const prerequisitesRes = await client.query(prerequisitesSql, [id]);
+
+			// Series landing data: the parts of a series, or the series this is part of
+			const seriesPartsSql = `
+				SELECT csp.part_number, c.id, c.title, c.thumbnail_url, c.skill_level,
+					   c.estimated_hours, c.regular_price
+				FROM course_series_parts csp
+				JOIN courses c ON csp.course_id = c.id
+				WHERE csp.series_id = $1
+				ORDER BY csp.part_number
+			`;
+			const seriesPartsRes = await client.query(seriesPartsSql, [id]);
+
+			const partOfSeriesSql = `
+				SELECT c.id, c.title, c.thumbnail_url, c.regular_price, csp.part_number
+				FROM course_series_parts csp
+				JOIN courses c ON csp.series_id = c.id
+				WHERE csp.course_id = $1 AND c.is_published = true
+				ORDER BY c.title
+			`;
+			const partOfSeriesRes = await client.query(partOfSeriesSql, [id]);
+
 			// Get modules with lessons (NOW INCLUDING content fields)
 			const modulesSql = `
 				SELECT m.*, 
@@ -74,7 +187,11 @@ class CourseStore {
 						   'content_text', l.content_text,
 						   'duration_minutes', l.duration_minutes,
 						   'order_sequence', l.order_sequence,
-						   'is_required', l.is_required
+						   'is_required', l.is_required,
+						   'unlock_rule', l.unlock_rule,
+						   'unlock_after_days', l.unlock_after_days,
+						   'unlock_at', l.unlock_at,
+						   'is_preview', l.is_preview
 						 ) ORDER BY l.order_sequence
 					   ) as lessons
 				FROM modules m
@@ -90,6 +207,12 @@ class CourseStore {
 			return {
 				...course,
 				features: featuresRes.rows,
+				prerequisite_courses: prerequisitesRes.rows,
+				series_parts: seriesPartsRes.rows,
+				part_of_series: partOfSeriesRes.rows,
+				bundle: course.is_series
+					? getBundlePricing(course, seriesPartsRes.rows)
+					: null,
 				modules: modulesRes.rows,
 			};
 		} catch (error) {
@@ -107,8 +230,9 @@ class CourseStore {
 			const sql = `
   INSERT INTO courses (title, category, description, thumbnail_url, instructor_name, 
                      skill_level, language, estimated_hours, regular_price, 
-                     prerequisites, learning_objectives, is_published, is_series)
-  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13) RETURNING *
+                     prerequisites, learning_objectives, is_published, is_series,
+                     instructor_id)
+  VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14) RETURNING *
 `;
 
 			const res = await client.query(sql, [
@@ -125,6 +249,7 @@ class CourseStore {
 				course.learning_objectives,
 				course.is_published !== undefined ? course.is_published : true,
 				course.is_series || false, // ADD THIS
+				course.instructor_id || null,
 			]);
 
 			client.release();
@@ -144,8 +269,9 @@ class CourseStore {
     title=$1, category=$2, description=$3, thumbnail_url=$4, 
     instructor_name=$5, skill_level=$6, language=$7, estimated_hours=$8, 
     regular_price=$9, prerequisites=$10, learning_objectives=$11, 
-    is_published=$12, is_series=$13, updated_at=CURRENT_TIMESTAMP
-  WHERE id=$14 RETURNING *
+    is_published=$12, is_series=$13, instructor_id=COALESCE($14, instructor_id),
+    updated_at=CURRENT_TIMESTAMP
+  WHERE id=$15 RETURNING *
 `;
 
 			const client = await this.pool.connect();
@@ -163,6 +289,7 @@ class CourseStore {
 				course.learning_objectives,
 				course.is_published,
 				course.is_series,
+				course.instructor_id || null,
 				id,
 			]);
 
@@ -188,6 +315,93 @@ class CourseStore {
 		}
 	}
 
+	// ========================
+	// OWNERSHIP LOOKUPS
+	// ========================
+
+	/**
+	 * Get the instructor (owner) user ID of a course
+	 */
+	async getCourseInstructorId(courseId) {
+		try {
+			const sql = 'SELECT instructor_id FROM courses WHERE id = $1';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseId]);
+			client.release();
+			return res.rows[0]?.instructor_id || null;
+		} catch (error) {
+			throw new Error(`Could not get course instructor: ${error}`);
+		}
+	}
+
+	/**
+	 * Get the course ID a module belongs to
+	 */
+	async getModuleCourseId(moduleId) {
+		try {
+			const sql = 'SELECT course_id FROM modules WHERE id = $1';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [moduleId]);
+			client.release();
+			return res.rows[0]?.course_id || null;
+		} catch (error) {
+			throw new Error(`Could not get module course: ${error}`);
+		}
+	}
+
+	/**
+	 * Get the course ID a lesson belongs to
+	 */
+	async getLessonCourseId(lessonId) {
+		try {
+			const sql = `
+        SELECT m.course_id 
+        FROM lessons l 
+        JOIN modules m ON l.module_id = m.id 
+        WHERE l.id = $1
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [lessonId]);
+			client.release();
+			return res.rows[0]?.course_id || null;
+		} catch (error) {
+			throw new Error(`Could not get lesson course: ${error}`);
+		}
+	}
+
+	/**
+	 * Get a single lesson with its course ID
+	 */
+	async getLesson(lessonId) {
+		try {
+			const sql = `
+        SELECT l.*, m.course_id
+        FROM lessons l
+        JOIN modules m ON l.module_id = m.id
+        WHERE l.id = $1
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [lessonId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not get lesson: ${error}`);
+		}
+	}
+
+	/**
+	 * Get a lesson with its lock status for a user
+	 */
+	async getLessonForUser(lessonId, userId) {
+		const courseId = await this.getLessonCourseId(lessonId);
+		if (!courseId) {
+			return null;
+		}
+
+		const lessons = await this.getLessonsByCourse(courseId, userId);
+		return lessons.find((lesson) => lesson.id === lessonId) || null;
+	}
+
 	// ========================
 	// MODULE OPERATIONS
 	// ========================
@@ -198,8 +412,9 @@ class CourseStore {
 	async createModule(module) {
 		try {
 			const sql = `
-        INSERT INTO modules (course_id, title, description, order_sequence)
-        VALUES ($1, $2, $3, $4) RETURNING *
+        INSERT INTO modules (course_id, title, description, order_sequence,
+                           unlock_rule, unlock_after_days, unlock_at)
+        VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *
       `;
 
 			const client = await this.pool.connect();
@@ -208,6 +423,9 @@ class CourseStore {
 				module.title,
 				module.description,
 				module.order_sequence,
+				module.unlock_rule || 'always',
+				module.unlock_after_days ?? null,
+				module.unlock_at || null,
 			]);
 
 			client.release();
@@ -219,13 +437,18 @@ class CourseStore {
 
 	/**
 	 * Update existing module
+	 * The unlock settings are only changed when unlock_rule is sent
 	 */
 	async updateModule(module, id) {
 		try {
 			const sql = `
         UPDATE modules SET 
-          title=$1, description=$2, order_sequence=$3, updated_at=CURRENT_TIMESTAMP
-        WHERE id=$4 RETURNING *
+          title=$1, description=$2, order_sequence=$3,
+          unlock_rule=COALESCE($4, unlock_rule),
+          unlock_after_days=CASE WHEN $4 IS NULL THEN unlock_after_days ELSE $5 END,
+          unlock_at=CASE WHEN $4 IS NULL THEN unlock_at ELSE $6 END,
+          updated_at=CURRENT_TIMESTAMP
+        WHERE id=$7 RETURNING *
       `;
 
 			const client = await this.pool.connect();
@@ -233,6 +456,9 @@ class CourseStore {
 				module.title,
 				module.description,
 				module.order_sequence,
+				module.unlock_rule || null,
+				module.unlock_after_days ?? null,
+				module.unlock_at || null,
 				id,
 			]);
 
@@ -269,8 +495,9 @@ class CourseStore {
 		try {
 			const sql = `
         INSERT INTO lessons (module_id, title, lesson_type, content_url, 
-                           content_text, duration_minutes, order_sequence, is_required)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *
+                           content_text, duration_minutes, order_sequence, is_required,
+                           unlock_rule, unlock_after_days, unlock_at, is_preview)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *
       `;
 
 			const client = await this.pool.connect();
@@ -283,6 +510,10 @@ class CourseStore {
 				lesson.duration_minutes || 0,
 				lesson.order_sequence,
 				lesson.is_required !== false,
+				lesson.unlock_rule || 'always',
+				lesson.unlock_after_days ?? null,
+				lesson.unlock_at || null,
+				lesson.is_preview === true,
 			]);
 
 			client.release();
@@ -294,24 +525,50 @@ class CourseStore {
 
 	/**
 	 * Get all lessons for a course with their order sequences
+	 * With a userId each lesson also gets completed, locked, lock_reason
+	 * and unlocks_at for that user (see utils/contentUnlock.js)
 	 */
-	async getLessonsByCourse(courseId) {
+	async getLessonsByCourse(courseId, userId = null) {
 		try {
 			const sql = `
             SELECT 
                 l.*,
+                m.course_id,
                 m.title as module_title,
-                m.order_sequence as module_order
+                m.order_sequence as module_order,
+                m.unlock_rule as module_unlock_rule,
+                m.unlock_after_days as module_unlock_after_days,
+                m.unlock_at as module_unlock_at,
+                COALESCE(ulp.completed, false) as completed
             FROM lessons l
             JOIN modules m ON l.module_id = m.id
+            LEFT JOIN user_lesson_progress ulp ON ulp.lesson_id = l.id AND ulp.user_id = $2
             WHERE m.course_id = $1
             ORDER BY m.order_sequence, l.order_sequence
         `;
 
 			const client = await this.pool.connect();
-			const res = await client.query(sql, [courseId]);
+			const res = await client.query(sql, [courseId, userId]);
+
+			if (!userId) {
+				client.release();
+				return res.rows;
+			}
+
+			const enrollmentSql =
+				'SELECT start_date FROM user_courses WHERE user_id = $1 AND course_id = $2';
+			const enrollmentRes = await client.query(enrollmentSql, [
+				userId,
+				courseId,
+			]);
 			client.release();
-			return res.rows;
+
+			return applyUnlockRules(res.rows, {
+				startDate: enrollmentRes.rows[0]?.start_date || null,
+				completedLessonIds: new Set(
+					res.rows.filter((lesson) => lesson.completed).map((lesson) => lesson.id)
+				),
+			});
 		} catch (error) {
 			throw new Error(`Could not get lessons by course: ${error}`);
 		}
@@ -389,14 +646,21 @@ class CourseStore {
 
 	/**
 	 * Update existing lesson
+	 * The unlock settings are only changed when unlock_rule is sent,
+	 * and the preview flag when is_preview is sent
 	 */
 	async updateLesson(lesson, id) {
 		try {
 			const sql = `
         UPDATE lessons SET 
           title=$1, lesson_type=$2, content_url=$3, content_text=$4, 
-          duration_minutes=$5, order_sequence=$6, is_required=$7, updated_at=CURRENT_TIMESTAMP
-        WHERE id=$8 RETURNING *
+          duration_minutes=$5, order_sequence=$6, is_required=$7,
+          unlock_rule=COALESCE($8, unlock_rule),
+          unlock_after_days=CASE WHEN $8 IS NULL THEN unlock_after_days ELSE $9 END,
+          unlock_at=CASE WHEN $8 IS NULL THEN unlock_at ELSE $10 END,
+          is_preview=COALESCE($11, is_preview),
+          updated_at=CURRENT_TIMESTAMP
+        WHERE id=$12 RETURNING *
       `;
 
 			const client = await this.pool.connect();
@@ -408,6 +672,10 @@ class CourseStore {
 				lesson.duration_minutes,
 				lesson.order_sequence,
 				lesson.is_required,
+				lesson.unlock_rule || null,
+				lesson.unlock_after_days ?? null,
+				lesson.unlock_at || null,
+				lesson.is_preview ?? null,
 				id,
 			]);
 
@@ -433,36 +701,325 @@ class CourseStore {
 		}
 	}
 
+	// ========================
+	// PREREQUISITES
+	// ========================
+
+	/**
+	 * Get the courses that must be completed before a course
+	 */
+	async getPrerequisites(courseId) {
+		try {
+			const sql = `
+        SELECT c.id, c.title, c.thumbnail_url, c.skill_level
+        FROM course_prerequisites cp
+        JOIN courses c ON cp.required_course_id = c.id
+        WHERE cp.course_id = $1
+        ORDER BY c.title
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get prerequisites: ${error}`);
+		}
+	}
+
+	/**
+	 * Replace a course's prerequisites
+	 */
+	async setPrerequisites(courseId, requiredCourseIds) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+			await client.query(
+				'DELETE FROM course_prerequisites WHERE course_id = $1',
+				[courseId]
+			);
+
+			if (requiredCourseIds.length > 0) {
+				const sql = `
+          INSERT INTO course_prerequisites (course_id, required_course_id)
+          SELECT $1, unnest($2::int[])
+        `;
+				await client.query(sql, [courseId, requiredCourseIds]);
+			}
+
+			await client.query('COMMIT');
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not set prerequisites: ${error}`);
+		} finally {
+			client.release();
+		}
+	}
+
+	/**
+	 * Check that every ID is an existing course
+	 */
+	async coursesExist(courseIds) {
+		try {
+			const sql = 'SELECT COUNT(*) FROM courses WHERE id = ANY($1::int[])';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseIds]);
+			client.release();
+			return parseInt(res.rows[0].count) === new Set(courseIds).size;
+		} catch (error) {
+			throw new Error(`Could not check courses: ${error}`);
+		}
+	}
+
+	/**
+	 * Whether a user may open a course's lessons - enrolled, or bought the
+	 * course or a series it belongs to
+	 */
+	async hasContentAccess(userId, courseId) {
+		try {
+			const sql = `
+        SELECT EXISTS (
+          SELECT 1 FROM user_courses WHERE user_id = $1 AND course_id = $2
+        ) OR EXISTS (
+          SELECT 1 FROM orders
+          WHERE user_id = $1 AND order_status = 'completed'
+          AND (course_id = $2 OR course_id IN (
+            SELECT series_id FROM course_series_parts WHERE course_id = $2
+          ))
+        ) as has_access
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId, courseId]);
+			client.release();
+			return res.rows[0].has_access;
+		} catch (error) {
+			throw new Error(`Could not check course access: ${error}`);
+		}
+	}
+
+	/**
+	 * Whether requiring these courses would make a course (indirectly) require itself
+	 */
+	async createsPrerequisiteCycle(courseId, requiredCourseIds) {
+		try {
+			const sql = `
+        WITH RECURSIVE chain AS (
+          SELECT unnest($2::int[]) as course_id
+          UNION
+          SELECT cp.required_course_id
+          FROM course_prerequisites cp
+          JOIN chain ON cp.course_id = chain.course_id
+        )
+        SELECT 1 FROM chain WHERE course_id = $1 LIMIT 1
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseId, requiredCourseIds]);
+			client.release();
+			return res.rows.length > 0;
+		} catch (error) {
+			throw new Error(`Could not check prerequisites: ${error}`);
+		}
+	}
+
+	/**
+	 * Prerequisite courses the user hasn't completed yet
+	 */
+	async getMissingPrerequisites(userId, courseId) {
+		try {
+			const sql = `
+        SELECT c.id, c.title
+        FROM course_prerequisites cp
+        JOIN courses c ON cp.required_course_id = c.id
+        LEFT JOIN user_courses uc ON uc.course_id = c.id AND uc.user_id = $1
+        WHERE cp.course_id = $2
+          AND (uc.id IS NULL OR (uc.completed_date IS NULL AND uc.progress < 100))
+        ORDER BY c.title
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId, courseId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get missing prerequisites: ${error}`);
+		}
+	}
+
+	// ========================
+	// SERIES
+	// ========================
+
+	/**
+	 * Get the parts of a series course in order
+	 */
+	async getSeriesParts(seriesId) {
+		try {
+			const sql = `
+        SELECT csp.part_number, c.id, c.title, c.thumbnail_url, c.skill_level,
+               c.estimated_hours, c.regular_price, c.is_published
+        FROM course_series_parts csp
+        JOIN courses c ON csp.course_id = c.id
+        WHERE csp.series_id = $1
+        ORDER BY csp.part_number
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [seriesId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get series parts: ${error}`);
+		}
+	}
+
+	/**
+	 * Replace the parts of a series - array order is the part order
+	 */
+	async setSeriesParts(seriesId, courseIds) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+			await client.query(
+				'DELETE FROM course_series_parts WHERE series_id = $1',
+				[seriesId]
+			);
+
+			if (courseIds.length > 0) {
+				const sql = `
+          INSERT INTO course_series_parts (series_id, course_id, part_number)
+          SELECT $1, part.course_id, part.part_number
+          FROM unnest($2::int[]) WITH ORDINALITY AS part(course_id, part_number)
+        `;
+				await client.query(sql, [seriesId, courseIds]);
+			}
+
+			await client.query('COMMIT');
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not set series parts: ${error}`);
+		} finally {
+			client.release();
+		}
+	}
+
+	/**
+	 * Which of these courses are series
+	 */
+	async getSeriesCourseIds(courseIds) {
+		try {
+			const sql =
+				'SELECT id FROM courses WHERE id = ANY($1::int[]) AND is_series = true';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseIds]);
+			client.release();
+			return res.rows.map((row) => row.id);
+		} catch (error) {
+			throw new Error(`Could not check series courses: ${error}`);
+		}
+	}
+
+	/**
+	 * A user's progress through each part of a series
+	 */
+	async getSeriesProgress(userId, seriesId) {
+		try {
+			const sql = `
+        SELECT csp.part_number, c.id, c.title, c.thumbnail_url,
+               uc.id IS NOT NULL as enrolled,
+               COALESCE(uc.progress, 0) as progress,
+               uc.completed_date
+        FROM course_series_parts csp
+        JOIN courses c ON csp.course_id = c.id
+        LEFT JOIN user_courses uc ON uc.course_id = c.id AND uc.user_id = $1
+        WHERE csp.series_id = $2
+        ORDER BY csp.part_number
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId, seriesId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get series progress: ${error}`);
+		}
+	}
+
 	// ========================
 	// PROGRESS TRACKING
 	// ========================
 
 	/**
 	 * Mark lesson as completed for user
+	 * Quiz lessons with a quiz only complete once an attempt has passed -
+	 * the best passing score is recorded. Returns null if not passed yet
 	 */
-	async markLessonComplete(userId, lessonId, quizScore = null) {
+	async markLessonComplete(userId, lessonId) {
 		try {
 			const sql = `
         INSERT INTO user_lesson_progress (user_id, lesson_id, completed, completed_at, quiz_score)
-			VALUES ($1, $2, true, CURRENT_TIMESTAMP, $3)
+			SELECT $1, l.id, true, CURRENT_TIMESTAMP, best.score
+			FROM lessons l
+			LEFT JOIN quizzes q ON q.lesson_id = l.id AND l.lesson_type = 'quiz'
+			LEFT JOIN LATERAL (
+				SELECT MAX(qa.score) as score
+				FROM quiz_attempts qa
+				WHERE qa.quiz_id = q.id AND qa.user_id = $1 AND qa.passed = true
+			) best ON true
+			WHERE l.id = $2 AND (q.id IS NULL OR best.score IS NOT NULL)
 			ON CONFLICT (user_id, lesson_id) 
 			DO UPDATE SET 
 			completed = true, 
 			completed_at = CURRENT_TIMESTAMP, 
-			quiz_score = $3, 
+			quiz_score = EXCLUDED.quiz_score, 
 			updated_at = CURRENT_TIMESTAMP
 			RETURNING *
       `;
 
 			const client = await this.pool.connect();
-			const res = await client.query(sql, [userId, lessonId, quizScore]);
+			const res = await client.query(sql, [userId, lessonId]);
 			client.release();
-			return res.rows[0];
+			return res.rows[0] || null;
 		} catch (error) {
 			throw new Error(`Could not mark lesson complete: ${error}`);
 		}
 	}
 
+	/**
+	 * Record a playback heartbeat: resume position, furthest position and
+	 * time spent. elapsedSeconds is capped by the time since the previous
+	 * heartbeat (plus a little slack) so replayed requests can't inflate it
+	 */
+	async recordHeartbeat(userId, lessonId, positionSeconds, elapsedSeconds) {
+		try {
+			const credited = `LEAST($4, COALESCE(
+				EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - user_lesson_progress.last_heartbeat_at))::int + 5,
+				$4
+			))`;
+			const sql = `
+        INSERT INTO user_lesson_progress (user_id, lesson_id, last_position_seconds,
+          furthest_position_seconds, time_spent_seconds, time_spent_minutes, last_heartbeat_at)
+			VALUES ($1, $2, $3, $3, $4, $4 / 60, CURRENT_TIMESTAMP)
+			ON CONFLICT (user_id, lesson_id) 
+			DO UPDATE SET 
+			last_position_seconds = $3,
+			furthest_position_seconds = GREATEST(user_lesson_progress.furthest_position_seconds, $3),
+			time_spent_seconds = user_lesson_progress.time_spent_seconds + ${credited},
+			time_spent_minutes = (user_lesson_progress.time_spent_seconds + ${credited}) / 60,
+			last_heartbeat_at = CURRENT_TIMESTAMP,
+			updated_at = CURRENT_TIMESTAMP
+			RETURNING *
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [
+				userId,
+				lessonId,
+				positionSeconds,
+				elapsedSeconds,
+			]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not record heartbeat: ${error}`);
+		}
+	}
+
 	/**
 	 * Get user's progress for a course
 	 */
@@ -495,9 +1052,14 @@ class CourseStore {
 	}
 
 	/**
-	 * Get user's completed lessons for a course
+	 * Get user's completed lessons for a course, with resume positions for
+	 * video lessons - includeStarted adds lessons that are only started
 	 */
-	async getUserLessonProgress(userId, courseId) {
+	async getUserLessonProgress(
+		userId,
+		courseId,
+		{ includeStarted = false } = {}
+	) {
 		try {
 			const sql = `
         SELECT 
@@ -506,19 +1068,26 @@ class CourseStore {
           ulp.completed,
           ulp.completed_at,
           ulp.quiz_score,
+          ulp.last_position_seconds,
+          ulp.furthest_position_seconds,
+          ulp.time_spent_seconds,
+          ulp.time_spent_minutes,
+          ulp.last_heartbeat_at,
           l.title as lesson_title,
           l.lesson_type,
+          l.duration_minutes,
           m.id as module_id,
           m.title as module_title
         FROM user_lesson_progress ulp
         JOIN lessons l ON ulp.lesson_id = l.id
         JOIN modules m ON l.module_id = m.id
-        WHERE ulp.user_id = $1 AND m.course_id = $2 AND ulp.completed = true
+        WHERE ulp.user_id = $1 AND m.course_id = $2
+        AND ($3 OR ulp.completed = true)
         ORDER BY m.order_sequence, l.order_sequence
       `;
 
 			const client = await this.pool.connect();
-			const res = await client.query(sql, [userId, courseId]);
+			const res = await client.query(sql, [userId, courseId, includeStarted]);
 			client.release();
 			return res.rows;
 		} catch (error) {
@@ -547,21 +1116,109 @@ class CourseStore {
 	}
 
 	/**
-	 * Search courses by title or description
+	 * Ranked full-text search over published courses (title, learning
+	 * objectives, lesson titles and description) with highlighted snippets
+	 * Highlights are escaped HTML with matches wrapped in <mark>
+	 *
+	 * Facet counts cover every match with the other filters applied, so each
+	 * facet shows what picking one of its values would return
 	 */
-	async searchCourses(searchTerm) {
+	async searchCourses(searchTerm, filters = {}, { limit = 20, offset = 0 } = {}) {
 		try {
-			const sql = `
-        SELECT * FROM courses 
-        WHERE is_published = true 
-        AND (title ILIKE $1 OR description ILIKE $1)
-        ORDER BY title
+			const params = [searchTerm];
+			const conditions = {};
+			for (const field of SEARCH_FACETS) {
+				if (filters[field] !== undefined) {
+					params.push(filters[field]);
+					conditions[field] = `c.${field} = $${params.length}`;
+				}
+			}
+			const where = (except = null) =>
+				Object.entries(conditions)
+					.filter(([field]) => field !== except)
+					.map(([, condition]) => ` AND ${condition}`)
+					.join('');
+
+			const matchesSql = `
+        WITH search AS (SELECT websearch_to_tsquery('english', $1) as query),
+        matches AS (
+          SELECT c.*, ${PRICE_RANGE_SQL} as price_range,
+            ts_rank_cd(d.document, s.query) as rank
+          FROM courses c
+          JOIN course_search_documents d ON d.course_id = c.id
+          CROSS JOIN search s
+          WHERE c.is_published = true AND d.document @@ s.query
+        )
+      `;
+
+			const resultsSql = `
+        ${matchesSql}
+        SELECT c.*, ${RATING_COLUMNS},
+          ts_headline('english', translate(c.title, '${HIGHLIGHT_START}${HIGHLIGHT_STOP}', ''), s.query,
+            'HighlightAll=true, StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}') as title_highlight,
+          ts_headline('english', translate(COALESCE(c.description, ''), '${HIGHLIGHT_START}${HIGHLIGHT_STOP}', ''), s.query,
+            'StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_STOP}, MinWords=15, MaxWords=35, MaxFragments=2') as snippet,
+          ARRAY(
+            SELECT l.title FROM lessons l
+            JOIN modules m ON l.module_id = m.id
+            WHERE m.course_id = c.id AND to_tsvector('english', l.title) @@ s.query
+            ORDER BY m.order_sequence, l.order_sequence
+            LIMIT 5
+          ) as matching_lessons
+        FROM matches c
+        CROSS JOIN search s
+        WHERE true${where()}
+        ORDER BY c.rank DESC, c.title
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      `;
+
+			const facetSql = (field) => `
+        (SELECT COALESCE(json_agg(json_build_object('value', f.value, 'count', f.count)
+          ORDER BY f.count DESC, f.value), '[]')
+         FROM (
+           SELECT c.${field} as value, COUNT(*)::int as count
+           FROM matches c
+           WHERE true${where(field)}
+           GROUP BY c.${field}
+         ) f) as ${field}
+      `;
+			const facetsSql = `
+        ${matchesSql}
+        SELECT
+          (SELECT COUNT(*)::int FROM matches c WHERE true${where()}) as total,
+          ${SEARCH_FACETS.map(facetSql).join(',')}
       `;
 
 			const client = await this.pool.connect();
-			const res = await client.query(sql, [`%${searchTerm}%`]);
+			const resultsRes = await client.query(resultsSql, [
+				...params,
+				limit,
+				offset,
+			]);
+			const facetsRes = await client.query(facetsSql, params);
 			client.release();
-			return res.rows;
+
+			const { total, ...facets } = facetsRes.rows[0];
+
+			// Every price range is listed, in order, even with no matches
+			const priceCounts = new Map(
+				facets.price_range.map((facet) => [facet.value, facet.count])
+			);
+			facets.price_range = PRICE_RANGES.map((range) => ({
+				...range,
+				count: priceCounts.get(range.value) || 0,
+			}));
+
+			return {
+				total,
+				results: resultsRes.rows.map(({ rank, ...course }) => ({
+					...course,
+					title_highlight: toHighlightHtml(course.title_highlight),
+					snippet: toHighlightHtml(course.snippet),
+					rank: parseFloat(rank),
+				})),
+				facets,
+			};
 		} catch (error) {
 			throw new Error(`Could not search courses: ${error}`);
 		}
@@ -642,18 +1299,37 @@ function validateCourse(course) {
 		learning_objectives: Joi.string().required(),
 		is_published: Joi.boolean().default(true),
 		is_series: Joi.boolean().default(false),
+		instructor_id: Joi.number().integer().positive().allow(null),
 		features: Joi.array().items(Joi.number().integer().positive()).optional(),
 	});
 
 	return courseSchema.validate(course);
 }
 
+/**
+ * Drip release settings shared by modules and lessons
+ */
+const unlockRuleFields = {
+	unlock_rule: Joi.string().valid(...UNLOCK_RULES),
+	unlock_after_days: Joi.when('unlock_rule', {
+		is: 'days_after_enrollment',
+		then: Joi.number().integer().min(0).required(),
+		otherwise: Joi.any().valid(null),
+	}),
+	unlock_at: Joi.when('unlock_rule', {
+		is: 'date',
+		then: Joi.date().iso().required(),
+		otherwise: Joi.any().valid(null),
+	}),
+};
+
 function validateModule(module) {
 	const moduleSchema = Joi.object({
 		course_id: Joi.number().integer().positive().required(),
 		title: Joi.string().required(),
 		description: Joi.string().allow(''),
 		order_sequence: Joi.number().integer().positive().required(),
+		...unlockRuleFields,
 	});
 
 	return moduleSchema.validate(module);
@@ -669,14 +1345,106 @@ function validateLesson(lesson) {
 		duration_minutes: Joi.number().integer().min(0).default(0),
 		order_sequence: Joi.number().integer().positive().required(),
 		is_required: Joi.boolean().default(true),
+		is_preview: Joi.boolean(),
+		...unlockRuleFields,
 	});
 
 	return lessonSchema.validate(lesson);
 }
 
+/**
+ * Draft module/lesson tree (see models/courseVersion.js)
+ * Array order is the order_sequence; items without an id are new
+ * lessonKeys adds lesson fields (e.g. quiz data in course packages)
+ */
+function validateCurriculum(curriculum, lessonKeys = {}) {
+	const lessonSchema = Joi.object({
+		id: Joi.number().integer().positive(),
+		title: Joi.string().required(),
+		lesson_type: Joi.string().valid('video', 'article', 'quiz').required(),
+		content_url: Joi.string().uri().allow('', null).default(null),
+		content_text: Joi.string().allow('', null).default(null),
+		duration_minutes: Joi.number().integer().min(0).default(0),
+		is_required: Joi.boolean().default(true),
+		is_preview: Joi.boolean().default(false),
+		...unlockRuleFields,
+		...lessonKeys,
+	});
+
+	const moduleSchema = Joi.object({
+		id: Joi.number().integer().positive(),
+		title: Joi.string().required(),
+		description: Joi.string().allow('', null).default(null),
+		...unlockRuleFields,
+		lessons: Joi.array().items(lessonSchema).default([]),
+	});
+
+	const curriculumSchema = Joi.object({
+		modules: Joi.array().items(moduleSchema).required(),
+	});
+
+	return curriculumSchema.validate(curriculum);
+}
+
+function validateHeartbeat(heartbeat) {
+	const heartbeatSchema = Joi.object({
+		position_seconds: Joi.number().min(0).required(),
+		elapsed_seconds: Joi.number().min(0).required(),
+		duration_seconds: Joi.number().positive(),
+	});
+
+	return heartbeatSchema.validate(heartbeat);
+}
+
+function validateSeriesParts(parts) {
+	const partsSchema = Joi.object({
+		course_ids: Joi.array()
+			.items(Joi.number().integer().positive())
+			.unique()
+			.required(),
+	});
+
+	return partsSchema.validate(parts);
+}
+
+function validatePrerequisites(prerequisites) {
+	const prerequisitesSchema = Joi.object({
+		course_ids: Joi.array()
+			.items(Joi.number().integer().positive())
+			.unique()
+			.required(),
+	});
+
+	return prerequisitesSchema.validate(prerequisites);
+}
+
+function validateCourseSearch(query) {
+	const searchSchema = Joi.object({
+		q: Joi.string().trim().max(200).required().messages({
+			'any.required': 'Search term is required',
+			'string.empty': 'Search term is required',
+		}),
+		category: Joi.string(),
+		skill_level: Joi.string().valid('Beginner', 'Intermediate', 'Advanced'),
+		language: Joi.string(),
+		price_range: Joi.string().valid(...PRICE_RANGES.map((range) => range.value)),
+		is_series: Joi.boolean(),
+		limit: Joi.number().integer().min(1).max(100).default(20),
+		offset: Joi.number().integer().min(0).default(0),
+	});
+
+	return searchSchema.validate(query);
+}
+
 module.exports = {
 	CourseStore,
 	validateCourse,
 	validateModule,
 	validateLesson,
+	validatePrerequisites,
+	validateSeriesParts,
+	validateHeartbeat,
+	validateCurriculum,
+	validateCourseSearch,
+	PRICE_RANGES,
 };
@@ -0,0 +1,341 @@
+// models/coursePackage.js
+const Joi = require('joi');
+const { validateCourse, validateCurriculum } = require('./course');
+const { validateQuiz } = require('./quiz');
+const { CourseVersionStore } = require('./courseVersion');
+
+/**
+ * Course packages - a whole course as one portable JSON document, used to
+ * move courses between environments (e.g. staging to production)
+ *
+ * Database IDs are left out so a package can be imported anywhere; features
+ * are matched by name. Prerequisites and series parts point at other courses
+ * and are not included.
+ */
+const PACKAGE_FORMAT = 'jingwu-course';
+const PACKAGE_VERSION = 1;
+
+const COURSE_FIELDS = [
+	'title',
+	'category',
+	'description',
+	'thumbnail_url',
+	'instructor_name',
+	'skill_level',
+	'language',
+	'estimated_hours',
+	'regular_price',
+	'prerequisites',
+	'learning_objectives',
+	'is_series',
+];
+const NUMERIC_COURSE_FIELDS = ['estimated_hours', 'regular_price'];
+
+const QUESTION_FIELDS = [
+	'question_type',
+	'prompt',
+	'options',
+	'answer',
+	'explanation',
+	'points',
+];
+
+// The validators reject null for fields that are simply absent
+const withoutNulls = (item, fields) => {
+	const picked = {};
+	for (const field of fields) {
+		if (item[field] !== null && item[field] !== undefined) {
+			picked[field] = item[field];
+		}
+	}
+	return picked;
+};
+
+/**
+ * CoursePackageStore reads a course into a package and creates courses from one
+ */
+class CoursePackageStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	/**
+	 * Build the package for a course - null if the course doesn't exist
+	 */
+	async export(courseId) {
+		try {
+			const client = await this.pool.connect();
+			try {
+				const courseRes = await client.query(
+					'SELECT * FROM courses WHERE id = $1',
+					[courseId]
+				);
+				if (courseRes.rows.length === 0) {
+					return null;
+				}
+
+				const featuresRes = await client.query(
+					`SELECT cf.name FROM course_features cf
+           JOIN course_course_features ccf ON cf.id = ccf.feature_id
+           WHERE ccf.course_id = $1
+           ORDER BY cf.name`,
+					[courseId]
+				);
+
+				const quizzesRes = await client.query(
+					`SELECT q.lesson_id, q.passing_score, q.max_attempts, q.shuffle_questions,
+             COALESCE(
+               json_agg(qq.* ORDER BY qq.order_sequence) FILTER (WHERE qq.id IS NOT NULL),
+               '[]'
+             ) as questions
+           FROM quizzes q
+           JOIN lessons l ON q.lesson_id = l.id
+           JOIN modules m ON l.module_id = m.id
+           LEFT JOIN quiz_questions qq ON qq.quiz_id = q.id
+           WHERE m.course_id = $1
+           GROUP BY q.id`,
+					[courseId]
+				);
+				const quizzes = new Map(
+					quizzesRes.rows.map((quiz) => [quiz.lesson_id, quiz])
+				);
+
+				const curriculum = await new CourseVersionStore(
+					this.pool
+				).getLiveSnapshot(courseId, client);
+
+				const course = withoutNulls(courseRes.rows[0], COURSE_FIELDS);
+				for (const field of NUMERIC_COURSE_FIELDS) {
+					course[field] = parseFloat(course[field]);
+				}
+
+				return {
+					format: PACKAGE_FORMAT,
+					version: PACKAGE_VERSION,
+					exported_at: new Date().toISOString(),
+					course,
+					features: featuresRes.rows.map((feature) => feature.name),
+					modules: curriculum.modules.map(({ id, lessons, ...module }) => ({
+						...module,
+						lessons: lessons.map(({ id: lessonId, ...lesson }) => {
+							const quiz = quizzes.get(lessonId);
+							return lesson.lesson_type === 'quiz'
+								? {
+										...lesson,
+										quiz: quiz
+											? {
+													passing_score: quiz.passing_score,
+													max_attempts: quiz.max_attempts,
+													shuffle_questions: quiz.shuffle_questions,
+													questions: quiz.questions.map((question) =>
+														withoutNulls(question, QUESTION_FIELDS)
+													),
+												}
+											: null,
+									}
+								: lesson;
+						}),
+					})),
+				};
+			} finally {
+				client.release();
+			}
+		} catch (error) {
+			throw new Error(`Could not export course: ${error}`);
+		}
+	}
+
+	/**
+	 * Create a course (unpublished) with everything in a validated package
+	 * All or nothing - returns the new course row
+	 */
+	async import(coursePackage) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+
+			const { course } = coursePackage;
+			const courseRes = await client.query(
+				`INSERT INTO courses (title, category, description, thumbnail_url, instructor_name,
+           skill_level, language, estimated_hours, regular_price,
+           prerequisites, learning_objectives, is_published, is_series)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, false, $12)
+         RETURNING *`,
+				[
+					course.title,
+					course.category,
+					course.description,
+					course.thumbnail_url || null,
+					course.instructor_name,
+					course.skill_level,
+					course.language,
+					course.estimated_hours,
+					course.regular_price,
+					course.prerequisites || null,
+					course.learning_objectives,
+					course.is_series,
+				]
+			);
+			const newCourse = courseRes.rows[0];
+
+			if (coursePackage.features.length > 0) {
+				// Features are shared between courses - add any this environment lacks
+				await client.query(
+					`INSERT INTO course_features (name)
+           SELECT unnest($1::text[])
+           ON CONFLICT (name) DO NOTHING`,
+					[coursePackage.features]
+				);
+				await client.query(
+					`INSERT INTO course_course_features (course_id, feature_id)
+           SELECT $1, id FROM course_features WHERE name = ANY($2::text[])`,
+					[newCourse.id, coursePackage.features]
+				);
+			}
+
+			for (const [moduleIndex, module] of coursePackage.modules.entries()) {
+				const moduleRes = await client.query(
+					`INSERT INTO modules (course_id, title, description, order_sequence,
+             unlock_rule, unlock_after_days, unlock_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+					[
+						newCourse.id,
+						module.title,
+						module.description,
+						moduleIndex + 1,
+						module.unlock_rule || 'always',
+						module.unlock_after_days ?? null,
+						module.unlock_at ?? null,
+					]
+				);
+				const moduleId = moduleRes.rows[0].id;
+
+				for (const [lessonIndex, lesson] of module.lessons.entries()) {
+					const lessonRes = await client.query(
+						`INSERT INTO lessons (module_id, title, lesson_type, content_url, content_text,
+               duration_minutes, order_sequence, is_required,
+               unlock_rule, unlock_after_days, unlock_at, is_preview)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING id`,
+						[
+							moduleId,
+							lesson.title,
+							lesson.lesson_type,
+							lesson.content_url || null,
+							lesson.content_text,
+							lesson.duration_minutes,
+							lessonIndex + 1,
+							lesson.is_required,
+							lesson.unlock_rule || 'always',
+							lesson.unlock_after_days ?? null,
+							lesson.unlock_at ?? null,
+							lesson.is_preview,
+						]
+					);
+
+					if (lesson.quiz) {
+						await this.insertQuiz(client, lessonRes.rows[0].id, lesson.quiz);
+					}
+				}
+			}
+
+			await client.query('COMMIT');
+			return newCourse;
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not import course: ${error}`);
+		} finally {
+			client.release();
+		}
+	}
+
+	// ========================
+	// HELPER METHODS
+	// ========================
+
+	async insertQuiz(client, lessonId, quiz) {
+		const quizRes = await client.query(
+			`INSERT INTO quizzes (lesson_id, passing_score, max_attempts, shuffle_questions)
+       VALUES ($1, $2, $3, $4) RETURNING id`,
+			[lessonId, quiz.passing_score, quiz.max_attempts, quiz.shuffle_questions]
+		);
+
+		for (const [index, question] of quiz.questions.entries()) {
+			await client.query(
+				`INSERT INTO quiz_questions (quiz_id, question_type, prompt, options, answer, explanation, points, order_sequence)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+				[
+					quizRes.rows[0].id,
+					question.question_type,
+					question.prompt,
+					question.options ? JSON.stringify(question.options) : null,
+					question.answer !== undefined
+						? JSON.stringify(question.answer)
+						: null,
+					question.explanation || null,
+					question.points,
+					index + 1,
+				]
+			);
+		}
+	}
+}
+
+/**
+ * Use one of the models' validators for part of the package (keeping the
+ * defaults it fills in) - errors are prefixed with the label or the path
+ */
+const validatedBy = (validate, label = null) => (value, helpers) => {
+	const { error, value: validated } = validate(value);
+	if (error) {
+		const prefix = label || helpers.state.path.join('.');
+		return helpers.message(`${prefix}: ${error.details[0].message}`);
+	}
+	return validated;
+};
+
+/**
+ * Validation schema for a course package
+ * The course, curriculum and quizzes are checked by their usual validators
+ */
+function validateCoursePackage(coursePackage) {
+	const quizField = {
+		quiz: Joi.when('lesson_type', {
+			is: 'quiz',
+			then: Joi.object()
+				.allow(null)
+				.default(null)
+				.custom(validatedBy(validateQuiz)),
+			otherwise: Joi.forbidden(),
+		}),
+	};
+
+	const packageSchema = Joi.object({
+		format: Joi.string().valid(PACKAGE_FORMAT).required(),
+		version: Joi.number().integer().valid(PACKAGE_VERSION).required(),
+		exported_at: Joi.date().iso(),
+		course: Joi.object()
+			.required()
+			.custom(validatedBy(validateCourse, 'course')),
+		features: Joi.array()
+			.items(Joi.string().trim().min(1))
+			.unique()
+			.default([]),
+		modules: Joi.array()
+			.required()
+			.custom(
+				validatedBy((modules) => {
+					const { error, value } = validateCurriculum({ modules }, quizField);
+					return { error, value: value && value.modules };
+				}, 'curriculum')
+			),
+	});
+
+	return packageSchema.validate(coursePackage);
+}
+
+module.exports = {
+	CoursePackageStore,
+	validateCoursePackage,
+	PACKAGE_FORMAT,
+	PACKAGE_VERSION,
+};
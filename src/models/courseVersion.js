@@ -0,0 +1,459 @@
+// models/courseVersion.js
+const { isDeepStrictEqual } = require('util');
+const {
+	MODULE_FIELDS,
+	LESSON_FIELDS,
+	normalizeCurriculum,
+} = require('../utilis/curriculum');
+
+/**
+ * CourseVersionStore handles drafts and published versions of a course's
+ * module/lesson tree (course_versions)
+ *
+ * Publishing applies the draft to the live modules/lessons tables in place:
+ * items keep their ids (so progress, quizzes and media stay attached), new
+ * items are inserted and items missing from the draft are deleted.
+ */
+class CourseVersionStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	// ========================
+	// SNAPSHOTS
+	// ========================
+
+	/**
+	 * Build the live module/lesson tree of a course
+	 */
+	async getLiveSnapshot(courseId, client = null) {
+		const connection = client || (await this.pool.connect());
+		try {
+			const modulesRes = await connection.query(
+				'SELECT * FROM modules WHERE course_id = $1 ORDER BY order_sequence',
+				[courseId]
+			);
+			const lessonsRes = await connection.query(
+				`SELECT l.* FROM lessons l
+         JOIN modules m ON l.module_id = m.id
+         WHERE m.course_id = $1
+         ORDER BY l.order_sequence`,
+				[courseId]
+			);
+
+			return normalizeCurriculum({
+				modules: modulesRes.rows.map((module) => ({
+					...module,
+					lessons: lessonsRes.rows.filter(
+						(lesson) => lesson.module_id === module.id
+					),
+				})),
+			});
+		} catch (error) {
+			throw new Error(`Could not build course snapshot: ${error}`);
+		} finally {
+			if (!client) {
+				connection.release();
+			}
+		}
+	}
+
+	// ========================
+	// DRAFT OPERATIONS
+	// ========================
+
+	/**
+	 * Get a course's open draft
+	 */
+	async getDraft(courseId) {
+		try {
+			const sql = `
+        SELECT * FROM course_versions
+        WHERE course_id = $1 AND status = 'draft'
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not get draft: ${error}`);
+		}
+	}
+
+	/**
+	 * Start a draft - from the live tree, or from a snapshot (restoring a version)
+	 * An existing draft is replaced when a snapshot is given, otherwise kept
+	 */
+	async createDraft(
+		courseId,
+		userId,
+		{ snapshot = null, basedOnVersionId = null } = {}
+	) {
+		try {
+			const client = await this.pool.connect();
+			try {
+				const draftSnapshot =
+					snapshot || (await this.getLiveSnapshot(courseId, client));
+
+				const sql = `
+          INSERT INTO course_versions (course_id, status, snapshot, based_on_version_id, created_by)
+          VALUES ($1, 'draft', $2, COALESCE($3, (
+            SELECT id FROM course_versions
+            WHERE course_id = $1 AND status = 'published'
+            ORDER BY version_number DESC LIMIT 1
+          )), $4)
+          ON CONFLICT (course_id) WHERE status = 'draft'
+          DO ${
+						snapshot
+							? `UPDATE SET snapshot = EXCLUDED.snapshot,
+              based_on_version_id = EXCLUDED.based_on_version_id,
+              created_by = EXCLUDED.created_by`
+							: 'NOTHING'
+					}
+          RETURNING *
+        `;
+				const res = await client.query(sql, [
+					courseId,
+					JSON.stringify(draftSnapshot),
+					basedOnVersionId,
+					userId,
+				]);
+
+				return res.rows[0] || (await this.getDraft(courseId));
+			} finally {
+				client.release();
+			}
+		} catch (error) {
+			throw new Error(`Could not create draft: ${error}`);
+		}
+	}
+
+	/**
+	 * Replace the draft's tree
+	 */
+	async updateDraft(courseId, curriculum) {
+		try {
+			const sql = `
+        UPDATE course_versions SET snapshot = $2
+        WHERE course_id = $1 AND status = 'draft'
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [
+				courseId,
+				JSON.stringify(normalizeCurriculum(curriculum)),
+			]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not update draft: ${error}`);
+		}
+	}
+
+	/**
+	 * Throw away a course's draft
+	 */
+	async discardDraft(courseId) {
+		try {
+			const sql = `
+        DELETE FROM course_versions
+        WHERE course_id = $1 AND status = 'draft'
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not discard draft: ${error}`);
+		}
+	}
+
+	/**
+	 * Apply the draft to the live tables and record it as the next version
+	 * If the live tree was edited directly since the last version, that state
+	 * is recorded first so it can still be restored.
+	 * Returns { version, previousVersion, removedLessonIds, lessons }
+	 * (previousVersion is only set when the live tree had to be recorded)
+	 * or null without a draft
+	 */
+	async publishDraft(courseId, userId, notes = null) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+
+			// Serialize publishes (and direct edits checking for drafts) per course
+			await client.query('SELECT id FROM courses WHERE id = $1 FOR UPDATE', [
+				courseId,
+			]);
+
+			const draftRes = await client.query(
+				`SELECT * FROM course_versions
+         WHERE course_id = $1 AND status = 'draft' FOR UPDATE`,
+				[courseId]
+			);
+			const draft = draftRes.rows[0];
+			if (!draft) {
+				await client.query('ROLLBACK');
+				return null;
+			}
+
+			const liveSnapshot = await this.getLiveSnapshot(courseId, client);
+			const latest = await this.getLatestVersion(courseId, client);
+			let previousVersion = null;
+			// JSONB doesn't keep key order, so compare values rather than JSON text
+			if (!latest || !isDeepStrictEqual(latest.snapshot, liveSnapshot)) {
+				previousVersion = await this.insertVersion(
+					client,
+					courseId,
+					liveSnapshot,
+					{
+						notes: latest
+							? 'Direct edits made since the previous version'
+							: 'Curriculum before versioning',
+					}
+				);
+			}
+
+			const removedLessonIds = await this.applySnapshot(
+				client,
+				courseId,
+				draft.snapshot
+			);
+
+			// Record the tree as it is now live (new items have their ids)
+			const publishedSnapshot = await this.getLiveSnapshot(courseId, client);
+			const versionNumberRes = await client.query(
+				`SELECT COALESCE(MAX(version_number), 0) + 1 as next
+         FROM course_versions WHERE course_id = $1`,
+				[courseId]
+			);
+			const versionRes = await client.query(
+				`UPDATE course_versions SET
+           status = 'published',
+           version_number = $2,
+           snapshot = $3,
+           notes = COALESCE($4, notes),
+           published_by = $5,
+           published_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+				[
+					draft.id,
+					versionNumberRes.rows[0].next,
+					JSON.stringify(publishedSnapshot),
+					notes,
+					userId,
+				]
+			);
+
+			await client.query('COMMIT');
+			return {
+				version: versionRes.rows[0],
+				previousVersion,
+				removedLessonIds,
+				lessons: publishedSnapshot.modules.flatMap((module) => module.lessons),
+			};
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not publish draft: ${error}`);
+		} finally {
+			client.release();
+		}
+	}
+
+	// ========================
+	// VERSION HISTORY
+	// ========================
+
+	/**
+	 * List a course's published versions, newest first (without snapshots)
+	 */
+	async getVersions(courseId) {
+		try {
+			const sql = `
+        SELECT cv.id, cv.version_number, cv.notes, cv.based_on_version_id,
+          cv.published_at, cv.published_by, u.name as published_by_name,
+          jsonb_array_length(cv.snapshot->'modules') as module_count
+        FROM course_versions cv
+        LEFT JOIN users u ON cv.published_by = u.id
+        WHERE cv.course_id = $1 AND cv.status = 'published'
+        ORDER BY cv.version_number DESC
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get course versions: ${error}`);
+		}
+	}
+
+	/**
+	 * Get one version (or the draft) of a course
+	 */
+	async getVersion(courseId, versionId) {
+		try {
+			const sql =
+				'SELECT * FROM course_versions WHERE course_id = $1 AND id = $2';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseId, versionId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not get course version: ${error}`);
+		}
+	}
+
+	/**
+	 * IDs of every draft and version of a course (for media cleanup)
+	 */
+	async getVersionIds(courseId) {
+		try {
+			const sql = 'SELECT id FROM course_versions WHERE course_id = $1';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseId]);
+			client.release();
+			return res.rows.map((row) => row.id);
+		} catch (error) {
+			throw new Error(`Could not get course version IDs: ${error}`);
+		}
+	}
+
+	// ========================
+	// HELPER METHODS
+	// ========================
+
+	async getLatestVersion(courseId, client) {
+		const res = await client.query(
+			`SELECT * FROM course_versions
+       WHERE course_id = $1 AND status = 'published'
+       ORDER BY version_number DESC LIMIT 1`,
+			[courseId]
+		);
+		return res.rows[0] || null;
+	}
+
+	async insertVersion(client, courseId, snapshot, { notes = null } = {}) {
+		const res = await client.query(
+			`INSERT INTO course_versions (course_id, status, version_number, snapshot, notes, published_at)
+       SELECT $1, 'published', COALESCE(MAX(version_number), 0) + 1, $2, $3, CURRENT_TIMESTAMP
+       FROM course_versions WHERE course_id = $1
+       RETURNING *`,
+			[courseId, JSON.stringify(snapshot), notes]
+		);
+		return res.rows[0];
+	}
+
+	/**
+	 * Make the live modules/lessons match a snapshot - returns removed lesson ids
+	 * Ids that no longer exist in this course (e.g. restoring an old version)
+	 * are inserted as new rows
+	 */
+	async applySnapshot(client, courseId, snapshot) {
+		const liveModules = await client.query(
+			'SELECT id FROM modules WHERE course_id = $1',
+			[courseId]
+		);
+		const liveLessons = await client.query(
+			`SELECT l.id FROM lessons l
+       JOIN modules m ON l.module_id = m.id
+       WHERE m.course_id = $1`,
+			[courseId]
+		);
+		const moduleIds = new Set(liveModules.rows.map((row) => row.id));
+		const lessonIds = new Set(liveLessons.rows.map((row) => row.id));
+
+		// Move everything out of the way of the UNIQUE order_sequence constraints
+		await client.query(
+			'UPDATE modules SET order_sequence = -id WHERE course_id = $1',
+			[courseId]
+		);
+		await client.query(
+			`UPDATE lessons SET order_sequence = -id
+       WHERE module_id IN (SELECT id FROM modules WHERE course_id = $1)`,
+			[courseId]
+		);
+
+		const keptModules = new Set();
+		const keptLessons = new Set();
+		const values = (item, fields) => fields.map((field) => item[field] ?? null);
+
+		for (const [moduleIndex, module] of snapshot.modules.entries()) {
+			let moduleId = module.id;
+			const moduleValues = [...values(module, MODULE_FIELDS), moduleIndex + 1];
+
+			if (moduleIds.has(moduleId) && !keptModules.has(moduleId)) {
+				await client.query(
+					`UPDATE modules SET
+             title = $1, description = $2, unlock_rule = $3, unlock_after_days = $4,
+             unlock_at = $5, order_sequence = $6, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $7`,
+					[...moduleValues, moduleId]
+				);
+			} else {
+				const res = await client.query(
+					`INSERT INTO modules (title, description, unlock_rule, unlock_after_days,
+             unlock_at, order_sequence, course_id)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING id`,
+					[...moduleValues, courseId]
+				);
+				moduleId = res.rows[0].id;
+			}
+			keptModules.add(moduleId);
+
+			for (const [lessonIndex, lesson] of module.lessons.entries()) {
+				const lessonValues = [
+					...values(lesson, LESSON_FIELDS),
+					lessonIndex + 1,
+					moduleId,
+				];
+
+				if (lessonIds.has(lesson.id) && !keptLessons.has(lesson.id)) {
+					await client.query(
+						`UPDATE lessons SET
+               title = $1, lesson_type = $2, content_url = $3, content_text = $4,
+               duration_minutes = $5, is_required = $6, unlock_rule = $7,
+               unlock_after_days = $8, unlock_at = $9, is_preview = COALESCE($10, false),
+               order_sequence = $11, module_id = $12, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $13`,
+						[...lessonValues, lesson.id]
+					);
+					keptLessons.add(lesson.id);
+				} else {
+					const res = await client.query(
+						`INSERT INTO lessons (title, lesson_type, content_url, content_text,
+               duration_minutes, is_required, unlock_rule, unlock_after_days,
+               unlock_at, is_preview, order_sequence, module_id)
+             VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, COALESCE($10, false), $11, $12)
+             RETURNING id`,
+						lessonValues
+					);
+					keptLessons.add(res.rows[0].id);
+				}
+			}
+		}
+
+		const removedLessonIds = [...lessonIds].filter(
+			(id) => !keptLessons.has(id)
+		);
+		const removedModuleIds = [...moduleIds].filter(
+			(id) => !keptModules.has(id)
+		);
+
+		if (removedLessonIds.length > 0) {
+			await client.query('DELETE FROM lessons WHERE id = ANY($1::int[])', [
+				removedLessonIds,
+			]);
+		}
+		if (removedModuleIds.length > 0) {
+			await client.query('DELETE FROM modules WHERE id = ANY($1::int[])', [
+				removedModuleIds,
+			]);
+		}
+
+		return removedLessonIds;
+	}
+}
+
+module.exports = { CourseVersionStore };
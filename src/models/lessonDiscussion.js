@@ -0,0 +1,537 @@
+// models/lessonDiscussion.js
+const Joi = require('joi');
+
+// A post with its author, course context, upvotes and removal - plus its
+// thread's removal for replies (lesson_posts p via POST_FROM)
+// Author columns are meant for VisibilityPolicy.filterAuthor
+const POST_COLUMNS = `
+  p.*, u.name as author_name, u.avatar as author_avatar,
+  u.deleted_at as author_deleted_at,
+  (SELECT ps.profile FROM privacy_settings ps WHERE ps.user_id = p.user_id) as privacy_profile,
+  m.course_id, (p.user_id = c.instructor_id) as is_instructor,
+  (SELECT COUNT(*)::int FROM lesson_post_votes v WHERE v.post_id = p.id) as upvote_count,
+  d.deleted_at, d.user_id as deleted_by, d.reason as deleted_reason,
+  td.deleted_at as thread_deleted_at
+`;
+
+const POST_FROM = `
+  FROM lesson_posts p
+  JOIN users u ON p.user_id = u.id
+  JOIN lessons l ON p.lesson_id = l.id
+  JOIN modules m ON l.module_id = m.id
+  JOIN courses c ON m.course_id = c.id
+  LEFT JOIN lesson_post_deletions d ON d.post_id = p.id
+  LEFT JOIN lesson_post_deletions td ON td.post_id = p.thread_id
+`;
+
+const THREAD_SORTS = {
+	recent: 'p.created_at DESC',
+	top: 'upvote_count DESC, p.created_at DESC',
+	active: 'last_activity_at DESC',
+};
+
+const THREAD_STATUSES = {
+	all: '',
+	unanswered: "AND p.kind = 'question' AND p.answer_post_id IS NULL",
+	answered: 'AND p.answer_post_id IS NOT NULL',
+};
+
+/**
+ * What students see of a removed post that still has replies
+ */
+const toPlaceholder = (post) => ({
+	...post,
+	user_id: null,
+	author_name: null,
+	author_avatar: null,
+	author_deleted_at: null,
+	privacy_profile: null,
+	is_instructor: false,
+	title: null,
+	body: null,
+	deleted_by: null,
+	deleted_reason: null,
+});
+
+/**
+ * LessonDiscussionStore handles lesson discussion threads, replies, upvotes
+ * and moderation (lesson_posts and related tables)
+ *
+ * Removed posts are recorded in lesson_post_deletions, as messages are in
+ * message_deletions, so a moderator can restore them
+ */
+class LessonDiscussionStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	// ========================
+	// THREADS AND REPLIES
+	// ========================
+
+	/**
+	 * A lesson's threads
+	 * Removed threads are only included for moderators (includeDeleted)
+	 */
+	async getThreads(
+		lessonId,
+		{
+			sort = 'recent',
+			status = 'all',
+			limit = 20,
+			offset = 0,
+			viewerId = null,
+			includeDeleted = false,
+		} = {}
+	) {
+		try {
+			const sql = `
+        SELECT ${POST_COLUMNS},
+          EXISTS (
+            SELECT 1 FROM lesson_post_votes v WHERE v.post_id = p.id AND v.user_id = $2
+          ) as upvoted,
+          (SELECT COUNT(*)::int FROM lesson_posts r
+           WHERE r.thread_id = p.id
+           AND NOT EXISTS (SELECT 1 FROM lesson_post_deletions rd WHERE rd.post_id = r.id)
+          ) as reply_count,
+          GREATEST(
+            p.created_at,
+            (SELECT MAX(r.created_at) FROM lesson_posts r WHERE r.thread_id = p.id)
+          ) as last_activity_at
+        ${POST_FROM}
+        WHERE p.lesson_id = $1 AND p.thread_id IS NULL
+        ${includeDeleted ? '' : 'AND d.post_id IS NULL'}
+        ${Object.hasOwn(THREAD_STATUSES, status) ? THREAD_STATUSES[status] : ''}
+        ORDER BY ${Object.hasOwn(THREAD_SORTS, sort) ? THREAD_SORTS[sort] : THREAD_SORTS.recent}
+        LIMIT $3 OFFSET $4
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [lessonId, viewerId, limit, offset]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get lesson threads: ${error}`);
+		}
+	}
+
+	/**
+	 * A thread with its replies in posting order - null if not found
+	 * Without includeDeleted, removed replies are left out, or blanked
+	 * when other replies answer them
+	 */
+	async getThread(threadId, { viewerId = null, includeDeleted = false } = {}) {
+		try {
+			const sql = `
+        SELECT ${POST_COLUMNS},
+          EXISTS (
+            SELECT 1 FROM lesson_post_votes v WHERE v.post_id = p.id AND v.user_id = $2
+          ) as upvoted
+        ${POST_FROM}
+        WHERE p.id = $1 OR p.thread_id = $1
+        ORDER BY p.created_at, p.id
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [threadId, viewerId]);
+			client.release();
+
+			const thread = res.rows.find(
+				(post) => post.id === threadId && post.thread_id === null
+			);
+			if (!thread) {
+				return null;
+			}
+
+			let replies = res.rows.filter((post) => post.thread_id === threadId);
+			if (!includeDeleted) {
+				// Replies come after what they answer, so walk backwards
+				const answered = new Set();
+				replies = replies
+					.reverse()
+					.filter((post) => {
+						const keep = !post.deleted_at || answered.has(post.id);
+						if (keep) {
+							answered.add(post.parent_id);
+						}
+						return keep;
+					})
+					.reverse()
+					.map((post) => (post.deleted_at ? toPlaceholder(post) : post));
+			}
+
+			return { thread, replies };
+		} catch (error) {
+			throw new Error(`Could not get thread: ${error}`);
+		}
+	}
+
+	/**
+	 * Get a single post with its course and removal - null if not found
+	 */
+	async getPost(id) {
+		try {
+			const sql = `SELECT ${POST_COLUMNS} ${POST_FROM} WHERE p.id = $1`;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not get post: ${error}`);
+		}
+	}
+
+	/**
+	 * Start a thread on a lesson
+	 */
+	async createThread(lessonId, userId, thread) {
+		try {
+			const sql = `
+        INSERT INTO lesson_posts (lesson_id, user_id, kind, title, body)
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [
+				lessonId,
+				userId,
+				thread.kind,
+				thread.title,
+				thread.body,
+			]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not create thread: ${error}`);
+		}
+	}
+
+	/**
+	 * Reply to a thread, or to another reply in it (parentId)
+	 */
+	async createReply(thread, parentId, userId, body) {
+		try {
+			const sql = `
+        INSERT INTO lesson_posts (lesson_id, user_id, thread_id, parent_id, kind, body)
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [
+				thread.lesson_id,
+				userId,
+				thread.id,
+				parentId,
+				thread.kind,
+				body,
+			]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not create reply: ${error}`);
+		}
+	}
+
+	/**
+	 * Edit a post (title only applies to threads)
+	 */
+	async update(id, { title = null, body }) {
+		try {
+			const sql = `
+        UPDATE lesson_posts SET
+          title = CASE WHEN thread_id IS NULL THEN COALESCE($2, title) END,
+          body = $3, edited_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id, title, body]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not update post: ${error}`);
+		}
+	}
+
+	// ========================
+	// UPVOTES
+	// ========================
+
+	/**
+	 * Upvote a post - returns the new upvote count
+	 */
+	async addVote(postId, userId) {
+		try {
+			const sql = `
+        INSERT INTO lesson_post_votes (post_id, user_id)
+        VALUES ($1, $2)
+        ON CONFLICT (post_id, user_id) DO NOTHING
+      `;
+			const client = await this.pool.connect();
+			await client.query(sql, [postId, userId]);
+			client.release();
+			return this.getUpvoteCount(postId);
+		} catch (error) {
+			throw new Error(`Could not upvote post: ${error}`);
+		}
+	}
+
+	/**
+	 * Take an upvote back - returns the new upvote count
+	 */
+	async removeVote(postId, userId) {
+		try {
+			const sql =
+				'DELETE FROM lesson_post_votes WHERE post_id = $1 AND user_id = $2';
+			const client = await this.pool.connect();
+			await client.query(sql, [postId, userId]);
+			client.release();
+			return this.getUpvoteCount(postId);
+		} catch (error) {
+			throw new Error(`Could not remove upvote: ${error}`);
+		}
+	}
+
+	async getUpvoteCount(postId) {
+		try {
+			const sql =
+				'SELECT COUNT(*)::int as count FROM lesson_post_votes WHERE post_id = $1';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [postId]);
+			client.release();
+			return res.rows[0].count;
+		} catch (error) {
+			throw new Error(`Could not count upvotes: ${error}`);
+		}
+	}
+
+	// ========================
+	// MODERATION
+	// ========================
+
+	/**
+	 * Mark a reply as the answer to a question (null clears it)
+	 */
+	async setAnswer(threadId, replyId, userId) {
+		try {
+			const sql = `
+        UPDATE lesson_posts SET
+          answer_post_id = $2::int,
+          answered_at = CASE WHEN $2::int IS NULL THEN NULL ELSE CURRENT_TIMESTAMP END,
+          answered_by = CASE WHEN $2::int IS NULL THEN NULL ELSE $3::int END
+        WHERE id = $1 AND thread_id IS NULL
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [threadId, replyId, userId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not mark answer: ${error}`);
+		}
+	}
+
+	/**
+	 * Lock a thread against new replies, or unlock it
+	 */
+	async setLocked(threadId, userId, locked) {
+		try {
+			const sql = `
+        UPDATE lesson_posts SET
+          locked_at = CASE WHEN $3 THEN CURRENT_TIMESTAMP END,
+          locked_by = CASE WHEN $3 THEN $2::int END
+        WHERE id = $1 AND thread_id IS NULL
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [threadId, userId, locked]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not lock thread: ${error}`);
+		}
+	}
+
+	/**
+	 * Remove a post (kept in lesson_posts so it can be restored)
+	 * A removed reply stops being its thread's answer
+	 * Returns null if it was already removed
+	 */
+	async remove(postId, userId, reason = null) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+
+			const res = await client.query(
+				`INSERT INTO lesson_post_deletions (post_id, user_id, reason)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (post_id) DO NOTHING
+         RETURNING *`,
+				[postId, userId, reason]
+			);
+
+			if (res.rows.length > 0) {
+				await client.query(
+					`UPDATE lesson_posts
+           SET answer_post_id = NULL, answered_at = NULL, answered_by = NULL
+           WHERE answer_post_id = $1`,
+					[postId]
+				);
+			}
+
+			await client.query('COMMIT');
+			return res.rows[0] || null;
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not remove post: ${error}`);
+		} finally {
+			client.release();
+		}
+	}
+
+	/**
+	 * Restore a removed post - null if it wasn't removed
+	 */
+	async restore(postId) {
+		try {
+			const sql = `
+        DELETE FROM lesson_post_deletions
+        WHERE post_id = $1
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [postId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not restore post: ${error}`);
+		}
+	}
+
+	/**
+	 * Removed posts across a course's lessons, most recent first
+	 */
+	async getRemovedPosts(courseId, { limit = 50, offset = 0 } = {}) {
+		try {
+			const sql = `
+        SELECT ${POST_COLUMNS}, l.title as lesson_title,
+          mu.name as deleted_by_name
+        ${POST_FROM}
+        LEFT JOIN users mu ON d.user_id = mu.id
+        WHERE m.course_id = $1 AND d.post_id IS NOT NULL
+        ORDER BY d.deleted_at DESC
+        LIMIT $2 OFFSET $3
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseId, limit, offset]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get removed posts: ${error}`);
+		}
+	}
+
+	// ========================
+	// LOOKUPS
+	// ========================
+
+	/**
+	 * Lesson, course and instructor details for discussion notifications
+	 */
+	async getNotificationContext(lessonId) {
+		try {
+			const sql = `
+        SELECT l.id as lesson_id, l.title as lesson_title,
+          c.id as course_id, c.title as course_title,
+          u.id as instructor_id, u.name as instructor_name, u.email as instructor_email
+        FROM lessons l
+        JOIN modules m ON l.module_id = m.id
+        JOIN courses c ON m.course_id = c.id
+        LEFT JOIN users u ON c.instructor_id = u.id AND u.deleted_at IS NULL
+        WHERE l.id = $1
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [lessonId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not get notification details: ${error}`);
+		}
+	}
+
+	/**
+	 * Every post a user has written (for the data export)
+	 */
+	async getUserPosts(userId) {
+		try {
+			const sql = `
+        SELECT p.id, p.lesson_id, l.title as lesson_title, p.thread_id, p.parent_id,
+          p.kind, p.title, p.body, p.created_at, p.edited_at, d.deleted_at
+        FROM lesson_posts p
+        JOIN lessons l ON p.lesson_id = l.id
+        LEFT JOIN lesson_post_deletions d ON d.post_id = p.id
+        WHERE p.user_id = $1
+        ORDER BY p.created_at
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get user posts: ${error}`);
+		}
+	}
+}
+
+function validateThread(thread) {
+	const threadSchema = Joi.object({
+		kind: Joi.string().valid('question', 'discussion').default('question'),
+		title: Joi.string().trim().max(200).required(),
+		body: Joi.string().trim().max(10000).required(),
+	});
+
+	return threadSchema.validate(thread);
+}
+
+function validateReply(reply) {
+	const replySchema = Joi.object({
+		parent_id: Joi.number().integer().positive(),
+		body: Joi.string().trim().max(10000).required(),
+	});
+
+	return replySchema.validate(reply);
+}
+
+function validatePostUpdate(post) {
+	const postSchema = Joi.object({
+		title: Joi.string().trim().max(200),
+		body: Joi.string().trim().max(10000).required(),
+	});
+
+	return postSchema.validate(post);
+}
+
+function validateAnswer(answer) {
+	const answerSchema = Joi.object({
+		reply_id: Joi.number().integer().positive().allow(null).default(null),
+	});
+
+	return answerSchema.validate(answer);
+}
+
+function validatePostRemoval(removal) {
+	const removalSchema = Joi.object({
+		reason: Joi.string().trim().max(500).allow(''),
+	});
+
+	return removalSchema.validate(removal);
+}
+
+module.exports = {
+	LessonDiscussionStore,
+	validateThread,
+	validateReply,
+	validatePostUpdate,
+	validateAnswer,
+	validatePostRemoval,
+	THREAD_SORTS,
+	THREAD_STATUSES,
+};
@@ -0,0 +1,220 @@
+// models/loginAttempt.js
+require('dotenv').config();
+
+/**
+ * Failed-login counter stores used by LoginThrottle
+ * Both stores share the same interface so they can be swapped:
+ *   get(key), recordFailure(key), lock(key, until), reset(key)
+ * State shape: { failures, last_failure_at, locked_until }
+ */
+
+/**
+ * In-process store (default) - state is lost on restart and not shared
+ * between instances, which is acceptable for a single server
+ */
+class MemoryLoginAttemptStore {
+	constructor() {
+		this.entries = new Map();
+	}
+
+	async get(key) {
+		return this.entries.get(key) || null;
+	}
+
+	async recordFailure(key) {
+		const current = this.entries.get(key);
+		const state = {
+			failures: (current?.failures || 0) + 1,
+			last_failure_at: new Date(),
+			locked_until: current?.locked_until || null,
+		};
+		this.entries.set(key, state);
+		return state;
+	}
+
+	async lock(key, until) {
+		const current = this.entries.get(key) || {
+			failures: 0,
+			last_failure_at: null,
+		};
+		const state = { ...current, locked_until: until };
+		this.entries.set(key, state);
+		return state;
+	}
+
+	async reset(key) {
+		this.entries.delete(key);
+	}
+
+	/**
+	 * Drop entries that have been idle longer than the given age
+	 */
+	async prune(maxAgeMs) {
+		const cutoff = Date.now() - maxAgeMs;
+		for (const [key, state] of this.entries) {
+			const lastActivity = Math.max(
+				state.last_failure_at ? state.last_failure_at.getTime() : 0,
+				state.locked_until ? state.locked_until.getTime() : 0
+			);
+			if (lastActivity < cutoff) {
+				this.entries.delete(key);
+			}
+		}
+	}
+}
+
+/**
+ * Postgres store - shares counters across instances and restarts
+ */
+class PgLoginAttemptStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	async get(key) {
+		try {
+			const sql = `
+        SELECT failures, last_failure_at, locked_until
+        FROM login_throttle WHERE throttle_key = $1
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [key]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not get login throttle state: ${error}`);
+		}
+	}
+
+	async recordFailure(key) {
+		try {
+			const sql = `
+        INSERT INTO login_throttle (throttle_key, failures, last_failure_at)
+        VALUES ($1, 1, CURRENT_TIMESTAMP)
+        ON CONFLICT (throttle_key)
+        DO UPDATE SET
+          failures = login_throttle.failures + 1,
+          last_failure_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING failures, last_failure_at, locked_until
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [key]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not record login failure: ${error}`);
+		}
+	}
+
+	async lock(key, until) {
+		try {
+			const sql = `
+        INSERT INTO login_throttle (throttle_key, locked_until)
+        VALUES ($1, $2)
+        ON CONFLICT (throttle_key)
+        DO UPDATE SET
+          locked_until = $2,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING failures, last_failure_at, locked_until
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [key, until]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not lock login key: ${error}`);
+		}
+	}
+
+	async reset(key) {
+		try {
+			const sql = 'DELETE FROM login_throttle WHERE throttle_key = $1';
+			const client = await this.pool.connect();
+			await client.query(sql, [key]);
+			client.release();
+		} catch (error) {
+			throw new Error(`Could not reset login throttle: ${error}`);
+		}
+	}
+
+	async prune(maxAgeMs) {
+		try {
+			const sql = `
+        DELETE FROM login_throttle
+        WHERE updated_at < $1
+        AND (locked_until IS NULL OR locked_until < CURRENT_TIMESTAMP)
+      `;
+			const client = await this.pool.connect();
+			await client.query(sql, [new Date(Date.now() - maxAgeMs)]);
+			client.release();
+		} catch (error) {
+			throw new Error(`Could not prune login throttle: ${error}`);
+		}
+	}
+}
+
+/**
+ * LoginAuditStore keeps a permanent record of failed and blocked logins
+ */
+class LoginAuditStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	async record({ userId = null, username, ipAddress, userAgent, outcome }) {
+		try {
+			const sql = `
+        INSERT INTO login_attempts (user_id, username, ip_address, user_agent, outcome)
+        VALUES ($1, $2, $3, $4, $5) RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [
+				userId,
+				username,
+				ipAddress || null,
+				userAgent || null,
+				outcome,
+			]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not record login attempt: ${error}`);
+		}
+	}
+
+	async getRecent({ username = null, ipAddress = null, limit = 50 } = {}) {
+		try {
+			const sql = `
+        SELECT * FROM login_attempts
+        WHERE ($1::VARCHAR IS NULL OR LOWER(username) = LOWER($1))
+        AND ($2::VARCHAR IS NULL OR ip_address = $2)
+        ORDER BY created_at DESC
+        LIMIT $3
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [username, ipAddress, limit]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get login attempts: ${error}`);
+		}
+	}
+}
+
+/**
+ * Pick the counter store from LOGIN_THROTTLE_STORE (memory | postgres)
+ */
+function createLoginAttemptStore(pool) {
+	if (process.env.LOGIN_THROTTLE_STORE === 'postgres') {
+		return new PgLoginAttemptStore(pool);
+	}
+	return new MemoryLoginAttemptStore();
+}
+
+module.exports = {
+	MemoryLoginAttemptStore,
+	PgLoginAttemptStore,
+	LoginAuditStore,
+	createLoginAttemptStore,
+};
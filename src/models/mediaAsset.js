@@ -0,0 +1,486 @@
+// models/mediaAsset.js
+
+/**
+ * Entity columns that hold media URLs
+ * removeRow: clearing a dangling URL deletes the row instead of setting NULL
+ * readOnly: dangling URLs are reported but never cleared
+ */
+const MEDIA_FIELDS = [
+	{
+		entityType: 'user',
+		field: 'avatar',
+		table: 'users',
+		idColumn: 'id',
+		column: 'avatar',
+	},
+	{
+		entityType: 'course',
+		field: 'thumbnail_url',
+		table: 'courses',
+		idColumn: 'id',
+		column: 'thumbnail_url',
+	},
+	{
+		entityType: 'lesson',
+		field: 'content_url',
+		table: 'lessons',
+		idColumn: 'id',
+		column: 'content_url',
+	},
+	{
+		entityType: 'news',
+		field: 'thumbnail_url',
+		table: 'news',
+		idColumn: 'id',
+		column: 'thumbnail_url',
+	},
+	{
+		entityType: 'news',
+		field: 'body_images',
+		table: 'news_images',
+		idColumn: 'news_id',
+		column: 'image_url',
+		removeRow: true,
+	},
+	{
+		// Lesson URLs inside curriculum drafts and published versions
+		entityType: 'course_version',
+		field: 'content_url',
+		table: `(
+          SELECT id, jsonb_path_query(snapshot, '$.modules[*].lessons[*].content_url') #>> '{}' AS content_url
+          FROM course_versions
+        ) course_version_urls`,
+		idColumn: 'id',
+		column: 'content_url',
+		readOnly: true,
+	},
+];
+
+/**
+ * MediaAssetStore tracks stored files (media_assets) and the entity fields
+ * that use them (media_asset_references)
+ */
+class MediaAssetStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	// ========================
+	// ASSET OPERATIONS
+	// ========================
+
+	/**
+	 * Record an asset - an existing row for the same URL is reused (and undeleted)
+	 */
+	async upsert(asset) {
+		try {
+			const sql = `
+        INSERT INTO media_assets (url, driver, public_id, resource_type, mime_type, size_bytes, uploaded_by)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        ON CONFLICT (url)
+        DO UPDATE SET
+          public_id = COALESCE(EXCLUDED.public_id, media_assets.public_id),
+          mime_type = COALESCE(EXCLUDED.mime_type, media_assets.mime_type),
+          size_bytes = COALESCE(EXCLUDED.size_bytes, media_assets.size_bytes),
+          uploaded_by = COALESCE(media_assets.uploaded_by, EXCLUDED.uploaded_by),
+          deleted_at = NULL
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [
+				asset.url,
+				asset.driver,
+				asset.public_id || null,
+				asset.resource_type || 'image',
+				asset.mime_type || null,
+				asset.size_bytes || null,
+				asset.uploaded_by || null,
+			]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not save media asset: ${error}`);
+		}
+	}
+
+	async show(id) {
+		try {
+			const sql = `
+        SELECT ma.*,
+          COALESCE(
+            json_agg(json_build_object(
+              'entity_type', mar.entity_type,
+              'entity_id', mar.entity_id,
+              'field', mar.field
+            )) FILTER (WHERE mar.id IS NOT NULL),
+            '[]'
+          ) AS used_by
+        FROM media_assets ma
+        LEFT JOIN media_asset_references mar ON mar.asset_id = ma.id
+        WHERE ma.id = $1
+        GROUP BY ma.id
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not get media asset: ${error}`);
+		}
+	}
+
+	async findByUrl(url) {
+		try {
+			const sql = 'SELECT * FROM media_assets WHERE url = $1';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [url]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not get media asset: ${error}`);
+		}
+	}
+
+	async findByPublicId(driver, publicId) {
+		try {
+			const sql = `
+        SELECT * FROM media_assets
+        WHERE driver = $1 AND public_id = $2 AND deleted_at IS NULL
+        ORDER BY id DESC LIMIT 1
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [driver, publicId]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not get media asset: ${error}`);
+		}
+	}
+
+	/**
+	 * List assets with their reference counts
+	 * Filters: driver, resource_type, entity_type, unreferenced, include_deleted
+	 */
+	async index({
+		driver,
+		resource_type,
+		entity_type,
+		unreferenced = false,
+		include_deleted = false,
+		limit = 50,
+		offset = 0,
+	} = {}) {
+		try {
+			const conditions = [];
+			const params = [];
+
+			if (!include_deleted) {
+				conditions.push('ma.deleted_at IS NULL');
+			}
+			if (driver) {
+				params.push(driver);
+				conditions.push(`ma.driver = $${params.length}`);
+			}
+			if (resource_type) {
+				params.push(resource_type);
+				conditions.push(`ma.resource_type = $${params.length}`);
+			}
+			if (entity_type) {
+				params.push(entity_type);
+				conditions.push(`EXISTS (
+          SELECT 1 FROM media_asset_references r
+          WHERE r.asset_id = ma.id AND r.entity_type = $${params.length}
+        )`);
+			}
+			if (unreferenced) {
+				conditions.push(`NOT EXISTS (
+          SELECT 1 FROM media_asset_references r WHERE r.asset_id = ma.id
+        )`);
+			}
+
+			params.push(limit, offset);
+			const sql = `
+        SELECT ma.*,
+          (SELECT COUNT(*) FROM media_asset_references r WHERE r.asset_id = ma.id)::INTEGER AS reference_count
+        FROM media_assets ma
+        ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+        ORDER BY ma.created_at DESC, ma.id DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, params);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not list media assets: ${error}`);
+		}
+	}
+
+	/**
+	 * Mark an asset as removed from storage (references are dropped)
+	 */
+	async markDeleted(id) {
+		try {
+			const client = await this.pool.connect();
+
+			try {
+				await client.query('BEGIN');
+				await client.query(
+					'DELETE FROM media_asset_references WHERE asset_id = $1',
+					[id]
+				);
+				const res = await client.query(
+					`UPDATE media_assets SET deleted_at = CURRENT_TIMESTAMP
+           WHERE id = $1 RETURNING *`,
+					[id]
+				);
+				await client.query('COMMIT');
+				return res.rows[0];
+			} catch (error) {
+				await client.query('ROLLBACK');
+				throw error;
+			} finally {
+				client.release();
+			}
+		} catch (error) {
+			throw new Error(`Could not mark media asset deleted: ${error}`);
+		}
+	}
+
+	// ========================
+	// REFERENCE OPERATIONS
+	// ========================
+
+	/**
+	 * Replace the assets used by one entity field
+	 * Returns assets that lost this reference and are no longer used anywhere
+	 */
+	async setReferences(entityType, entityId, field, assetIds) {
+		try {
+			const client = await this.pool.connect();
+
+			try {
+				await client.query('BEGIN');
+
+				const removed = await client.query(
+					`DELETE FROM media_asset_references
+           WHERE entity_type = $1 AND entity_id = $2 AND field = $3
+           AND NOT (asset_id = ANY($4::INTEGER[]))
+           RETURNING asset_id`,
+					[entityType, entityId, field, assetIds]
+				);
+
+				for (const assetId of assetIds) {
+					await client.query(
+						`INSERT INTO media_asset_references (asset_id, entity_type, entity_id, field)
+             VALUES ($1, $2, $3, $4)
+             ON CONFLICT DO NOTHING`,
+						[assetId, entityType, entityId, field]
+					);
+				}
+
+				const released = await this.getUnreferenced(
+					client,
+					removed.rows.map((row) => row.asset_id)
+				);
+
+				await client.query('COMMIT');
+				return released;
+			} catch (error) {
+				await client.query('ROLLBACK');
+				throw error;
+			} finally {
+				client.release();
+			}
+		} catch (error) {
+			throw new Error(`Could not update media references: ${error}`);
+		}
+	}
+
+	/**
+	 * Drop every reference held by an entity (or several entities of one type)
+	 * Returns assets that are no longer used anywhere
+	 */
+	async removeEntityReferences(entityType, entityIds) {
+		try {
+			const ids = Array.isArray(entityIds) ? entityIds : [entityIds];
+			const client = await this.pool.connect();
+
+			try {
+				await client.query('BEGIN');
+
+				const removed = await client.query(
+					`DELETE FROM media_asset_references
+           WHERE entity_type = $1 AND entity_id = ANY($2::INTEGER[])
+           RETURNING asset_id`,
+					[entityType, ids]
+				);
+
+				const released = await this.getUnreferenced(
+					client,
+					removed.rows.map((row) => row.asset_id)
+				);
+
+				await client.query('COMMIT');
+				return released;
+			} catch (error) {
+				await client.query('ROLLBACK');
+				throw error;
+			} finally {
+				client.release();
+			}
+		} catch (error) {
+			throw new Error(`Could not remove media references: ${error}`);
+		}
+	}
+
+	// ========================
+	// RECONCILIATION
+	// ========================
+
+	/**
+	 * Every media URL currently stored on an entity (see MEDIA_FIELDS)
+	 */
+	async getEntityMediaUrls() {
+		try {
+			const sql = MEDIA_FIELDS.map(
+				(mediaField) => `
+        SELECT '${mediaField.entityType}' AS entity_type, ${mediaField.idColumn} AS entity_id,
+          '${mediaField.field}' AS field, ${mediaField.column} AS url
+        FROM ${mediaField.table}
+        WHERE ${mediaField.column} IS NOT NULL AND ${mediaField.column} <> ''`
+			).join('\n        UNION ALL');
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get entity media URLs: ${error}`);
+		}
+	}
+
+	/**
+	 * All recorded references with their asset URL
+	 */
+	async getAllReferences() {
+		try {
+			const sql = `
+        SELECT mar.*, ma.url
+        FROM media_asset_references mar
+        JOIN media_assets ma ON ma.id = mar.asset_id
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get media references: ${error}`);
+		}
+	}
+
+	/**
+	 * Live (not deleted) assets stored by a driver, with reference counts
+	 */
+	async getLiveAssets(driver) {
+		try {
+			const sql = `
+        SELECT ma.*,
+          (SELECT COUNT(*) FROM media_asset_references r WHERE r.asset_id = ma.id)::INTEGER AS reference_count
+        FROM media_assets ma
+        WHERE ma.driver = $1 AND ma.deleted_at IS NULL
+        ORDER BY ma.id
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [driver]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get media assets: ${error}`);
+		}
+	}
+
+	async addReference(assetId, entityType, entityId, field) {
+		try {
+			const sql = `
+        INSERT INTO media_asset_references (asset_id, entity_type, entity_id, field)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT DO NOTHING
+      `;
+			const client = await this.pool.connect();
+			await client.query(sql, [assetId, entityType, entityId, field]);
+			client.release();
+		} catch (error) {
+			throw new Error(`Could not add media reference: ${error}`);
+		}
+	}
+
+	async removeReferences(referenceIds) {
+		try {
+			const sql =
+				'DELETE FROM media_asset_references WHERE id = ANY($1::INTEGER[])';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [referenceIds]);
+			client.release();
+			return res.rowCount;
+		} catch (error) {
+			throw new Error(`Could not remove media references: ${error}`);
+		}
+	}
+
+	/**
+	 * Remove a URL that points at a missing file from an entity
+	 */
+	async clearEntityUrl(entityType, entityId, field, url) {
+		try {
+			const mediaField = MEDIA_FIELDS.find(
+				(candidate) =>
+					candidate.entityType === entityType && candidate.field === field
+			);
+			if (!mediaField) {
+				throw new Error(`Unknown media field: ${entityType}.${field}`);
+			}
+			if (mediaField.readOnly) {
+				return 0;
+			}
+
+			const sql = mediaField.removeRow
+				? `DELETE FROM ${mediaField.table} WHERE ${mediaField.idColumn} = $1 AND ${mediaField.column} = $2`
+				: `UPDATE ${mediaField.table} SET ${mediaField.column} = NULL WHERE ${mediaField.idColumn} = $1 AND ${mediaField.column} = $2`;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [entityId, url]);
+			client.release();
+			return res.rowCount;
+		} catch (error) {
+			throw new Error(`Could not clear media URL: ${error}`);
+		}
+	}
+
+	// ========================
+	// HELPER METHODS
+	// ========================
+
+	/**
+	 * Of the given assets, return the live ones without any reference left
+	 */
+	async getUnreferenced(client, assetIds) {
+		if (assetIds.length === 0) {
+			return [];
+		}
+
+		const res = await client.query(
+			`SELECT ma.* FROM media_assets ma
+       WHERE ma.id = ANY($1::INTEGER[])
+       AND ma.deleted_at IS NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM media_asset_references r WHERE r.asset_id = ma.id
+       )`,
+			[[...new Set(assetIds)]]
+		);
+		return res.rows;
+	}
+}
+
+module.exports = { MediaAssetStore, MEDIA_FIELDS };
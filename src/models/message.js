@@ -438,6 +438,40 @@ class MessageStore {
 	// UTILITY METHODS
 	// ========================
 
+	/**
+	 * Get every message in a user's conversations, including ones they deleted
+	 * Used for personal data exports
+	 */
+	async getAllUserMessages(userId) {
+		try {
+			const sql = `
+        SELECT 
+          m.id,
+          m.conversation_id,
+          m.sender_id,
+          u.name as sender_name,
+          m.text,
+          m.message_status,
+          m.sent_at,
+          m.read_at,
+          md.deleted_at as deleted_by_user_at
+        FROM messages m
+        JOIN conversations c ON m.conversation_id = c.id
+        JOIN users u ON m.sender_id = u.id
+        LEFT JOIN message_deletions md ON md.message_id = m.id AND md.user_id = $1
+        WHERE c.user1_id = $1 OR c.user2_id = $1
+        ORDER BY m.conversation_id, m.sent_at
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Can't retrieve user messages: ${error}`);
+		}
+	}
+
 	/**
 	 * Get unread message count for user (excluding deleted messages)
 	 */
@@ -69,9 +69,9 @@ ORDER BY n.created_at DESC
 	}
 
 	/**
-	 * Get single news article
+	 * Get single news article (pass countView: false for internal lookups)
 	 */
-	async show(id) {
+	async show(id, { countView = true } = {}) {
 		try {
 			const sql = `
         SELECT n.*, 
@@ -93,7 +93,7 @@ GROUP BY n.id
 			}
 
 			// Increment view count for published articles
-			if (res.rows[0].status === 'published') {
+			if (countView && res.rows[0].status === 'published') {
 				await this.incrementViewCount(id);
 			}
 
@@ -242,6 +242,65 @@ GROUP BY n.id
 		}
 	}
 
+	// ========================
+	// IMAGE OPERATIONS
+	// ========================
+
+	/**
+	 * Append a body image after the article's existing images
+	 * The article row is locked so concurrent uploads get distinct positions.
+	 * Returns null if the article doesn't exist
+	 */
+	async addBodyImage(newsId, imageUrl) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+
+			const newsRes = await client.query(
+				'SELECT id FROM news WHERE id = $1 FOR UPDATE',
+				[newsId]
+			);
+			if (newsRes.rows.length === 0) {
+				await client.query('ROLLBACK');
+				return null;
+			}
+
+			const res = await client.query(
+				`INSERT INTO news_images (news_id, image_url, order_sequence)
+         SELECT $1, $2, COALESCE(MAX(order_sequence), 0) + 1
+         FROM news_images WHERE news_id = $1
+         RETURNING *`,
+				[newsId, imageUrl]
+			);
+
+			await client.query('COMMIT');
+			return res.rows[0];
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not add news image: ${error}`);
+		} finally {
+			client.release();
+		}
+	}
+
+	/**
+	 * Replace an article's thumbnail - returns null if the article doesn't exist
+	 */
+	async updateThumbnail(newsId, thumbnailUrl) {
+		try {
+			const sql = `
+        UPDATE news SET thumbnail_url = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [thumbnailUrl, newsId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not update news thumbnail: ${error}`);
+		}
+	}
+
 	// ========================
 	// HELPER METHODS
 	// ========================
@@ -105,10 +105,13 @@ class OrderStore {
 
 			const coursePrice = courseRes.rows[0].regular_price;
 
-			// Check if user already purchased this course
+			// Check if user already purchased this course (directly or in a series bundle)
 			const existingSql = `
         SELECT id FROM orders 
-        WHERE user_id = $1 AND course_id = $2 AND order_status = 'completed'
+        WHERE user_id = $1 AND order_status = 'completed'
+        AND (course_id = $2 OR course_id IN (
+          SELECT series_id FROM course_series_parts WHERE course_id = $2
+        ))
       `;
 			const existingRes = await client.query(existingSql, [
 				order.user_id,
@@ -325,13 +328,16 @@ class OrderStore {
 	}
 
 	/**
-	 * Check if user has purchased a specific course
+	 * Check if user has purchased a specific course (directly or in a series bundle)
 	 */
 	async hasUserPurchased(userId, courseId) {
 		try {
 			const sql = `
         SELECT id FROM orders 
-        WHERE user_id = $1 AND course_id = $2 AND order_status = 'completed'
+        WHERE user_id = $1 AND order_status = 'completed'
+        AND (course_id = $2 OR course_id IN (
+          SELECT series_id FROM course_series_parts WHERE course_id = $2
+        ))
       `;
 			const client = await this.pool.connect();
 			const res = await client.query(sql, [userId, courseId]);
@@ -342,6 +348,27 @@ class OrderStore {
 		}
 	}
 
+	/**
+	 * Get Stripe checkout records for a user (via their Stripe customer ID)
+	 */
+	async getUserStripeOrders(userId) {
+		try {
+			const sql = `
+        SELECT so.*
+        FROM stripe_orders so
+        JOIN stripe_customers sc ON so.customer_id = sc.customer_id
+        WHERE sc.user_id = $1
+        ORDER BY so.created_at DESC
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Can't retrieve user Stripe orders: ${error}`);
+		}
+	}
+
 	// ========================
 	// ANALYTICS & REPORTING
 	// ========================
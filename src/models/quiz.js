@@ -0,0 +1,290 @@
+// models/quiz.js
+const Joi = require('joi');
+
+const QUESTION_TYPES = [
+	'multiple_choice',
+	'multi_select',
+	'ordering',
+	'short_answer',
+];
+
+/**
+ * QuizStore handles quiz definitions (quizzes, quiz_questions)
+ * and graded attempts (quiz_attempts)
+ */
+class QuizStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	// ========================
+	// QUIZ OPERATIONS
+	// ========================
+
+	/**
+	 * Get a lesson's quiz with its questions (including answers)
+	 */
+	async getByLesson(lessonId) {
+		try {
+			const sql = `
+        SELECT q.*, l.lesson_type, m.course_id,
+          COALESCE(
+            json_agg(
+              json_build_object(
+                'id', qq.id,
+                'question_type', qq.question_type,
+                'prompt', qq.prompt,
+                'options', qq.options,
+                'answer', qq.answer,
+                'explanation', qq.explanation,
+                'points', qq.points,
+                'order_sequence', qq.order_sequence
+              ) ORDER BY qq.order_sequence
+            ) FILTER (WHERE qq.id IS NOT NULL), '[]'
+          ) as questions
+        FROM quizzes q
+        JOIN lessons l ON q.lesson_id = l.id
+        JOIN modules m ON l.module_id = m.id
+        LEFT JOIN quiz_questions qq ON qq.quiz_id = q.id
+        WHERE q.lesson_id = $1
+        GROUP BY q.id, l.lesson_type, m.course_id
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [lessonId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not get quiz: ${error}`);
+		}
+	}
+
+	/**
+	 * Create or replace a lesson's quiz - questions are replaced as a whole
+	 * (past attempts keep their own graded results)
+	 */
+	async save(lessonId, quiz) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+
+			const quizSql = `
+        INSERT INTO quizzes (lesson_id, passing_score, max_attempts, shuffle_questions)
+        VALUES ($1, $2, $3, $4)
+        ON CONFLICT (lesson_id)
+        DO UPDATE SET
+          passing_score = EXCLUDED.passing_score,
+          max_attempts = EXCLUDED.max_attempts,
+          shuffle_questions = EXCLUDED.shuffle_questions
+        RETURNING id
+      `;
+			const quizRes = await client.query(quizSql, [
+				lessonId,
+				quiz.passing_score,
+				quiz.max_attempts,
+				quiz.shuffle_questions,
+			]);
+			const quizId = quizRes.rows[0].id;
+
+			await client.query('DELETE FROM quiz_questions WHERE quiz_id = $1', [
+				quizId,
+			]);
+
+			const questionSql = `
+        INSERT INTO quiz_questions (quiz_id, question_type, prompt, options, answer, explanation, points, order_sequence)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      `;
+			for (const [index, question] of quiz.questions.entries()) {
+				await client.query(questionSql, [
+					quizId,
+					question.question_type,
+					question.prompt,
+					question.options ? JSON.stringify(question.options) : null,
+					question.answer !== undefined ? JSON.stringify(question.answer) : null,
+					question.explanation || null,
+					question.points,
+					index + 1,
+				]);
+			}
+
+			await client.query('COMMIT');
+			return quizId;
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not save quiz: ${error}`);
+		} finally {
+			client.release();
+		}
+	}
+
+	/**
+	 * Delete a lesson's quiz (questions and attempts cascade)
+	 */
+	async deleteByLesson(lessonId) {
+		try {
+			const sql = 'DELETE FROM quizzes WHERE lesson_id = $1 RETURNING id';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [lessonId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not delete quiz: ${error}`);
+		}
+	}
+
+	// ========================
+	// ATTEMPT OPERATIONS
+	// ========================
+
+	/**
+	 * Record a graded attempt unless the user is out of attempts
+	 * Returns null when max_attempts is reached
+	 */
+	async recordAttempt(quiz, userId, answers, grade) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+
+			// Serialize concurrent submissions by the same user for this quiz
+			await client.query('SELECT pg_advisory_xact_lock($1, $2)', [
+				quiz.id,
+				userId,
+			]);
+
+			if (quiz.max_attempts) {
+				const countRes = await client.query(
+					'SELECT COUNT(*)::int as count FROM quiz_attempts WHERE quiz_id = $1 AND user_id = $2',
+					[quiz.id, userId]
+				);
+				if (countRes.rows[0].count >= quiz.max_attempts) {
+					await client.query('ROLLBACK');
+					return null;
+				}
+			}
+
+			const sql = `
+        INSERT INTO quiz_attempts (quiz_id, user_id, answers, results, earned_points, total_points, score, passed)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        RETURNING *
+      `;
+			const res = await client.query(sql, [
+				quiz.id,
+				userId,
+				JSON.stringify(answers),
+				JSON.stringify(grade.results),
+				grade.earned_points,
+				grade.total_points,
+				grade.score,
+				grade.passed,
+			]);
+
+			await client.query('COMMIT');
+			return res.rows[0];
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not record quiz attempt: ${error}`);
+		} finally {
+			client.release();
+		}
+	}
+
+	/**
+	 * A user's attempts at a quiz, newest first
+	 */
+	async getAttempts(quizId, userId) {
+		try {
+			const sql = `
+        SELECT id, quiz_id, answers, results, earned_points, total_points, score, passed, submitted_at
+        FROM quiz_attempts
+        WHERE quiz_id = $1 AND user_id = $2
+        ORDER BY submitted_at DESC
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [quizId, userId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get quiz attempts: ${error}`);
+		}
+	}
+
+	/**
+	 * Every attempt a user has made (for the data export)
+	 */
+	async getUserAttempts(userId) {
+		try {
+			const sql = `
+        SELECT qa.id, q.lesson_id, l.title as lesson_title, qa.answers,
+          qa.earned_points, qa.total_points, qa.score, qa.passed, qa.submitted_at
+        FROM quiz_attempts qa
+        JOIN quizzes q ON qa.quiz_id = q.id
+        JOIN lessons l ON q.lesson_id = l.id
+        WHERE qa.user_id = $1
+        ORDER BY qa.submitted_at
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get user quiz attempts: ${error}`);
+		}
+	}
+}
+
+/**
+ * Validation schema for a quiz definition
+ * options are choice texts; for ordering they are listed in the correct order
+ */
+function validateQuiz(quiz) {
+	const choices = Joi.array().items(Joi.string().trim().min(1)).min(2).max(20);
+
+	const questionSchema = Joi.object({
+		question_type: Joi.string()
+			.valid(...QUESTION_TYPES)
+			.required(),
+		prompt: Joi.string().required(),
+		explanation: Joi.string().allow('', null),
+		points: Joi.number().integer().positive().default(1),
+		options: Joi.when('question_type', {
+			is: 'short_answer',
+			then: Joi.forbidden(),
+			otherwise: choices.required(),
+		}),
+		answer: Joi.alternatives().conditional('question_type', {
+			switch: [
+				{ is: 'multiple_choice', then: Joi.number().integer().min(0).required() },
+				{
+					is: 'multi_select',
+					then: Joi.array().items(Joi.number().integer().min(0)).min(1).unique().required(),
+				},
+				{
+					is: 'short_answer',
+					then: Joi.array().items(Joi.string().trim().min(1)).min(1).required(),
+				},
+			],
+			otherwise: Joi.forbidden(),
+		}),
+	}).custom((question, helpers) => {
+		// Answer indexes must point at an option
+		const indexes = [].concat(
+			['multiple_choice', 'multi_select'].includes(question.question_type)
+				? question.answer
+				: []
+		);
+		if (indexes.some((index) => index >= question.options.length)) {
+			return helpers.message('answer must reference an existing option');
+		}
+		return question;
+	});
+
+	const quizSchema = Joi.object({
+		passing_score: Joi.number().integer().min(0).max(100).default(70),
+		max_attempts: Joi.number().integer().positive().allow(null).default(null),
+		shuffle_questions: Joi.boolean().default(false),
+		questions: Joi.array().items(questionSchema).min(1).required(),
+	});
+
+	return quizSchema.validate(quiz);
+}
+
+module.exports = { QuizStore, validateQuiz, QUESTION_TYPES };
@@ -0,0 +1,264 @@
+// models/recommendation.js
+
+/**
+ * RecommendationStore reads the signals course recommendations are built
+ * from and caches the computed recommendations per user
+ */
+class RecommendationStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	// ========================
+	// SIGNALS
+	// ========================
+
+	/**
+	 * Every course with its enrollment count and prerequisites
+	 * (unpublished ones too - they can still be the reason for a recommendation)
+	 */
+	async getCatalog() {
+		try {
+			const sql = `
+        SELECT c.id, c.title, c.category, c.description, c.learning_objectives,
+          c.skill_level, c.is_published,
+          (SELECT COUNT(*)::int FROM user_courses uc WHERE uc.course_id = c.id) as student_count,
+          COALESCE(
+            (SELECT array_agg(cp.required_course_id) FROM course_prerequisites cp WHERE cp.course_id = c.id),
+            '{}'
+          ) as prerequisite_ids
+        FROM courses c
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get course catalog: ${error}`);
+		}
+	}
+
+	/**
+	 * How many students took each pair of courses together
+	 *   completedWith  finished source_course_id and are enrolled in course_id
+	 *   boughtWith     bought both courses
+	 */
+	async getCoursePairs() {
+		try {
+			const completedSql = `
+        SELECT a.course_id as source_course_id, b.course_id, COUNT(*)::int as students
+        FROM user_courses a
+        JOIN user_courses b ON a.user_id = b.user_id AND a.course_id <> b.course_id
+        WHERE a.progress >= 100
+        GROUP BY a.course_id, b.course_id
+      `;
+			const boughtSql = `
+        SELECT a.course_id as source_course_id, b.course_id,
+          COUNT(DISTINCT a.user_id)::int as students
+        FROM orders a
+        JOIN orders b ON a.user_id = b.user_id AND a.course_id <> b.course_id
+        WHERE a.order_status = 'completed' AND b.order_status = 'completed'
+        GROUP BY a.course_id, b.course_id
+      `;
+			const client = await this.pool.connect();
+			const completedRes = await client.query(completedSql);
+			const boughtRes = await client.query(boughtSql);
+			client.release();
+			return { completedWith: completedRes.rows, boughtWith: boughtRes.rows };
+		} catch (error) {
+			throw new Error(`Could not get course pairs: ${error}`);
+		}
+	}
+
+	/**
+	 * Active users after a given ID, with what they know and what they've taken
+	 */
+	async getUsers(afterId = 0, limit = 200) {
+		try {
+			return await this.queryUsers('u.id > $1 ORDER BY u.id LIMIT $2', [
+				afterId,
+				limit,
+			]);
+		} catch (error) {
+			throw new Error(`Could not get users for recommendations: ${error}`);
+		}
+	}
+
+	// ========================
+	// CACHED RECOMMENDATIONS
+	// ========================
+
+	/**
+	 * Replace a user's recommendations
+	 */
+	async saveForUser(userId, recommendations) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+
+			await client.query(
+				'DELETE FROM course_recommendations WHERE user_id = $1',
+				[userId]
+			);
+
+			if (recommendations.length > 0) {
+				await client.query(
+					`INSERT INTO course_recommendations
+             (user_id, course_id, rank, score, reason_type, reason, source_course_id)
+           SELECT $1, r.course_id, r.rank, r.score, r.reason_type, r.reason, r.source_course_id
+           FROM unnest($2::int[], $3::int[], $4::numeric[], $5::text[], $6::text[], $7::int[])
+             AS r(course_id, rank, score, reason_type, reason, source_course_id)`,
+					[
+						userId,
+						recommendations.map((rec) => rec.course_id),
+						recommendations.map((rec, index) => index + 1),
+						recommendations.map((rec) => rec.score),
+						recommendations.map((rec) => rec.reason_type),
+						recommendations.map((rec) => rec.reason),
+						recommendations.map((rec) => rec.source_course_id),
+					]
+				);
+			}
+
+			await client.query(
+				'UPDATE users SET recommendations_computed_at = CURRENT_TIMESTAMP WHERE id = $1',
+				[userId]
+			);
+
+			await client.query('COMMIT');
+			return recommendations.length;
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not save recommendations: ${error}`);
+		} finally {
+			client.release();
+		}
+	}
+
+	/**
+	 * A user's recommended courses in rank order, leaving out any they have
+	 * enrolled in (or that were unpublished) since they were computed
+	 */
+	async getForUser(userId, limit = 10) {
+		try {
+			const sql = `
+        SELECT c.*, r.rank, r.score, r.reason_type, r.reason, r.source_course_id,
+          r.computed_at as recommended_at
+        FROM course_recommendations r
+        JOIN courses c ON r.course_id = c.id
+        WHERE r.user_id = $1
+        AND c.is_published = true
+        AND NOT EXISTS (
+          SELECT 1 FROM user_courses uc
+          WHERE uc.user_id = r.user_id AND uc.course_id = r.course_id
+        )
+        ORDER BY r.rank
+        LIMIT $2
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId, limit]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get recommendations: ${error}`);
+		}
+	}
+
+	/**
+	 * The most popular published courses a user hasn't enrolled in, shaped like
+	 * getForUser - shown until the nightly job has computed their own
+	 */
+	async getPopularForUser(userId, limit = 10) {
+		try {
+			const sql = `
+        SELECT c.*, popular.rank, NULL::numeric as score, 'popular' as reason_type,
+          'Popular with ' || popular.student_count || ' students' as reason,
+          NULL::int as source_course_id, NULL::timestamp as recommended_at
+        FROM (
+          SELECT c.id,
+            COUNT(uc.user_id)::int as student_count,
+            ROW_NUMBER() OVER (ORDER BY COUNT(uc.user_id) DESC, c.id)::int as rank
+          FROM courses c
+          LEFT JOIN user_courses uc ON uc.course_id = c.id
+          WHERE c.is_published = true
+          AND NOT EXISTS (
+            SELECT 1 FROM user_courses own
+            WHERE own.user_id = $1 AND own.course_id = c.id
+          )
+          GROUP BY c.id
+        ) popular
+        JOIN courses c ON c.id = popular.id
+        ORDER BY popular.rank
+        LIMIT $2
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId, limit]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get popular courses: ${error}`);
+		}
+	}
+
+	/**
+	 * When a user's recommendations were last computed (null if never)
+	 */
+	async getComputedAt(userId) {
+		try {
+			const sql = 'SELECT recommendations_computed_at FROM users WHERE id = $1';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return res.rows[0]?.recommendations_computed_at || null;
+		} catch (error) {
+			throw new Error(`Could not get recommendation time: ${error}`);
+		}
+	}
+
+	/**
+	 * Drop recommendations held for deleted accounts
+	 */
+	async clearDeletedUsers() {
+		try {
+			const sql = `
+        DELETE FROM course_recommendations r
+        USING users u
+        WHERE r.user_id = u.id AND u.deleted_at IS NOT NULL
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql);
+			client.release();
+			return res.rowCount;
+		} catch (error) {
+			throw new Error(`Could not clear recommendations: ${error}`);
+		}
+	}
+
+	// ========================
+	// HELPER METHODS
+	// ========================
+
+	async queryUsers(condition, params) {
+		const sql = `
+      SELECT u.id, u.martial_art, u.experience,
+        COALESCE(
+          (SELECT json_agg(json_build_object('course_id', uc.course_id, 'progress', uc.progress))
+           FROM user_courses uc WHERE uc.user_id = u.id),
+          '[]'
+        ) as courses,
+        COALESCE(
+          (SELECT array_agg(DISTINCT o.course_id) FROM orders o
+           WHERE o.user_id = u.id AND o.order_status = 'completed'),
+          '{}'
+        ) as purchased_course_ids
+      FROM users u
+      WHERE u.deleted_at IS NULL AND ${condition}
+    `;
+		const client = await this.pool.connect();
+		const res = await client.query(sql, params);
+		client.release();
+		return res.rows;
+	}
+}
+
+module.exports = { RecommendationStore };
@@ -0,0 +1,445 @@
+// models/review.js
+const Joi = require('joi');
+
+// A review with its author and helpful count (reviews r, users u)
+// Author columns are meant for VisibilityPolicy.filterAuthor
+const REVIEW_COLUMNS = `
+  r.*, u.name as author_name, u.avatar as author_avatar,
+  u.deleted_at as author_deleted_at,
+  (SELECT ps.profile FROM privacy_settings ps WHERE ps.user_id = r.user_id) as privacy_profile,
+  (SELECT COUNT(*)::int FROM course_review_votes v WHERE v.review_id = r.id) as helpful_count
+`;
+
+const REVIEW_SORTS = {
+	recent: 'r.created_at DESC',
+	helpful: 'helpful_count DESC, r.created_at DESC',
+	highest: 'r.rating DESC, r.created_at DESC',
+	lowest: 'r.rating ASC, r.created_at DESC',
+};
+
+/**
+ * ReviewStore handles course reviews, their edit history, helpful votes
+ * and moderation (course_reviews and related tables)
+ */
+class ReviewStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	// ========================
+	// REVIEW OPERATIONS
+	// ========================
+
+	/**
+	 * Whether a user may review a course - enrolled or bought it
+	 */
+	async canReview(userId, courseId) {
+		try {
+			const sql = `
+        SELECT EXISTS (
+          SELECT 1 FROM user_courses WHERE user_id = $1 AND course_id = $2
+        ) OR EXISTS (
+          SELECT 1 FROM orders
+          WHERE user_id = $1 AND course_id = $2 AND order_status = 'completed'
+        ) as allowed
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId, courseId]);
+			client.release();
+			return res.rows[0].allowed;
+		} catch (error) {
+			throw new Error(`Could not check review eligibility: ${error}`);
+		}
+	}
+
+	/**
+	 * Create a review - returns null if the user already reviewed the course
+	 */
+	async create(courseId, userId, review) {
+		try {
+			const sql = `
+        INSERT INTO course_reviews (course_id, user_id, rating, title, body)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (course_id, user_id) DO NOTHING
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [
+				courseId,
+				userId,
+				review.rating,
+				review.title || null,
+				review.body || null,
+			]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not create review: ${error}`);
+		}
+	}
+
+	/**
+	 * Get a review with its author and helpful count
+	 */
+	async show(id) {
+		try {
+			const sql = `
+        SELECT ${REVIEW_COLUMNS}
+        FROM course_reviews r
+        JOIN users u ON r.user_id = u.id
+        WHERE r.id = $1
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not get review: ${error}`);
+		}
+	}
+
+	/**
+	 * Edit a review - the previous version is kept in its history
+	 */
+	async update(id, review) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+
+			await client.query(
+				`INSERT INTO course_review_revisions (review_id, rating, title, body, created_at)
+         SELECT id, rating, title, body, COALESCE(edited_at, created_at)
+         FROM course_reviews WHERE id = $1`,
+				[id]
+			);
+
+			const res = await client.query(
+				`UPDATE course_reviews SET
+           rating = $2, title = $3, body = $4, edited_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+				[id, review.rating, review.title || null, review.body || null]
+			);
+
+			await client.query('COMMIT');
+			return res.rows[0] || null;
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not update review: ${error}`);
+		} finally {
+			client.release();
+		}
+	}
+
+	/**
+	 * Delete a review (history, votes and reports cascade)
+	 */
+	async delete(id) {
+		try {
+			const sql = 'DELETE FROM course_reviews WHERE id = $1 RETURNING *';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not delete review: ${error}`);
+		}
+	}
+
+	/**
+	 * A review's earlier versions, newest first
+	 */
+	async getRevisions(reviewId) {
+		try {
+			const sql = `
+        SELECT * FROM course_review_revisions
+        WHERE review_id = $1
+        ORDER BY created_at DESC, id DESC
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [reviewId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get review history: ${error}`);
+		}
+	}
+
+	// ========================
+	// COURSE REVIEW QUERIES
+	// ========================
+
+	/**
+	 * Visible reviews of a course
+	 * viewerId marks the reviews the viewer found helpful
+	 */
+	async getCourseReviews(
+		courseId,
+		{ sort = 'recent', limit = 20, offset = 0, viewerId = null } = {}
+	) {
+		try {
+			const sql = `
+        SELECT ${REVIEW_COLUMNS},
+          EXISTS (
+            SELECT 1 FROM course_review_votes v WHERE v.review_id = r.id AND v.user_id = $4
+          ) as voted_helpful
+        FROM course_reviews r
+        JOIN users u ON r.user_id = u.id
+        WHERE r.course_id = $1 AND r.hidden_at IS NULL
+        ORDER BY ${Object.hasOwn(REVIEW_SORTS, sort) ? REVIEW_SORTS[sort] : REVIEW_SORTS.recent}
+        LIMIT $2 OFFSET $3
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseId, limit, offset, viewerId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get course reviews: ${error}`);
+		}
+	}
+
+	/**
+	 * Average rating, count and per-star breakdown of a course's visible reviews
+	 */
+	async getRatingSummary(courseId) {
+		try {
+			const sql = `
+        SELECT ROUND(AVG(rating)::numeric, 1) as average_rating,
+          COUNT(*)::int as review_count,
+          COUNT(*) FILTER (WHERE rating = 1)::int as one_star,
+          COUNT(*) FILTER (WHERE rating = 2)::int as two_star,
+          COUNT(*) FILTER (WHERE rating = 3)::int as three_star,
+          COUNT(*) FILTER (WHERE rating = 4)::int as four_star,
+          COUNT(*) FILTER (WHERE rating = 5)::int as five_star
+        FROM course_reviews
+        WHERE course_id = $1 AND hidden_at IS NULL
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [courseId]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not get rating summary: ${error}`);
+		}
+	}
+
+	/**
+	 * A user's own review of a course (visible or not)
+	 */
+	async getUserReview(userId, courseId) {
+		try {
+			const sql = `
+        SELECT ${REVIEW_COLUMNS}
+        FROM course_reviews r
+        JOIN users u ON r.user_id = u.id
+        WHERE r.user_id = $1 AND r.course_id = $2
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId, courseId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not get user review: ${error}`);
+		}
+	}
+
+	/**
+	 * Every review a user has written (for the data export)
+	 */
+	async getUserReviews(userId) {
+		try {
+			const sql = `
+        SELECT r.id, r.course_id, c.title as course_title, r.rating, r.title, r.body,
+          r.created_at, r.edited_at, r.hidden_at
+        FROM course_reviews r
+        JOIN courses c ON r.course_id = c.id
+        WHERE r.user_id = $1
+        ORDER BY r.created_at
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get user reviews: ${error}`);
+		}
+	}
+
+	// ========================
+	// HELPFUL VOTES
+	// ========================
+
+	/**
+	 * Mark a review as helpful - returns the new helpful count
+	 */
+	async addVote(reviewId, userId) {
+		try {
+			const sql = `
+        INSERT INTO course_review_votes (review_id, user_id)
+        VALUES ($1, $2)
+        ON CONFLICT (review_id, user_id) DO NOTHING
+      `;
+			const client = await this.pool.connect();
+			await client.query(sql, [reviewId, userId]);
+			client.release();
+			return await this.getHelpfulCount(reviewId);
+		} catch (error) {
+			throw new Error(`Could not add helpful vote: ${error}`);
+		}
+	}
+
+	/**
+	 * Take back a helpful vote - returns the new helpful count
+	 */
+	async removeVote(reviewId, userId) {
+		try {
+			const sql =
+				'DELETE FROM course_review_votes WHERE review_id = $1 AND user_id = $2';
+			const client = await this.pool.connect();
+			await client.query(sql, [reviewId, userId]);
+			client.release();
+			return await this.getHelpfulCount(reviewId);
+		} catch (error) {
+			throw new Error(`Could not remove helpful vote: ${error}`);
+		}
+	}
+
+	async getHelpfulCount(reviewId) {
+		try {
+			const sql =
+				'SELECT COUNT(*)::int as count FROM course_review_votes WHERE review_id = $1';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [reviewId]);
+			client.release();
+			return res.rows[0].count;
+		} catch (error) {
+			throw new Error(`Could not count helpful votes: ${error}`);
+		}
+	}
+
+	// ========================
+	// MODERATION
+	// ========================
+
+	/**
+	 * Report a review as abusive (once per user)
+	 */
+	async report(reviewId, userId, reason = null) {
+		try {
+			const sql = `
+        INSERT INTO course_review_reports (review_id, user_id, reason)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (review_id, user_id) DO NOTHING
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [reviewId, userId, reason]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not report review: ${error}`);
+		}
+	}
+
+	/**
+	 * Moderation queue
+	 *   reported  visible reviews with unresolved reports, most reported first
+	 *   hidden    reviews hidden by a moderator, most recent first
+	 */
+	async getModerationQueue({
+		status = 'reported',
+		limit = 50,
+		offset = 0,
+	} = {}) {
+		try {
+			const sql = `
+        SELECT ${REVIEW_COLUMNS}, c.title as course_title,
+          COUNT(rr.id)::int as open_reports,
+          COALESCE(
+            json_agg(
+              json_build_object('user_id', rr.user_id, 'reason', rr.reason, 'created_at', rr.created_at)
+              ORDER BY rr.created_at
+            ) FILTER (WHERE rr.id IS NOT NULL), '[]'
+          ) as reports
+        FROM course_reviews r
+        JOIN users u ON r.user_id = u.id
+        JOIN courses c ON r.course_id = c.id
+        LEFT JOIN course_review_reports rr ON rr.review_id = r.id AND rr.resolved_at IS NULL
+        WHERE ${status === 'hidden' ? 'r.hidden_at IS NOT NULL' : 'r.hidden_at IS NULL'}
+        GROUP BY r.id, u.id, c.id
+        ${status === 'hidden' ? '' : 'HAVING COUNT(rr.id) > 0'}
+        ORDER BY ${status === 'hidden' ? 'r.hidden_at DESC' : 'open_reports DESC, MIN(rr.created_at)'}
+        LIMIT $1 OFFSET $2
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [limit, offset]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get moderation queue: ${error}`);
+		}
+	}
+
+	/**
+	 * Hide a review from listings and ratings, or show it again
+	 * Either way its open reports are resolved (restoring a visible review
+	 * dismisses the reports)
+	 */
+	async setHidden(id, moderatorId, hidden, reason = null) {
+		const client = await this.pool.connect();
+		try {
+			await client.query('BEGIN');
+
+			const res = await client.query(
+				`UPDATE course_reviews SET
+           hidden_at = CASE WHEN $2::boolean THEN COALESCE(hidden_at, CURRENT_TIMESTAMP) END,
+           hidden_by = CASE WHEN $2::boolean THEN $3::int END,
+           hidden_reason = CASE WHEN $2::boolean THEN $4 END
+         WHERE id = $1
+         RETURNING *`,
+				[id, hidden, moderatorId, reason]
+			);
+			await client.query(
+				`UPDATE course_review_reports SET resolved_at = CURRENT_TIMESTAMP, resolved_by = $2
+         WHERE review_id = $1 AND resolved_at IS NULL`,
+				[id, moderatorId]
+			);
+
+			await client.query('COMMIT');
+			return res.rows[0] || null;
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not moderate review: ${error}`);
+		} finally {
+			client.release();
+		}
+	}
+}
+
+/**
+ * Validation schema for writing or editing a review
+ */
+function validateReview(review) {
+	const reviewSchema = Joi.object({
+		rating: Joi.number().integer().min(1).max(5).required(),
+		title: Joi.string().trim().max(200).allow('', null),
+		body: Joi.string().trim().max(5000).allow('', null),
+	});
+
+	return reviewSchema.validate(review);
+}
+
+function validateReviewReport(report) {
+	const reportSchema = Joi.object({
+		reason: Joi.string().trim().max(500).allow('', null),
+	});
+
+	return reportSchema.validate(report);
+}
+
+module.exports = {
+	ReviewStore,
+	validateReview,
+	validateReviewReport,
+	REVIEW_SORTS,
+};
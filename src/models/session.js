@@ -0,0 +1,277 @@
+// models/session.js
+require('dotenv').config();
+const crypto = require('crypto');
+
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * SessionStore handles login sessions and refresh token rotation
+ * Access tokens reference a session id so sessions can be revoked server-side
+ */
+class SessionStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	// ========================
+	// SESSION OPERATIONS
+	// ========================
+
+	/**
+	 * Create a new session for a user
+	 * Returns the session row and the plain refresh token (only ever returned here)
+	 */
+	async create(
+		userId,
+		{ userAgent = null, ipAddress = null, twoFactorVerified = false } = {}
+	) {
+		try {
+			const refreshToken = this.generateRefreshToken();
+			const expiresAt = this.getRefreshExpiry();
+
+			const sql = `
+        INSERT INTO user_sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at, two_factor_verified)
+        VALUES ($1, $2, $3, $4, $5, $6) RETURNING *
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [
+				userId,
+				this.hashToken(refreshToken),
+				userAgent,
+				ipAddress,
+				expiresAt,
+				twoFactorVerified,
+			]);
+			client.release();
+
+			return { session: res.rows[0], refreshToken };
+		} catch (error) {
+			throw new Error(`Could not create session: ${error}`);
+		}
+	}
+
+	/**
+	 * Rotate a refresh token - issues a new token for the same session
+	 * Presenting an already rotated token revokes the session (token theft)
+	 */
+	async rotate(refreshToken) {
+		try {
+			const tokenHash = this.hashToken(refreshToken);
+			const client = await this.pool.connect();
+
+			try {
+				await client.query('BEGIN');
+
+				const sessionSql = `
+          SELECT * FROM user_sessions
+          WHERE refresh_token_hash = $1
+          FOR UPDATE
+        `;
+				const sessionRes = await client.query(sessionSql, [tokenHash]);
+				const session = sessionRes.rows[0];
+
+				if (!session) {
+					// Check whether this token was already rotated out
+					const reuseSql = `
+            UPDATE user_sessions SET
+              revoked_at = CURRENT_TIMESTAMP,
+              revoked_reason = 'refresh_token_reuse'
+            WHERE previous_token_hash = $1 AND revoked_at IS NULL
+            RETURNING id
+          `;
+					const reuseRes = await client.query(reuseSql, [tokenHash]);
+					await client.query('COMMIT');
+
+					if (reuseRes.rows.length > 0) {
+						console.warn(
+							`Refresh token reuse detected, revoked session ${reuseRes.rows[0].id}`
+						);
+					}
+					return null;
+				}
+
+				if (session.revoked_at || new Date(session.expires_at) <= new Date()) {
+					await client.query('COMMIT');
+					return null;
+				}
+
+				const newRefreshToken = this.generateRefreshToken();
+				const updateSql = `
+          UPDATE user_sessions SET
+            previous_token_hash = refresh_token_hash,
+            refresh_token_hash = $1,
+            expires_at = $2,
+            last_used_at = CURRENT_TIMESTAMP
+          WHERE id = $3 RETURNING *
+        `;
+				const updateRes = await client.query(updateSql, [
+					this.hashToken(newRefreshToken),
+					this.getRefreshExpiry(),
+					session.id,
+				]);
+
+				await client.query('COMMIT');
+
+				return { session: updateRes.rows[0], refreshToken: newRefreshToken };
+			} catch (error) {
+				await client.query('ROLLBACK');
+				throw error;
+			} finally {
+				client.release();
+			}
+		} catch (error) {
+			throw new Error(`Could not rotate refresh token: ${error}`);
+		}
+	}
+
+	/**
+	 * Mark a session as having completed two-factor authentication
+	 */
+	async markTwoFactorVerified(sessionId) {
+		try {
+			const sql = `
+        UPDATE user_sessions SET two_factor_verified = true
+        WHERE id = $1 AND revoked_at IS NULL
+        RETURNING *
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [sessionId]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not update session: ${error}`);
+		}
+	}
+
+	/**
+	 * Revoke a single session
+	 */
+	async revoke(sessionId, reason = 'logout') {
+		try {
+			const sql = `
+        UPDATE user_sessions SET
+          revoked_at = CURRENT_TIMESTAMP,
+          revoked_reason = $2
+        WHERE id = $1 AND revoked_at IS NULL
+        RETURNING *
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [sessionId, reason]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not revoke session: ${error}`);
+		}
+	}
+
+	/**
+	 * Revoke every active session for a user, optionally keeping one
+	 */
+	async revokeAllForUser(userId, reason = 'revoked', exceptSessionId = null) {
+		try {
+			const sql = `
+        UPDATE user_sessions SET
+          revoked_at = CURRENT_TIMESTAMP,
+          revoked_reason = $2
+        WHERE user_id = $1
+        AND revoked_at IS NULL
+        AND ($3::INTEGER IS NULL OR id != $3)
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId, reason, exceptSessionId]);
+			client.release();
+			return { revoked_count: res.rowCount };
+		} catch (error) {
+			throw new Error(`Could not revoke user sessions: ${error}`);
+		}
+	}
+
+	/**
+	 * Check whether a session is revoked, expired or no longer belongs to the user
+	 */
+	async isRevoked(sessionId, userId) {
+		try {
+			const sql = `
+        SELECT id FROM user_sessions
+        WHERE id = $1
+        AND user_id = $2
+        AND revoked_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [sessionId, userId]);
+			client.release();
+			return res.rows.length === 0;
+		} catch (error) {
+			throw new Error(`Could not check session: ${error}`);
+		}
+	}
+
+	/**
+	 * Get active sessions for a user (never exposes token hashes)
+	 */
+	async getActiveSessions(userId) {
+		try {
+			const sql = `
+        SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+        FROM user_sessions
+        WHERE user_id = $1
+        AND revoked_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+        ORDER BY last_used_at DESC
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get user sessions: ${error}`);
+		}
+	}
+
+	/**
+	 * Remove sessions that expired or were revoked more than 30 days ago
+	 */
+	async cleanExpiredSessions() {
+		try {
+			const sql = `
+        DELETE FROM user_sessions
+        WHERE expires_at < CURRENT_TIMESTAMP - INTERVAL '30 days'
+        OR revoked_at < CURRENT_TIMESTAMP - INTERVAL '30 days'
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql);
+			client.release();
+			return res.rowCount;
+		} catch (error) {
+			throw new Error(`Could not clean expired sessions: ${error}`);
+		}
+	}
+
+	// ========================
+	// HELPER METHODS
+	// ========================
+
+	generateRefreshToken() {
+		return crypto.randomBytes(48).toString('hex');
+	}
+
+	hashToken(token) {
+		return crypto.createHash('sha256').update(`${token}`).digest('hex');
+	}
+
+	getRefreshExpiry() {
+		const expiresAt = new Date();
+		expiresAt.setDate(expiresAt.getDate() + REFRESH_TOKEN_TTL_DAYS);
+		return expiresAt;
+	}
+}
+
+module.exports = { SessionStore };
@@ -0,0 +1,313 @@
+// models/twoFactor.js
+require('dotenv').config();
+const crypto = require('crypto');
+const totp = require('../utilis/totp');
+
+/**
+ * TwoFactorStore handles TOTP enrollment, code verification and recovery codes
+ * Secrets are encrypted at rest with TWO_FACTOR_ENCRYPTION_KEY (falls back to TOKEN_SECRET)
+ */
+class TwoFactorStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	// ========================
+	// ENROLLMENT
+	// ========================
+
+	/**
+	 * Get the 2FA record for a user (secret stays encrypted)
+	 */
+	async getByUserId(userId) {
+		try {
+			const sql = `
+        SELECT id, user_id, enabled_at, last_used_step, created_at, updated_at
+        FROM user_two_factor WHERE user_id = $1
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Could not get two-factor settings: ${error}`);
+		}
+	}
+
+	/**
+	 * Start (or restart) enrollment with a new secret
+	 * 2FA stays disabled until a code from the secret is confirmed
+	 */
+	async startEnrollment(userId) {
+		try {
+			const secret = totp.generateSecret();
+			const sql = `
+        INSERT INTO user_two_factor (user_id, secret_encrypted)
+        VALUES ($1, $2)
+        ON CONFLICT (user_id)
+        DO UPDATE SET
+          secret_encrypted = $2,
+          enabled_at = NULL,
+          last_used_step = NULL
+        WHERE user_two_factor.enabled_at IS NULL
+        RETURNING id
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId, this.encrypt(secret)]);
+			client.release();
+
+			// Nothing returned means 2FA is already enabled
+			return res.rows.length > 0 ? secret : null;
+		} catch (error) {
+			throw new Error(`Could not start two-factor enrollment: ${error}`);
+		}
+	}
+
+	/**
+	 * Confirm enrollment - enables 2FA and issues fresh recovery codes
+	 * Returns the plain recovery codes (only ever returned here)
+	 */
+	async enable(userId) {
+		try {
+			const recoveryCodes = totp.generateRecoveryCodes();
+			const client = await this.pool.connect();
+
+			try {
+				await client.query('BEGIN');
+
+				await client.query(
+					`UPDATE user_two_factor SET enabled_at = CURRENT_TIMESTAMP
+           WHERE user_id = $1`,
+					[userId]
+				);
+				await client.query(
+					'UPDATE users SET two_factor_enabled = true WHERE id = $1',
+					[userId]
+				);
+				await this.insertRecoveryCodes(client, userId, recoveryCodes);
+
+				await client.query('COMMIT');
+			} catch (error) {
+				await client.query('ROLLBACK');
+				throw error;
+			} finally {
+				client.release();
+			}
+
+			return recoveryCodes;
+		} catch (error) {
+			throw new Error(`Could not enable two-factor authentication: ${error}`);
+		}
+	}
+
+	/**
+	 * Turn 2FA off and remove the secret and recovery codes
+	 */
+	async disable(userId) {
+		try {
+			const client = await this.pool.connect();
+
+			try {
+				await client.query('BEGIN');
+
+				await client.query('DELETE FROM user_two_factor WHERE user_id = $1', [
+					userId,
+				]);
+				await client.query(
+					'DELETE FROM user_recovery_codes WHERE user_id = $1',
+					[userId]
+				);
+				const res = await client.query(
+					`UPDATE users SET two_factor_enabled = false
+           WHERE id = $1 RETURNING id`,
+					[userId]
+				);
+
+				await client.query('COMMIT');
+				return res.rows.length > 0;
+			} catch (error) {
+				await client.query('ROLLBACK');
+				throw error;
+			} finally {
+				client.release();
+			}
+		} catch (error) {
+			throw new Error(`Could not disable two-factor authentication: ${error}`);
+		}
+	}
+
+	// ========================
+	// VERIFICATION
+	// ========================
+
+	/**
+	 * Verify a TOTP code for a user
+	 * Each time step can only be used once, so a code can't be replayed
+	 */
+	async verifyCode(userId, code) {
+		try {
+			const client = await this.pool.connect();
+			const res = await client.query(
+				'SELECT secret_encrypted FROM user_two_factor WHERE user_id = $1',
+				[userId]
+			);
+
+			if (res.rows.length === 0) {
+				client.release();
+				return false;
+			}
+
+			const secret = this.decrypt(res.rows[0].secret_encrypted);
+			const step = totp.verifyCode(secret, code);
+			if (step === null) {
+				client.release();
+				return false;
+			}
+
+			const updateSql = `
+        UPDATE user_two_factor SET last_used_step = $2
+        WHERE user_id = $1
+        AND (last_used_step IS NULL OR last_used_step < $2)
+        RETURNING id
+      `;
+			const updateRes = await client.query(updateSql, [userId, step]);
+			client.release();
+
+			return updateRes.rows.length > 0;
+		} catch (error) {
+			throw new Error(`Could not verify two-factor code: ${error}`);
+		}
+	}
+
+	/**
+	 * Use up a recovery code - returns true if it was valid and unused
+	 */
+	async consumeRecoveryCode(userId, code) {
+		try {
+			const sql = `
+        UPDATE user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+        RETURNING id
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId, this.hashRecoveryCode(code)]);
+			client.release();
+			return res.rows.length > 0;
+		} catch (error) {
+			throw new Error(`Could not use recovery code: ${error}`);
+		}
+	}
+
+	// ========================
+	// RECOVERY CODES
+	// ========================
+
+	/**
+	 * Replace all recovery codes - returns the new plain codes
+	 */
+	async regenerateRecoveryCodes(userId) {
+		try {
+			const recoveryCodes = totp.generateRecoveryCodes();
+			const client = await this.pool.connect();
+
+			try {
+				await client.query('BEGIN');
+				await this.insertRecoveryCodes(client, userId, recoveryCodes);
+				await client.query('COMMIT');
+			} catch (error) {
+				await client.query('ROLLBACK');
+				throw error;
+			} finally {
+				client.release();
+			}
+
+			return recoveryCodes;
+		} catch (error) {
+			throw new Error(`Could not regenerate recovery codes: ${error}`);
+		}
+	}
+
+	/**
+	 * Count unused recovery codes
+	 */
+	async countRemainingRecoveryCodes(userId) {
+		try {
+			const sql = `
+        SELECT COUNT(*) FROM user_recovery_codes
+        WHERE user_id = $1 AND used_at IS NULL
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return parseInt(res.rows[0].count);
+		} catch (error) {
+			throw new Error(`Could not count recovery codes: ${error}`);
+		}
+	}
+
+	// ========================
+	// HELPER METHODS
+	// ========================
+
+	/**
+	 * Swap a user's recovery codes inside an open transaction
+	 */
+	async insertRecoveryCodes(client, userId, recoveryCodes) {
+		await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [
+			userId,
+		]);
+
+		for (const code of recoveryCodes) {
+			await client.query(
+				'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+				[userId, this.hashRecoveryCode(code)]
+			);
+		}
+	}
+
+	hashRecoveryCode(code) {
+		const normalized = `${code}`.toLowerCase().replace(/[\s-]/g, '');
+		return crypto.createHash('sha256').update(normalized).digest('hex');
+	}
+
+	getEncryptionKey() {
+		return crypto
+			.createHash('sha256')
+			.update(
+				`${process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.TOKEN_SECRET}`
+			)
+			.digest();
+	}
+
+	/**
+	 * AES-256-GCM, stored as iv:tag:ciphertext (hex)
+	 */
+	encrypt(secret) {
+		const iv = crypto.randomBytes(12);
+		const cipher = crypto.createCipheriv('aes-256-gcm', this.getEncryptionKey(), iv);
+		const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+		return [
+			iv.toString('hex'),
+			cipher.getAuthTag().toString('hex'),
+			encrypted.toString('hex'),
+		].join(':');
+	}
+
+	decrypt(payload) {
+		const [iv, tag, encrypted] = `${payload}`.split(':');
+		const decipher = crypto.createDecipheriv(
+			'aes-256-gcm',
+			this.getEncryptionKey(),
+			Buffer.from(iv, 'hex')
+		);
+		decipher.setAuthTag(Buffer.from(tag, 'hex'));
+
+		return Buffer.concat([
+			decipher.update(Buffer.from(encrypted, 'hex')),
+			decipher.final(),
+		]).toString('utf8');
+	}
+}
+
+module.exports = { TwoFactorStore };
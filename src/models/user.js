@@ -1,9 +1,76 @@
 require('dotenv').config();
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const Joi = require('joi');
+const { CertificateStore } = require('./certificate');
 
 const { SALT_ROUNDS, PEPPER } = process.env;
 
+const DELETION_GRACE_DAYS = parseInt(process.env.USER_DELETION_GRACE_DAYS) || 30;
+const DELETED_USER_NAME = 'Deleted user';
+
+/**
+ * Visibility levels for privacy_settings columns
+ * classmates = visible to users enrolled in at least one shared course
+ */
+const PRIVACY_LEVELS = ['public', 'classmates', 'private'];
+
+/**
+ * Safe field projections - never include password hashes
+ */
+const PUBLIC_USER_FIELDS = [
+	'id',
+	'name',
+	'email',
+	'avatar',
+	'username',
+	'is_admin',
+	'role',
+	'city',
+	'country',
+	'martial_art',
+	'experience',
+	'current_courses',
+	'created_at',
+];
+
+const ADMIN_USER_FIELDS = [
+	...PUBLIC_USER_FIELDS,
+	'email_verified',
+	'email_verified_at',
+	'two_factor_enabled',
+	'suspended_at',
+	'suspended_reason',
+	'suspended_by',
+	'deleted_at',
+	'deletion_scheduled_for',
+	'updated_at',
+	'has_subscription',
+	'enrollment_count',
+];
+
+/**
+ * Sortable columns for the admin user search (expression + cast for cursors)
+ */
+const USER_SORTS = {
+	created_at: { expression: "COALESCE(u.created_at, 'epoch')", cast: 'TIMESTAMP' },
+	name: { expression: 'LOWER(u.name)', cast: 'TEXT' },
+	username: { expression: 'LOWER(u.username)', cast: 'TEXT' },
+	email: { expression: 'LOWER(u.email)', cast: 'TEXT' },
+	experience: { expression: 'COALESCE(u.experience, 0)', cast: 'INTEGER' },
+};
+
+const ACTIVE_SUBSCRIPTION_SQL = `
+  EXISTS (
+    SELECT 1 FROM stripe_subscriptions ss
+    JOIN stripe_customers sc ON ss.customer_id = sc.customer_id
+    WHERE sc.user_id = u.id
+    AND sc.deleted_at IS NULL
+    AND ss.deleted_at IS NULL
+    AND ss.status IN ('active', 'trialing')
+  )
+`;
+
 class UserStore {
 	constructor(pool) {
 		this.pool = pool;
@@ -11,7 +78,16 @@ class UserStore {
 
 	async index() {
 		try {
-			const sql = 'SELECT * FROM users;';
+			const sql = `
+        SELECT 
+          u.*,
+          p.profile AS privacy_profile,
+          p.progress AS privacy_progress,
+          p.courses AS privacy_courses
+        FROM users u
+        LEFT JOIN privacy_settings p ON u.id = p.user_id
+        WHERE u.deleted_at IS NULL
+      `;
 			const client = await this.pool.connect();
 			const res = await client.query(sql);
 			client.release();
@@ -37,8 +113,8 @@ class UserStore {
 		try {
 			const client = await this.pool.connect();
 			const sql = `
-        INSERT INTO users (name, email, avatar, username, password, is_admin, city, country, martial_art, experience, current_courses) 
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *
+        INSERT INTO users (name, email, avatar, username, password, is_admin, city, country, martial_art, experience, current_courses, role) 
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING *
       `;
 
 			const hash = bcrypt.hashSync(
@@ -58,6 +134,7 @@ class UserStore {
 				user.martial_art,
 				user.experience,
 				user.current_courses || [],
+				user.is_admin ? 'admin' : user.role || 'student',
 			]);
 
 			// Create privacy settings for new user
@@ -95,6 +172,14 @@ class UserStore {
           martial_art=($9), 
           experience=($10), 
           current_courses=($11),
+          role=CASE
+            WHEN ($6) IS NOT DISTINCT FROM is_admin THEN role
+            WHEN ($6) THEN 'admin'
+            WHEN role = 'admin' THEN 'student'
+            ELSE role
+          END,
+          email_verified=CASE WHEN email = ($2) THEN email_verified ELSE false END,
+          email_verified_at=CASE WHEN email = ($2) THEN email_verified_at ELSE NULL END,
           updated_at=CURRENT_TIMESTAMP
         WHERE id=($12) RETURNING *
       `;
@@ -146,15 +231,153 @@ class UserStore {
 		}
 	}
 
-	async delete(id) {
+	/**
+	 * Soft-delete a user - the account is disabled immediately and
+	 * anonymized once the grace period ends (see anonymize)
+	 */
+	async delete(id, graceDays = DELETION_GRACE_DAYS) {
+		try {
+			const sql = `
+        UPDATE users SET
+          deleted_at = CURRENT_TIMESTAMP,
+          deletion_scheduled_for = CURRENT_TIMESTAMP + ($2 || ' days')::INTERVAL
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id, graceDays]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not delete user: ${error}`);
+		}
+	}
+
+	/**
+	 * Cancel a pending deletion (only possible before anonymization)
+	 */
+	async restore(id) {
 		try {
-			const sql = 'DELETE FROM users WHERE id=($1) RETURNING *;';
+			const sql = `
+        UPDATE users SET
+          deleted_at = NULL,
+          deletion_scheduled_for = NULL
+        WHERE id = $1
+        AND deleted_at IS NOT NULL
+        AND anonymized_at IS NULL
+        RETURNING *
+      `;
 			const client = await this.pool.connect();
 			const res = await client.query(sql, [id]);
 			client.release();
 			return res.rows[0];
 		} catch (error) {
-			throw new Error(`Could not delete user: ${error}`);
+			throw new Error(`Could not restore user: ${error}`);
+		}
+	}
+
+	/**
+	 * Get deleted users whose grace period has ended
+	 */
+	async getDueForAnonymization(limit = 100) {
+		try {
+			const sql = `
+        SELECT id, username, avatar, deleted_at, deletion_scheduled_for
+        FROM users
+        WHERE deleted_at IS NOT NULL
+        AND anonymized_at IS NULL
+        AND deletion_scheduled_for <= CURRENT_TIMESTAMP
+        ORDER BY deletion_scheduled_for
+        LIMIT $1
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [limit]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get users due for anonymization: ${error}`);
+		}
+	}
+
+	/**
+	 * Strip personal data from a deleted user while keeping the row,
+	 * so orders, AI analytics and message threads stay intact
+	 * Messages from the user then show as "Deleted user"
+	 */
+	async anonymize(id) {
+		const client = await this.pool.connect();
+
+		try {
+			await client.query('BEGIN');
+
+			const sql = `
+        UPDATE users SET
+          name = $2,
+          email = 'deleted-user-' || id || '@deleted.invalid',
+          username = 'deleted-user-' || id,
+          password = $3,
+          avatar = NULL,
+          city = NULL,
+          country = NULL,
+          martial_art = NULL,
+          experience = 0,
+          current_courses = '{}',
+          is_admin = false,
+          role = 'student',
+          email_verified = false,
+          email_verified_at = NULL,
+          two_factor_enabled = false,
+          deleted_at = COALESCE(deleted_at, CURRENT_TIMESTAMP),
+          anonymized_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND anonymized_at IS NULL
+        RETURNING *
+      `;
+
+			// Random unusable password so the account can never be logged into
+			const unusablePassword = bcrypt.hashSync(
+				crypto.randomBytes(32).toString('hex') + `${PEPPER}`,
+				parseInt(`${SALT_ROUNDS}`)
+			);
+			const res = await client.query(sql, [
+				id,
+				DELETED_USER_NAME,
+				unusablePassword,
+			]);
+
+			if (res.rows.length === 0) {
+				await client.query('ROLLBACK');
+				return null;
+			}
+
+			// Remove data that only exists to serve the account holder
+			const personalTables = [
+				'privacy_settings',
+				'user_sessions',
+				'user_action_tokens',
+				'user_two_factor',
+				'user_recovery_codes',
+				'login_attempts',
+			];
+			for (const table of personalTables) {
+				await client.query(`DELETE FROM ${table} WHERE user_id = $1`, [id]);
+			}
+
+			// Certificates stay verifiable as records but no longer name the user
+			await client.query(
+				`UPDATE certificates SET
+          student_name = $2,
+          revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+        WHERE user_id = $1`,
+				[id, DELETED_USER_NAME]
+			);
+
+			await client.query('COMMIT');
+			return res.rows[0];
+		} catch (error) {
+			await client.query('ROLLBACK');
+			throw new Error(`Could not anonymize user: ${error}`);
+		} finally {
+			client.release();
 		}
 	}
 
@@ -213,6 +436,53 @@ class UserStore {
 		}
 	}
 
+	async getAllLessonProgress(userId) {
+		try {
+			const sql = `
+        SELECT 
+          ulp.*,
+          l.title AS lesson_title,
+          m.title AS module_title,
+          c.id AS course_id,
+          c.title AS course_title
+        FROM user_lesson_progress ulp
+        JOIN lessons l ON ulp.lesson_id = l.id
+        JOIN modules m ON l.module_id = m.id
+        JOIN courses c ON m.course_id = c.id
+        WHERE ulp.user_id = $1
+        ORDER BY c.id, m.order_sequence, l.order_sequence
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not get lesson progress: ${error}`);
+		}
+	}
+
+	/**
+	 * Get IDs of users who share at least one course with a user
+	 */
+	async getClassmateIds(userId) {
+		try {
+			const sql = `
+        SELECT DISTINCT other.user_id
+        FROM user_courses mine
+        JOIN user_courses other ON other.course_id = mine.course_id
+        WHERE mine.user_id = $1 AND other.user_id != $1
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId]);
+			client.release();
+			return res.rows.map((row) => row.user_id);
+		} catch (error) {
+			throw new Error(`Could not get classmates: ${error}`);
+		}
+	}
+
 	async getCourseEnrollmentCounts() {
 		try {
 			const sql = `
@@ -248,10 +518,14 @@ class UserStore {
 					u.email,
 					u.avatar as user_avatar,
 					c.title as course_title,
-					c.description as course_description
+					c.description as course_description,
+					p.progress AS privacy_progress,
+					p.courses AS privacy_courses
 				FROM user_courses uc
 				LEFT JOIN users u ON uc.user_id = u.id
 				LEFT JOIN courses c ON uc.course_id = c.id
+				LEFT JOIN privacy_settings p ON uc.user_id = p.user_id
+				WHERE u.deleted_at IS NULL
 				ORDER BY uc.start_date DESC
 			`;
 
@@ -289,11 +563,23 @@ class UserStore {
 		}
 	}
 
+	/**
+	 * Enroll a user in a course - enrolling in a series enrolls in its parts too
+	 */
 	async enrollUserInCourse(userId, courseId, startDate) {
 		try {
 			const sql = `
-        INSERT INTO user_courses (user_id, course_id, start_date, progress) 
-        VALUES ($1, $2, $3, $4) RETURNING *
+        WITH enrollment AS (
+          INSERT INTO user_courses (user_id, course_id, start_date, progress) 
+          VALUES ($1, $2, $3, $4) RETURNING *
+        ), part_enrollments AS (
+          INSERT INTO user_courses (user_id, course_id, start_date, progress)
+          SELECT $1, csp.course_id, $3, $4
+          FROM course_series_parts csp
+          WHERE csp.series_id = $2
+          ON CONFLICT (user_id, course_id) DO NOTHING
+        )
+        SELECT * FROM enrollment
       `;
 
 			const client = await this.pool.connect();
@@ -341,6 +627,40 @@ class UserStore {
 		}
 	}
 
+	/**
+	 * Roll a part's progress up into the user's enrollment in each series
+	 * containing it (the average over all parts) - returns the updated rows
+	 */
+	async updateSeriesProgress(userId, courseId) {
+		try {
+			const sql = `
+        UPDATE user_courses uc SET
+          progress = rollup.progress,
+          completed_date = CASE WHEN rollup.progress = 100 THEN CURRENT_DATE ELSE uc.completed_date END,
+          updated_at = CURRENT_TIMESTAMP
+        FROM (
+          -- Rounded down, so the series only reaches 100 once every part is complete
+          SELECT csp.series_id, FLOOR(AVG(COALESCE(part.progress, 0)))::INTEGER as progress
+          FROM course_series_parts csp
+          LEFT JOIN user_courses part ON part.course_id = csp.course_id AND part.user_id = $1
+          WHERE csp.series_id IN (
+            SELECT series_id FROM course_series_parts WHERE course_id = $2
+          )
+          GROUP BY csp.series_id
+        ) rollup
+        WHERE uc.user_id = $1 AND uc.course_id = rollup.series_id
+        RETURNING uc.*
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [userId, courseId]);
+			client.release();
+			return res.rows;
+		} catch (error) {
+			throw new Error(`Could not update series progress: ${error}`);
+		}
+	}
+
 	async emailExists(email) {
 		const client = await this.pool.connect();
 		try {
@@ -360,6 +680,7 @@ class UserStore {
 			const sql = 'SELECT * FROM users WHERE username=($1)';
 			const client = await this.pool.connect();
 			const res = await client.query(sql, [username]);
+			client.release();
 
 			if (res.rows.length) {
 				const isValid = bcrypt.compareSync(
@@ -367,18 +688,102 @@ class UserStore {
 					res.rows[0].password
 				);
 				if (isValid) {
-					client.release();
 					return res.rows[0];
 				}
-			} else {
-				client.release();
-				return null;
 			}
+
+			return null;
 		} catch (error) {
 			throw new Error(`Could not authenticate: ${error}`);
 		}
 	}
 
+	async findByUsername(username) {
+		try {
+			const sql = 'SELECT * FROM users WHERE username = $1;';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [username]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Can't find user by username: ${error}`);
+		}
+	}
+
+	async findByEmail(email) {
+		try {
+			const sql = 'SELECT * FROM users WHERE LOWER(email) = LOWER($1);';
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [email]);
+			client.release();
+			return res.rows[0] || null;
+		} catch (error) {
+			throw new Error(`Can't find user by email: ${error}`);
+		}
+	}
+
+	async markEmailVerified(id) {
+		try {
+			const sql = `
+        UPDATE users SET 
+          email_verified = true,
+          email_verified_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not verify email: ${error}`);
+		}
+	}
+
+	async updatePassword(id, password) {
+		try {
+			const sql = `
+        UPDATE users SET 
+          password = $1,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 RETURNING *
+      `;
+
+			const hash = bcrypt.hashSync(
+				password + `${PEPPER}`,
+				parseInt(`${SALT_ROUNDS}`)
+			);
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [hash, id]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not update password: ${error}`);
+		}
+	}
+
+	/**
+	 * Set (or clear with null) a user's avatar URL
+	 */
+	async updateAvatar(id, avatarUrl) {
+		try {
+			const sql = `
+        UPDATE users SET
+          avatar = $1,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND deleted_at IS NULL RETURNING *
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [avatarUrl, id]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not update avatar: ${error}`);
+		}
+	}
+
 	async usernameExists(username) {
 		const client = await this.pool.connect();
 		try {
@@ -393,9 +798,216 @@ class UserStore {
 		}
 	}
 
+	async updateRole(id, role) {
+		try {
+			const sql = `
+        UPDATE users SET 
+          role = $1,
+          is_admin = ($1 = 'admin'),
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [role, id]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not update user role: ${error}`);
+		}
+	}
+
+	// ========================
+	// ADMIN USER MANAGEMENT
+	// ========================
+
+	/**
+	 * Search users with filters, sorting and cursor pagination
+	 * Returns { users, next_cursor } - pass next_cursor back to get the next page
+	 */
+	async search({
+		q,
+		country,
+		martial_art,
+		is_admin,
+		role,
+		has_subscription,
+		course_id,
+		status = 'active',
+		sort = 'created_at',
+		order = 'desc',
+		cursor,
+		limit = 25,
+	} = {}) {
+		try {
+			const conditions = [];
+			const params = [];
+			const addParam = (value) => {
+				params.push(value);
+				return `$${params.length}`;
+			};
+
+			if (q) {
+				const pattern = addParam(`%${q.replace(/[\\%_]/g, '\\$&')}%`);
+				conditions.push(
+					`(u.name ILIKE ${pattern} OR u.email ILIKE ${pattern} OR u.username ILIKE ${pattern})`
+				);
+			}
+			if (country) {
+				conditions.push(`LOWER(u.country) = LOWER(${addParam(country)})`);
+			}
+			if (martial_art) {
+				conditions.push(
+					`LOWER(u.martial_art) = LOWER(${addParam(martial_art)})`
+				);
+			}
+			if (is_admin !== undefined) {
+				conditions.push(`COALESCE(u.is_admin, false) = ${addParam(is_admin)}`);
+			}
+			if (role) {
+				conditions.push(`u.role = ${addParam(role)}`);
+			}
+			if (has_subscription !== undefined) {
+				conditions.push(
+					has_subscription
+						? ACTIVE_SUBSCRIPTION_SQL
+						: `NOT ${ACTIVE_SUBSCRIPTION_SQL}`
+				);
+			}
+			if (course_id) {
+				conditions.push(
+					`EXISTS (SELECT 1 FROM user_courses uc WHERE uc.user_id = u.id AND uc.course_id = ${addParam(
+						course_id
+					)})`
+				);
+			}
+
+			const statusConditions = {
+				active: 'u.deleted_at IS NULL AND u.suspended_at IS NULL',
+				suspended: 'u.deleted_at IS NULL AND u.suspended_at IS NOT NULL',
+				deleted: 'u.deleted_at IS NOT NULL',
+				all: 'u.anonymized_at IS NULL',
+			};
+			conditions.push(statusConditions[status] || statusConditions.active);
+
+			// Keyset pagination on (sort value, id)
+			const { expression, cast } = USER_SORTS[sort] || USER_SORTS.created_at;
+			const direction = order === 'asc' ? 'ASC' : 'DESC';
+			if (cursor) {
+				const [value, id] = this.decodeCursor(cursor);
+				conditions.push(
+					`(${expression}, u.id) ${
+						direction === 'ASC' ? '>' : '<'
+					} (${addParam(value)}::${cast}, ${addParam(id)}::INTEGER)`
+				);
+			}
+
+			const sql = `
+        SELECT
+          u.*,
+          ${ACTIVE_SUBSCRIPTION_SQL} AS has_subscription,
+          (SELECT COUNT(*) FROM user_courses uc WHERE uc.user_id = u.id)::INTEGER AS enrollment_count,
+          (${expression})::TEXT AS sort_value
+        FROM users u
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY ${expression} ${direction}, u.id ${direction}
+        LIMIT ${addParam(limit + 1)}
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, params);
+			client.release();
+
+			const rows = res.rows.slice(0, limit);
+			const last = rows[rows.length - 1];
+
+			return {
+				users: rows.map((row) => projectUser(row, ADMIN_USER_FIELDS)),
+				next_cursor:
+					res.rows.length > limit
+						? this.encodeCursor(last.sort_value, last.id)
+						: null,
+			};
+		} catch (error) {
+			throw new Error(`Could not search users: ${error}`);
+		}
+	}
+
+	/**
+	 * Get one user with admin-only fields
+	 */
+	async getAdminView(id) {
+		try {
+			const sql = `
+        SELECT
+          u.*,
+          ${ACTIVE_SUBSCRIPTION_SQL} AS has_subscription,
+          (SELECT COUNT(*) FROM user_courses uc WHERE uc.user_id = u.id)::INTEGER AS enrollment_count
+        FROM users u
+        WHERE u.id = $1
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id]);
+			client.release();
+			return res.rows[0] ? projectUser(res.rows[0], ADMIN_USER_FIELDS) : null;
+		} catch (error) {
+			throw new Error(`Could not get user: ${error}`);
+		}
+	}
+
+	async suspend(id, reason, suspendedBy) {
+		try {
+			const sql = `
+        UPDATE users SET
+          suspended_at = CURRENT_TIMESTAMP,
+          suspended_reason = $2,
+          suspended_by = $3
+        WHERE id = $1 AND deleted_at IS NULL
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id, reason || null, suspendedBy]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not suspend user: ${error}`);
+		}
+	}
+
+	async unsuspend(id) {
+		try {
+			const sql = `
+        UPDATE users SET
+          suspended_at = NULL,
+          suspended_reason = NULL,
+          suspended_by = NULL
+        WHERE id = $1 AND suspended_at IS NOT NULL
+        RETURNING *
+      `;
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [id]);
+			client.release();
+			return res.rows[0];
+		} catch (error) {
+			throw new Error(`Could not unsuspend user: ${error}`);
+		}
+	}
+
+	encodeCursor(value, id) {
+		return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+	}
+
+	decodeCursor(cursor) {
+		const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+		if (!Array.isArray(decoded) || decoded.length !== 2) {
+			throw new Error('Invalid cursor');
+		}
+		return decoded;
+	}
+
 	async getAdmins() {
 		try {
-			const sql = 'SELECT * FROM users WHERE is_admin = true;';
+			const sql =
+				'SELECT * FROM users WHERE is_admin = true AND deleted_at IS NULL;';
 			const client = await this.pool.connect();
 			const res = await client.query(sql);
 			client.release();
@@ -407,7 +1019,8 @@ class UserStore {
 
 	async getStudents() {
 		try {
-			const sql = 'SELECT * FROM users WHERE is_admin = false;';
+			const sql =
+				'SELECT * FROM users WHERE is_admin = false AND deleted_at IS NULL;';
 			const client = await this.pool.connect();
 			const res = await client.query(sql);
 			client.release();
@@ -442,13 +1055,25 @@ class UserStore {
 
 			const result = res.rows[0];
 			if (result) {
+				const progress = parseInt(result.calculated_progress);
+
 				// Update the user_courses table with calculated progress
-				await this.updateCourseProgress(
+				await this.updateCourseProgress(userId, courseId, progress);
+
+				if (progress === 100) {
+					await this.issueCertificate(userId, courseId);
+				}
+
+				const seriesProgress = await this.updateSeriesProgress(
 					userId,
-					courseId,
-					parseInt(result.calculated_progress)
+					courseId
 				);
-				return parseInt(result.calculated_progress);
+				for (const series of seriesProgress) {
+					if (series.progress === 100) {
+						await this.issueCertificate(userId, series.course_id);
+					}
+				}
+				return progress;
 			}
 
 			return 0;
@@ -456,22 +1081,45 @@ class UserStore {
 			throw new Error(`Could not calculate course progress: ${error}`);
 		}
 	}
+
+	/**
+	 * Issue a certificate for a completed course (if the course offers one)
+	 * A failure is only logged so progress updates still go through
+	 */
+	async issueCertificate(userId, courseId) {
+		try {
+			const certificate = await new CertificateStore(this.pool).issue(
+				userId,
+				courseId
+			);
+			if (certificate) {
+				console.log(
+					`Issued certificate ${certificate.verification_code} to user ${userId} for course ${courseId}`
+				);
+			}
+			return certificate;
+		} catch (error) {
+			console.error('Certificate issue error:', error);
+			return null;
+		}
+	}
 }
 
+const passwordSchema = Joi.string()
+	.pattern(
+		/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/
+	)
+	.message(
+		'Password must be at least 8 characters long, contain one uppercase letter, one lowercase letter, one number, and one special character'
+	);
+
 function handleUserErrors(user) {
 	const userSchema = Joi.object({
 		name: Joi.string().required(),
 		email: Joi.string().email().required(),
 		avatar: Joi.string().uri().allow(''),
 		username: Joi.string().required(),
-		password: Joi.string()
-			.optional()
-			.pattern(
-				/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]{8,}$/
-			)
-			.message(
-				'Password must be at least 8 characters long, contain one uppercase letter, one lowercase letter, one number, and one special character'
-			),
+		password: passwordSchema.optional(),
 		is_admin: Joi.boolean().default(false),
 		city: Joi.string().required(),
 		country: Joi.string().required(),
@@ -479,12 +1127,70 @@ function handleUserErrors(user) {
 		experience: Joi.number().integer().min(0).required(),
 		current_courses: Joi.array().items(Joi.number().integer()).default([]),
 		privacy: Joi.object({
-			profile: Joi.string().valid('public', 'private').default('public'),
-			progress: Joi.string().valid('public', 'private').default('public'),
-			courses: Joi.string().valid('public', 'private').default('public'),
+			profile: Joi.string()
+				.valid(...PRIVACY_LEVELS)
+				.default('public'),
+			progress: Joi.string()
+				.valid(...PRIVACY_LEVELS)
+				.default('public'),
+			courses: Joi.string()
+				.valid(...PRIVACY_LEVELS)
+				.default('public'),
 		}).optional(),
 	});
 	return userSchema.validate(user);
 }
 
-module.exports = { UserStore, handleUserErrors };
+function validatePassword(password) {
+	return passwordSchema.required().validate(password);
+}
+
+function validateUserSearch(query) {
+	const searchSchema = Joi.object({
+		q: Joi.string().trim().max(100),
+		country: Joi.string().max(100),
+		martial_art: Joi.string().max(100),
+		is_admin: Joi.boolean(),
+		role: Joi.string().valid('student', 'instructor', 'moderator', 'admin'),
+		has_subscription: Joi.boolean(),
+		course_id: Joi.number().integer().positive(),
+		status: Joi.string()
+			.valid('active', 'suspended', 'deleted', 'all')
+			.default('active'),
+		sort: Joi.string()
+			.valid(...Object.keys(USER_SORTS))
+			.default('created_at'),
+		order: Joi.string().valid('asc', 'desc').default('desc'),
+		cursor: Joi.string().max(500),
+		limit: Joi.number().integer().min(1).max(100).default(25),
+	});
+
+	return searchSchema.validate(query);
+}
+
+/**
+ * Pick only the listed fields from a user row (drops password hashes etc.)
+ */
+function projectUser(user, fields = PUBLIC_USER_FIELDS) {
+	if (!user) {
+		return user;
+	}
+
+	return fields.reduce((projected, field) => {
+		if (user[field] !== undefined) {
+			projected[field] = user[field];
+		}
+		return projected;
+	}, {});
+}
+
+module.exports = {
+	UserStore,
+	handleUserErrors,
+	validatePassword,
+	validateUserSearch,
+	projectUser,
+	PRIVACY_LEVELS,
+	PUBLIC_USER_FIELDS,
+	ADMIN_USER_FIELDS,
+};
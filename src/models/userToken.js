@@ -0,0 +1,179 @@
+// models/userToken.js
+require('dotenv').config();
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Lifetime of each token purpose
+ */
+const TOKEN_TTLS = {
+	verify_email: process.env.VERIFY_EMAIL_TOKEN_TTL || '48h',
+	reset_password: process.env.RESET_PASSWORD_TOKEN_TTL || '1h',
+	two_factor_login: process.env.TWO_FACTOR_LOGIN_TOKEN_TTL || '5m',
+};
+
+/**
+ * UserTokenStore issues and consumes signed, expiring, one-time tokens
+ * Used for email verification, password reset links and pending 2FA logins
+ */
+class UserTokenStore {
+	constructor(pool) {
+		this.pool = pool;
+	}
+
+	/**
+	 * Issue a new token for a user and purpose
+	 * Any earlier unused token for the same purpose is invalidated
+	 */
+	async issue(userId, purpose, claims = {}) {
+		try {
+			if (!TOKEN_TTLS[purpose]) {
+				throw new Error(`Unknown token purpose: ${purpose}`);
+			}
+
+			const jti = crypto.randomBytes(24).toString('hex');
+			const token = jwt.sign(
+				{ ...claims, sub: userId, purpose },
+				this.getSecret(purpose),
+				{ expiresIn: TOKEN_TTLS[purpose], jwtid: jti }
+			);
+			const { exp } = jwt.decode(token);
+
+			const client = await this.pool.connect();
+
+			try {
+				await client.query('BEGIN');
+
+				await client.query(
+					`UPDATE user_action_tokens SET used_at = CURRENT_TIMESTAMP
+           WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+					[userId, purpose]
+				);
+
+				await client.query(
+					`INSERT INTO user_action_tokens (user_id, purpose, jti, expires_at)
+           VALUES ($1, $2, $3, $4)`,
+					[userId, purpose, jti, new Date(exp * 1000)]
+				);
+
+				await client.query('COMMIT');
+			} catch (error) {
+				await client.query('ROLLBACK');
+				throw error;
+			} finally {
+				client.release();
+			}
+
+			return token;
+		} catch (error) {
+			throw new Error(`Could not issue token: ${error}`);
+		}
+	}
+
+	/**
+	 * Check a token without using it up (e.g. to allow retrying a mistyped 2FA code)
+	 * Returns the decoded payload, or null if invalid, expired or already used
+	 */
+	async verify(token, purpose) {
+		const decoded = this.decode(token, purpose);
+		if (!decoded) {
+			return null;
+		}
+
+		try {
+			const sql = `
+        SELECT id FROM user_action_tokens
+        WHERE jti = $1
+        AND user_id = $2
+        AND purpose = $3
+        AND used_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [decoded.jti, decoded.sub, purpose]);
+			client.release();
+
+			return res.rows.length > 0 ? decoded : null;
+		} catch (error) {
+			throw new Error(`Could not verify token: ${error}`);
+		}
+	}
+
+	/**
+	 * Verify a token's signature and mark it used
+	 * Returns the decoded payload, or null if invalid, expired or already used
+	 */
+	async consume(token, purpose) {
+		const decoded = this.decode(token, purpose);
+		if (!decoded) {
+			return null;
+		}
+
+		try {
+			const sql = `
+        UPDATE user_action_tokens SET used_at = CURRENT_TIMESTAMP
+        WHERE jti = $1
+        AND user_id = $2
+        AND purpose = $3
+        AND used_at IS NULL
+        AND expires_at > CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql, [decoded.jti, decoded.sub, purpose]);
+			client.release();
+
+			return res.rows.length > 0 ? decoded : null;
+		} catch (error) {
+			throw new Error(`Could not consume token: ${error}`);
+		}
+	}
+
+	/**
+	 * Remove used and expired tokens
+	 */
+	async cleanExpiredTokens() {
+		try {
+			const sql = `
+        DELETE FROM user_action_tokens
+        WHERE expires_at < CURRENT_TIMESTAMP OR used_at IS NOT NULL
+      `;
+
+			const client = await this.pool.connect();
+			const res = await client.query(sql);
+			client.release();
+			return res.rowCount;
+		} catch (error) {
+			throw new Error(`Could not clean expired tokens: ${error}`);
+		}
+	}
+
+	/**
+	 * Check signature, expiry and purpose - returns the payload or null
+	 */
+	decode(token, purpose) {
+		let decoded;
+		try {
+			decoded = jwt.verify(token, this.getSecret(purpose));
+		} catch (error) {
+			return null;
+		}
+
+		if (decoded.purpose !== purpose || !decoded.jti) {
+			return null;
+		}
+
+		return decoded;
+	}
+
+	/**
+	 * Each purpose gets its own signing key so tokens can't be swapped
+	 */
+	getSecret(purpose) {
+		return `${process.env.TOKEN_SECRET}:${purpose}`;
+	}
+}
+
+module.exports = { UserTokenStore };
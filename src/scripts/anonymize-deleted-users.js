@@ -0,0 +1,103 @@
+// scripts/anonymize-deleted-users.js
+//
+// RAILWAY DEPLOYMENT SETUP:
+//
+// This script runs daily to anonymize accounts whose deletion grace period
+// (USER_DELETION_GRACE_DAYS, default 30) has ended. Orders, AI analytics and
+// message threads are kept; personal data is removed and the user shows as "Deleted user".
+//
+// TO SET UP ON RAILWAY:
+//
+// Option 1 - Railway Dashboard:
+// 1. Go to your Railway project dashboard
+// 2. Navigate to "Settings" > "Cron Jobs"
+// 3. Click "Add Cron Job"
+// 4. Name: "daily-anonymize-deleted-users"
+// 5. Schedule: "0 3 * * *" (Every day at 3 AM)
+// 6. Command: "node src/scripts/anonymize-deleted-users.js"
+// 7. Save
+//
+// Option 2 - railway.toml file:
+// [cron.daily_anonymize_deleted_users]
+// schedule = "0 3 * * *"
+// command = "node src/scripts/anonymize-deleted-users.js"
+//
+// TO VERIFY IT'S WORKING:
+// SELECT COUNT(*) FROM users WHERE anonymized_at >= CURRENT_DATE;
+//
+// MANUAL EXECUTION (for testing):
+// railway run node src/scripts/anonymize-deleted-users.js
+//
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { UserStore } = require('../models/user');
+const { MediaStorage } = require('../utilis/mediaStorage');
+
+class DeletedUserAnonymizer {
+	constructor() {
+		this.pool = new Pool({
+			connectionString: process.env.DATABASE_URL,
+		});
+		this.store = new UserStore(this.pool);
+		this.mediaStorage = new MediaStorage(this.pool);
+	}
+
+	async run(batchSize = 100) {
+		console.log('🧹 Anonymizing deleted accounts...');
+		console.log('📅 Date:', new Date().toISOString());
+
+		const results = { anonymized: 0, failed: 0 };
+
+		try {
+			const dueUsers = await this.store.getDueForAnonymization(batchSize);
+
+			if (dueUsers.length === 0) {
+				console.log('✅ No accounts due for anonymization');
+				return results;
+			}
+
+			for (const user of dueUsers) {
+				try {
+					await this.store.anonymize(user.id);
+					// Removes the avatar file (failures are only logged)
+					await this.mediaStorage.releaseEntity('user', user.id);
+					results.anonymized++;
+					console.log(`  → Anonymized user ${user.id}`);
+				} catch (error) {
+					results.failed++;
+					console.error(`  → Failed to anonymize user ${user.id}:`, error.message);
+				}
+			}
+
+			console.log(
+				`📈 Results: ${results.anonymized} anonymized, ${results.failed} failed`
+			);
+			return results;
+		} finally {
+			await this.pool.end();
+		}
+	}
+}
+
+// Script execution
+async function main() {
+	const anonymizer = new DeletedUserAnonymizer();
+
+	try {
+		const results = await anonymizer.run();
+		if (results.failed > 0) {
+			process.exit(1);
+		}
+	} catch (error) {
+		console.error('Script failed:', error);
+		process.exit(1);
+	}
+}
+
+// Run if called directly
+if (require.main === module) {
+	main();
+}
+
+module.exports = { DeletedUserAnonymizer };
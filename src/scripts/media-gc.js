@@ -0,0 +1,380 @@
+// scripts/media-gc.js
+//
+// RAILWAY DEPLOYMENT SETUP:
+//
+// This script runs weekly to reconcile media references with what is actually
+// in storage (Cloudinary and/or the local upload directory). It reports:
+//   - orphans: stored files no course, lesson, news article or user points at
+//   - dangling URLs: entity fields pointing at files that no longer exist
+//   - stale/untracked rows in media_asset_references
+//
+// Only the folders this backend uploads to (MANAGED_FOLDERS) are checked, so
+// files other apps or manual uploads keep in the same account are left alone.
+//
+// Dry run by default - nothing is changed unless --live is passed.
+//   --live                 delete orphans and fix media_asset_references
+//   --clear-dangling       with --live, also remove dangling URLs from entities
+//   --min-age-hours=24     only treat files older than this as orphans
+//                          (uploads land in storage before the form is saved)
+//   --driver=cloudinary    only check one driver (cloudinary or local)
+//
+// TO SET UP ON RAILWAY:
+//
+// Option 1 - Railway Dashboard:
+// 1. Go to your Railway project dashboard
+// 2. Navigate to "Settings" > "Cron Jobs"
+// 3. Click "Add Cron Job"
+// 4. Name: "weekly-media-gc"
+// 5. Schedule: "0 4 * * 0" (Every Sunday at 4 AM)
+// 6. Command: "node src/scripts/media-gc.js --live"
+// 7. Save
+//
+// Option 2 - railway.toml file:
+// [cron.weekly_media_gc]
+// schedule = "0 4 * * 0"
+// command = "node src/scripts/media-gc.js --live"
+//
+// TO VERIFY IT'S WORKING:
+// SELECT COUNT(*) FROM media_assets WHERE deleted_at >= CURRENT_DATE - INTERVAL '7 days';
+//
+// MANUAL EXECUTION (for testing):
+// railway run node src/scripts/media-gc.js
+//
+
+require('dotenv').config();
+const { parseArgs } = require('util');
+const { Pool } = require('pg');
+const { MediaAssetStore } = require('../models/mediaAsset');
+const { MediaStorage } = require('../utilis/mediaStorage');
+const {
+	CloudinaryStorageDriver,
+	LocalStorageDriver,
+	RESOURCE_TYPES,
+	getDriverForUrl,
+} = require('../utilis/imageStorage');
+
+const DEFAULT_MIN_AGE_HOURS = 24;
+
+// Top-level storage folders this backend writes to
+const MANAGED_FOLDERS = ['avatars', 'news', 'courses'];
+
+/**
+ * Whether a file key (see driver.getKey) is inside a managed folder
+ */
+const isManagedKey = (key) => {
+	const filePath = `${key}`.replace(/^(cloudinary:[^:]+|local):/, '');
+	return MANAGED_FOLDERS.some((folder) => filePath.startsWith(`${folder}/`));
+};
+
+const referenceKey = (reference) =>
+	`${reference.entity_type}:${reference.entity_id}:${reference.field}:${reference.url}`;
+
+class MediaGarbageCollector {
+	constructor({
+		live = false,
+		clearDangling = false,
+		minAgeHours = DEFAULT_MIN_AGE_HOURS,
+		driver = null,
+	} = {}) {
+		this.pool = new Pool({
+			connectionString: process.env.DATABASE_URL,
+		});
+		this.store = new MediaAssetStore(this.pool);
+		this.mediaStorage = new MediaStorage(this.pool);
+		this.live = live;
+		this.clearDangling = clearDangling;
+		this.minAgeHours = minAgeHours;
+		this.driverName = driver;
+	}
+
+	getDrivers() {
+		const drivers = [new LocalStorageDriver()];
+		if (CloudinaryStorageDriver.isConfigured()) {
+			drivers.unshift(new CloudinaryStorageDriver());
+		}
+
+		return this.driverName
+			? drivers.filter((driver) => driver.name === this.driverName)
+			: drivers;
+	}
+
+	/**
+	 * Everything a driver holds in the managed folders, keyed by file identity
+	 */
+	async listStorage(driver) {
+		const resourceTypes =
+			driver.name === 'cloudinary' ? RESOURCE_TYPES : [undefined];
+
+		const files = new Map();
+		for (const folder of MANAGED_FOLDERS) {
+			for (const resourceType of resourceTypes) {
+				for (const file of await driver.list({
+					folder: `${folder}/`,
+					resourceType,
+				})) {
+					if (isManagedKey(file.key)) {
+						files.set(file.key, file);
+					}
+				}
+			}
+		}
+		return files;
+	}
+
+	/**
+	 * Make media_asset_references match the URLs entities actually hold
+	 */
+	async reconcileReferences(entityUrls, results) {
+		console.log('🔗 Reconciling media references...');
+
+		const references = await this.store.getAllReferences();
+		const current = new Set(entityUrls.map(referenceKey));
+		const recorded = new Set(references.map(referenceKey));
+
+		const stale = references.filter(
+			(reference) => !current.has(referenceKey(reference))
+		);
+		const untracked = entityUrls.filter(
+			(reference) =>
+				getDriverForUrl(reference.url) && !recorded.has(referenceKey(reference))
+		);
+
+		results.staleReferences = stale.length;
+		results.untrackedReferences = untracked.length;
+		console.log(
+			`  → ${stale.length} stale, ${untracked.length} untracked references`
+		);
+
+		if (!this.live) {
+			return;
+		}
+
+		if (stale.length > 0) {
+			await this.store.removeReferences(stale.map((reference) => reference.id));
+		}
+
+		for (const reference of untracked) {
+			try {
+				const asset = await this.mediaStorage.track(reference.url);
+				await this.store.addReference(
+					asset.id,
+					reference.entity_type,
+					reference.entity_id,
+					reference.field
+				);
+			} catch (error) {
+				results.failed++;
+				console.error(
+					`  → Failed to track ${reference.url}:`,
+					error.message
+				);
+			}
+		}
+	}
+
+	/**
+	 * Compare one driver's files with the URLs entities hold
+	 */
+	async reconcileDriver(driver, entityUrls, results) {
+		console.log(`\n📦 Checking ${driver.name} storage...`);
+
+		let files;
+		try {
+			files = await this.listStorage(driver);
+		} catch (error) {
+			// Without a full listing every file would look orphaned - skip the driver
+			results.failed++;
+			console.error(`  → Failed to list ${driver.name} storage:`, error.message);
+			return;
+		}
+
+		// Files outside the managed folders were never listed, so skip them
+		const owned = entityUrls.filter(
+			(reference) =>
+				driver.owns(reference.url) && isManagedKey(driver.getKey(reference.url))
+		);
+		const referencedKeys = new Set(
+			owned.map((reference) => driver.getKey(reference.url)).filter(Boolean)
+		);
+		const cutoff = Date.now() - this.minAgeHours * 60 * 60 * 1000;
+
+		const orphans = [...files.values()].filter(
+			(file) =>
+				!referencedKeys.has(file.key) &&
+				new Date(file.created_at).getTime() < cutoff
+		);
+		const dangling = owned.filter(
+			(reference) => !files.has(driver.getKey(reference.url))
+		);
+		const liveAssets = await this.store.getLiveAssets(driver.name);
+		const missingAssets = liveAssets.filter(
+			(asset) =>
+				isManagedKey(driver.getKey(asset.url)) &&
+				!files.has(driver.getKey(asset.url))
+		);
+
+		console.log(
+			`  → ${files.size} files, ${orphans.length} orphans, ${dangling.length} dangling URLs`
+		);
+		orphans.forEach((file) =>
+			console.log(`     orphan: ${file.url} (${file.size_bytes || 0} bytes)`)
+		);
+		dangling.forEach((reference) =>
+			console.log(
+				`     dangling: ${reference.entity_type} ${reference.entity_id} ${reference.field} → ${reference.url}`
+			)
+		);
+
+		results.orphans += orphans.length;
+		results.orphanBytes += orphans.reduce(
+			(total, file) => total + (file.size_bytes || 0),
+			0
+		);
+		results.dangling += dangling.length;
+
+		if (!this.live) {
+			return;
+		}
+
+		const assetsByKey = new Map(
+			liveAssets.map((asset) => [driver.getKey(asset.url), asset])
+		);
+
+		for (const file of orphans) {
+			try {
+				await driver.delete(file.url);
+				const asset = assetsByKey.get(file.key);
+				if (asset) {
+					await this.store.markDeleted(asset.id);
+				}
+				results.deleted++;
+			} catch (error) {
+				results.failed++;
+				console.error(`  → Failed to delete ${file.url}:`, error.message);
+			}
+		}
+
+		// Records for files that are already gone (referenced ones show up as dangling)
+		for (const asset of missingAssets) {
+			if (asset.reference_count === 0) {
+				await this.store.markDeleted(asset.id);
+			}
+		}
+
+		if (this.clearDangling && dangling.length > 0) {
+			if (files.size === 0) {
+				console.warn(
+					`  → ${driver.name} storage looks empty - not clearing dangling URLs`
+				);
+				return;
+			}
+
+			for (const reference of dangling) {
+				try {
+					results.cleared += await this.store.clearEntityUrl(
+						reference.entity_type,
+						reference.entity_id,
+						reference.field,
+						reference.url
+					);
+				} catch (error) {
+					results.failed++;
+					console.error(
+						`  → Failed to clear ${reference.entity_type} ${reference.entity_id}:`,
+						error.message
+					);
+				}
+			}
+		}
+	}
+
+	async run() {
+		console.log(
+			`🧹 Media garbage collection (${this.live ? 'LIVE' : 'dry run'})...`
+		);
+		console.log('📅 Date:', new Date().toISOString());
+
+		const results = {
+			staleReferences: 0,
+			untrackedReferences: 0,
+			orphans: 0,
+			orphanBytes: 0,
+			dangling: 0,
+			deleted: 0,
+			cleared: 0,
+			failed: 0,
+		};
+
+		try {
+			const entityUrls = await this.store.getEntityMediaUrls();
+			await this.reconcileReferences(entityUrls, results);
+
+			for (const driver of this.getDrivers()) {
+				await this.reconcileDriver(driver, entityUrls, results);
+			}
+
+			console.log(
+				`\n📈 Results: ${results.orphans} orphans (${results.orphanBytes} bytes), ` +
+					`${results.dangling} dangling URLs, ${results.staleReferences} stale and ` +
+					`${results.untrackedReferences} untracked references`
+			);
+			if (this.live) {
+				console.log(
+					`🗑️  Deleted ${results.deleted} orphans, cleared ${results.cleared} dangling URLs, ${results.failed} failed`
+				);
+			} else {
+				console.log('ℹ️  Dry run - re-run with --live to apply changes');
+			}
+
+			return results;
+		} finally {
+			await this.pool.end();
+		}
+	}
+}
+
+// Script execution
+async function main() {
+	const { values } = parseArgs({
+		options: {
+			live: { type: 'boolean', default: false },
+			'clear-dangling': { type: 'boolean', default: false },
+			'min-age-hours': { type: 'string' },
+			driver: { type: 'string' },
+		},
+	});
+
+	const minAgeHours = values['min-age-hours'] ?? DEFAULT_MIN_AGE_HOURS;
+	if (Number.isNaN(Number(minAgeHours)) || Number(minAgeHours) < 0) {
+		console.error('--min-age-hours must be a non-negative number');
+		process.exit(1);
+	}
+	if (values.driver && !['cloudinary', 'local'].includes(values.driver)) {
+		console.error('--driver must be cloudinary or local');
+		process.exit(1);
+	}
+
+	const collector = new MediaGarbageCollector({
+		live: values.live,
+		clearDangling: values['clear-dangling'],
+		minAgeHours: Number(minAgeHours),
+		driver: values.driver || null,
+	});
+
+	try {
+		const results = await collector.run();
+		if (results.failed > 0) {
+			process.exit(1);
+		}
+	} catch (error) {
+		console.error('Script failed:', error);
+		process.exit(1);
+	}
+}
+
+// Run if called directly
+if (require.main === module) {
+	main();
+}
+
+module.exports = { MediaGarbageCollector };
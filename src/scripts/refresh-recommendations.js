@@ -0,0 +1,113 @@
+// scripts/refresh-recommendations.js
+//
+// RAILWAY DEPLOYMENT SETUP:
+//
+// This script runs nightly to recompute every active user's course
+// recommendations (enrollments, completions, co-purchases from orders, and
+// the martial art and experience on their profile) and cache them in
+// course_recommendations for GET /user/:id/recommendations.
+//
+// TO SET UP ON RAILWAY:
+//
+// Option 1 - Railway Dashboard:
+// 1. Go to your Railway project dashboard
+// 2. Navigate to "Settings" > "Cron Jobs"
+// 3. Click "Add Cron Job"
+// 4. Name: "nightly-refresh-recommendations"
+// 5. Schedule: "30 2 * * *" (Every day at 2:30 AM)
+// 6. Command: "node src/scripts/refresh-recommendations.js"
+// 7. Save
+//
+// Option 2 - railway.toml file:
+// [cron.nightly_refresh_recommendations]
+// schedule = "30 2 * * *"
+// command = "node src/scripts/refresh-recommendations.js"
+//
+// TO VERIFY IT'S WORKING:
+// SELECT COUNT(*) FROM users WHERE recommendations_computed_at >= CURRENT_DATE;
+//
+// MANUAL EXECUTION (for testing):
+// railway run node src/scripts/refresh-recommendations.js
+//
+
+require('dotenv').config();
+const { Pool } = require('pg');
+const { RecommendationStore } = require('../models/recommendation');
+const { Recommender } = require('../utilis/recommender');
+
+class RecommendationRefresher {
+	constructor() {
+		this.pool = new Pool({
+			connectionString: process.env.DATABASE_URL,
+		});
+		this.store = new RecommendationStore(this.pool);
+		this.recommender = new Recommender(this.pool);
+	}
+
+	async run(batchSize = 200) {
+		console.log('🎯 Refreshing course recommendations...');
+		console.log('📅 Date:', new Date().toISOString());
+
+		const results = { users: 0, recommendations: 0, cleared: 0, failed: 0 };
+
+		try {
+			// Co-enrollment and co-purchase counts are shared by every user
+			await this.recommender.load();
+
+			let afterId = 0;
+			for (;;) {
+				const users = await this.store.getUsers(afterId, batchSize);
+				if (users.length === 0) {
+					break;
+				}
+
+				for (const user of users) {
+					try {
+						results.recommendations += await this.recommender.refreshUser(user);
+						results.users++;
+					} catch (error) {
+						results.failed++;
+						console.error(
+							`  → Failed to refresh user ${user.id}:`,
+							error.message
+						);
+					}
+				}
+
+				afterId = users[users.length - 1].id;
+			}
+
+			results.cleared = await this.store.clearDeletedUsers();
+
+			console.log(
+				`📈 Results: ${results.users} users, ${results.recommendations} recommendations, ` +
+					`${results.cleared} cleared for deleted accounts, ${results.failed} failed`
+			);
+			return results;
+		} finally {
+			await this.pool.end();
+		}
+	}
+}
+
+// Script execution
+async function main() {
+	const refresher = new RecommendationRefresher();
+
+	try {
+		const results = await refresher.run();
+		if (results.failed > 0) {
+			process.exit(1);
+		}
+	} catch (error) {
+		console.error('Script failed:', error);
+		process.exit(1);
+	}
+}
+
+// Run if called directly
+if (require.main === module) {
+	main();
+}
+
+module.exports = { RecommendationRefresher };
@@ -13,6 +13,14 @@ const news_route = require('./handlers/news');
 const ai_sifu_route = require('./handlers/aiSifu');
 const health_route = require('./handlers/health');
 const cloudinary_routes = require('./handlers/cloudinary');
+const media_routes = require('./handlers/media');
+const quiz_routes = require('./handlers/quizzes');
+const certificate_routes = require('./handlers/certificates');
+const course_version_routes = require('./handlers/courseVersions');
+const course_package_routes = require('./handlers/coursePackages');
+const review_routes = require('./handlers/reviews');
+const lesson_discussion_routes = require('./handlers/lessonDiscussions');
+const { LocalStorageDriver } = require('./utilis/imageStorage');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -57,6 +65,8 @@ const corsOptions = {
 // app.options('*', cors(corsOptions));
 
 app.use('/stripe/webhook', express.raw({ type: 'application/json' }));
+// Course packages carry a whole course, so allow more than the default 100kb
+app.use('/admin/courses/import', express.json({ limit: '5mb' }));
 // Middleware
 app.use(helmet());
 app.use(morgan('dev'));
@@ -64,6 +74,16 @@ app.use(cors(corsOptions));
 app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
 
+// Files stored by the local media driver (development without Cloudinary)
+app.use(
+	LocalStorageDriver.URL_PREFIX,
+	(req, res, next) => {
+		res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+		next();
+	},
+	express.static(LocalStorageDriver.getDirectory(), { index: false })
+);
+
 // Main route
 app.get('/', function (req, res) {
 	res.json({
@@ -83,6 +103,13 @@ messagesRoute(app);
 news_route(app);
 ai_sifu_route(app);
 cloudinary_routes(app);
+media_routes(app);
+quiz_routes(app);
+certificate_routes(app);
+course_version_routes(app);
+course_package_routes(app);
+review_routes(app);
+lesson_discussion_routes(app);
 
 // Error handling for unhandled promise rejections
 process.on('unhandledRejection', (reason, promise) => {
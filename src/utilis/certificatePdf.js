@@ -0,0 +1,168 @@
+// utils/certificatePdf.js
+const PDFDocument = require('pdfkit');
+
+const COLORS = {
+	ink: '#1f2933',
+	muted: '#616e7c',
+	accent: '#9b1c1c',
+};
+
+const getAppUrl = () => process.env.APP_URL || 'http://localhost:5173';
+
+/**
+ * Public page where a certificate's code can be checked
+ */
+const getVerificationUrl = (certificate) =>
+	`${getAppUrl()}/certificates/${encodeURIComponent(
+		certificate.verification_code
+	)}/verify`;
+
+/**
+ * Render a certificate of completion (A4 landscape) to a writable stream
+ * Resolves once the whole PDF has been written
+ */
+const writeCertificatePdf = (certificate, output) => {
+	const doc = new PDFDocument({
+		size: 'A4',
+		layout: 'landscape',
+		margin: 40,
+		info: {
+			Title: `Certificate of Completion - ${certificate.course_title}`,
+			Author: 'JingWu Foundation',
+			Subject: certificate.verification_code,
+		},
+	});
+
+	const finished = new Promise((resolve, reject) => {
+		doc.on('error', reject);
+		output.on('error', reject);
+		output.on('finish', resolve);
+	});
+
+	doc.pipe(output);
+
+	const { width, height } = doc.page;
+	const contentWidth = width - 120;
+	const issuedOn = new Date(certificate.issued_at).toLocaleDateString('en-US', {
+		year: 'numeric',
+		month: 'long',
+		day: 'numeric',
+	});
+
+	// Double border
+	doc
+		.lineWidth(4)
+		.strokeColor(COLORS.accent)
+		.rect(24, 24, width - 48, height - 48)
+		.stroke();
+	doc
+		.lineWidth(1)
+		.rect(34, 34, width - 68, height - 68)
+		.stroke();
+
+	doc
+		.fillColor(COLORS.accent)
+		.font('Helvetica-Bold')
+		.fontSize(14)
+		.text('JINGWU FOUNDATION', 60, 80, {
+			width: contentWidth,
+			align: 'center',
+			characterSpacing: 3,
+		});
+
+	doc
+		.fillColor(COLORS.ink)
+		.font('Times-Bold')
+		.fontSize(40)
+		.text('Certificate of Completion', { width: contentWidth, align: 'center' })
+		.moveDown(0.8);
+
+	doc
+		.font('Helvetica')
+		.fontSize(14)
+		.fillColor(COLORS.muted)
+		.text('This certifies that', { width: contentWidth, align: 'center' })
+		.moveDown(0.4);
+
+	doc
+		.font('Times-BoldItalic')
+		.fontSize(32)
+		.fillColor(COLORS.ink)
+		.text(certificate.student_name, { width: contentWidth, align: 'center' })
+		.moveDown(0.4);
+
+	doc
+		.font('Helvetica')
+		.fontSize(14)
+		.fillColor(COLORS.muted)
+		.text('has successfully completed the course', {
+			width: contentWidth,
+			align: 'center',
+		})
+		.moveDown(0.4);
+
+	doc
+		.font('Times-Bold')
+		.fontSize(24)
+		.fillColor(COLORS.ink)
+		.text(certificate.course_title, { width: contentWidth, align: 'center' });
+
+	// Signature line: instructor on the left, date on the right
+	const footerY = height - 150;
+	const columnWidth = 240;
+
+	doc.lineWidth(0.5).strokeColor(COLORS.muted);
+	doc
+		.moveTo(100, footerY)
+		.lineTo(100 + columnWidth, footerY)
+		.stroke();
+	doc
+		.moveTo(width - 100 - columnWidth, footerY)
+		.lineTo(width - 100, footerY)
+		.stroke();
+
+	doc
+		.font('Helvetica-Bold')
+		.fontSize(12)
+		.fillColor(COLORS.ink)
+		.text(
+			certificate.instructor_name || 'JingWu Foundation',
+			100,
+			footerY + 8,
+			{
+				width: columnWidth,
+				align: 'center',
+			}
+		)
+		.text(issuedOn, width - 100 - columnWidth, footerY + 8, {
+			width: columnWidth,
+			align: 'center',
+		});
+
+	doc
+		.font('Helvetica')
+		.fontSize(10)
+		.fillColor(COLORS.muted)
+		.text('Instructor', 100, footerY + 26, {
+			width: columnWidth,
+			align: 'center',
+		})
+		.text('Date of completion', width - 100 - columnWidth, footerY + 26, {
+			width: columnWidth,
+			align: 'center',
+		});
+
+	doc
+		.fontSize(9)
+		.text(
+			`Certificate ${certificate.verification_code} - verify at ${getVerificationUrl(certificate)}`,
+			60,
+			height - 70,
+			{ width: contentWidth, align: 'center' }
+		);
+
+	doc.end();
+	return finished;
+};
+
+module.exports = { writeCertificatePdf, getVerificationUrl };
@@ -0,0 +1,103 @@
+// utils/contentUnlock.js
+
+const UNLOCK_RULES = ['always', 'sequential', 'days_after_enrollment', 'date'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Evaluate one module / lesson unlock rule
+ * Returns { locked, reason, unlocks_at } - unlocks_at is null when the
+ * unlock depends on progress (or enrollment) rather than time
+ */
+const evaluateRule = (
+	{ unlock_rule, unlock_after_days, unlock_at },
+	{ startDate, previousCompleted, now }
+) => {
+	switch (unlock_rule) {
+		case 'sequential':
+			return previousCompleted
+				? { locked: false }
+				: { locked: true, reason: 'sequential', unlocks_at: null };
+		case 'days_after_enrollment': {
+			if (!startDate) {
+				return { locked: true, reason: 'not_enrolled', unlocks_at: null };
+			}
+			const unlocksAt = new Date(
+				new Date(startDate).getTime() + unlock_after_days * DAY_MS
+			);
+			return unlocksAt > now
+				? { locked: true, reason: 'scheduled', unlocks_at: unlocksAt }
+				: { locked: false };
+		}
+		case 'date': {
+			const unlocksAt = new Date(unlock_at);
+			return unlocksAt > now
+				? { locked: true, reason: 'scheduled', unlocks_at: unlocksAt }
+				: { locked: false };
+		}
+		default:
+			return { locked: false };
+	}
+};
+
+/**
+ * Combine module and lesson locks - progress locks win over scheduled ones,
+ * otherwise the later unlock date applies
+ */
+const combineLocks = (locks) => {
+	const active = locks.filter((lock) => lock.locked);
+	if (active.length === 0) {
+		return { locked: false, lock_reason: null, unlocks_at: null };
+	}
+
+	const blocking = active.find((lock) => !lock.unlocks_at);
+	if (blocking) {
+		return { locked: true, lock_reason: blocking.reason, unlocks_at: null };
+	}
+
+	const latest = active.reduce((a, b) => (b.unlocks_at > a.unlocks_at ? b : a));
+	return { locked: true, lock_reason: latest.reason, unlocks_at: latest.unlocks_at };
+};
+
+/**
+ * Add locked / lock_reason / unlocks_at to a course's lessons for one user
+ * lessons must be in course order and carry module_id plus the module's rule
+ * as module_unlock_rule, module_unlock_after_days and module_unlock_at.
+ * "sequential" means every earlier required lesson in the course is completed
+ */
+const applyUnlockRules = (
+	lessons,
+	{ startDate = null, completedLessonIds = new Set(), now = new Date() } = {}
+) => {
+	let previousCompleted = true;
+	let currentModuleId = null;
+	let moduleLock = null;
+
+	return lessons.map((lesson) => {
+		if (lesson.module_id !== currentModuleId) {
+			currentModuleId = lesson.module_id;
+			moduleLock = evaluateRule(
+				{
+					unlock_rule: lesson.module_unlock_rule,
+					unlock_after_days: lesson.module_unlock_after_days,
+					unlock_at: lesson.module_unlock_at,
+				},
+				{ startDate, previousCompleted, now }
+			);
+		}
+
+		const lessonLock = evaluateRule(lesson, {
+			startDate,
+			previousCompleted,
+			now,
+		});
+
+		if (lesson.is_required !== false && !completedLessonIds.has(lesson.id)) {
+			previousCompleted = false;
+		}
+
+		return { ...lesson, ...combineLocks([moduleLock, lessonLock]) };
+	});
+};
+
+module.exports = { UNLOCK_RULES, applyUnlockRules };
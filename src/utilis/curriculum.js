@@ -0,0 +1,175 @@
+// utils/curriculum.js
+
+/**
+ * Helpers for course module/lesson trees as stored in course_versions
+ */
+
+// Fields a snapshot keeps (order_sequence comes from array order)
+const MODULE_FIELDS = [
+	'title',
+	'description',
+	'unlock_rule',
+	'unlock_after_days',
+	'unlock_at',
+];
+const LESSON_FIELDS = [
+	'title',
+	'lesson_type',
+	'content_url',
+	'content_text',
+	'duration_minutes',
+	'is_required',
+	'unlock_rule',
+	'unlock_after_days',
+	'unlock_at',
+	'is_preview',
+];
+
+const toJsonValue = (value) =>
+	value instanceof Date ? value.toISOString() : (value ?? null);
+
+const pickFields = (item, fields) => {
+	const picked = item.id ? { id: item.id } : {};
+	for (const field of fields) {
+		picked[field] = toJsonValue(item[field]);
+	}
+	picked.unlock_rule = picked.unlock_rule || 'always';
+	return picked;
+};
+
+/**
+ * Reduce a tree to the snapshot fields with defaults filled in,
+ * so trees from the database and from a client compare equal
+ */
+const normalizeCurriculum = (curriculum) => ({
+	modules: curriculum.modules.map((module) => ({
+		...pickFields(module, MODULE_FIELDS),
+		lessons: (module.lessons || []).map((lesson) => ({
+			...pickFields(lesson, LESSON_FIELDS),
+			content_url: lesson.content_url || null,
+			duration_minutes: lesson.duration_minutes || 0,
+			is_required: lesson.is_required !== false,
+			is_preview: lesson.is_preview === true,
+		})),
+	})),
+});
+
+/**
+ * Every lesson content URL in a tree
+ */
+const getContentUrls = (curriculum) =>
+	curriculum.modules.flatMap((module) =>
+		module.lessons.map((lesson) => lesson.content_url).filter(Boolean)
+	);
+
+const changedFields = (before, after, fields) => {
+	const changes = {};
+	for (const field of fields) {
+		if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+			changes[field] = { from: before[field], to: after[field] };
+		}
+	}
+	return changes;
+};
+
+/**
+ * Compare two trees (e.g. live vs draft)
+ * Modules and lessons are matched by id; position covers both the order
+ * and, for lessons, the module they sit in
+ */
+const diffCurriculum = (before, after) => {
+	const index = (curriculum) => {
+		const modules = new Map();
+		const lessons = new Map();
+		curriculum.modules.forEach((module, moduleIndex) => {
+			if (module.id) {
+				modules.set(module.id, { ...module, position: moduleIndex + 1 });
+			}
+			module.lessons.forEach((lesson, lessonIndex) => {
+				if (lesson.id) {
+					lessons.set(lesson.id, {
+						...lesson,
+						module_id: module.id || null,
+						module_title: module.title,
+						position: lessonIndex + 1,
+					});
+				}
+			});
+		});
+		return { modules, lessons };
+	};
+
+	const from = index(before);
+	const to = index(after);
+
+	const diffItems = (fromItems, toItems, fields, positionFields) => {
+		const added = [];
+		const changed = [];
+		for (const [id, item] of toItems) {
+			const previous = fromItems.get(id);
+			if (!previous) {
+				added.push(item);
+				continue;
+			}
+			const changes = changedFields(previous, item, [
+				...fields,
+				...positionFields,
+			]);
+			if (Object.keys(changes).length > 0) {
+				changed.push({ id, title: item.title, changes });
+			}
+		}
+		const removed = [...fromItems.values()].filter(
+			(item) => !toItems.has(item.id)
+		);
+		return { added, removed, changed };
+	};
+
+	const modules = diffItems(from.modules, to.modules, MODULE_FIELDS, [
+		'position',
+	]);
+	const lessons = diffItems(from.lessons, to.lessons, LESSON_FIELDS, [
+		'module_id',
+		'position',
+	]);
+
+	// Items without an id only exist in the newer tree
+	after.modules.forEach((module, moduleIndex) => {
+		if (!module.id) {
+			modules.added.push({ ...module, position: moduleIndex + 1 });
+		}
+		module.lessons.forEach((lesson, lessonIndex) => {
+			if (!lesson.id) {
+				lessons.added.push({
+					...lesson,
+					module_id: module.id || null,
+					module_title: module.title,
+					position: lessonIndex + 1,
+				});
+			}
+		});
+	});
+
+	const stripLessons = ({ lessons: _lessons, ...module }) => module;
+
+	return {
+		has_changes: [modules, lessons].some(
+			(diff) =>
+				diff.added.length + diff.removed.length + diff.changed.length > 0
+		),
+		modules: {
+			added: modules.added.map(stripLessons),
+			removed: modules.removed.map(stripLessons),
+			changed: modules.changed,
+		},
+		lessons,
+	};
+};
+
+module.exports = {
+	MODULE_FIELDS,
+	LESSON_FIELDS,
+	normalizeCurriculum,
+	getContentUrls,
+	diffCurriculum,
+};
@@ -0,0 +1,32 @@
+// utils/imageResize.js
+const sharp = require('sharp');
+
+/**
+ * Output settings per (validated) upload type - the original format is kept
+ */
+const OUTPUT_FORMATS = {
+	'image/jpeg': ['jpeg', { quality: 85, mozjpeg: true }],
+	'image/png': ['png', { compressionLevel: 9 }],
+	'image/webp': ['webp', { quality: 85 }],
+	'image/gif': ['gif', {}],
+};
+
+/**
+ * Resize and re-encode an uploaded image
+ * Applies EXIF rotation, strips metadata (e.g. GPS) and never upscales.
+ * fit: 'cover' crops to exactly width x height, 'inside' only bounds the size
+ */
+const resizeImage = async (
+	buffer,
+	{ mimeType, width, height, fit = 'inside' }
+) => {
+	const [format, options] = OUTPUT_FORMATS[mimeType] || OUTPUT_FORMATS['image/jpeg'];
+
+	return sharp(buffer, { animated: mimeType === 'image/gif' })
+		.rotate()
+		.resize({ width, height, fit, withoutEnlargement: true })
+		.toFormat(format, options)
+		.toBuffer();
+};
+
+module.exports = { resizeImage };
@@ -0,0 +1,484 @@
+// utils/imageStorage.js
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { deleteImageDirect } = require('../handlers/cloudinary');
+
+/**
+ * File storage with pluggable drivers (images, videos and other uploads)
+ *
+ * Select a driver with IMAGE_STORAGE_DRIVER:
+ *   cloudinary - uploads with the Cloudinary REST API (CLOUDINARY_CLOUD_NAME/API_KEY/API_SECRET)
+ *   local      - writes files to LOCAL_UPLOAD_DIR (default uploads/) served at /uploads
+ * Defaults to cloudinary when credentials are configured, otherwise local.
+ *
+ * Drivers share the interface:
+ *   upload(buffer, { folder, publicId, mimeType, extension, resourceType, transformation })
+ *     -> { url, public_id, resource_type, size_bytes }
+ *   delete(url) -> true if the file belonged to this driver and was removed
+ *   list({ folder, resourceType }) -> [{ key, url, public_id, resource_type, size_bytes, created_at }]
+ *   owns(url) -> whether the URL points at this driver's storage
+ *   getKey(url) -> stable file identity, matching the key of list() entries
+ */
+
+const RESOURCE_TYPES = ['image', 'video', 'raw'];
+
+const ALLOWED_IMAGE_TYPES = {
+	'image/jpeg': 'jpg',
+	'image/png': 'png',
+	'image/webp': 'webp',
+	'image/gif': 'gif',
+};
+
+/**
+ * Detect the real image type from the file signature (magic bytes)
+ * Client-supplied MIME types can't be trusted
+ */
+const detectImageType = (buffer) => {
+	if (!buffer || buffer.length < 12) {
+		return null;
+	}
+	if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+		return 'image/jpeg';
+	}
+	if (
+		buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))
+	) {
+		return 'image/png';
+	}
+	if (
+		buffer.subarray(0, 4).toString('ascii') === 'RIFF' &&
+		buffer.subarray(8, 12).toString('ascii') === 'WEBP'
+	) {
+		return 'image/webp';
+	}
+	if (['GIF87a', 'GIF89a'].includes(buffer.subarray(0, 6).toString('ascii'))) {
+		return 'image/gif';
+	}
+	return null;
+};
+
+/**
+ * Validate an uploaded image buffer
+ * Returns { error } or { mimeType, extension }
+ */
+const validateImage = (file, { maxBytes }) => {
+	if (!file || !file.buffer) {
+		return { error: 'Image file is required' };
+	}
+	if (file.size > maxBytes) {
+		return {
+			error: `Image must be smaller than ${Math.round(maxBytes / 1024 / 1024)}MB`,
+		};
+	}
+
+	const mimeType = detectImageType(file.buffer);
+	if (!mimeType) {
+		return {
+			error: `Image must be one of: ${Object.values(ALLOWED_IMAGE_TYPES).join(', ')}`,
+		};
+	}
+
+	return { mimeType, extension: ALLOWED_IMAGE_TYPES[mimeType] };
+};
+
+/**
+ * Map a MIME type to image / video / raw
+ */
+const getResourceType = (mimeType) => {
+	if (`${mimeType}`.startsWith('image/')) {
+		return 'image';
+	}
+	if (`${mimeType}`.startsWith('video/')) {
+		return 'video';
+	}
+	return 'raw';
+};
+
+const VIDEO_EXTENSIONS = ['mp4', 'm4v', 'mov', 'webm'];
+
+/**
+ * Guess image / video / raw from a file name (local files carry no type)
+ */
+const getResourceTypeForFile = (fileName) => {
+	const extension = path.extname(`${fileName}`).slice(1).toLowerCase();
+	if (Object.values(ALLOWED_IMAGE_TYPES).includes(extension)) {
+		return 'image';
+	}
+	if (VIDEO_EXTENSIONS.includes(extension)) {
+		return 'video';
+	}
+	return 'raw';
+};
+
+class CloudinaryStorageDriver {
+	constructor() {
+		this.name = 'cloudinary';
+		this.cloudName = process.env.CLOUDINARY_CLOUD_NAME;
+		this.apiKey = process.env.CLOUDINARY_API_KEY;
+		this.apiSecret = process.env.CLOUDINARY_API_SECRET;
+
+		if (!this.cloudName || !this.apiKey || !this.apiSecret) {
+			throw new Error('Cloudinary credentials not configured');
+		}
+	}
+
+	static isConfigured() {
+		return !!process.env.CLOUDINARY_CLOUD_NAME;
+	}
+
+	owns(url) {
+		return `${url}`.includes(`res.cloudinary.com/${this.cloudName}/`);
+	}
+
+	/**
+	 * Versions and transformations differ between URLs of the same file,
+	 * so files are identified by resource type + public ID
+	 */
+	getKey(url) {
+		const { resourceType, publicId } = this.parseUrl(url);
+		return publicId ? `cloudinary:${resourceType}:${publicId}` : null;
+	}
+
+	async upload(
+		buffer,
+		{ folder, publicId, mimeType, resourceType, transformation }
+	) {
+		const type = resourceType || getResourceType(mimeType);
+		const timestamp = Math.floor(Date.now() / 1000).toString();
+		const params = { folder, public_id: publicId, timestamp };
+		if (transformation) {
+			params.transformation = transformation;
+		}
+
+		const formData = new FormData();
+		for (const [key, value] of Object.entries(params)) {
+			formData.append(key, value);
+		}
+		formData.append('api_key', this.apiKey);
+		formData.append('signature', this.sign(params));
+		formData.append('file', new Blob([buffer], { type: mimeType }));
+
+		const response = await fetch(
+			`https://api.cloudinary.com/v1_1/${this.cloudName}/${type}/upload`,
+			{ method: 'POST', body: formData }
+		);
+
+		if (!response.ok) {
+			const errorData = await response.text();
+			console.error('Cloudinary upload failed:', response.status, errorData);
+			throw new Error(`Cloudinary upload failed: ${response.status}`);
+		}
+
+		const result = await response.json();
+		return {
+			url: result.secure_url,
+			public_id: result.public_id,
+			resource_type: result.resource_type || type,
+			size_bytes: result.bytes || buffer.length,
+		};
+	}
+
+	async delete(url) {
+		if (!this.owns(url)) {
+			return false;
+		}
+
+		const { publicId, resourceType } = this.parseUrl(url);
+		if (!publicId) {
+			return false;
+		}
+
+		const result = await deleteImageDirect(publicId, resourceType);
+		return result.result === 'ok';
+	}
+
+	/**
+	 * List uploaded files through the Admin API (follows next_cursor pages)
+	 */
+	async list({ folder = '', resourceType = 'image' } = {}) {
+		const files = [];
+		let nextCursor = null;
+
+		do {
+			const params = new URLSearchParams({ max_results: '500' });
+			if (folder) {
+				params.append('prefix', folder);
+			}
+			if (nextCursor) {
+				params.append('next_cursor', nextCursor);
+			}
+
+			const response = await fetch(
+				`https://api.cloudinary.com/v1_1/${this.cloudName}/resources/${resourceType}/upload?${params}`,
+				{
+					headers: {
+						Authorization: `Basic ${Buffer.from(
+							`${this.apiKey}:${this.apiSecret}`
+						).toString('base64')}`,
+					},
+				}
+			);
+
+			if (!response.ok) {
+				const errorData = await response.text();
+				console.error('Cloudinary listing failed:', response.status, errorData);
+				throw new Error(`Cloudinary listing failed: ${response.status}`);
+			}
+
+			const result = await response.json();
+			for (const resource of result.resources || []) {
+				files.push({
+					key: `cloudinary:${resource.resource_type}:${resource.public_id}`,
+					url: resource.secure_url,
+					public_id: resource.public_id,
+					resource_type: resource.resource_type,
+					size_bytes: resource.bytes,
+					created_at: resource.created_at,
+				});
+			}
+			nextCursor = result.next_cursor || null;
+		} while (nextCursor);
+
+		return files;
+	}
+
+	/**
+	 * URL format: https://res.cloudinary.com/cloud-name/<resource_type>/upload/[transformations/][v123/]folder/id.ext
+	 * Raw files keep their extension as part of the public ID
+	 */
+	parseUrl(url) {
+		const urlParts = `${url}`.split(/[?#]/)[0].split('/');
+		const uploadIndex = urlParts.indexOf('upload');
+		if (uploadIndex === -1) {
+			return { resourceType: null, publicId: null };
+		}
+
+		const resourceType = RESOURCE_TYPES.includes(urlParts[uploadIndex - 1])
+			? urlParts[uploadIndex - 1]
+			: 'image';
+
+		// Skip delivery transformations (c_fill,w_200/...) and the version
+		let pathAfterUpload = urlParts.slice(uploadIndex + 1);
+		const versionIndex = pathAfterUpload.findIndex((part) => /^v\d+$/.test(part));
+		if (versionIndex !== -1) {
+			pathAfterUpload = pathAfterUpload.slice(versionIndex + 1);
+		} else {
+			while (
+				pathAfterUpload.length > 1 &&
+				/^[a-z]{1,3}_[^,]+(,[a-z]{1,3}_[^,]+)*$/.test(pathAfterUpload[0])
+			) {
+				pathAfterUpload = pathAfterUpload.slice(1);
+			}
+		}
+
+		const publicPath = decodeURIComponent(pathAfterUpload.join('/'));
+		const publicId =
+			resourceType === 'raw' ? publicPath : publicPath.replace(/\.[^/.]+$/, '');
+
+		return { resourceType, publicId: publicId || null };
+	}
+
+	/**
+	 * Cloudinary signature: sorted params joined as key=value&... plus the API secret
+	 */
+	sign(params) {
+		const toSign = Object.keys(params)
+			.sort()
+			.map((key) => `${key}=${params[key]}`)
+			.join('&');
+
+		return crypto
+			.createHash('sha1')
+			.update(`${toSign}${this.apiSecret}`)
+			.digest('hex');
+	}
+}
+
+class LocalStorageDriver {
+	constructor() {
+		this.name = 'local';
+		this.directory = LocalStorageDriver.getDirectory();
+		this.baseUrl = `${
+			process.env.API_URL || `http://localhost:${process.env.PORT || 3001}`
+		}${LocalStorageDriver.URL_PREFIX}`;
+	}
+
+	static URL_PREFIX = '/uploads';
+
+	static getDirectory() {
+		return path.resolve(
+			process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '../../uploads')
+		);
+	}
+
+	owns(url) {
+		return `${url}`.startsWith(`${this.baseUrl}/`);
+	}
+
+	getKey(url) {
+		const filePath = this.resolveUrl(url);
+		return filePath
+			? `local:${path.relative(this.directory, filePath).split(path.sep).join('/')}`
+			: null;
+	}
+
+	async upload(buffer, { folder, publicId, mimeType, extension, resourceType }) {
+		const safeFolder = `${folder}`.replace(/[^a-zA-Z0-9/_-]/g, '_');
+		const fileExtension = `${
+			extension || ALLOWED_IMAGE_TYPES[mimeType] || 'bin'
+		}`.replace(/[^a-zA-Z0-9]/g, '');
+		const fileName = `${`${publicId}`.replace(/[^a-zA-Z0-9_-]/g, '_')}.${fileExtension}`;
+		const targetDir = path.join(this.directory, safeFolder);
+
+		await fs.mkdir(targetDir, { recursive: true });
+		await fs.writeFile(path.join(targetDir, fileName), buffer);
+
+		return {
+			url: `${this.baseUrl}/${safeFolder}/${fileName}`,
+			public_id: `${safeFolder}/${fileName}`,
+			resource_type: resourceType || getResourceType(mimeType),
+			size_bytes: buffer.length,
+		};
+	}
+
+	async delete(url) {
+		const filePath = this.resolveUrl(url);
+		if (!filePath) {
+			return false;
+		}
+
+		try {
+			await fs.unlink(filePath);
+			return true;
+		} catch (error) {
+			if (error.code === 'ENOENT') {
+				return false;
+			}
+			throw error;
+		}
+	}
+
+	/**
+	 * Walk the upload directory, optionally keeping one resource type
+	 */
+	async list({ folder = '', resourceType } = {}) {
+		const root = path.resolve(this.directory, folder);
+		if (root !== this.directory && !root.startsWith(`${this.directory}${path.sep}`)) {
+			return [];
+		}
+
+		const files = [];
+		const walk = async (dir) => {
+			let entries;
+			try {
+				entries = await fs.readdir(dir, { withFileTypes: true });
+			} catch (error) {
+				if (error.code === 'ENOENT') {
+					return;
+				}
+				throw error;
+			}
+
+			for (const entry of entries) {
+				const fullPath = path.join(dir, entry.name);
+				if (entry.isDirectory()) {
+					await walk(fullPath);
+				} else if (entry.isFile()) {
+					const stats = await fs.stat(fullPath);
+					const publicId = path
+						.relative(this.directory, fullPath)
+						.split(path.sep)
+						.join('/');
+					files.push({
+						key: `local:${publicId}`,
+						url: `${this.baseUrl}/${publicId}`,
+						public_id: publicId,
+						resource_type: getResourceTypeForFile(entry.name),
+						size_bytes: stats.size,
+						created_at: stats.mtime,
+					});
+				}
+			}
+		};
+
+		await walk(root);
+		return resourceType
+			? files.filter((file) => file.resource_type === resourceType)
+			: files;
+	}
+
+	/**
+	 * Map a URL back to a file path - null for URLs outside the upload directory
+	 */
+	resolveUrl(url) {
+		if (!this.owns(url)) {
+			return null;
+		}
+
+		const relativePath = decodeURIComponent(
+			`${url}`.slice(this.baseUrl.length + 1)
+		);
+		const filePath = path.resolve(this.directory, relativePath);
+
+		return filePath.startsWith(`${this.directory}${path.sep}`) ? filePath : null;
+	}
+}
+
+const drivers = {
+	cloudinary: () => new CloudinaryStorageDriver(),
+	local: () => new LocalStorageDriver(),
+};
+
+/**
+ * Resolve the configured driver name
+ */
+const getImageStorageDriverName = () =>
+	process.env.IMAGE_STORAGE_DRIVER ||
+	(CloudinaryStorageDriver.isConfigured() ? 'cloudinary' : 'local');
+
+const createImageStorage = (driverName = getImageStorageDriverName()) => {
+	const factory = drivers[driverName];
+	if (!factory) {
+		throw new Error(`Unknown image storage driver: ${driverName}`);
+	}
+	return factory();
+};
+
+/**
+ * Find the driver that stored a URL - null for URLs we don't manage
+ * (external links, other Cloudinary accounts)
+ */
+const getDriverForUrl = (url) => {
+	if (!url) {
+		return null;
+	}
+
+	const local = new LocalStorageDriver();
+	if (local.owns(url)) {
+		return local;
+	}
+
+	if (CloudinaryStorageDriver.isConfigured()) {
+		const cloudinary = new CloudinaryStorageDriver();
+		if (cloudinary.owns(url)) {
+			return cloudinary;
+		}
+	}
+
+	return null;
+};
+
+module.exports = {
+	ALLOWED_IMAGE_TYPES,
+	RESOURCE_TYPES,
+	CloudinaryStorageDriver,
+	LocalStorageDriver,
+	createImageStorage,
+	getDriverForUrl,
+	getImageStorageDriverName,
+	getResourceTypeForFile,
+	detectImageType,
+	validateImage,
+};
@@ -0,0 +1,212 @@
+// utils/loginThrottle.js
+require('dotenv').config();
+
+/**
+ * Login throttling policy - progressive delays and temporary lockout
+ * Failures are tracked per account (username) and per client IP.
+ * Counters live in a swappable store (see models/loginAttempt.js).
+ */
+const DEFAULT_OPTIONS = {
+	windowMinutes: 15, // Failures older than this are forgotten
+	accountDelayAfter: 3, // Start delaying after this many account failures
+	accountLockThreshold: parseInt(process.env.LOGIN_LOCK_THRESHOLD) || 10,
+	accountLockMinutes: parseInt(process.env.LOGIN_LOCK_MINUTES) || 15,
+	ipDelayAfter: 10,
+	ipBlockThreshold: 50,
+	ipBlockMinutes: 15,
+	maxDelaySeconds: 30,
+	pruneIntervalMinutes: 10,
+};
+
+class LoginThrottle {
+	constructor(store, options = {}) {
+		this.store = store;
+		this.options = { ...DEFAULT_OPTIONS, ...options };
+		this.lastPruneAt = Date.now();
+	}
+
+	accountKey(username) {
+		return `account:${`${username}`.trim().toLowerCase()}`;
+	}
+
+	ipKey(ipAddress) {
+		return `ip:${ipAddress || 'unknown'}`;
+	}
+
+	/**
+	 * Check whether a login attempt may proceed
+	 * Returns { allowed, reason, retryAfterSeconds }
+	 */
+	async check(username, ipAddress) {
+		await this.pruneIfDue();
+
+		const now = Date.now();
+		const checks = [
+			{
+				state: await this.getActiveState(this.accountKey(username)),
+				delayAfter: this.options.accountDelayAfter,
+				lockReason: 'account_locked',
+			},
+			{
+				state: await this.getActiveState(this.ipKey(ipAddress)),
+				delayAfter: this.options.ipDelayAfter,
+				lockReason: 'ip_blocked',
+			},
+		];
+
+		for (const { state, delayAfter, lockReason } of checks) {
+			if (!state) {
+				continue;
+			}
+
+			if (state.locked_until && new Date(state.locked_until).getTime() > now) {
+				return {
+					allowed: false,
+					reason: lockReason,
+					retryAfterSeconds: this.secondsUntil(state.locked_until, now),
+				};
+			}
+
+			const delaySeconds = this.getDelaySeconds(state.failures, delayAfter);
+			if (delaySeconds > 0 && state.last_failure_at) {
+				const nextAllowedAt =
+					new Date(state.last_failure_at).getTime() + delaySeconds * 1000;
+				if (nextAllowedAt > now) {
+					return {
+						allowed: false,
+						reason: 'too_many_attempts',
+						retryAfterSeconds: this.secondsUntil(nextAllowedAt, now),
+					};
+				}
+			}
+		}
+
+		return { allowed: true };
+	}
+
+	/**
+	 * Record a failed login; locks the account or blocks the IP past the thresholds
+	 * Returns { failures, accountLocked, ipBlocked }
+	 */
+	async registerFailure(username, ipAddress) {
+		const accountKey = this.accountKey(username);
+		const ipKey = this.ipKey(ipAddress);
+
+		const account = await this.store.recordFailure(accountKey);
+		const address = await this.store.recordFailure(ipKey);
+
+		let accountLocked = false;
+		let ipBlocked = false;
+
+		if (account.failures >= this.options.accountLockThreshold) {
+			await this.store.lock(
+				accountKey,
+				this.minutesFromNow(this.options.accountLockMinutes)
+			);
+			accountLocked = true;
+		}
+
+		if (address.failures >= this.options.ipBlockThreshold) {
+			await this.store.lock(
+				ipKey,
+				this.minutesFromNow(this.options.ipBlockMinutes)
+			);
+			ipBlocked = true;
+		}
+
+		return { failures: account.failures, accountLocked, ipBlocked };
+	}
+
+	/**
+	 * Clear the account counter after a successful login
+	 */
+	async registerSuccess(username) {
+		await this.store.reset(this.accountKey(username));
+	}
+
+	/**
+	 * Remove an account lockout (admin action)
+	 */
+	async unlock(username) {
+		await this.store.reset(this.accountKey(username));
+	}
+
+	/**
+	 * Get the current state for an account (for admin views)
+	 */
+	async getAccountState(username) {
+		return this.getActiveState(this.accountKey(username));
+	}
+
+	// ========================
+	// HELPER METHODS
+	// ========================
+
+	/**
+	 * Load state, forgetting it once the window or lock has passed
+	 */
+	async getActiveState(key) {
+		const state = await this.store.get(key);
+		if (!state) {
+			return null;
+		}
+
+		const now = Date.now();
+		const lockedUntil = state.locked_until
+			? new Date(state.locked_until).getTime()
+			: null;
+
+		if (lockedUntil && lockedUntil > now) {
+			return state;
+		}
+
+		const windowMs = this.options.windowMinutes * 60 * 1000;
+		const lastFailure = state.last_failure_at
+			? new Date(state.last_failure_at).getTime()
+			: 0;
+
+		if (lockedUntil || now - lastFailure > windowMs) {
+			await this.store.reset(key);
+			return null;
+		}
+
+		return state;
+	}
+
+	/**
+	 * Exponential delay: 1s, 2s, 4s ... capped at maxDelaySeconds
+	 */
+	getDelaySeconds(failures, delayAfter) {
+		if (failures < delayAfter) {
+			return 0;
+		}
+		return Math.min(
+			2 ** (failures - delayAfter),
+			this.options.maxDelaySeconds
+		);
+	}
+
+	async pruneIfDue() {
+		const intervalMs = this.options.pruneIntervalMinutes * 60 * 1000;
+		if (Date.now() - this.lastPruneAt < intervalMs) {
+			return;
+		}
+
+		this.lastPruneAt = Date.now();
+		try {
+			await this.store.prune(this.options.windowMinutes * 60 * 1000);
+		} catch (error) {
+			console.error('Failed to prune login throttle:', error);
+		}
+	}
+
+	minutesFromNow(minutes) {
+		return new Date(Date.now() + minutes * 60 * 1000);
+	}
+
+	secondsUntil(time, now) {
+		return Math.max(1, Math.ceil((new Date(time).getTime() - now) / 1000));
+	}
+}
+
+module.exports = { LoginThrottle };
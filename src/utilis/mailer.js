@@ -0,0 +1,169 @@
+// utils/mailer.js
+require('dotenv').config();
+const fs = require('fs').promises;
+const path = require('path');
+
+/**
+ * Mail sending abstraction with pluggable transports
+ *
+ * Select a transport with MAIL_TRANSPORT:
+ *   console - logs messages to stdout (default in development)
+ *   file    - writes each message as JSON to MAIL_FILE_DIR (default tmp/mail)
+ *   smtp    - sends through nodemailer using SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+ *
+ * Additional transports can be added with Mailer.registerTransport(name, factory)
+ */
+
+class ConsoleTransport {
+	async send(message) {
+		console.log('📧 Outgoing email');
+		console.log(`   To: ${message.to}`);
+		console.log(`   Subject: ${message.subject}`);
+		console.log(message.text);
+		return { transport: 'console', accepted: [message.to] };
+	}
+}
+
+class FileTransport {
+	constructor(
+		directory = process.env.MAIL_FILE_DIR ||
+			path.join(__dirname, '../../tmp/mail')
+	) {
+		this.directory = path.resolve(directory);
+	}
+
+	async send(message) {
+		await fs.mkdir(this.directory, { recursive: true });
+
+		const safeRecipient = `${message.to}`.replace(/[^a-zA-Z0-9@._-]/g, '_');
+		const fileName = `${Date.now()}-${safeRecipient}.json`;
+		const filePath = path.join(this.directory, fileName);
+
+		await fs.writeFile(
+			filePath,
+			JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2)
+		);
+
+		return { transport: 'file', accepted: [message.to], path: filePath };
+	}
+}
+
+class SmtpTransport {
+	constructor() {
+		// Loaded lazily so development setups don't need nodemailer configured
+		const nodemailer = require('nodemailer');
+		this.transporter = nodemailer.createTransport({
+			host: process.env.SMTP_HOST,
+			port: parseInt(process.env.SMTP_PORT) || 587,
+			secure: process.env.SMTP_SECURE === 'true',
+			auth: process.env.SMTP_USER
+				? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+				: undefined,
+		});
+	}
+
+	async send(message) {
+		const info = await this.transporter.sendMail(message);
+		return { transport: 'smtp', accepted: info.accepted, id: info.messageId };
+	}
+}
+
+const transports = {
+	console: () => new ConsoleTransport(),
+	file: () => new FileTransport(),
+	smtp: () => new SmtpTransport(),
+};
+
+class Mailer {
+	constructor(transportName = process.env.MAIL_TRANSPORT || 'console') {
+		const factory = transports[transportName];
+		if (!factory) {
+			throw new Error(`Unknown mail transport: ${transportName}`);
+		}
+
+		this.transport = factory();
+		this.from =
+			process.env.MAIL_FROM || 'JingWu Foundation <no-reply@jingwu.foundation>';
+	}
+
+	static registerTransport(name, factory) {
+		transports[name] = factory;
+	}
+
+	async sendMail({ to, subject, text, html }) {
+		try {
+			return await this.transport.send({
+				from: this.from,
+				to,
+				subject,
+				text,
+				html: html || undefined,
+			});
+		} catch (error) {
+			throw new Error(`Could not send email: ${error.message}`);
+		}
+	}
+
+	// ========================
+	// ACCOUNT EMAILS
+	// ========================
+
+	async sendVerificationEmail(user, token) {
+		const link = `${this.getAppUrl()}/verify-email?token=${encodeURIComponent(
+			token
+		)}`;
+
+		return this.sendMail({
+			to: user.email,
+			subject: 'Verify your JingWu Foundation email',
+			text: `Hi ${user.name},\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\nIf you did not create an account you can ignore this email.`,
+		});
+	}
+
+	async sendPasswordResetEmail(user, token) {
+		const link = `${this.getAppUrl()}/reset-password?token=${encodeURIComponent(
+			token
+		)}`;
+
+		return this.sendMail({
+			to: user.email,
+			subject: 'Reset your JingWu Foundation password',
+			text: `Hi ${user.name},\n\nWe received a request to reset your password. Open the link below to choose a new one:\n\n${link}\n\nThis link expires soon and can only be used once. If you did not request a reset you can ignore this email.`,
+		});
+	}
+
+	// ========================
+	// DISCUSSION EMAILS
+	// ========================
+
+	/**
+	 * Tell a course instructor about a new question or reply on one of their lessons
+	 */
+	async sendLessonPostNotification(context, post, authorName) {
+		const link = `${this.getAppUrl()}/courses/${context.course_id}/lessons/${
+			context.lesson_id
+		}?thread=${post.thread_id || post.id}`;
+		const what = post.thread_id
+			? 'replied in a discussion'
+			: post.kind === 'question'
+				? 'asked a question'
+				: 'started a discussion';
+
+		return this.sendMail({
+			to: context.instructor_email,
+			subject: `New post on "${context.lesson_title}" (${context.course_title})`,
+			text: `Hi ${context.instructor_name},\n\n${authorName} ${what} on the lesson "${context.lesson_title}" in ${context.course_title}:\n\n${post.title ? `${post.title}\n\n` : ''}${post.body}\n\nOpen the discussion:\n\n${link}`,
+		});
+	}
+
+	getAppUrl() {
+		return process.env.APP_URL || 'http://localhost:5173';
+	}
+}
+
+module.exports = {
+	Mailer,
+	ConsoleTransport,
+	FileTransport,
+	SmtpTransport,
+};
@@ -0,0 +1,204 @@
+// utils/mediaStorage.js
+const { MediaAssetStore } = require('../models/mediaAsset');
+const {
+	createImageStorage,
+	getDriverForUrl,
+	getImageStorageDriverName,
+	getResourceTypeForFile,
+} = require('./imageStorage');
+
+/**
+ * MediaStorage - upload, track and clean up stored files
+ *
+ * Stores files with the imageStorage drivers and records each one in media_assets,
+ * along with which entity fields use it, so files are removed once nothing
+ * references them.
+ *
+ * Create one per request: new MediaStorage(req.app.locals.pool)
+ */
+class MediaStorage {
+	constructor(pool, driverName = getImageStorageDriverName()) {
+		this.assets = new MediaAssetStore(pool);
+		this.driverName = driverName;
+		this.driver = null;
+	}
+
+	/**
+	 * The upload driver is only created when needed, so handlers that just
+	 * clean up files work without upload credentials
+	 */
+	getDriver() {
+		if (!this.driver) {
+			this.driver = createImageStorage(this.driverName);
+		}
+		return this.driver;
+	}
+
+	// ========================
+	// STORAGE OPERATIONS
+	// ========================
+
+	/**
+	 * Store a file and record it - returns the media_assets row
+	 */
+	async upload(
+		buffer,
+		{ folder, publicId, mimeType, extension, resourceType, transformation, uploadedBy }
+	) {
+		const driver = this.getDriver();
+		const stored = await driver.upload(buffer, {
+			folder,
+			publicId,
+			mimeType,
+			extension,
+			resourceType,
+			transformation,
+		});
+
+		try {
+			return await this.assets.upsert({
+				...stored,
+				driver: driver.name,
+				mime_type: mimeType,
+				uploaded_by: uploadedBy,
+			});
+		} catch (error) {
+			// Don't leave an untracked file behind
+			await driver.delete(stored.url).catch(() => {});
+			throw error;
+		}
+	}
+
+	/**
+	 * Remove a file from storage and mark its record deleted
+	 * Returns false for URLs we don't manage
+	 */
+	async delete(url) {
+		const driver = getDriverForUrl(url);
+		if (!driver) {
+			return false;
+		}
+
+		await driver.delete(url);
+
+		const asset = await this.assets.findByUrl(url);
+		if (asset) {
+			await this.assets.markDeleted(asset.id);
+		}
+		return true;
+	}
+
+	/**
+	 * List files as they exist in storage (not just the tracked ones)
+	 */
+	async list({ folder, resourceType, driver } = {}) {
+		const storageDriver = driver ? createImageStorage(driver) : this.getDriver();
+		return storageDriver.list({ folder, resourceType });
+	}
+
+	// ========================
+	// REFERENCE TRACKING
+	// ========================
+
+	/**
+	 * Set the file(s) an entity field uses, e.g.
+	 *   setReferences('course', course.id, 'thumbnail_url', course.thumbnail_url)
+	 * Files the field no longer uses are deleted once nothing else references them.
+	 * Failures are logged, never thrown - callers have already saved the entity.
+	 */
+	async setReferences(entityType, entityId, field, urls) {
+		try {
+			const assetIds = [];
+			for (const url of [].concat(urls || [])) {
+				const asset = await this.track(url);
+				if (asset) {
+					assetIds.push(asset.id);
+				}
+			}
+
+			const released = await this.assets.setReferences(
+				entityType,
+				entityId,
+				field,
+				assetIds
+			);
+			await this.release(released);
+		} catch (error) {
+			console.warn(
+				`Failed to update media for ${entityType} ${entityId}:`,
+				error.message
+			);
+		}
+	}
+
+	/**
+	 * Drop all references held by deleted entities and clean up unused files
+	 * Failures are logged, never thrown
+	 */
+	async releaseEntity(entityType, entityIds) {
+		try {
+			const released = await this.assets.removeEntityReferences(
+				entityType,
+				entityIds
+			);
+			await this.release(released);
+		} catch (error) {
+			console.warn(`Failed to release media for ${entityType}:`, error.message);
+		}
+	}
+
+	// ========================
+	// HELPER METHODS
+	// ========================
+
+	/**
+	 * Record a URL we manage (e.g. uploaded straight from the browser)
+	 * Returns null for URLs we don't manage
+	 */
+	async track(url) {
+		const driver = getDriverForUrl(url);
+		if (!driver) {
+			return null;
+		}
+
+		const existing = await this.assets.findByUrl(url);
+		if (existing && !existing.deleted_at) {
+			return existing;
+		}
+
+		const { publicId, resourceType } =
+			driver.name === 'cloudinary'
+				? driver.parseUrl(url)
+				: {
+						publicId: `${url}`.slice(driver.baseUrl.length + 1),
+						resourceType: getResourceTypeForFile(url),
+				  };
+
+		return this.assets.upsert({
+			url,
+			driver: driver.name,
+			public_id: publicId,
+			resource_type: resourceType,
+		});
+	}
+
+	/**
+	 * Delete released assets from storage, one at a time
+	 */
+	async release(assets) {
+		for (const asset of assets) {
+			try {
+				const driver = getDriverForUrl(asset.url);
+				if (driver) {
+					await driver.delete(asset.url);
+				}
+				await this.assets.markDeleted(asset.id);
+				console.log('Deleted unused media:', asset.url);
+			} catch (error) {
+				console.warn(`Failed to delete media ${asset.url}:`, error.message);
+			}
+		}
+	}
+}
+
+module.exports = { MediaStorage };
@@ -0,0 +1,139 @@
+// utils/quizGrader.js
+const crypto = require('crypto');
+
+/**
+ * Server-side quiz grading
+ *
+ * Students see options as { id, text } where id is the option's index in the
+ * definition, so shuffling never changes what an answer means. Answers are
+ * submitted as { [question_id]: answer }:
+ *   multiple_choice  option id
+ *   multi_select     array of option ids (all and only the correct ones)
+ *   ordering         array of option ids in the submitted order
+ *   short_answer     text, compared against the accepted answers
+ */
+
+const shuffle = (items) => {
+	const shuffled = [...items];
+	for (let i = shuffled.length - 1; i > 0; i--) {
+		const j = crypto.randomInt(i + 1);
+		[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+	}
+	return shuffled;
+};
+
+/**
+ * Case, accent-width and whitespace-insensitive form of a short answer
+ */
+const normalizeText = (text) =>
+	String(text).normalize('NFKC').trim().replace(/\s+/g, ' ').toLowerCase();
+
+const sameIds = (a, b) =>
+	a.length === b.length && a.every((id, index) => id === b[index]);
+
+const isCorrect = (question, answer) => {
+	if (answer === undefined || answer === null) {
+		return false;
+	}
+
+	switch (question.question_type) {
+		case 'multiple_choice':
+			return Number.isInteger(answer) && answer === question.answer;
+		case 'multi_select': {
+			if (!Array.isArray(answer)) {
+				return false;
+			}
+			const sorted = (ids) => [...new Set(ids)].sort((a, b) => a - b);
+			return sameIds(sorted(answer), sorted(question.answer));
+		}
+		case 'ordering':
+			return (
+				Array.isArray(answer) &&
+				sameIds(
+					answer,
+					question.options.map((option, index) => index)
+				)
+			);
+		case 'short_answer':
+			return (
+				typeof answer === 'string' &&
+				question.answer.some(
+					(accepted) => normalizeText(accepted) === normalizeText(answer)
+				)
+			);
+		default:
+			return false;
+	}
+};
+
+/**
+ * Grade answers against a quiz definition
+ * score is a rounded 0-100 percentage of points; passed compares the exact
+ * percentage to passing_score
+ */
+const gradeAttempt = (quiz, answers = {}) => {
+	let earned = 0;
+	let total = 0;
+
+	const results = quiz.questions.map((question) => {
+		const correct = isCorrect(question, answers[question.id]);
+		total += question.points;
+		if (correct) {
+			earned += question.points;
+		}
+		return {
+			question_id: question.id,
+			correct,
+			points_awarded: correct ? question.points : 0,
+		};
+	});
+
+	// The rounded score is only for display - passing uses the exact ratio
+	const score = total > 0 ? Math.round((earned / total) * 100) : 0;
+	const passed =
+		total > 0
+			? earned * 100 >= quiz.passing_score * total
+			: score >= quiz.passing_score;
+
+	return {
+		results,
+		earned_points: earned,
+		total_points: total,
+		score,
+		passed,
+	};
+};
+
+/**
+ * Quiz as shown to a student - no answers or explanations
+ * Ordering items are always shuffled, other options only with shuffle_questions
+ */
+const toStudentView = (quiz) => {
+	const questions = quiz.questions.map((question) => {
+		const options = question.options
+			? question.options.map((text, id) => ({ id, text }))
+			: null;
+
+		return {
+			id: question.id,
+			question_type: question.question_type,
+			prompt: question.prompt,
+			points: question.points,
+			options:
+				options &&
+				(quiz.shuffle_questions || question.question_type === 'ordering')
+					? shuffle(options)
+					: options,
+		};
+	});
+
+	return {
+		id: quiz.id,
+		lesson_id: quiz.lesson_id,
+		passing_score: quiz.passing_score,
+		max_attempts: quiz.max_attempts,
+		questions: quiz.shuffle_questions ? shuffle(questions) : questions,
+	};
+};
+
+module.exports = { gradeAttempt, toStudentView, normalizeText };
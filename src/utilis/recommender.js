@@ -0,0 +1,235 @@
+// utils/recommender.js
+const { RecommendationStore } = require('../models/recommendation');
+
+/**
+ * Course recommendations
+ *
+ * Each course a student hasn't taken is scored from several signals; the
+ * strongest one becomes the reason shown with it:
+ *   completed_with  students who finished one of your courses took it
+ *   bought_with     students who bought one of your courses bought it
+ *   next_step       you've completed all of its prerequisites
+ *   interest        it mentions your martial art
+ *   skill_level     it matches your years of experience
+ *   popular         lots of students are enrolled
+ */
+const MAX_RECOMMENDATIONS = 10;
+
+const WEIGHTS = {
+	completed_with: 3,
+	bought_with: 2,
+	next_step: 4,
+	interest: 2.5,
+	skill_level: 1,
+	popular: 0.5,
+};
+
+// Penalties for courses that don't fit yet
+const UNMET_PREREQUISITES_PENALTY = 2;
+const LEVEL_GAP_PENALTY = 0.75;
+
+const SKILL_LEVELS = ['Beginner', 'Intermediate', 'Advanced'];
+
+/**
+ * Skill level for a student's years of experience
+ */
+const levelForExperience = (years) => {
+	if (years >= 5) {
+		return 'Advanced';
+	}
+	return years >= 2 ? 'Intermediate' : 'Beginner';
+};
+
+/**
+ * Index pair counts as source course -> [{ course_id, students }]
+ */
+const indexPairs = (rows) => {
+	const pairs = new Map();
+	for (const row of rows) {
+		if (!pairs.has(row.source_course_id)) {
+			pairs.set(row.source_course_id, []);
+		}
+		pairs.get(row.source_course_id).push(row);
+	}
+	return pairs;
+};
+
+/**
+ * Rank courses for one student
+ * Returns [{ course_id, score, reason_type, reason, source_course_id }]
+ */
+const recommendCourses = (
+	user,
+	catalog,
+	pairs,
+	limit = MAX_RECOMMENDATIONS
+) => {
+	const coursesById = new Map(catalog.map((course) => [course.id, course]));
+	const completedIds = new Set(
+		user.courses
+			.filter((course) => course.progress >= 100)
+			.map((course) => course.course_id)
+	);
+	const takenIds = new Set([
+		...user.courses.map((course) => course.course_id),
+		...user.purchased_course_ids,
+	]);
+
+	const candidates = new Map();
+	const addSignal = (courseId, reasonType, score, reason, sourceId = null) => {
+		const course = coursesById.get(courseId);
+		if (!course || !course.is_published || takenIds.has(courseId)) {
+			return;
+		}
+		if (!candidates.has(courseId)) {
+			candidates.set(courseId, { course_id: courseId, score: 0, best: null });
+		}
+		const candidate = candidates.get(courseId);
+		candidate.score += score;
+		if (score > 0 && (!candidate.best || score > candidate.best.score)) {
+			candidate.best = { score, reasonType, reason, sourceId };
+		}
+	};
+
+	for (const sourceId of completedIds) {
+		const source = coursesById.get(sourceId);
+		for (const pair of pairs.completedWith.get(sourceId) || []) {
+			const course = coursesById.get(pair.course_id);
+			addSignal(
+				pair.course_id,
+				'completed_with',
+				WEIGHTS.completed_with * Math.log1p(pair.students),
+				`Students who finished ${source?.title} also took ${course?.title}`,
+				sourceId
+			);
+		}
+	}
+
+	for (const sourceId of takenIds) {
+		const source = coursesById.get(sourceId);
+		for (const pair of pairs.boughtWith.get(sourceId) || []) {
+			const course = coursesById.get(pair.course_id);
+			addSignal(
+				pair.course_id,
+				'bought_with',
+				WEIGHTS.bought_with * Math.log1p(pair.students),
+				`Students who bought ${source?.title} also bought ${course?.title}`,
+				sourceId
+			);
+		}
+	}
+
+	const martialArt = user.martial_art?.trim().toLowerCase();
+	const level = levelForExperience(user.experience || 0);
+
+	for (const course of catalog) {
+		const prerequisites = course.prerequisite_ids;
+		if (prerequisites.length > 0) {
+			if (prerequisites.every((id) => completedIds.has(id))) {
+				const source = coursesById.get(prerequisites[0]);
+				addSignal(
+					course.id,
+					'next_step',
+					WEIGHTS.next_step,
+					`Builds on ${source?.title}, which you completed`,
+					source?.id ?? null
+				);
+			} else {
+				addSignal(course.id, 'next_step', -UNMET_PREREQUISITES_PENALTY);
+			}
+		}
+
+		if (martialArt) {
+			const text = [
+				course.title,
+				course.category,
+				course.description,
+				course.learning_objectives,
+			]
+				.join(' ')
+				.toLowerCase();
+			if (text.includes(martialArt)) {
+				addSignal(
+					course.id,
+					'interest',
+					WEIGHTS.interest,
+					`Matches your interest in ${user.martial_art.trim()}`
+				);
+			}
+		}
+
+		const levelGap = Math.abs(
+			SKILL_LEVELS.indexOf(course.skill_level) - SKILL_LEVELS.indexOf(level)
+		);
+		addSignal(
+			course.id,
+			'skill_level',
+			levelGap === 0 ? WEIGHTS.skill_level : -LEVEL_GAP_PENALTY * levelGap,
+			`A good fit for your experience (${level})`
+		);
+
+		if (course.student_count > 0) {
+			addSignal(
+				course.id,
+				'popular',
+				WEIGHTS.popular * Math.log1p(course.student_count),
+				`Popular with ${course.student_count} students`
+			);
+		}
+	}
+
+	return [...candidates.values()]
+		.filter((candidate) => candidate.best && candidate.score > 0)
+		.sort((a, b) => b.score - a.score || a.course_id - b.course_id)
+		.slice(0, limit)
+		.map((candidate) => ({
+			course_id: candidate.course_id,
+			score: Math.round(candidate.score * 1000) / 1000,
+			reason_type: candidate.best.reasonType,
+			reason: candidate.best.reason,
+			source_course_id: candidate.best.sourceId,
+		}));
+};
+
+/**
+ * Recommender loads the shared signals once and refreshes users' cached
+ * recommendations with them
+ */
+class Recommender {
+	constructor(pool) {
+		this.store = new RecommendationStore(pool);
+		this.catalog = null;
+		this.pairs = null;
+	}
+
+	async load() {
+		const [catalog, pairs] = await Promise.all([
+			this.store.getCatalog(),
+			this.store.getCoursePairs(),
+		]);
+		this.catalog = catalog;
+		this.pairs = {
+			completedWith: indexPairs(pairs.completedWith),
+			boughtWith: indexPairs(pairs.boughtWith),
+		};
+	}
+
+	/**
+	 * Compute and cache recommendations for a user from getUsers
+	 * Returns how many were saved
+	 */
+	async refreshUser(user) {
+		if (!this.catalog) {
+			await this.load();
+		}
+		const recommendations = recommendCourses(user, this.catalog, this.pairs);
+		return this.store.saveForUser(user.id, recommendations);
+	}
+}
+
+module.exports = {
+	Recommender,
+	recommendCourses,
+	levelForExperience,
+	MAX_RECOMMENDATIONS,
+};
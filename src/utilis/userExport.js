@@ -0,0 +1,194 @@
+// utils/userExport.js
+const archiver = require('archiver');
+const { UserStore } = require('../models/user');
+const { OrderStore } = require('../models/order');
+const { MessageStore } = require('../models/message');
+const { AISifuStore } = require('../models/aiSifu');
+const { QuizStore } = require('../models/quiz');
+const { CertificateStore } = require('../models/certificate');
+const { ReviewStore } = require('../models/review');
+const { LessonDiscussionStore } = require('../models/lessonDiscussion');
+
+const EXPORT_VERSION = 1;
+
+/**
+ * Fields never included in an export
+ */
+const PRIVATE_USER_FIELDS = [
+	'password',
+	'privacy_profile',
+	'privacy_progress',
+	'privacy_courses',
+];
+
+/**
+ * UserDataExport assembles everything we hold about a user
+ * into a JSON document or a zip archive of CSV files
+ */
+class UserDataExport {
+	constructor(pool) {
+		this.userStore = new UserStore(pool);
+		this.orderStore = new OrderStore(pool);
+		this.messageStore = new MessageStore(pool);
+		this.aiSifuStore = new AISifuStore(pool);
+		this.quizStore = new QuizStore(pool);
+		this.certificateStore = new CertificateStore(pool);
+		this.reviewStore = new ReviewStore(pool);
+		this.discussionStore = new LessonDiscussionStore(pool);
+	}
+
+	/**
+	 * Build the export document - returns null if the user doesn't exist
+	 */
+	async build(userId) {
+		const user = await this.userStore.getUserWithPrivacy(userId);
+		if (!user) {
+			return null;
+		}
+
+		const [
+			enrollments,
+			lessonProgress,
+			quizAttempts,
+			certificates,
+			reviews,
+			lessonPosts,
+			orders,
+			stripeOrders,
+			conversations,
+			messages,
+			aiQuestions,
+			aiUsage,
+		] = await Promise.all([
+			this.userStore.getUserCourses(userId),
+			this.userStore.getAllLessonProgress(userId),
+			this.quizStore.getUserAttempts(userId),
+			this.certificateStore.getUserCertificates(userId),
+			this.reviewStore.getUserReviews(userId),
+			this.discussionStore.getUserPosts(userId),
+			this.orderStore.getUserOrders(userId),
+			this.orderStore.getUserStripeOrders(userId),
+			this.messageStore.getUserConversations(userId),
+			this.messageStore.getAllUserMessages(userId),
+			this.aiSifuStore.getUserQuestionHistory(userId),
+			this.aiSifuStore.getUserUsageHistory(userId),
+		]);
+
+		const { privacy, ...profile } = user;
+		for (const field of PRIVATE_USER_FIELDS) {
+			delete profile[field];
+		}
+
+		return {
+			export_version: EXPORT_VERSION,
+			generated_at: new Date().toISOString(),
+			user_id: userId,
+			profile,
+			privacy_settings: privacy,
+			enrollments,
+			lesson_progress: lessonProgress,
+			quiz_attempts: quizAttempts,
+			certificates,
+			reviews,
+			lesson_posts: lessonPosts,
+			orders,
+			stripe_orders: stripeOrders,
+			conversations: conversations.map((conversation) => ({
+				id: conversation.id,
+				other_user_id: conversation.other_user_id,
+				other_user_name: conversation.other_user_name,
+				last_message_at: conversation.last_message_at,
+				created_at: conversation.created_at,
+			})),
+			messages,
+			ai_sifu: {
+				questions: aiQuestions,
+				usage: aiUsage,
+			},
+		};
+	}
+
+	/**
+	 * Convert an export document into CSV files keyed by file name
+	 */
+	toCsvFiles(data) {
+		return {
+			'profile.csv': this.toCsv([data.profile]),
+			'privacy_settings.csv': this.toCsv([data.privacy_settings]),
+			'enrollments.csv': this.toCsv(data.enrollments),
+			'lesson_progress.csv': this.toCsv(data.lesson_progress),
+			'quiz_attempts.csv': this.toCsv(data.quiz_attempts),
+			'certificates.csv': this.toCsv(data.certificates),
+			'reviews.csv': this.toCsv(data.reviews),
+			'lesson_posts.csv': this.toCsv(data.lesson_posts),
+			'orders.csv': this.toCsv(data.orders),
+			'stripe_orders.csv': this.toCsv(data.stripe_orders),
+			'conversations.csv': this.toCsv(data.conversations),
+			'messages.csv': this.toCsv(data.messages),
+			'ai_sifu_questions.csv': this.toCsv(data.ai_sifu.questions),
+			'ai_sifu_usage.csv': this.toCsv(data.ai_sifu.usage),
+		};
+	}
+
+	/**
+	 * Stream a zip archive (export.json + CSV files) to a writable stream
+	 */
+	async writeZip(data, output) {
+		const archive = archiver('zip', { zlib: { level: 9 } });
+
+		const finished = new Promise((resolve, reject) => {
+			archive.on('error', reject);
+			output.on('close', resolve);
+			output.on('finish', resolve);
+		});
+
+		archive.pipe(output);
+		archive.append(JSON.stringify(data, null, 2), { name: 'export.json' });
+
+		for (const [name, csv] of Object.entries(this.toCsvFiles(data))) {
+			archive.append(csv, { name: `csv/${name}` });
+		}
+
+		await archive.finalize();
+		await finished;
+	}
+
+	// ========================
+	// HELPER METHODS
+	// ========================
+
+	toCsv(rows) {
+		if (!rows || rows.length === 0) {
+			return '';
+		}
+
+		const headers = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+		const lines = rows.map((row) =>
+			headers.map((header) => this.toCsvValue(row[header])).join(',')
+		);
+
+		return [headers.join(','), ...lines].join('\r\n') + '\r\n';
+	}
+
+	toCsvValue(value) {
+		if (value === null || value === undefined) {
+			return '';
+		}
+
+		let text;
+		if (value instanceof Date) {
+			text = value.toISOString();
+		} else if (typeof value === 'object') {
+			text = JSON.stringify(value);
+		} else if (typeof value === 'string' && /^[=+\-@]/.test(value)) {
+			// Stop spreadsheet apps from evaluating user-written text as formulas
+			text = `'${value}`;
+		} else {
+			text = String(value);
+		}
+
+		return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+	}
+}
+
+module.exports = { UserDataExport, EXPORT_VERSION };
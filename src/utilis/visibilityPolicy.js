@@ -0,0 +1,211 @@
+// utils/visibilityPolicy.js
+const { UserStore, projectUser } = require('../models/user');
+const { hasPermission } = require('../middleware/permissions');
+
+/**
+ * Central privacy policy for anything that exposes another user's data
+ *
+ * privacy_settings has three sections - profile, progress and courses - each set to:
+ *   public     - any signed-in user
+ *   classmates - users enrolled in at least one course with the owner
+ *   private    - only the owner
+ * The owner and staff with users:view (moderators, admins) always see everything.
+ *
+ * Create one policy per request: new VisibilityPolicy(pool, req.user)
+ */
+
+/**
+ * Profile fields shown when the profile section is visible
+ * Email is never shown to other users
+ */
+const VISIBLE_PROFILE_FIELDS = [
+	'id',
+	'name',
+	'username',
+	'avatar',
+	'role',
+	'city',
+	'country',
+	'martial_art',
+	'experience',
+	'created_at',
+];
+
+/**
+ * Fields still shown when a profile is hidden
+ */
+const HIDDEN_PROFILE_FIELDS = ['id', 'name', 'username', 'avatar'];
+
+class VisibilityPolicy {
+	constructor(pool, viewer) {
+		this.store = new UserStore(pool);
+		this.viewer = viewer || null;
+		this.classmateIds = null;
+	}
+
+	/**
+	 * Read a user's privacy settings from either the privacy object
+	 * (getUserWithPrivacy) or the privacy_* columns joined into list queries
+	 */
+	getPrivacy(user) {
+		return {
+			profile: user.privacy?.profile || user.privacy_profile || 'public',
+			progress: user.privacy?.progress || user.privacy_progress || 'public',
+			courses: user.privacy?.courses || user.privacy_courses || 'public',
+		};
+	}
+
+	/**
+	 * Owner or staff - sees everything
+	 */
+	isPrivileged(ownerId) {
+		if (!this.viewer) {
+			return false;
+		}
+		return (
+			this.viewer.id === ownerId || hasPermission(this.viewer, 'users:view')
+		);
+	}
+
+	async isClassmate(ownerId) {
+		if (!this.viewer) {
+			return false;
+		}
+
+		// Loaded once per request, then reused for every row in a list
+		if (!this.classmateIds) {
+			this.classmateIds = new Set(
+				await this.store.getClassmateIds(this.viewer.id)
+			);
+		}
+
+		return this.classmateIds.has(ownerId);
+	}
+
+	/**
+	 * Check whether the viewer may see one section of an owner's data
+	 */
+	async canView(ownerId, level) {
+		if (this.isPrivileged(ownerId)) {
+			return true;
+		}
+
+		switch (level || 'public') {
+			case 'public':
+				return !!this.viewer;
+			case 'classmates':
+				return this.isClassmate(ownerId);
+			default:
+				return false;
+		}
+	}
+
+	/**
+	 * Redact a user profile for the viewer
+	 */
+	async filterProfile(user) {
+		const privacy = this.getPrivacy(user);
+
+		if (this.isPrivileged(user.id)) {
+			const {
+				password,
+				privacy_profile,
+				privacy_progress,
+				privacy_courses,
+				...full
+			} = user;
+			return { ...full, privacy };
+		}
+
+		if (!(await this.canView(user.id, privacy.profile))) {
+			return {
+				...projectUser(user, HIDDEN_PROFILE_FIELDS),
+				profile_hidden: true,
+			};
+		}
+
+		const profile = projectUser(user, VISIBLE_PROFILE_FIELDS);
+		if (await this.canView(user.id, privacy.courses)) {
+			profile.current_courses = user.current_courses;
+		}
+
+		return profile;
+	}
+
+	async filterProfiles(users) {
+		const profiles = [];
+		for (const user of users) {
+			profiles.push(await this.filterProfile(user));
+		}
+		return profiles;
+	}
+
+	/**
+	 * Redact the author shown on a review or post
+	 * Rows need user_id, author_name and author_avatar plus author_deleted_at
+	 * and privacy_profile columns
+	 *
+	 * Name and avatar stay visible on hidden profiles, as in filterProfile,
+	 * but are blanked once the author deletes their account
+	 */
+	async filterAuthor(row) {
+		const { author_deleted_at, privacy_profile, ...item } = row;
+
+		if (author_deleted_at) {
+			return {
+				...item,
+				author_name: null,
+				author_avatar: null,
+				author_deleted: true,
+			};
+		}
+
+		if (item.user_id && !(await this.canView(item.user_id, privacy_profile))) {
+			item.author_profile_hidden = true;
+		}
+
+		return item;
+	}
+
+	async filterAuthors(rows) {
+		const items = [];
+		for (const row of rows) {
+			items.push(await this.filterAuthor(row));
+		}
+		return items;
+	}
+
+	/**
+	 * Drop enrollments whose course list is hidden and blank out hidden progress
+	 * Rows need user_id plus privacy_courses / privacy_progress columns
+	 */
+	async filterEnrollments(rows) {
+		const visible = [];
+
+		for (const row of rows) {
+			const { privacy_courses, privacy_progress, ...enrollment } = row;
+
+			if (this.isPrivileged(row.user_id)) {
+				visible.push(enrollment);
+				continue;
+			}
+
+			if (!(await this.canView(row.user_id, privacy_courses))) {
+				continue;
+			}
+
+			delete enrollment.email;
+			if (!(await this.canView(row.user_id, privacy_progress))) {
+				enrollment.progress = null;
+				enrollment.completed_date = null;
+				enrollment.progress_hidden = true;
+			}
+
+			visible.push(enrollment);
+		}
+
+		return visible;
+	}
+}
+
+module.exports = { VisibilityPolicy };
@@ -0,0 +1,143 @@
+// test/courseVersion.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { CourseVersionStore } = require('../src/models/courseVersion');
+const { normalizeCurriculum } = require('../src/utilis/curriculum');
+
+/**
+ * Read JSON back the way a JSONB column returns it - keys ordered by length,
+ * then bytewise
+ */
+const fromJsonb = (text) => {
+	const sortKeys = (value) => {
+		if (Array.isArray(value)) {
+			return value.map(sortKeys);
+		}
+		if (value && typeof value === 'object') {
+			return Object.fromEntries(
+				Object.keys(value)
+					.sort((a, b) => a.length - b.length || (a < b ? -1 : a > b ? 1 : 0))
+					.map((key) => [key, sortKeys(value[key])])
+			);
+		}
+		return value;
+	};
+	return sortKeys(JSON.parse(text));
+};
+
+/**
+ * A course_versions table in memory, answering the queries publishDraft makes
+ */
+const createPool = () => {
+	const versions = [];
+	const published = () =>
+		versions
+			.filter((version) => version.status === 'published')
+			.sort((a, b) => b.version_number - a.version_number);
+	const nextNumber = () =>
+		Math.max(0, ...versions.map((version) => version.version_number || 0)) + 1;
+
+	const client = {
+		async query(sql, params = []) {
+			if (/^(BEGIN|COMMIT|ROLLBACK)$/.test(sql)) {
+				return { rows: [] };
+			}
+			if (sql.includes('FROM courses WHERE id')) {
+				return { rows: [{ id: params[0] }] };
+			}
+			if (sql.includes("status = 'draft' FOR UPDATE")) {
+				return {
+					rows: versions.filter((version) => version.status === 'draft'),
+				};
+			}
+			if (sql.includes("status = 'published'") && sql.includes('LIMIT 1')) {
+				return { rows: published().slice(0, 1) };
+			}
+			if (sql.includes('INSERT INTO course_versions')) {
+				const version = {
+					id: versions.length + 1,
+					status: 'published',
+					version_number: nextNumber(),
+					snapshot: fromJsonb(params[1]),
+					notes: params[2],
+				};
+				versions.push(version);
+				return { rows: [version] };
+			}
+			if (sql.includes('as next')) {
+				return { rows: [{ next: nextNumber() }] };
+			}
+			if (sql.includes('UPDATE course_versions SET')) {
+				const version = versions.find((row) => row.id === params[0]);
+				Object.assign(version, {
+					status: 'published',
+					version_number: params[1],
+					snapshot: fromJsonb(params[2]),
+				});
+				return { rows: [version] };
+			}
+			throw new Error(`Unexpected query: ${sql}`);
+		},
+		release() {},
+	};
+
+	return {
+		versions,
+		addDraft(snapshot) {
+			versions.push({
+				id: versions.length + 1,
+				status: 'draft',
+				version_number: null,
+				snapshot,
+			});
+		},
+		connect: async () => client,
+	};
+};
+
+const curriculum = (lessonTitle) =>
+	normalizeCurriculum({
+		modules: [
+			{
+				id: 1,
+				title: 'Stances',
+				description: 'Horse stance and bow stance',
+				lessons: [
+					{
+						id: 10,
+						title: lessonTitle,
+						lesson_type: 'video',
+						content_url: 'https://example.com/stance.mp4',
+						duration_minutes: 12,
+					},
+				],
+			},
+		],
+	});
+
+test('publishing twice without direct edits records no extra version', async () => {
+	const pool = createPool();
+	const store = new CourseVersionStore(pool);
+
+	// The live tree becomes whatever was last published
+	let live = curriculum('Horse stance');
+	store.getLiveSnapshot = async () => live;
+	store.applySnapshot = async (client, courseId, snapshot) => {
+		live = snapshot;
+		return [];
+	};
+
+	pool.addDraft(curriculum('Horse stance basics'));
+	await store.publishDraft(1, 7);
+
+	pool.addDraft(curriculum('Horse stance in depth'));
+	const second = await store.publishDraft(1, 7);
+
+	assert.strictEqual(second.previousVersion, null);
+	assert.deepStrictEqual(
+		pool.versions
+			.sort((a, b) => a.version_number - b.version_number)
+			.map((version) => version.notes ?? null),
+		['Curriculum before versioning', null, null]
+	);
+});
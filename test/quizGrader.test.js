@@ -0,0 +1,30 @@
+// test/quizGrader.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { gradeAttempt } = require('../src/utilis/quizGrader');
+
+const quiz = (passingScore, points) => ({
+	passing_score: passingScore,
+	questions: points.map((value, index) => ({
+		id: index + 1,
+		question_type: 'multiple_choice',
+		options: ['A', 'B'],
+		answer: 0,
+		points: value,
+	})),
+});
+
+test('a score that only rounds up to the passing score fails', () => {
+	// 139 of 200 points is 69.5%
+	const result = gradeAttempt(quiz(70, [139, 61]), { 1: 0, 2: 1 });
+
+	assert.strictEqual(result.score, 70);
+	assert.strictEqual(result.passed, false);
+});
+
+test('a score exactly at the passing score passes', () => {
+	const result = gradeAttempt(quiz(70, [70, 30]), { 1: 0, 2: 1 });
+
+	assert.strictEqual(result.score, 70);
+	assert.strictEqual(result.passed, true);
+});
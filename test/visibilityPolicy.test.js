@@ -0,0 +1,54 @@
+// test/visibilityPolicy.test.js
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { VisibilityPolicy } = require('../src/utilis/visibilityPolicy');
+
+const viewer = { id: 1, role: 'user' };
+
+const review = (overrides) => ({
+	id: 5,
+	user_id: 2,
+	author_name: 'Li Wei',
+	author_avatar: 'avatars/li.png',
+	author_deleted_at: null,
+	privacy_profile: 'public',
+	...overrides,
+});
+
+const createPolicy = () => {
+	const policy = new VisibilityPolicy({}, viewer);
+	policy.store.getClassmateIds = async () => [];
+	return policy;
+};
+
+test('authors with public profiles are shown as they are', async () => {
+	const item = await createPolicy().filterAuthor(review());
+
+	assert.deepStrictEqual(item, {
+		id: 5,
+		user_id: 2,
+		author_name: 'Li Wei',
+		author_avatar: 'avatars/li.png',
+	});
+});
+
+test('authors with hidden profiles are marked but keep name and avatar', async () => {
+	const item = await createPolicy().filterAuthor(
+		review({ privacy_profile: 'classmates' })
+	);
+
+	assert.strictEqual(item.author_name, 'Li Wei');
+	assert.strictEqual(item.author_profile_hidden, true);
+	assert.ok(!('privacy_profile' in item));
+});
+
+test('deleted authors are blanked', async () => {
+	const item = await createPolicy().filterAuthor(
+		review({ author_deleted_at: new Date() })
+	);
+
+	assert.strictEqual(item.author_name, null);
+	assert.strictEqual(item.author_avatar, null);
+	assert.strictEqual(item.author_deleted, true);
+	assert.ok(!('author_deleted_at' in item));
+});